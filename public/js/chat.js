@@ -66,6 +66,45 @@ function appendMessage(role, content, attachments = []) {
     top: historyDiv.scrollHeight,
     behavior: 'smooth'
   });
+  
+  return contentDiv;
+}
+
+// Render the streamed text into an existing message bubble
+function updateStreamingMessage(contentDiv, content) {
+  contentDiv.innerHTML = renderMarkdown(content);
+  const historyDiv = document.getElementById('chatHistory');
+  historyDiv.scrollTop = historyDiv.scrollHeight;
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data) per event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, separator);
+      buffer = buffer.slice(separator + 2);
+      
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      }
+    }
+  }
 }
 
 // Get CSRF token
@@ -86,27 +125,15 @@ async function sendMessage(message) {
   try {
     if (!message.trim()) return;
     
-    // Check for special commands
-    const isCommand = message.startsWith('/');
-    let commandType = 'chat';
-    let cleanMessage = message;
-    
-    if (isCommand) {
-      const commandMatch = message.match(/^\/(\w+)\s+(.*)/);
-      if (commandMatch) {
-        commandType = commandMatch[1].toLowerCase();
-        cleanMessage = commandMatch[2];
-      }
-    }
-    
     showTypingIndicator();
     const messageInput = document.getElementById('messageInput');
     messageInput.disabled = true;
     
     const formData = new FormData();
-    formData.append('message', cleanMessage);
+    // Commands such as /code or /review are sent as typed and routed on the server
+    formData.append('message', message);
     formData.append('sessionId', currentSessionId);
-    formData.append('commandType', commandType);
+    formData.append('stream', 'true');
     
     // Handle file attachments
     const fileInput = document.getElementById('fileAttachment');
@@ -134,27 +161,60 @@ async function sendMessage(message) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     
-    const data = await response.json();
-    currentSessionId = data.sessionId;
-    
     appendMessage('user', message, fileInput.files.length > 0 ? [{name: fileInput.files[0].name}] : []);
     
-    // Display response with agent information
+    let data;
+    if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      // Render tokens as they arrive, then replace with the final formatted reply
+      const streamingDiv = appendMessage('assistant', '');
+      let streamedText = '';
+      hideTypingIndicator();
+      
+      await readEventStream(response, (event, payload) => {
+        if (event === 'token') {
+          streamedText += payload.text;
+          updateStreamingMessage(streamingDiv, streamedText);
+        } else if (event === 'done') {
+          data = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.error);
+        }
+      });
+      
+      streamingDiv.parentElement.remove();
+    } else {
+      data = await response.json();
+    }
+    
+    if (!data) {
+      throw new Error('Response stream ended unexpectedly');
+    }
+    currentSessionId = data.sessionId;
+    
+    // Display response with agent information; degraded agent results are flagged
+    const degraded = data.metadata?.status === 'degraded';
     appendMessage('assistant', `
-      <div class="task-result">
+      <div class="task-result${degraded ? ' degraded' : ''}">
         <div class="task-meta">
           <span>Agent: ${data.agent || 'AI Assistant'}</span>
           <span>Operation: ${data.operation || 'chat'}</span>
-          <span>Time: ${new Date(data.timestamp).toLocaleTimeString()}</span>
+          <span>Time: ${new Date(data.metadata?.timestamp || Date.now()).toLocaleTimeString()}</span>
+          ${degraded ? '<span class="degraded-label">Degraded result: the model reply could not be read</span>' : ''}
         </div>
-        <div class="task-content markdown-content">${data.formattedResponse || data.result}</div>
+        <div class="task-content markdown-content">${data.formattedResponse || data.response}</div>
       </div>
     `);
     
+    // Let the save, export and copy buttons act on this reply
+    if (!degraded && window.dashboard) window.dashboard.setLatestReply(message, data);
+    
     // Reset file input and message input
     fileInput.value = '';
     messageInput.value = '';
     
+    // Pick up the new title and last message in the session sidebar
+    if (typeof refreshSessionList === 'function') refreshSessionList();
+    
   } catch (error) {
     showError(`Failed to process message: ${error.message}`);
     console.error('Message processing error:', error);
@@ -234,6 +294,7 @@ async function loadChatHistory() {
       data.history.forEach(msg => {
         appendMessage(msg.role, msg.content, msg.attachments || []);
       });
+      renderLoadEarlier(data.hasMore ? data.nextCursor : null);
       document.getElementById('chatStatus').textContent = 'Chat history loaded';
     } else {
       // Add welcome message if no history
@@ -247,6 +308,52 @@ async function loadChatHistory() {
   }
 }
 
+// Show a control that loads the page of history before the given cursor
+function renderLoadEarlier(cursor) {
+  const historyDiv = document.getElementById('chatHistory');
+  const existing = document.getElementById('loadEarlier');
+  if (existing) existing.remove();
+  if (!historyDiv || !cursor) return;
+  
+  const button = document.createElement('button');
+  button.id = 'loadEarlier';
+  button.type = 'button';
+  button.className = 'load-earlier';
+  button.textContent = 'Load earlier messages';
+  button.addEventListener('click', () => loadEarlierMessages(cursor));
+  historyDiv.prepend(button);
+}
+
+// Load an older page of history and insert it above the current messages
+async function loadEarlierMessages(cursor) {
+  try {
+    const csrfToken = await getCsrfToken();
+    if (!csrfToken) return;
+    
+    const response = await fetch(
+      `/api/chat/history?sessionId=${currentSessionId}&before=${encodeURIComponent(cursor)}`,
+      { headers: { 'X-CSRF-Token': csrfToken } }
+    );
+    
+    if (!response.ok) throw new Error('Failed to load earlier messages');
+    
+    const data = await response.json();
+    const historyDiv = document.getElementById('chatHistory');
+    const firstMessage = historyDiv.querySelector('.chat-message');
+    
+    data.history.forEach(msg => {
+      const messageDiv = appendMessage(msg.role, msg.content, msg.attachments || []).parentElement;
+      historyDiv.insertBefore(messageDiv, firstMessage);
+    });
+    
+    renderLoadEarlier(data.hasMore ? data.nextCursor : null);
+    historyDiv.scrollTop = 0;
+  } catch (error) {
+    showError(`Failed to load history: ${error.message}`);
+    console.error('History load error:', error);
+  }
+}
+
 // Initialize chat when document is ready
 document.addEventListener('DOMContentLoaded', function() {
   // Set up chat form submission
@@ -10,6 +10,7 @@ class AIDashboard {
     this.loadUserInfo();
     this.fetchCsrfToken();
     this.loadHistory();
+    this.showZohoConnectionResult();
   }
   
   initElements() {
@@ -24,6 +25,14 @@ class AIDashboard {
     this.exportToZohoBtn = document.getElementById('exportToZohoBtn');
     this.copyBtn = document.getElementById('copyBtn');
     
+    // Zoho export dialog
+    this.zohoExportDialog = document.getElementById('zohoExportDialog');
+    this.zohoExportForm = document.getElementById('zohoExportForm');
+    this.zohoExportTypeEl = document.getElementById('zohoExportType');
+    this.zohoWorkflowFieldsEl = document.getElementById('zohoWorkflowFields');
+    this.zohoConnectionEl = document.getElementById('zohoConnection');
+    this.zohoExportResultEl = document.getElementById('zohoExportResult');
+    
     // Navigation
     this.newTaskBtn = document.getElementById('newTaskBtn');
     this.refreshBtn = document.getElementById('refreshBtn');
@@ -36,6 +45,13 @@ class AIDashboard {
     this.exportToZohoBtn.addEventListener('click', () => this.exportToZoho());
     this.copyBtn.addEventListener('click', () => this.copyToClipboard());
     
+    // Zoho export dialog
+    this.zohoExportForm.addEventListener('submit', (e) => this.submitZohoExport(e));
+    this.zohoExportTypeEl.addEventListener('change', () => {
+      this.zohoWorkflowFieldsEl.hidden = this.zohoExportTypeEl.value !== 'workflow';
+    });
+    document.getElementById('zohoExportCancel').addEventListener('click', () => this.zohoExportDialog.close());
+    
     // Navigation
     this.newTaskBtn.addEventListener('click', () => this.showTaskInput());
     this.refreshBtn.addEventListener('click', () => this.refreshDashboard());
@@ -170,9 +186,103 @@ class AIDashboard {
     }
   }
   
-  exportToZoho() {
-    // To be implemented
-    this.showNotification('Export to Zoho feature coming soon', 'info');
+  // Called by the chat with each finished assistant reply, so the action buttons act on it
+  setLatestReply(message, data) {
+    this.currentTask = { content: message };
+    // Generated or improved code is exported as-is rather than pulled out of the formatted reply
+    const result = data.result || {};
+    const code = result.code || result.improved_code;
+    this.currentResult = { content: typeof code === 'string' ? code : data.response, model: data.agent, agent: data.agent };
+    
+    this.saveToDriveBtn.disabled = false;
+    this.exportToZohoBtn.disabled = false;
+    this.copyBtn.disabled = false;
+  }
+  
+  async exportToZoho() {
+    if (!this.currentResult || !this.currentResult.content) {
+      this.showNotification('No code to export', 'warning');
+      return;
+    }
+    
+    this.zohoExportResultEl.hidden = true;
+    this.zohoConnectionEl.textContent = 'Checking Zoho connection...';
+    this.zohoExportDialog.showModal();
+    
+    try {
+      const response = await fetch('/api/zoho/status');
+      const status = await response.json();
+      if (status.connected) {
+        this.zohoConnectionEl.textContent = `Connected to Zoho (${status.accountsServer})`;
+      } else if (status.configured) {
+        this.zohoConnectionEl.innerHTML = 'Zoho is not connected. <a href="/api/zoho/connect">Connect Zoho</a> to export, or use a dry run.';
+      } else {
+        this.zohoConnectionEl.textContent = 'Zoho export is not configured on this server; only dry runs are available.';
+      }
+    } catch (error) {
+      this.zohoConnectionEl.textContent = 'Could not check the Zoho connection';
+    }
+  }
+  
+  async submitZohoExport(e) {
+    e.preventDefault();
+    const form = new FormData(this.zohoExportForm);
+    
+    const target = {
+      type: form.get('type'),
+      owner: form.get('owner').trim(),
+      app: form.get('app').trim()
+    };
+    if (form.get('name').trim()) {
+      target.name = form.get('name').trim();
+    }
+    if (target.type === 'workflow') {
+      target.form = form.get('form').trim();
+      target.recordEvent = form.get('recordEvent');
+      target.event = form.get('event');
+    }
+    
+    try {
+      const response = await fetch('/api/zoho/export', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': this.csrfToken
+        },
+        body: JSON.stringify({
+          code: this.currentResult.content,
+          target,
+          overwrite: form.get('overwrite') === 'on',
+          dryRun: form.get('dryRun') === 'on'
+        })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `Server responded with ${response.status}`);
+      }
+      
+      this.zohoExportResultEl.textContent = data.dryRun
+        ? JSON.stringify(data.request, null, 2)
+        : JSON.stringify(data.response, null, 2);
+      this.zohoExportResultEl.hidden = false;
+      this.showNotification(data.dryRun ? 'Dry run: request not sent' : 'Exported to Zoho Creator', 'success');
+    } catch (error) {
+      this.showNotification('Failed to export to Zoho: ' + error.message, 'error');
+    }
+  }
+  
+  // The Zoho OAuth callback returns here with ?zoho=connected or an error code
+  showZohoConnectionResult() {
+    const result = new URLSearchParams(window.location.search).get('zoho');
+    if (!result) return;
+    
+    if (result === 'connected') {
+      this.showNotification('Zoho account connected', 'success');
+    } else {
+      this.showNotification(`Zoho connection failed: ${result}`, 'error');
+    }
+    window.history.replaceState({}, '', window.location.pathname);
   }
   
   copyToClipboard() {
@@ -280,12 +390,14 @@ class AIDashboard {
     switch (target) {
       case 'tasks':
         taskContainer.style.display = 'block';
-        historyContainer.style.display = 'none';
+        if (historyContainer) historyContainer.style.display = 'none';
+        if (typeof loadTaskBoard === 'function') loadTaskBoard();
         break;
       case 'history':
-        taskContainer.style.display = 'none';
-        historyContainer.style.display = 'block';
-        this.updateHistoryUI();
+        // Past chats are browsed and searched from the session sidebar
+        taskContainer.style.display = 'block';
+        document.getElementById('sessionSearch').focus();
+        if (typeof refreshSessionList === 'function') refreshSessionList();
         break;
       case 'drive':
         // To be implemented
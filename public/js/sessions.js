@@ -0,0 +1,226 @@
+// Chat session sidebar: browse, rename, archive, delete and search past chats
+let showArchivedSessions = false;
+let sessionSearchTimer = null;
+
+// JSON request with the CSRF token attached
+async function sessionRequest(url, options = {}) {
+  const csrfToken = await getCsrfToken();
+  if (!csrfToken) throw new Error('Security verification failed');
+
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': csrfToken
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Load the session list, appending the page before the cursor when given
+async function loadSessionList(cursor = null) {
+  const list = document.getElementById('sessionList');
+  if (!list) return;
+
+  try {
+    const params = new URLSearchParams({ archived: showArchivedSessions });
+    if (cursor) params.set('before', cursor);
+    const data = await sessionRequest(`/api/chat/sessions?${params}`);
+
+    if (!cursor) list.innerHTML = '';
+    const loadMore = list.querySelector('.load-more-sessions');
+    if (loadMore) loadMore.remove();
+
+    if (!cursor && data.sessions.length === 0) {
+      list.innerHTML = `<li class="session-empty">${showArchivedSessions ? 'No archived chats' : 'No chats yet'}</li>`;
+      return;
+    }
+
+    data.sessions.forEach(session => list.appendChild(renderSessionItem(session)));
+
+    if (data.hasMore) {
+      const more = document.createElement('li');
+      more.className = 'load-more-sessions';
+      more.textContent = 'Load more';
+      more.addEventListener('click', () => loadSessionList(data.nextCursor));
+      list.appendChild(more);
+    }
+  } catch (error) {
+    showError(`Failed to load chats: ${error.message}`);
+    console.error('Session list error:', error);
+  }
+}
+
+// Refresh the list unless the user is looking at search results
+function refreshSessionList() {
+  const search = document.getElementById('sessionSearch');
+  if (search && search.value.trim()) return;
+  loadSessionList();
+}
+
+function renderSessionEntry(sessionId, title, preview, timestamp) {
+  const item = document.createElement('li');
+  item.className = `session-item${sessionId === currentSessionId ? ' active' : ''}`;
+  item.dataset.sessionId = sessionId;
+
+  const titleDiv = document.createElement('div');
+  titleDiv.className = 'session-title';
+  titleDiv.textContent = title;
+
+  const previewDiv = document.createElement('div');
+  previewDiv.className = 'session-preview';
+  previewDiv.textContent = preview || '';
+
+  const timeDiv = document.createElement('div');
+  timeDiv.className = 'session-time';
+  timeDiv.textContent = new Date(timestamp).toLocaleString();
+
+  item.append(titleDiv, previewDiv, timeDiv);
+  item.addEventListener('click', () => openChatSession(sessionId));
+  return item;
+}
+
+function renderSessionItem(session) {
+  const item = renderSessionEntry(
+    session.sessionId,
+    session.title,
+    session.lastMessage && session.lastMessage.content,
+    session.updatedAt
+  );
+
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+  actions.append(
+    sessionActionButton('Rename', () => renameChatSession(session)),
+    sessionActionButton(session.archived ? 'Unarchive' : 'Archive', () => archiveChatSession(session, !session.archived)),
+    sessionActionButton('Delete', () => deleteChatSession(session))
+  );
+  item.appendChild(actions);
+  return item;
+}
+
+function sessionActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', e => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+// Switch the chat panel to an existing session
+async function openChatSession(sessionId) {
+  currentSessionId = sessionId;
+  document.querySelectorAll('.session-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.sessionId === sessionId);
+  });
+  await loadChatHistory();
+}
+
+async function renameChatSession(session) {
+  const title = prompt('Rename chat', session.title);
+  if (!title || !title.trim() || title.trim() === session.title) return;
+
+  try {
+    await sessionRequest(`/api/chat/sessions/${encodeURIComponent(session.sessionId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ title: title.trim() })
+    });
+    refreshSessionList();
+  } catch (error) {
+    showError(`Failed to rename chat: ${error.message}`);
+    console.error('Session rename error:', error);
+  }
+}
+
+async function archiveChatSession(session, archived) {
+  try {
+    await sessionRequest(`/api/chat/sessions/${encodeURIComponent(session.sessionId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ archived })
+    });
+    refreshSessionList();
+  } catch (error) {
+    showError(`Failed to update chat: ${error.message}`);
+    console.error('Session archive error:', error);
+  }
+}
+
+async function deleteChatSession(session) {
+  if (!confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+
+  try {
+    await sessionRequest(`/api/chat/sessions/${encodeURIComponent(session.sessionId)}`, {
+      method: 'DELETE'
+    });
+    if (session.sessionId === currentSessionId) {
+      await startNewChat();
+    }
+    refreshSessionList();
+  } catch (error) {
+    showError(`Failed to delete chat: ${error.message}`);
+    console.error('Session delete error:', error);
+  }
+}
+
+// Search message content across the user's chats
+async function searchChatSessions(query) {
+  const list = document.getElementById('sessionList');
+  if (query.trim().length < 2) {
+    loadSessionList();
+    return;
+  }
+
+  try {
+    const data = await sessionRequest(`/api/chat/search?q=${encodeURIComponent(query.trim())}`);
+    list.innerHTML = '';
+
+    if (data.results.length === 0) {
+      list.innerHTML = '<li class="session-empty">No matching messages</li>';
+      return;
+    }
+
+    data.results.forEach(result => {
+      const item = renderSessionEntry(
+        result.sessionId,
+        `${result.sessionTitle}${result.archived ? ' (archived)' : ''}`,
+        result.excerpt,
+        result.message.timestamp
+      );
+      item.classList.add('search-result');
+      list.appendChild(item);
+    });
+  } catch (error) {
+    showError(`Search failed: ${error.message}`);
+    console.error('Session search error:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  const search = document.getElementById('sessionSearch');
+  if (!search) return;
+
+  search.addEventListener('input', () => {
+    clearTimeout(sessionSearchTimer);
+    sessionSearchTimer = setTimeout(() => searchChatSessions(search.value), 300);
+  });
+
+  document.getElementById('newChatBtn').addEventListener('click', async () => {
+    await startNewChat();
+    refreshSessionList();
+  });
+
+  document.getElementById('showArchivedToggle').addEventListener('change', e => {
+    showArchivedSessions = e.target.checked;
+    search.value = '';
+    loadSessionList();
+  });
+
+  loadSessionList();
+});
@@ -0,0 +1,239 @@
+// Kanban view of a project's task board: load, import plans, add, assign and move tasks
+const BOARD_PROJECT_KEY = 'boardProject';
+let boardColumns = [];
+let draggedTask = null;
+
+// JSON request with the CSRF token attached; board errors carry a readable message
+async function boardRequest(url, options = {}) {
+  const csrfToken = await getCsrfToken();
+  if (!csrfToken) throw new Error('Security verification failed');
+
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': csrfToken
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+}
+
+function currentBoardProject() {
+  return document.getElementById('boardProject').value.trim();
+}
+
+// Load the board for the project in the toolbar, or the last one viewed
+async function loadTaskBoard() {
+  const projectInput = document.getElementById('boardProject');
+  if (!projectInput) return;
+  if (!projectInput.value.trim()) {
+    projectInput.value = localStorage.getItem(BOARD_PROJECT_KEY) || '';
+  }
+
+  const project = currentBoardProject();
+  if (!project) return;
+  localStorage.setItem(BOARD_PROJECT_KEY, project);
+
+  try {
+    const data = await boardRequest(`/api/planning/board?project=${encodeURIComponent(project)}`);
+    boardColumns = data.board.columns;
+    renderSprintFilter(data.board.sprints);
+    renderTaskBoard();
+  } catch (error) {
+    showError(`Failed to load the task board: ${error.message}`);
+    console.error('Task board error:', error);
+  }
+}
+
+function renderSprintFilter(sprints) {
+  const select = document.getElementById('boardSprint');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All sprints</option>';
+  sprints.forEach(sprint => {
+    const option = document.createElement('option');
+    option.value = String(sprint);
+    option.textContent = `Sprint ${sprint}`;
+    select.appendChild(option);
+  });
+  select.value = sprints.map(String).includes(selected) ? selected : '';
+}
+
+function renderTaskBoard() {
+  const container = document.getElementById('boardColumns');
+  const sprint = document.getElementById('boardSprint').value;
+  container.innerHTML = '';
+
+  if (boardColumns.every(column => column.tasks.length === 0)) {
+    container.innerHTML = '<p class="board-empty">No tasks yet. Import a saved plan or add a task.</p>';
+    return;
+  }
+
+  boardColumns.forEach(column => {
+    const tasks = column.tasks.filter(task => !sprint || String(task.sprint) === sprint);
+    const points = tasks.reduce((total, task) => total + (task.storyPoints || 0), 0);
+
+    const columnEl = document.createElement('div');
+    columnEl.className = 'board-column';
+    columnEl.dataset.status = column.status;
+
+    const header = document.createElement('h3');
+    header.textContent = `${column.title} (${tasks.length} · ${points} pts)`;
+    columnEl.appendChild(header);
+
+    tasks.forEach(task => columnEl.appendChild(renderTaskCard(task, column)));
+
+    // Only columns the dragged task may move to accept the drop
+    columnEl.addEventListener('dragover', e => {
+      if (draggedTask && draggedTask.transitions.includes(column.status)) e.preventDefault();
+    });
+    columnEl.addEventListener('drop', e => {
+      e.preventDefault();
+      if (draggedTask) moveBoardTask(draggedTask.taskId, column.status);
+    });
+
+    container.appendChild(columnEl);
+  });
+}
+
+function renderTaskCard(task, column) {
+  const card = document.createElement('div');
+  card.className = 'board-card';
+  card.draggable = true;
+  card.dataset.taskId = task.taskId;
+
+  const title = document.createElement('div');
+  title.className = 'board-card-title';
+  title.textContent = task.storyId ? `${task.storyId} · ${task.title}` : task.title;
+  card.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'board-card-meta';
+  meta.textContent = [
+    task.epic,
+    task.storyPoints !== null ? `${task.storyPoints} pts` : null,
+    task.sprint !== null ? `Sprint ${task.sprint}` : 'Unscheduled',
+    task.assignee || (task.role ? `Unassigned (${task.role})` : 'Unassigned')
+  ].filter(Boolean).join(' · ');
+  card.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'board-card-actions';
+  column.transitions.forEach(status => {
+    const target = boardColumns.find(other => other.status === status);
+    actions.appendChild(boardButton(`→ ${target.title}`, () => moveBoardTask(task.taskId, status)));
+  });
+  actions.appendChild(boardButton('Assign', () => assignBoardTask(task)));
+  actions.appendChild(boardButton('Delete', () => deleteBoardTask(task)));
+  card.appendChild(actions);
+
+  card.addEventListener('dragstart', () => {
+    draggedTask = { taskId: task.taskId, transitions: column.transitions };
+  });
+  card.addEventListener('dragend', () => {
+    draggedTask = null;
+  });
+  return card;
+}
+
+function boardButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+async function updateBoardTask(taskId, changes) {
+  try {
+    await boardRequest(`/api/planning/board/tasks/${encodeURIComponent(taskId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+    await loadTaskBoard();
+  } catch (error) {
+    showError(`Failed to update the task: ${error.message}`);
+  }
+}
+
+function moveBoardTask(taskId, status) {
+  return updateBoardTask(taskId, { status });
+}
+
+function assignBoardTask(task) {
+  const assignee = prompt('Assign to', task.assignee || '');
+  if (assignee === null) return;
+  updateBoardTask(task.taskId, { assignee: assignee.trim() || null });
+}
+
+async function deleteBoardTask(task) {
+  if (!confirm(`Delete "${task.title}"?`)) return;
+
+  try {
+    await boardRequest(`/api/planning/board/tasks/${encodeURIComponent(task.taskId)}`, { method: 'DELETE' });
+    await loadTaskBoard();
+  } catch (error) {
+    showError(`Failed to delete the task: ${error.message}`);
+  }
+}
+
+async function addBoardTask() {
+  const project = currentBoardProject();
+  if (!project) {
+    showError('Enter a project name first');
+    return;
+  }
+  const title = prompt('Task title');
+  if (!title || !title.trim()) return;
+
+  try {
+    await boardRequest('/api/planning/board/tasks', {
+      method: 'POST',
+      body: JSON.stringify({ project, title })
+    });
+    await loadTaskBoard();
+  } catch (error) {
+    showError(`Failed to add the task: ${error.message}`);
+  }
+}
+
+// Import the plan that /plan saved to Drive for this project
+async function importSavedPlan() {
+  const project = currentBoardProject();
+  if (!project) {
+    showError('Enter a project name first');
+    return;
+  }
+
+  try {
+    const result = await boardRequest('/api/planning/board/import', {
+      method: 'POST',
+      body: JSON.stringify({ project })
+    });
+    await loadTaskBoard();
+    if (window.dashboard) {
+      window.dashboard.showNotification(`Imported plan: ${result.created} new, ${result.updated} updated`, 'success');
+    }
+  } catch (error) {
+    showError(`Failed to import the plan: ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  const form = document.getElementById('boardProjectForm');
+  if (!form) return;
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    loadTaskBoard();
+  });
+  document.getElementById('boardSprint').addEventListener('change', renderTaskBoard);
+  document.getElementById('importPlanBtn').addEventListener('click', importSavedPlan);
+  document.getElementById('addBoardTaskBtn').addEventListener('click', addBoardTask);
+
+  loadTaskBoard();
+});
@@ -0,0 +1,64 @@
+// Timeline of the task board project's current plan: Gantt chart, dependency graph and Docs export
+function timelineUrl(project) {
+  return `/api/planning/plans/${encodeURIComponent(project)}/timeline`;
+}
+
+async function loadTimeline() {
+  const project = currentBoardProject();
+  if (!project) {
+    showError('Enter a project name first');
+    return;
+  }
+
+  try {
+    const data = await boardRequest(timelineUrl(project));
+    const { timeline, mermaid } = data;
+    const path = timeline.critical_path.length > 0 ? timeline.critical_path.join(' → ') : 'none';
+    document.getElementById('timelineSummary').textContent = timeline.start_date && timeline.end_date
+      ? `${timeline.start_date} to ${timeline.end_date}, ${timeline.sprints.length} sprints. Critical path: ${path}`
+      : 'No sprints scheduled yet';
+
+    // The SVGs are rendered by the server; the timestamp skips cached charts of an older plan
+    const charts = document.getElementById('timelineCharts');
+    charts.innerHTML = '';
+    [['gantt', 'Gantt chart'], ['graph', 'Dependency graph']].forEach(([chart, label]) => {
+      const image = document.createElement('img');
+      image.src = `${timelineUrl(project)}/${chart}.svg?t=${Date.now()}`;
+      image.alt = `${label} for ${project}`;
+      charts.appendChild(image);
+    });
+
+    document.getElementById('timelineMermaid').textContent = `${mermaid.gantt}\n\n${mermaid.graph}`;
+    document.getElementById('timelineMermaidDetails').hidden = false;
+  } catch (error) {
+    showError(`Failed to load the timeline: ${error.message}`);
+  }
+}
+
+async function exportTimeline() {
+  const project = currentBoardProject();
+  if (!project) {
+    showError('Enter a project name first');
+    return;
+  }
+
+  try {
+    const result = await boardRequest(`${timelineUrl(project)}/export`, { method: 'POST', body: JSON.stringify({}) });
+    if (window.dashboard) {
+      window.dashboard.showNotification(`Timeline exported to Google Docs: ${result.document.name}`, 'success');
+    }
+    if (result.document.webViewLink) {
+      window.open(result.document.webViewLink, '_blank', 'noopener');
+    }
+  } catch (error) {
+    showError(`Failed to export the timeline: ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  const showButton = document.getElementById('showTimelineBtn');
+  if (!showButton) return;
+
+  showButton.addEventListener('click', loadTimeline);
+  document.getElementById('exportTimelineBtn').addEventListener('click', exportTimeline);
+});
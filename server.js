@@ -12,22 +12,33 @@ const fileUpload = require('express-fileupload');
 // Load environment variables
 dotenv.config();
 
+// Validate AI model configuration (and any AI_MODELS_CONFIG override) before anything uses it
+require('./src/config/modelConfig');
+
 // Initialize Google Drive service
 const driveService = require('./src/utils/googleDriveService');
-const ChatSession = require('./src/services/chatSession');
-const aiService = require('./src/services/aiOrchestrator');
 
 // Import routes
 const projectRoutes = require('./src/routes/projectRoutes');
 const planningRoutes = require('./src/routes/planningRoutes');
 const codeSearchRoutes = require('./src/routes/codeSearchRoutes');
 const codeGenerationRoutes = require('./src/routes/codeGenerationRoutes');
+const codeReviewRoutes = require('./src/routes/codeReviewRoutes');
 const meetingActionItemRoutes = require('./src/routes/meetingActionItemRoutes');
 const documentationRoutes = require('./src/routes/documentationRoutes');
 const aiProcessingRoutes = require('./src/routes/aiProcessingRoutes');
+const usageRoutes = require('./src/routes/usageRoutes');
+const zohoRoutes = require('./src/routes/zohoRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const chatRoutes = require('./src/routes/chatRoutes');
+const agentUsage = require('./src/services/agentUsage');
 
 // Initialize express
 const app = express();
+
+// Git host webhooks are verified against their raw body and carry no session or CSRF token
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json());
 
 // Cookie parser must come before session and CSRF
@@ -70,6 +81,9 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Charge agent model calls to the signed-in user's budget
+app.use(agentUsage.chargeRequestUser);
+
 // Configure CSRF with proper cookie settings
 const csrfProtection = csurf({
   cookie: {
@@ -107,13 +121,17 @@ passport.use(new GoogleStrategy({
 ));
 
 // Register routes
-app.use('/api/project', projectRoutes);
-app.use('/api/planning', planningRoutes);
-app.use('/api/code-search', codeSearchRoutes);
-app.use('/api/code-generation', codeGenerationRoutes);
-app.use('/api/meeting', meetingActionItemRoutes);
-app.use('/api/documentation', documentationRoutes);
-app.use('/api/ai', aiProcessingRoutes);
+app.use('/api/project', ensureAuthenticated, projectRoutes);
+app.use('/api/planning', ensureAuthenticated, planningRoutes);
+app.use('/api/code-search', ensureAuthenticated, codeSearchRoutes);
+app.use('/api/code-generation', ensureAuthenticated, codeGenerationRoutes);
+app.use('/api/code-review', ensureAuthenticated, codeReviewRoutes);
+app.use('/api/meeting', ensureAuthenticated, meetingActionItemRoutes);
+app.use('/api/documentation', ensureAuthenticated, documentationRoutes);
+app.use('/api/ai', ensureAuthenticated, aiProcessingRoutes);
+app.use('/api/usage', ensureAuthenticated, usageRoutes);
+app.use('/api/zoho', ensureAuthenticated, zohoRoutes);
+app.use('/api/chat', ensureAuthenticated, csrfProtection, chatRoutes);
 
 // Add a route to check Google Drive connection
 app.get('/api/drive/status', async (req, res) => {
@@ -216,70 +234,6 @@ app.post('/api/upload', ensureAuthenticated, (req, res) => {
     .catch(error => res.status(500).json({ error: 'Upload failed' }));
 });
 
-// Chat endpoints
-app.post('/api/chat/start', ensureAuthenticated, csrfProtection, async (req, res) => {
-  try {
-    const session = new ChatSession(req.user.id);
-    await session.initialize();
-    res.json({ sessionId: session.sessionId });
-  } catch (error) {
-    console.error('Error starting chat session:', error);
-    res.status(500).json({ error: 'Failed to start chat session' });
-  }
-});
-
-app.post('/api/chat/message', ensureAuthenticated, csrfProtection, [
-  body('message').trim().isLength({ min: 1 }).escape(),
-  body('sessionId').optional().isString()
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    // Handle file uploads
-    const attachments = [];
-    if (req.files && req.files.attachment) {
-      const file = req.files.attachment;
-      const fileId = await driveService.createFile(
-        file.name,
-        file.data,
-        file.mimetype,
-        `projectcrew-ai/chats/${req.user.id}/${req.body.sessionId || 'default'}`,
-        'Uploaded via Projectcrew AI Platform'
-      );
-      attachments.push({ name: file.name, id: fileId });
-    }
-    
-    const { message, sessionId } = req.body;
-    const result = await aiService.processChatMessage(
-      req.user.id,
-      sessionId,
-      message
-    );
-    
-    res.json({ ...result, attachments });
-  } catch (error) {
-    console.error('Error processing chat message:', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
-
-app.get('/api/chat/history', ensureAuthenticated, csrfProtection, async (req, res) => {
-  try {
-    const session = new ChatSession(req.user.id, req.query.sessionId);
-    await session.initialize();
-    res.json({ history: await session.getHistory(), sessionId: session.sessionId });
-  } catch (error) {
-    console.error('Error retrieving chat history:', error);
-    res.status(500).json({ error: 'Failed to retrieve chat history' });
-  }
-});
-
 // CSRF token endpoint
 app.get('/api/csrf-token', (req, res) => {
   res.json({ csrfToken: req.csrfToken() });
@@ -0,0 +1,144 @@
+const modelConfig = require('../config/modelConfig');
+const agentSettings = require('../config/agents');
+const agentUsage = require('../services/agentUsage');
+const llmClient = require('../services/llmClient');
+const { requestClaudeTool } = require('../utils/structuredOutput');
+
+const CLAUDE_BASE_URL = 'https://api.anthropic.com/v1';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Base Agent
+ * Model calls shared by the agents: every call is checked against the
+ * budget of the user it is charged to (see services/agentUsage.js), sent
+ * through the shared LLM client and recorded in the usage ledger.
+ */
+class BaseAgent {
+  /**
+   * @param {String} name - Agent key in the model config, also used in the usage ledger
+   * @param {String} apiKey - Key for the agent's provider
+   */
+  constructor(name, apiKey) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.modelSettings = modelConfig.getAgentModel(name);
+    this.model = this.modelSettings.id;
+    this.baseUrl = this.modelSettings.provider === 'gemini' ? GEMINI_BASE_URL : CLAUDE_BASE_URL;
+  }
+
+  // userPrompt may also be a full message list (for repair turns); extra adds fields such as tools
+  async _callClaudeAPI(systemPrompt, userPrompt, extra = {}) {
+    try {
+      console.log('Making API request to Claude...');
+      
+      const url = `${this.baseUrl}/messages`;
+      
+      const data = {
+        model: this.model,
+        max_tokens: this.modelSettings.maxTokens,
+        temperature: this.modelSettings.temperature,
+        system: systemPrompt,
+        messages: Array.isArray(userPrompt) ? userPrompt : [
+          {
+            role: "user",
+            content: [
+              {
+                type: "text",
+                text: userPrompt
+              }
+            ]
+          }
+        ],
+        ...extra
+      };
+      
+      const headers = {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      };
+      
+      console.log('Using Claude API URL:', url);
+      console.log('Using model:', this.model);
+      
+      const response = await this._chargedRequest('claude', { url, data, headers }, body => body.usage);
+      console.log('Received response from Claude API with status:', response.status);
+      return response.data;
+    } catch (error) {
+      console.error('Claude API Error:', error.message);
+      throw error;
+    }
+  }
+
+  // prompt may also be a full contents list (for repair turns); generationConfig adds
+  // fields such as responseSchema
+  async _callGeminiAPI(prompt, generationConfig = {}) {
+    try {
+      const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
+      
+      console.log('Making API request to Gemini...');
+      console.log(`Using model: ${this.model}`);
+      
+      const data = {
+        contents: Array.isArray(prompt) ? prompt : [
+          {
+            parts: [
+              {
+                text: prompt
+              }
+            ]
+          }
+        ],
+        generationConfig: {
+          temperature: this.modelSettings.temperature,
+          maxOutputTokens: this.modelSettings.maxTokens,
+          ...generationConfig
+        }
+      };
+      
+      console.log('Request payload structure:', JSON.stringify(data).substring(0, 100) + '...');
+      
+      const response = await this._chargedRequest('gemini', { url, data }, body => body.usageMetadata);
+      console.log('Received response from Gemini API with status:', response.status);
+      return response.data;
+    } catch (error) {
+      console.error('Gemini API Error:', error.message);
+      throw error;
+    }
+  }
+
+  // Demo mode answers with the built-in sample output without calling the model
+  async _requestTool(systemPrompt, userPrompt, tool, sample) {
+    if (agentSettings.demoMode) {
+      console.log(`Demo mode: returning sample ${tool.name} output`);
+      return sample();
+    }
+    return requestClaudeTool(
+      (messages, extra) => this._callClaudeAPI(systemPrompt, messages, extra),
+      { prompt: userPrompt, tool }
+    );
+  }
+
+  /**
+   * Send a request through the shared LLM client, refusing it once the
+   * current principal's budget is spent and recording its usage
+   * @param {String} provider - Provider key in the LLM client
+   * @param {Object} request - { url, data, headers }
+   * @param {Function} usageOf - Picks the provider's usage report from the response body
+   * @returns {Promise<Object>} - The LLM client response
+   */
+  async _chargedRequest(provider, request, usageOf) {
+    agentUsage.checkBudget();
+    const response = await llmClient.request(provider, { ...request, label: this.name });
+    agentUsage.recordUsage({
+      agent: this.name,
+      provider: this.modelSettings.provider,
+      model: this.model,
+      usage: usageOf(response.data),
+      costPer1KTokens: this.modelSettings.costPer1KTokens
+    });
+    return response;
+  }
+}
+
+module.exports = BaseAgent;
@@ -1,10 +1,104 @@
-const axios = require('axios');
+const BaseAgent = require('./baseAgent');
+const reviewConfig = require('../config/codeReview');
+const { isDegraded } = require('../utils/structuredOutput');
+const { analyzeDeluge, formatDiagnostics } = require('../utils/delugeAnalyzer');
+const { parseUnifiedDiff, formatHunk } = require('../utils/diffParser');
+const { applyPatch } = require('../utils/patchApplier');
+const { detectLanguage } = require('../utils/codeChunker');
 
-class CodeReviewAgent {
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const ISSUE_TYPE = { type: 'string', enum: ['bug', 'security', 'performance', 'style', 'maintainability'] };
+const ISSUE_SEVERITY = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+const REVIEW_TOOL = {
+  name: 'record_code_review',
+  description: 'Record the code review',
+  schema: {
+    type: 'object',
+    properties: {
+      overall_assessment: { type: 'string', description: 'Brief summary of code quality' },
+      quality_score: { type: 'number', minimum: 0, maximum: 10 },
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: ISSUE_TYPE,
+            severity: ISSUE_SEVERITY,
+            description: { type: 'string' },
+            line_numbers: { type: 'array', items: { type: 'integer' } },
+            suggestion: { type: 'string', description: 'How to fix it' }
+          },
+          required: ['type', 'severity', 'description', 'line_numbers', 'suggestion']
+        }
+      },
+      strengths: STRING_LIST,
+      improvement_suggestions: STRING_LIST
+    },
+    required: ['overall_assessment', 'quality_score', 'issues', 'strengths', 'improvement_suggestions']
+  }
+};
+
+const IMPROVEMENTS_TOOL = {
+  name: 'record_improvement_suggestions',
+  description: 'Record the suggested code improvements',
+  schema: {
+    type: 'object',
+    properties: {
+      refactoring: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            patch: { type: 'string', description: 'Unified diff against the submitted code, with --- a/code and +++ b/code headers' },
+            benefits: STRING_LIST
+          },
+          required: ['description', 'patch', 'benefits']
+        }
+      },
+      optimizations: STRING_LIST,
+      design_patterns: STRING_LIST,
+      modern_features: STRING_LIST,
+      error_handling: STRING_LIST
+    },
+    required: ['refactoring', 'optimizations', 'design_patterns', 'modern_features', 'error_handling']
+  }
+};
+
+// Review of one file in a diff; issues may only point at new-side lines inside its hunks
+function diffReviewTool(lineNumbers) {
+  return {
+    name: 'record_diff_review',
+    description: 'Record the review of one file\'s changes',
+    schema: {
+      type: 'object',
+      properties: {
+        overall_assessment: { type: 'string', description: 'Brief summary of the change and its quality' },
+        quality_score: { type: 'number', minimum: 0, maximum: 10 },
+        issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: ISSUE_TYPE,
+              severity: ISSUE_SEVERITY,
+              line: { type: 'integer', enum: lineNumbers, description: 'New-side line number the issue is on' },
+              description: { type: 'string' },
+              suggestion: { type: 'string', description: 'How to fix it' }
+            },
+            required: ['type', 'severity', 'line', 'description', 'suggestion']
+          }
+        }
+      },
+      required: ['overall_assessment', 'quality_score', 'issues']
+    }
+  };
+}
+
+class CodeReviewAgent extends BaseAgent {
   constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.model = 'claude-3-5-sonnet-20240620';
-    this.baseUrl = 'https://api.anthropic.com/v1';
+    super('codeReview', apiKey);
   }
 
   async reviewCode(codeSnippet, language, requirements = {}) {
@@ -18,24 +112,123 @@ class CodeReviewAgent {
         requirements = {};
       }
       
+      // Deluge gets the static analyzer's findings as a starting point for the review
+      const analysis = ['deluge', 'dg'].includes(String(language).toLowerCase()) ? analyzeDeluge(codeSnippet) : null;
+      
       const systemPrompt = this._buildSystemPrompt();
-      const userPrompt = this._buildReviewPrompt(codeSnippet, language, requirements);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseResponse(response);
+      const userPrompt = this._buildReviewPrompt(codeSnippet, language, requirements, analysis);
+      const review = await this._requestTool(systemPrompt, userPrompt, REVIEW_TOOL, () => this._generateMockResponse());
+      if (!analysis || isDegraded(review)) {
+        return review;
+      }
+      return { ...review, static_analysis: analysis };
     } catch (error) {
       console.error('Error in code review agent:', error);
       throw error;
     }
   }
 
+  // Review a unified diff file by file; files maps new paths to full new contents for wider context
+  async reviewDiff(diff, { requirements = {}, files = {} } = {}) {
+    try {
+      console.log('Reviewing diff...');
+      
+      const changedFiles = parseUnifiedDiff(diff);
+      if (changedFiles.length === 0) {
+        throw reviewError('No file changes found in the diff', 'INVALID_DIFF');
+      }
+      if (changedFiles.length > reviewConfig.diff.maxFiles) {
+        throw reviewError(`The diff changes ${changedFiles.length} files; at most ${reviewConfig.diff.maxFiles} can be reviewed at once`, 'DIFF_TOO_LARGE');
+      }
+      
+      const skipped = [];
+      const reviewable = [];
+      changedFiles.forEach(file => {
+        if (file.binary) {
+          skipped.push({ path: file.path, reason: 'binary file' });
+        } else if (file.status === 'deleted') {
+          skipped.push({ path: file.path, reason: 'file deleted' });
+        } else if (newSideLines(file).length === 0) {
+          skipped.push({ path: file.path, reason: 'no changed lines' });
+        } else {
+          reviewable.push(file);
+        }
+      });
+      
+      const reviews = await Promise.all(reviewable.map(file =>
+        this._reviewDiffFile(file, requirements, typeof files[file.path] === 'string' ? files[file.path] : null)
+      ));
+      const issues = reviews
+        .flatMap(review => review.issues)
+        .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+      const scores = reviews.filter(review => !isDegraded(review)).map(review => review.quality_score);
+      
+      return {
+        files: reviews,
+        issues,
+        skipped,
+        summary: {
+          files_reviewed: reviews.filter(review => !isDegraded(review)).length,
+          files_degraded: reviews.filter(review => isDegraded(review)).length,
+          files_skipped: skipped.length,
+          issues: issues.length,
+          // Mean of the reviewed files' scores
+          quality_score: scores.length > 0
+            ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10
+            : null
+        }
+      };
+    } catch (error) {
+      console.error('Error in diff review:', error);
+      throw error;
+    }
+  }
+
+  async _reviewDiffFile(file, requirements, content) {
+    const language = detectLanguage(file.path);
+    const lineNumbers = newSideLines(file);
+    const contentLines = content === null ? null : content.replace(/\r\n?/g, '\n').split('\n');
+    
+    // Partial Deluge does not parse, so the analyzer needs the whole new file
+    let analysis = null;
+    if (language === 'deluge' && content !== null) {
+      const diagnostics = analyzeDeluge(content).diagnostics.filter(d => lineNumbers.includes(d.line));
+      analysis = { valid: !diagnostics.some(d => d.severity === 'error'), diagnostics };
+    }
+    
+    const userPrompt = this._buildDiffReviewPrompt(file, language, requirements, contentLines, analysis);
+    const review = await this._requestTool(this._buildSystemPrompt(), userPrompt, diffReviewTool(lineNumbers),
+      () => this._generateMockDiffReviewResponse(lineNumbers));
+    
+    const reviewed = { path: file.path, old_path: file.oldPath, change: file.status, language };
+    if (isDegraded(review)) {
+      return { ...reviewed, ...review, error: review.error.message, issues: [] };
+    }
+    return {
+      ...reviewed,
+      overall_assessment: review.overall_assessment,
+      quality_score: review.quality_score,
+      issues: review.issues.map(issue => ({ file: file.path, ...issue })),
+      ...(analysis ? { static_analysis: analysis } : {})
+    };
+  }
+
   async suggestImprovements(codeSnippet, language, context = {}) {
     try {
       console.log('Suggesting code improvements...');
       
       const systemPrompt = this._buildSystemPrompt();
       const userPrompt = this._buildImprovementPrompt(codeSnippet, language, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseResponse(response);
+      const suggestions = await this._requestTool(systemPrompt, userPrompt, IMPROVEMENTS_TOOL, () => this._generateMockImprovementsResponse());
+      if (isDegraded(suggestions)) {
+        return suggestions;
+      }
+      
+      // Only patches that apply cleanly to the submitted code can be accepted
+      return {
+        ...suggestions,
+        refactoring: suggestions.refactoring.map(entry => ({ ...entry, ...checkPatch(codeSnippet, entry.patch) }))
+      };
     } catch (error) {
       console.error('Error in code improvement agent:', error);
       throw error;
@@ -45,11 +238,14 @@ class CodeReviewAgent {
   _buildSystemPrompt() {
     return `You are a Code Review Agent specializing in software quality assessment.
     You analyze code snippets and provide detailed feedback on quality, bugs, and improvements.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
-    Do not include backticks or any text outside the JSON structure.`;
+    Always record your answer with the provided tool.`;
   }
 
-  _buildReviewPrompt(codeSnippet, language, requirements) {
+  _buildReviewPrompt(codeSnippet, language, requirements, analysis = null) {
+    const staticAnalysis = analysis ? `
+Static analysis findings (report each real problem as an issue):
+${analysis.diagnostics.length > 0 ? formatDiagnostics(analysis.diagnostics) : 'No problems found'}
+` : '';
     return `
 Please review this ${language} code snippet against the provided requirements.
 
@@ -60,7 +256,7 @@ ${codeSnippet}
 
 Requirements:
 ${JSON.stringify(requirements, null, 2)}
-
+${staticAnalysis}
 Provide a comprehensive code review including:
 1. Overall quality assessment
 2. Potential bugs or issues
@@ -68,22 +264,34 @@ Provide a comprehensive code review including:
 4. Performance considerations
 5. Specific improvement suggestions
 
-Return ONLY valid JSON without trailing commas, using this exact format:
-{
-  "overall_assessment": "Brief summary of code quality",
-  "quality_score": 0-10,
-  "issues": [
-    {
-      "type": "bug|security|performance|style|maintainability",
-      "severity": "high|medium|low",
-      "description": "Detailed description of the issue",
-      "line_numbers": [1, 2, 3],
-      "suggestion": "How to fix it"
-    }
-  ],
-  "strengths": ["Strength 1", "Strength 2"],
-  "improvement_suggestions": ["Suggestion 1", "Suggestion 2"]
-}`;
+Record your review with the record_code_review tool.`;
+  }
+
+  _buildDiffReviewPrompt(file, language, requirements, contentLines, analysis) {
+    const hunks = file.hunks.map((hunk, index) => {
+      const header = `Hunk ${index + 1} (@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''})`;
+      return `${header}:\n\`\`\`\n${formatHunk(withContext(hunk, contentLines, reviewConfig.diff.contextLines))}\n\`\`\``;
+    }).join('\n\n');
+    const renamed = file.status === 'renamed' ? ` It was renamed from ${file.oldPath}.` : '';
+    const staticAnalysis = analysis ? `
+Static analysis findings on the changed lines (report each real problem as an issue):
+${analysis.diagnostics.length > 0 ? formatDiagnostics(analysis.diagnostics) : 'No problems found'}
+` : '';
+    
+    return `
+Please review the changes to ${file.path} (${language}, ${file.status}).${renamed}
+
+Each line shows its new-side line number, then + for an added line, - for a removed line and a space for unchanged context. Removed lines have no new-side number.
+
+${hunks}
+
+Requirements:
+${JSON.stringify(requirements, null, 2)}
+${staticAnalysis}
+Review the added and changed lines in the context around them: bugs, security, performance and maintainability.
+Report each issue at the new-side line number it is on; only lines inside the hunks can be commented on.
+
+Record your review with the record_diff_review tool.`;
   }
 
   _buildImprovementPrompt(codeSnippet, language, context) {
@@ -103,125 +311,14 @@ Focus on:
 4. Modern language features that could be used
 5. Improved error handling and robustness
 
-Return your suggestions as JSON with these sections:
-{
-  "refactoring": [
-    {
-      "description": "Description of the refactoring",
-      "current_code": "Current implementation",
-      "improved_code": "Improved implementation",
-      "benefits": ["Benefit 1", "Benefit 2"]
-    }
-  ],
-  "optimizations": ["Optimization 1", "Optimization 2"],
-  "design_patterns": ["Applicable pattern 1", "Applicable pattern 2"],
-  "modern_features": ["Feature 1", "Feature 2"],
-  "error_handling": ["Suggestion 1", "Suggestion 2"]
-}`;
-  }
-
-  async _callClaudeAPI(systemPrompt, userPrompt) {
-    try {
-      console.log('Making API request to Claude...');
-      
-      const url = `${this.baseUrl}/messages`;
-      
-      const data = {
-        model: this.model,
-        max_tokens: 1500,
-        temperature: 0.2, // Lower temperature for more precise code analysis
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              }
-            ]
-          }
-        ]
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
-
-      console.log('Using Claude API URL:', url);
-      console.log('Using model:', this.model);
-      
-      const response = await axios.post(url, data, { headers });
-      console.log('Received response from Claude API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Claude API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
-  }
+Write each refactoring as a unified diff patch against the exact code above: start it with
+"--- a/code" and "+++ b/code", give each hunk an @@ header with the original line numbers, and copy
+context and removed lines verbatim with three lines of context. Each patch must apply on its own.
 
-  _parseResponse(response) {
-    try {
-      console.log('Parsing Claude response...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      console.log('Raw text response length:', textResponse.length);
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      let jsonText = '';
-      if (jsonMatch) {
-        jsonText = jsonMatch[1] || jsonMatch[0];
-        
-        // Try to clean up common JSON syntax errors
-        jsonText = jsonText
-          .replace(/,(\s*[\]}])/g, '$1')         // Remove trailing commas
-          .replace(/([^\\])\\([^"\\\/bfnrtu])/g, '$1$2')  // Fix invalid escape sequences
-          .replace(/[\u0000-\u001F]+/g, ' ')     // Remove control characters
-          .replace(/\t/g, '    ');               // Replace tabs with spaces
-        
-        try {
-          return JSON.parse(jsonText);
-        } catch (jsonError) {
-          console.error('JSON parse error:', jsonError.message);
-          console.error('Attempted to parse:', jsonText);
-          
-          // If JSON parsing fails, return a structured error response
-          return {
-            error: "Failed to parse JSON response",
-            message: jsonError.message,
-            partial_response: jsonText.substring(0, 200) + "..."
-          };
-        }
-      } else {
-        console.error('Could not extract JSON from Claude response');
-        return {
-          error: "No JSON found in response",
-          raw_response: textResponse.substring(0, 200) + "..."
-        };
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockResponse();
-    }
+Record your suggestions with the record_improvement_suggestions tool.`;
   }
 
-  // Add mock response method for fallback
+  // Sample output returned in demo mode
   _generateMockResponse() {
     return {
       overall_assessment: "The code has several issues that need to be addressed before deployment.",
@@ -261,6 +358,79 @@ Return your suggestions as JSON with these sections:
       ]
     };
   }
+
+  _generateMockDiffReviewResponse(lineNumbers) {
+    return {
+      overall_assessment: "The change is readable but misses input validation on the new code path.",
+      quality_score: 7,
+      issues: [
+        {
+          type: "bug",
+          severity: "medium",
+          line: lineNumbers[0],
+          description: "The new value is used without checking that it is present",
+          suggestion: "Check for null or empty values before using them"
+        }
+      ]
+    };
+  }
+
+  _generateMockImprovementsResponse() {
+    return {
+      refactoring: [
+        {
+          description: "Extract the validation checks into a helper",
+          patch: "--- a/code\n+++ b/code\n@@ -1,3 +1,3 @@\n function process(input) {\n-  if (!input || input.length === 0) { return null; }\n+  if (!isValidInput(input)) { return null; }\n   return transform(input);",
+          benefits: ["Reusable validation", "Shorter main function"]
+        }
+      ],
+      optimizations: ["Cache the lookup results instead of repeating the query in the loop"],
+      design_patterns: ["Strategy pattern for the different processing modes"],
+      modern_features: ["Use optional chaining for nested property access"],
+      error_handling: ["Wrap external calls in try/catch and log the failing input"]
+    };
+  }
+}
+
+// Whether a suggested patch applies to the code it was written against
+function checkPatch(code, patch) {
+  try {
+    applyPatch(code, patch);
+    return { applies: true };
+  } catch (error) {
+    if (error.code !== 'PATCH_INVALID' && error.code !== 'PATCH_CONFLICT') throw error;
+    return { applies: false, apply_error: error.message };
+  }
+}
+
+// New-side line numbers inside a file's hunks, in order
+function newSideLines(file) {
+  return [...new Set(file.hunks.flatMap(hunk =>
+    hunk.lines.filter(line => line.newLine !== null).map(line => line.newLine)
+  ))];
+}
+
+// A hunk with up to count unchanged lines of the new file before and after it
+function withContext(hunk, contentLines, count) {
+  if (!contentLines) return hunk;
+  
+  const numbers = hunk.lines.filter(line => line.newLine !== null).map(line => line.newLine);
+  const first = numbers.length > 0 ? Math.min(...numbers) : hunk.newStart;
+  const last = numbers.length > 0 ? Math.max(...numbers) : hunk.newStart - 1;
+  const contextLine = newLine => ({ type: 'context', content: contentLines[newLine - 1], oldLine: null, newLine });
+  
+  const before = [];
+  for (let line = Math.max(1, first - count); line < first; line += 1) before.push(contextLine(line));
+  const after = [];
+  for (let line = last + 1; line <= Math.min(contentLines.length, last + count); line += 1) after.push(contextLine(line));
+  
+  return { ...hunk, lines: [...before, ...hunk.lines, ...after] };
+}
+
+function reviewError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 }
 
 module.exports = CodeReviewAgent;
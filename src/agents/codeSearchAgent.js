@@ -1,42 +1,81 @@
-const axios = require('axios');
+const BaseAgent = require('./baseAgent');
+const codeIndexer = require('../services/codeIndexer');
+const { isDegraded } = require('../utils/structuredOutput');
 
-class CodeSearchAgent {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.model = 'claude-3-5-haiku-20241022';
-    this.baseUrl = 'https://api.anthropic.com/v1';
-    // This would be replaced with actual Zoho Creator API integration
-    this.codebase = {
-      // Mock codebase for testing
-      sampleCode: {
-        'user_management.dg': `
-          // User Management Module
-          userList = zoho.creator.getRecords("your_app", "Users", "Status == 'Active'", 1, 100);
-          for each user in userList {
-            // Process each user
-            if(user.get("Role") == "Admin") {
-              // Admin-specific logic
-              sendEmail(user.get("Email"), "Admin Report", "Your weekly admin report is ready");
-            }
-          }
-        `,
-        'rental_processing.dg': `
-          // Rental Processing Module
-          function processRental(rentalID) {
-            rentalInfo = zoho.creator.getRecordById("rental_app", "Rentals", rentalID);
-            if(rentalInfo.get("Status") == "Pending") {
-              // Update status
-              updateMap = Map();
-              updateMap.put("Status", "Approved");
-              updateMap.put("ProcessedDate", zoho.currentdate);
-              updateResponse = zoho.creator.updateRecord("rental_app", "Rentals", rentalID, updateMap);
-              return updateResponse;
-            }
-            return "Rental already processed";
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// The model picks snippets by chunk id; filenames, line ranges and code come from the index
+function searchTool(chunkIds) {
+  return {
+    name: 'record_search_results',
+    description: 'Record the code snippets relevant to the query',
+    schema: {
+      type: 'object',
+      properties: {
+        relevant_snippets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              chunk_id: { type: 'string', enum: chunkIds, description: 'Id of a retrieved chunk' },
+              relevance: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+              explanation: { type: 'string', description: 'Why this code is relevant to the query' }
+            },
+            required: ['chunk_id', 'relevance', 'explanation']
           }
-        `
-      }
-    };
+        },
+        summary: { type: 'string', description: 'A brief summary of the search results' },
+        suggestions: STRING_LIST
+      },
+      required: ['relevant_snippets', 'summary', 'suggestions']
+    }
+  };
+}
+
+const EXPLAIN_TOOL = {
+  name: 'record_code_explanation',
+  description: 'Record the explanation of the code snippet',
+  schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One-sentence summary of what the code does' },
+      detailed_explanation: { type: 'string', description: 'Step-by-step explanation of the code' },
+      key_components: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            component: { type: 'string', description: 'Component name or line reference' },
+            purpose: { type: 'string' }
+          },
+          required: ['component', 'purpose']
+        }
+      },
+      potential_issues: STRING_LIST,
+      improvement_suggestions: STRING_LIST
+    },
+    required: ['summary', 'detailed_explanation', 'key_components', 'potential_issues', 'improvement_suggestions']
+  }
+};
+
+const GENERATE_TOOL = {
+  name: 'record_generated_code',
+  description: 'Record the generated code and how to use it',
+  schema: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'The generated code with formatting and comments' },
+      explanation: { type: 'string' },
+      usage_example: { type: 'string' },
+      considerations: STRING_LIST
+    },
+    required: ['code', 'explanation', 'usage_example', 'considerations']
+  }
+};
+
+class CodeSearchAgent extends BaseAgent {
+  constructor(apiKey) {
+    super('codeSearch', apiKey);
   }
 
   async searchCode(query, context = {}) {
@@ -49,14 +88,47 @@ class CodeSearchAgent {
         queryText = query.content;
       }
       
-      // In a real implementation, this would search the actual codebase
-      // For now, we'll use the mock codebase
-      const relevantCode = this._searchMockCodebase(queryText);
+      const { indexId, topK, ...promptContext } = context;
+      const index = await codeIndexer.resolveIndex(indexId);
+      const chunks = await codeIndexer.search(index.indexId, queryText, { topK });
+      const indexInfo = { indexId: index.indexId, name: index.name, commit: index.commit || null };
+      
+      if (chunks.length === 0) {
+        return {
+          relevant_snippets: [],
+          summary: `No code in ${index.name} matched "${queryText}".`,
+          suggestions: ['Try other keywords, such as function, field or form names'],
+          index: indexInfo
+        };
+      }
       
       const systemPrompt = this._buildSearchSystemPrompt();
-      const userPrompt = this._buildSearchUserPrompt(queryText, relevantCode, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseSearchResponse(response);
+      const userPrompt = this._buildSearchUserPrompt(queryText, chunks, promptContext);
+      const tool = searchTool(chunks.map(chunk => chunk.id));
+      const result = await this._requestTool(systemPrompt, userPrompt, tool, () => this._generateMockSearchResponse(chunks));
+      if (isDegraded(result)) {
+        return result;
+      }
+      
+      const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+      return {
+        ...result,
+        relevant_snippets: result.relevant_snippets.map(snippet => {
+          const chunk = chunksById.get(snippet.chunk_id);
+          return {
+            chunk_id: chunk.id,
+            filename: chunk.file,
+            start_line: chunk.startLine,
+            end_line: chunk.endLine,
+            symbol: chunk.symbol,
+            language: chunk.language,
+            code: chunk.text,
+            relevance: snippet.relevance,
+            explanation: snippet.explanation
+          };
+        }),
+        index: indexInfo
+      };
     } catch (error) {
       console.error('Error in code search agent:', error);
       throw error;
@@ -69,8 +141,7 @@ class CodeSearchAgent {
       
       const systemPrompt = this._buildExplainSystemPrompt();
       const userPrompt = this._buildExplainUserPrompt(code, language, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseExplainResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, EXPLAIN_TOOL, () => this._generateMockExplainResponse());
     } catch (error) {
       console.error('Error in code explanation:', error);
       throw error;
@@ -83,65 +154,43 @@ class CodeSearchAgent {
       
       const systemPrompt = this._buildGenerateSystemPrompt();
       const userPrompt = this._buildGenerateUserPrompt(description, language, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseGenerateResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, GENERATE_TOOL, () => this._generateMockGenerateResponse());
     } catch (error) {
       console.error('Error in code generation:', error);
       throw error;
     }
   }
 
-  _searchMockCodebase(query) {
-    // Simple mock implementation - in production, this would be a real search
-    const results = {};
-    const queryLower = query.toLowerCase();
-    
-    for (const [filename, code] of Object.entries(this.codebase.sampleCode)) {
-      if (code.toLowerCase().includes(queryLower) || 
-          filename.toLowerCase().includes(queryLower)) {
-        results[filename] = code;
-      }
-    }
-    
-    return results;
-  }
-
   _buildSearchSystemPrompt() {
     return `You are a Code Search & Assistance Agent specializing in Zoho Creator's Deluge scripting language.
-    Your task is to find and return relevant code snippets based on natural language queries.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
-    Focus on providing accurate, relevant code examples with clear explanations.`;
+    Your task is to pick the code chunks, retrieved from the team's indexed codebase, that answer natural language queries.
+    Always record your answer with the provided tool.
+    Focus on accurate relevance judgements with clear explanations.`;
   }
 
-  _buildSearchUserPrompt(query, relevantCode, context) {
+  _buildSearchUserPrompt(query, chunks, context) {
+    const retrieved = chunks.map(chunk =>
+      `[${chunk.id}] ${chunk.file} lines ${chunk.startLine}-${chunk.endLine}` +
+      `${chunk.symbol ? ` (${chunk.symbol})` : ''}\n\`\`\`${chunk.language}\n${chunk.text}\n\`\`\``
+    ).join('\n\n');
+
     return `
 Please search for code relevant to this query: "${query}"
 
-Here are the code snippets I found that might be relevant:
-${JSON.stringify(relevantCode, null, 2)}
+These chunks were retrieved from the indexed codebase, best match first:
+${retrieved}
 
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your response as JSON with the following structure:
-{
-  "relevant_snippets": [
-    {
-      "filename": "filename.dg",
-      "code": "code snippet",
-      "relevance": "High/Medium/Low",
-      "explanation": "Why this code is relevant to the query"
-    }
-  ],
-  "summary": "A brief summary of the search results",
-  "suggestions": ["Suggestion 1", "Suggestion 2"]
-}`;
+Only refer to the chunks above, by their id in square brackets, and leave out any that are not relevant.
+Record your answer with the record_search_results tool.`;
   }
 
   _buildExplainSystemPrompt() {
     return `You are a Code Explanation Agent specializing in software development.
     Your task is to explain code snippets in clear, concise language that both technical and non-technical users can understand.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on explaining what the code does, not just how it works.`;
   }
 
@@ -156,25 +205,13 @@ ${code}
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your explanation as JSON with the following structure:
-{
-  "summary": "One-sentence summary of what the code does",
-  "detailed_explanation": "Step-by-step explanation of the code",
-  "key_components": [
-    {
-      "component": "Component name or line reference",
-      "purpose": "What this component does"
-    }
-  ],
-  "potential_issues": ["Issue 1", "Issue 2"],
-  "improvement_suggestions": ["Suggestion 1", "Suggestion 2"]
-}`;
+Record your answer with the record_code_explanation tool.`;
   }
 
   _buildGenerateSystemPrompt() {
     return `You are a Code Generation Agent specializing in software development.
     Your task is to generate high-quality, well-documented code based on natural language descriptions.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on creating clean, efficient, and secure code that follows best practices.`;
   }
 
@@ -186,172 +223,20 @@ ${description}
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your response as JSON with the following structure:
-{
-  "code": "The generated code with proper formatting and comments",
-  "explanation": "Explanation of how the code works",
-  "usage_example": "Example of how to use the code",
-  "considerations": ["Important consideration 1", "Important consideration 2"]
-}`;
-  }
-
-  async _callClaudeAPI(systemPrompt, userPrompt) {
-    try {
-      console.log('Making API request to Claude...');
-      
-      const url = `${this.baseUrl}/messages`;
-      
-      const data = {
-        model: this.model,
-        max_tokens: 1500,
-        temperature: 0.2, // Lower temperature for more precise code-related responses
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              }
-            ]
-          }
-        ]
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
-
-      console.log('Using Claude API URL:', url);
-      console.log('Using model:', this.model);
-      
-      const response = await axios.post(url, data, { headers });
-      console.log('Received response from Claude API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Claude API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
-  }
-
-  _parseSearchResponse(response) {
-    try {
-      console.log('Parsing Claude response...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockSearchResponse();
-    }
-  }
-
-  _parseExplainResponse(response) {
-    try {
-      console.log('Parsing Claude response...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockExplainResponse();
-    }
-  }
-
-  _parseGenerateResponse(response) {
-    try {
-      console.log('Parsing Claude response...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        // If no JSON is found, try to extract code blocks
-        const codeMatch = textResponse.match(/```[\w]*\n([\s\S]*?)\n```/);
-        if (codeMatch) {
-          return {
-            code: codeMatch[1],
-            explanation: "Generated code based on your description",
-            usage_example: "See the code comments for usage examples",
-            considerations: ["This code was extracted from a non-JSON response"]
-          };
-        } else {
-          throw new Error('Could not extract JSON or code from Claude response');
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockGenerateResponse();
-    }
+Record your answer with the record_generated_code tool.`;
   }
 
-  _generateMockSearchResponse() {
+  // Sample output returned in demo mode
+  _generateMockSearchResponse(chunks) {
     return {
-      relevant_snippets: [
-        {
-          filename: "rental_processing.dg",
-          code: "function processRental(rentalID) {\n  rentalInfo = zoho.creator.getRecordById(\"rental_app\", \"Rentals\", rentalID);\n  if(rentalInfo.get(\"Status\") == \"Pending\") {\n    // Update status\n    updateMap = Map();\n    updateMap.put(\"Status\", \"Approved\");\n    updateMap.put(\"ProcessedDate\", zoho.currentdate);\n    updateResponse = zoho.creator.updateRecord(\"rental_app\", \"Rentals\", rentalID, updateMap);\n    return updateResponse;\n  }\n  return \"Rental already processed\";\n}",
-          relevance: "High",
-          explanation: "This function processes a rental by updating its status from 'Pending' to 'Approved' and setting the processed date."
-        }
-      ],
-      summary: "Found 1 relevant code snippet for rental processing in the codebase.",
+      relevant_snippets: chunks.slice(0, 1).map(chunk => ({
+        chunk_id: chunk.id,
+        relevance: "High",
+        explanation: `Best lexical match for the query in ${chunk.file}.`
+      })),
+      summary: "Found 1 relevant code snippet in the indexed codebase.",
       suggestions: [
-        "Consider adding error handling to the processRental function",
+        "Consider adding error handling to the matched code",
         "You might want to add logging for audit purposes"
       ]
     };
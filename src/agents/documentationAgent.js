@@ -1,10 +1,58 @@
-const axios = require('axios');
+const BaseAgent = require('./baseAgent');
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const UPDATE_TOOL = {
+  name: 'record_updated_document',
+  description: 'Record the updated document and a summary of the changes',
+  schema: {
+    type: 'object',
+    properties: {
+      updated_document: { type: 'string', description: 'The full updated document with changes incorporated' },
+      change_summary: STRING_LIST,
+      sections_modified: STRING_LIST
+    },
+    required: ['updated_document', 'change_summary', 'sections_modified']
+  }
+};
+
+const GENERATE_TOOL = {
+  name: 'record_documentation',
+  description: 'Record the generated documentation',
+  schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      content: { type: 'string', description: 'The full documentation content' },
+      sections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            heading: { type: 'string' },
+            content: { type: 'string' }
+          },
+          required: ['heading', 'content']
+        }
+      },
+      metadata: {
+        type: 'object',
+        properties: {
+          author: { type: 'string' },
+          created_date: { type: 'string' },
+          version: { type: 'string' }
+        },
+        required: ['author', 'created_date', 'version']
+      }
+    },
+    required: ['title', 'content', 'sections', 'metadata']
+  }
+};
 
-class DocumentationAgent {
+
+class DocumentationAgent extends BaseAgent {
   constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.model = 'claude-3-5-haiku-20241022'; // Using Claude 3.5 Haiku for efficient document processing
-    this.baseUrl = 'https://api.anthropic.com/v1';
+    super('documentation', apiKey);
   }
 
   async updateDocument(document, changes, context = {}) {
@@ -13,8 +61,7 @@ class DocumentationAgent {
       
       const systemPrompt = this._buildUpdateSystemPrompt();
       const userPrompt = this._buildUpdateUserPrompt(document, changes, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseUpdateResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, UPDATE_TOOL, () => this._generateMockUpdateResponse());
     } catch (error) {
       console.error('Error in documentation update:', error);
       throw error;
@@ -40,8 +87,7 @@ class DocumentationAgent {
       
       const systemPrompt = this._buildGenerateSystemPrompt(format);
       const userPrompt = this._buildGenerateUserPrompt(topicText, details, format);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseGenerateResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, GENERATE_TOOL, () => this._generateMockGenerateResponse());
     } catch (error) {
       console.error('Error in documentation generation:', error);
       throw error;
@@ -51,7 +97,7 @@ class DocumentationAgent {
   _buildUpdateSystemPrompt() {
     return `You are a Documentation Update Agent specializing in maintaining technical documentation.
     Your task is to update existing documentation with new information while preserving the original style and format.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on integrating changes seamlessly while maintaining document coherence and accuracy.`;
   }
 
@@ -68,18 +114,7 @@ ${JSON.stringify(changes, null, 2)}
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your response as JSON with the following structure:
-{
-  "updated_document": "The full updated document with changes incorporated",
-  "change_summary": [
-    "Description of change 1",
-    "Description of change 2"
-  ],
-  "sections_modified": [
-    "Section name 1",
-    "Section name 2"
-  ]
-}
+Record your answer with the record_updated_document tool.
 
 Make sure to:
 1. Maintain the original document's style and formatting
@@ -92,7 +127,7 @@ Make sure to:
   _buildGenerateSystemPrompt(format) {
     return `You are a Documentation Generation Agent specializing in creating clear, comprehensive technical documentation.
     Your task is to create new documentation based on provided information in ${format} format.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on creating well-structured, accurate, and user-friendly documentation.`;
   }
 
@@ -107,22 +142,8 @@ ${JSON.stringify(details, null, 2)}
 
 Format: ${format}
 
-Return your response as JSON with the following structure:
-{
-  "title": "Documentation title",
-  "content": "The full documentation content in ${format} format",
-  "sections": [
-    {
-      "heading": "Section heading",
-      "content": "Section content"
-    }
-  ],
-  "metadata": {
-    "author": "Documentation Agent",
-    "created_date": "${new Date().toISOString().split('T')[0]}",
-    "version": "1.0"
-  }
-}
+Record your answer with the record_documentation tool, with metadata author "Documentation Agent",
+created_date "${new Date().toISOString().split('T')[0]}" and version "1.0".
 
 Make sure to include:
 1. Clear introduction and purpose
@@ -132,110 +153,7 @@ Make sure to include:
 5. Appropriate headings and structure`;
   }
 
-  async _callClaudeAPI(systemPrompt, userPrompt) {
-    try {
-      console.log('Making API request to Claude...');
-      
-      const url = `${this.baseUrl}/messages`;
-      
-      const data = {
-        model: this.model,
-        max_tokens: 4000, // Increased token limit for document generation
-        temperature: 0.3, // Lower temperature for more consistent documentation
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              }
-            ]
-          }
-        ]
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
-
-      console.log('Using Claude API URL:', url);
-      console.log('Using model:', this.model);
-      
-      const response = await axios.post(url, data, { headers });
-      console.log('Received response from Claude API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Claude API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
-  }
-
-  _parseUpdateResponse(response) {
-    try {
-      console.log('Parsing Claude response for document update...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockUpdateResponse();
-    }
-  }
-
-  _parseGenerateResponse(response) {
-    try {
-      console.log('Parsing Claude response for document generation...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockGenerateResponse();
-    }
-  }
-
+  // Sample output returned in demo mode
   _generateMockUpdateResponse() {
     return {
       updated_document: `# Vehicle Rental System Documentation
@@ -1,10 +1,77 @@
-const axios = require('axios');
+const BaseAgent = require('./baseAgent');
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const PRIORITY = { type: 'string', enum: ['High', 'Medium', 'Low'] };
+
+const EXTRACT_TOOL = {
+  name: 'record_action_items',
+  description: 'Record the action items found in the meeting transcript',
+  schema: {
+    type: 'object',
+    properties: {
+      action_items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            owner: { type: 'string', description: 'Person responsible' },
+            deadline: { type: 'string', description: "Deadline if mentioned, otherwise 'Not specified'" },
+            priority: PRIORITY,
+            context: { type: 'string' }
+          },
+          required: ['description', 'owner', 'deadline', 'priority', 'context']
+        }
+      },
+      unassigned_items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            description: { type: 'string' },
+            suggested_owner: { type: 'string' },
+            priority: PRIORITY
+          },
+          required: ['description', 'suggested_owner', 'priority']
+        }
+      },
+      follow_up_questions: STRING_LIST
+    },
+    required: ['action_items', 'unassigned_items', 'follow_up_questions']
+  }
+};
+
+const SUMMARIZE_TOOL = {
+  name: 'record_meeting_summary',
+  description: 'Record the meeting summary',
+  schema: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'Brief overall summary of the meeting' },
+      key_points: STRING_LIST,
+      decisions: STRING_LIST,
+      discussion_topics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            topic: { type: 'string' },
+            summary: { type: 'string' }
+          },
+          required: ['topic', 'summary']
+        }
+      },
+      next_steps: STRING_LIST
+    },
+    required: ['summary', 'key_points', 'decisions', 'discussion_topics', 'next_steps']
+  }
+};
+
 
-class MeetingActionItemAgent {
+class MeetingActionItemAgent extends BaseAgent {
   constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.model = 'claude-3-5-haiku-20241022'; // Using Claude 3.5 Haiku for efficient processing
-    this.baseUrl = 'https://api.anthropic.com/v1';
+    super('meetingActions', apiKey);
   }
 
   async extractActionItems(transcript, context = {}) {
@@ -18,8 +85,7 @@ class MeetingActionItemAgent {
       
       const systemPrompt = this._buildExtractSystemPrompt();
       const userPrompt = this._buildExtractUserPrompt(transcript, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseExtractResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, EXTRACT_TOOL, () => this._generateMockExtractResponse());
     } catch (error) {
       console.error('Error in action item extraction:', error);
       throw error;
@@ -32,8 +98,7 @@ class MeetingActionItemAgent {
       
       const systemPrompt = this._buildSummarizeSystemPrompt();
       const userPrompt = this._buildSummarizeUserPrompt(transcript, context);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      return this._parseSummarizeResponse(response);
+      return await this._requestTool(systemPrompt, userPrompt, SUMMARIZE_TOOL, () => this._generateMockSummarizeResponse());
     } catch (error) {
       console.error('Error in meeting summarization:', error);
       throw error;
@@ -43,7 +108,7 @@ class MeetingActionItemAgent {
   _buildExtractSystemPrompt() {
     return `You are a Meeting Action Item Agent specializing in extracting action items from meeting transcripts.
     Your task is to identify action items, their owners, deadlines, and priority levels.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on being thorough and accurate in identifying all commitments made during the meeting.`;
   }
 
@@ -57,35 +122,13 @@ ${transcript}
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your response as JSON with the following structure:
-{
-  "action_items": [
-    {
-      "description": "Description of the action item",
-      "owner": "Person responsible",
-      "deadline": "Deadline if mentioned (or 'Not specified')",
-      "priority": "High/Medium/Low",
-      "context": "Additional context about this action item"
-    }
-  ],
-  "unassigned_items": [
-    {
-      "description": "Description of unassigned action item",
-      "suggested_owner": "Suggested person who might be responsible",
-      "priority": "High/Medium/Low"
-    }
-  ],
-  "follow_up_questions": [
-    "Question 1 that needs clarification",
-    "Question 2 that needs clarification"
-  ]
-}`;
+Record your answer with the record_action_items tool.`;
   }
 
   _buildSummarizeSystemPrompt() {
     return `You are a Meeting Summary Agent specializing in creating concise, informative summaries of meeting transcripts.
     Your task is to identify key discussion points, decisions made, and overall meeting outcomes.
-    Always format your responses as valid JSON without trailing commas or syntax errors.
+    Always record your answer with the provided tool.
     Focus on extracting the most important information while keeping the summary concise.`;
   }
 
@@ -99,134 +142,10 @@ ${transcript}
 Additional context:
 ${JSON.stringify(context, null, 2)}
 
-Return your response as JSON with the following structure:
-{
-  "summary": "Brief overall summary of the meeting",
-  "key_points": [
-    "Key point 1",
-    "Key point 2"
-  ],
-  "decisions": [
-    "Decision 1",
-    "Decision 2"
-  ],
-  "discussion_topics": [
-    {
-      "topic": "Topic name",
-      "summary": "Brief summary of discussion on this topic"
-    }
-  ],
-  "next_steps": [
-    "Next step 1",
-    "Next step 2"
-  ]
-}`;
-  }
-
-  async _callClaudeAPI(systemPrompt, userPrompt) {
-    try {
-      console.log('Making API request to Claude...');
-      
-      const url = `${this.baseUrl}/messages`;
-      
-      const data = {
-        model: this.model,
-        max_tokens: 2000,
-        temperature: 0.2, // Lower temperature for more precise extraction
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              }
-            ]
-          }
-        ]
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
-
-      console.log('Using Claude API URL:', url);
-      console.log('Using model:', this.model);
-      
-      const response = await axios.post(url, data, { headers });
-      console.log('Received response from Claude API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Claude API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
-  }
-
-  _parseExtractResponse(response) {
-    try {
-      console.log('Parsing Claude response for action items...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockExtractResponse();
-    }
-  }
-
-  _parseSummarizeResponse(response) {
-    try {
-      console.log('Parsing Claude response for meeting summary...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        return JSON.parse(jsonText);
-      } else {
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockSummarizeResponse();
-    }
+Record your answer with the record_meeting_summary tool.`;
   }
 
+  // Sample output returned in demo mode
   _generateMockExtractResponse() {
     return {
       action_items: [
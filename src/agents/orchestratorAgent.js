@@ -5,6 +5,64 @@ const DocumentationAgent = require('./documentationAgent');
 const MeetingActionItemAgent = require('./meetingActionItemAgent');
 const PlanningAgent = require('./planningAgent');
 const CodeSearchAgent = require('./codeSearchAgent');
+const agentSettings = require('../config/agents');
+const { isDegraded } = require('../utils/structuredOutput');
+
+// Chat commands and the request type each one maps to
+const COMMAND_REQUEST_TYPES = {
+  'code': 'code-generation',
+  'test': 'test-generation',
+  'review': 'code-review',
+  'meeting': 'meeting-actions',
+  'document': 'documentation-generate',
+  'plan': 'planning',
+  'search': 'code-search'
+};
+
+// Phrases behind each free-text intent. Asking for an agent's work ("write
+// tests for", "review this code") is a strong signal; only mentioning its
+// topic ("plan", "meeting") is a weak one, so ordinary questions stay in chat.
+const INTENT_PHRASES = {
+  'test-generation': {
+    strong: ['write tests', 'generate tests', 'write unit tests', 'generate unit tests', 'create a test suite'],
+    weak: ['unit tests', 'test suite', 'tests for']
+  },
+  'code-generation': {
+    strong: ['generate code', 'write code', 'create function', 'create a function', 'write a function', 'write a script'],
+    weak: ['implement', 'code for', 'script for']
+  },
+  'code-review': {
+    strong: ['review code', 'review this code', 'review my code', 'check code', 'check this code'],
+    weak: ['improve code', 'fix code', 'optimize code', 'refactor']
+  },
+  'meeting-actions': {
+    strong: ['extract action items', 'action items from', 'action items in'],
+    weak: ['meeting', 'action items', 'minutes', 'summary', 'discussion', 'talked about']
+  },
+  'documentation-generate': {
+    strong: ['write documentation', 'generate documentation', 'write docs', 'write a guide', 'write a manual'],
+    weak: ['document', 'documentation', 'wiki', 'guide', 'manual', 'instructions']
+  },
+  'planning': {
+    strong: ['create a plan', 'create a project plan', 'generate tasks', 'break this down into tasks', 'break it down into tasks', 'plan the sprints'],
+    weak: ['plan', 'sprint', 'task', 'schedule', 'timeline', 'milestone']
+  },
+  'code-search': {
+    strong: ['search code', 'search the code', 'find code', 'explain code', 'explain this code', 'what does this code'],
+    weak: ['how does code', 'understand code']
+  }
+};
+
+// Intents that work on code, which a fenced code block makes more likely
+const CODE_INTENTS = ['test-generation', 'code-review', 'code-search'];
+
+const STRONG_SCORE = 0.8;
+const WEAK_SCORE = 0.1;
+const MAX_WEAK_SCORE = 0.3;
+const CODE_BLOCK_SCORE = 0.2;
+
+// Phrases match at the start of a word, so "plan" does not match "explain"
+const containsPhrase = (text, phrase) => new RegExp(`\\b${phrase}`).test(text);
 
 class OrchestratorAgent {
   constructor(apiKeys) {
@@ -21,7 +79,7 @@ class OrchestratorAgent {
     
     this.agentCapabilities = {
       projectUnderstanding: ['analyze', 'process-document', 'extract-requirements'],
-      codeGeneration: ['generate-code', 'improve-code'],
+      codeGeneration: ['generate-code', 'improve-code', 'generate-tests'],
       codeReview: ['review-code', 'suggest-improvements'],
       documentation: ['update-docs', 'generate-docs'],
       meetingActions: ['extract-action-items', 'summarize-meeting'],
@@ -41,24 +99,10 @@ class OrchestratorAgent {
       let requestType;
       let cleanInput = userInput;
       
-      if (userInput.startsWith('/')) {
-        const commandMatch = userInput.match(/^\/(\w+)\s+(.*)/);
-        if (commandMatch) {
-          const command = commandMatch[1].toLowerCase();
-          cleanInput = commandMatch[2];
-          
-          // Map commands to request types
-          const commandMap = {
-            'code': 'code-generation',
-            'review': 'code-review',
-            'meeting': 'meeting-actions',
-            'document': 'documentation-generate',
-            'plan': 'planning',
-            'search': 'code-search'
-          };
-          
-          requestType = commandMap[command] || 'project-understanding';
-        }
+      const command = this.parseCommand(userInput);
+      if (command) {
+        cleanInput = command.input;
+        requestType = COMMAND_REQUEST_TYPES[command.name] || 'project-understanding';
       } else {
         // Determine the request type using a classifier
         requestType = await this.classifyRequest(userInput);
@@ -84,34 +128,38 @@ class OrchestratorAgent {
     }
   }
 
-  async classifyRequest(input) {
-    // Use a simple rule-based classifier - could be enhanced with ML model
-    const lowerInput = input.toLowerCase();
+  /**
+   * Split a "/command input" message
+   * @param {String} userInput - Raw user input
+   * @returns {Object|null} - { name, input } or null when the input is not a command
+   */
+  parseCommand(userInput) {
+    const commandMatch = userInput.match(/^\/(\w+)\s+([\s\S]*)/);
+    if (!commandMatch) return null;
+    return { name: commandMatch[1].toLowerCase(), input: commandMatch[2] };
+  }
+
+  /**
+   * Request type for chat input meant for an agent: a known /command, or
+   * free text whose intent clears the confidence threshold. Agents can write
+   * to Drive, so anything less certain stays in general conversation.
+   * @param {String} userInput - Raw user input
+   * @returns {String|null} - Request type, or null for general conversation
+   */
+  detectRequestType(userInput) {
+    const command = this.parseCommand(userInput);
+    if (command) {
+      return COMMAND_REQUEST_TYPES[command.name] || null;
+    }
     
-    if (lowerInput.includes('generate code') || lowerInput.includes('write code') || 
-        lowerInput.includes('create function') || lowerInput.includes('implement') ||
-        lowerInput.includes('code for') || lowerInput.includes('script for')) {
-      return 'code-generation';
-    } else if (lowerInput.includes('review code') || lowerInput.includes('check code') || 
-               lowerInput.includes('improve code') || lowerInput.includes('fix code') ||
-               lowerInput.includes('optimize code') || lowerInput.includes('refactor')) {
-      return 'code-review'; 
-    } else if (lowerInput.includes('meeting') || lowerInput.includes('action items') || 
-               lowerInput.includes('minutes') || lowerInput.includes('summary') ||
-               lowerInput.includes('discussion') || lowerInput.includes('talked about')) {
-      return 'meeting-actions';
-    } else if (lowerInput.includes('document') || lowerInput.includes('documentation') || 
-               lowerInput.includes('wiki') || lowerInput.includes('guide') ||
-               lowerInput.includes('manual') || lowerInput.includes('instructions')) {
-      return 'documentation-generate';
-    } else if (lowerInput.includes('plan') || lowerInput.includes('sprint') || 
-               lowerInput.includes('task') || lowerInput.includes('schedule') ||
-               lowerInput.includes('timeline') || lowerInput.includes('milestone')) {
-      return 'planning';
-    } else if (lowerInput.includes('search code') || lowerInput.includes('find code') || 
-               lowerInput.includes('explain code') || lowerInput.includes('how does code') ||
-               lowerInput.includes('what does this code') || lowerInput.includes('understand code')) {
-      return 'code-search';
+    const intent = this.scoreIntent(userInput);
+    return intent && intent.confidence >= agentSettings.intentThreshold ? intent.type : null;
+  }
+
+  async classifyRequest(input) {
+    const matched = this.matchIntent(input);
+    if (matched) {
+      return matched;
     }
     
     // Try to use AI-based classification if available
@@ -161,6 +209,45 @@ Respond ONLY with the agent name most appropriate for this request.`;
     return 'project-understanding';
   }
 
+  /**
+   * Rule-based intent classifier
+   * @param {String} input - User input
+   * @returns {String|null} - Request type, or null when no rule matches
+   */
+  matchIntent(input) {
+    const intent = this.scoreIntent(input);
+    return intent ? intent.type : null;
+  }
+
+  /**
+   * Score free-text input against the intent phrases
+   * @param {String} input - User input
+   * @returns {Object|null} - { type, confidence } of the best-scoring intent,
+   *   or null when no phrase matches
+   */
+  scoreIntent(input) {
+    const lowerInput = input.toLowerCase();
+    const hasCodeBlock = /```/.test(input);
+    let best = null;
+    
+    Object.entries(INTENT_PHRASES).forEach(([type, phrases]) => {
+      const strong = phrases.strong.some(phrase => containsPhrase(lowerInput, phrase));
+      const weak = phrases.weak.filter(phrase => containsPhrase(lowerInput, phrase)).length;
+      if (!strong && !weak) return;
+      
+      const confidence = Math.min(1,
+        (strong ? STRONG_SCORE : 0) +
+        Math.min(MAX_WEAK_SCORE, weak * WEAK_SCORE) +
+        (hasCodeBlock && CODE_INTENTS.includes(type) ? CODE_BLOCK_SCORE : 0));
+      
+      if (!best || confidence > best.confidence) {
+        best = { type, confidence: Number(confidence.toFixed(2)) };
+      }
+    });
+    
+    return best;
+  }
+
   validateAgentChoice(agentName) {
     const validAgents = {
       'projectunderstandingagent': 'projectUnderstanding',
@@ -187,6 +274,7 @@ Respond ONLY with the agent name most appropriate for this request.`;
     const agentMap = {
       'code-generation': { agent: this.agents.codeGeneration, method: 'generateCode' },
       'code-improvement': { agent: this.agents.codeGeneration, method: 'improveCode' },
+      'test-generation': { agent: this.agents.codeGeneration, method: 'generateTests' },
       'code-review': { agent: this.agents.codeReview, method: 'reviewCode' },
       'code-suggestions': { agent: this.agents.codeReview, method: 'suggestImprovements' },
       'meeting-actions': { agent: this.agents.meetingActions, method: 'extractActionItems' },
@@ -225,6 +313,21 @@ Respond ONLY with the agent name most appropriate for this request.`;
           return await agent[method](code, requirements);
         }
       }
+      
+      // Without a fenced block the whole input is the code
+      if (method === 'reviewCode' || method === 'explainCode') {
+        const language = this.detectLanguage(input) || 'javascript';
+        return await agent[method](input, language, method === 'reviewCode' ? {} : context);
+      }
+    }
+    
+    // Code to test, from a fenced block or the whole input; the rest is requirements
+    if (method === 'generateTests') {
+      const codeMatch = input.match(/```[\w]*\n([\s\S]*?)\n```/);
+      const code = codeMatch ? codeMatch[1] : input;
+      const requirements = codeMatch ? input.replace(codeMatch[0], '').trim() : '';
+      const fenceLanguage = input.match(/```(\w+)/);
+      return await agent[method](code, { language: fenceLanguage ? fenceLanguage[1] : undefined, requirements });
     }
     
     // For meeting-related operations
@@ -250,6 +353,11 @@ Respond ONLY with the agent name most appropriate for this request.`;
       return await agent[method](input, context, format);
     }
     
+    // Planning takes a project name rather than a context object
+    if (method === 'generateTasks') {
+      return await agent[method](input, context.projectName || 'Project');
+    }
+    
     // Default handling for other methods
     return await agent[method](input, context);
   }
@@ -304,6 +412,7 @@ Respond ONLY with the agent name most appropriate for this request.`;
   formatResponse(result, agentName, method) {
     return {
       success: true,
+      degraded: isDegraded(result),
       agent: agentName,
       operation: method,
       timestamp: new Date().toISOString(),
@@ -343,13 +452,24 @@ Respond ONLY with the agent name most appropriate for this request.`;
                  `**Explanation:** ${result.explanation}\n\n` +
                  `**Usage Instructions:** ${result.usage_instructions}\n\n` +
                  `**Assumptions:** ${this.formatList(result.assumptions)}\n\n` +
-                 `**Potential Improvements:** ${this.formatList(result.potential_improvements)}`;
+                 `**Potential Improvements:** ${this.formatList(result.potential_improvements)}` +
+                 this.formatStaticAnalysis(result.static_analysis);
+        } else if (method === 'generateTests') {
+          return `## Generated Tests (${result.framework})\n\n` +
+                 `**File:** ${result.file_name}\n\n` +
+                 `\`\`\`${result.language}\n${result.test_code}\n\`\`\`\n\n` +
+                 `### Coverage\n${this.formatTestCoverage(result.tests)}\n\n` +
+                 `**Not covered:** ${this.formatList(result.uncovered_paths)}\n\n` +
+                 `**Running the tests:** ${result.setup_instructions}` +
+                 (result.helpers_code ? `\n\n### Assertion Helpers\n\`\`\`deluge\n${result.helpers_code}\n\`\`\`` : '') +
+                 this.formatStaticAnalysis(result.static_analysis);
         } else {
           return `## Improved Code\n\n` +
                  `\`\`\`${result.improved_code ? 'deluge' : ''}\n${result.improved_code || ''}\n\`\`\`\n\n` +
                  `**Changes Made:** ${this.formatList(result.changes_made)}\n\n` +
                  `**Explanation:** ${result.explanation}\n\n` +
-                 `**Additional Recommendations:** ${this.formatList(result.additional_recommendations)}`;
+                 `**Additional Recommendations:** ${this.formatList(result.additional_recommendations)}` +
+                 this.formatStaticAnalysis(result.static_analysis);
         }
       },
       'CodeReviewAgent': (result, method) => {
@@ -359,7 +479,8 @@ Respond ONLY with the agent name most appropriate for this request.`;
                  `**Quality Score:** ${result.quality_score}/10\n\n` +
                  `### Issues\n${this.formatIssues(result.issues)}\n\n` +
                  `### Strengths\n${this.formatList(result.strengths)}\n\n` +
-                 `### Improvement Suggestions\n${this.formatList(result.improvement_suggestions)}`;
+                 `### Improvement Suggestions\n${this.formatList(result.improvement_suggestions)}` +
+                 this.formatStaticAnalysis(result.static_analysis);
         } else {
           return `## Code Improvement Suggestions\n\n` +
                  `### Refactoring Opportunities\n${this.formatRefactoring(result.refactoring)}\n\n` +
@@ -395,9 +516,10 @@ Respond ONLY with the agent name most appropriate for this request.`;
         }
       },
       'PlanningAgent': (result) => {
-        return `## Project Plan\n\n` +
-               `### Epics\n${this.formatEpics(result.epics)}\n\n` +
-               `### Sprint Plan\n${this.formatSprints(result.sprint_plan)}`;
+        const plan = `## Project Plan\n\n` +
+                     `### Epics\n${this.formatEpics(result.epics)}\n\n` +
+                     `### Sprint Plan\n${this.formatSprints(result.sprint_plan)}`;
+        return result.schedule ? `${plan}\n\n${this.formatSchedule(result.schedule)}` : plan;
       },
       'CodeSearchAgent': (result, method) => {
         if (method === 'searchCode') {
@@ -419,7 +541,12 @@ Respond ONLY with the agent name most appropriate for this request.`;
     const formatter = formatters[agentName];
     let formattedContent = '';
     
-    if (formatter) {
+    if (isDegraded(result)) {
+      return `<div class="agent-response degraded">
+      <div class="agent-badge ${badgeType}">${badgeText}</div>
+      ${this.formatDegraded(result, badgeText)}
+    </div>`;
+    } else if (formatter) {
       formattedContent = formatter(result, method);
     } else {
       // Default formatting if no specific formatter is found
@@ -433,6 +560,18 @@ Respond ONLY with the agent name most appropriate for this request.`;
     </div>`;
   }
 
+  // Degraded results say plainly that nothing usable came back and show what the model sent
+  formatDegraded(result, label) {
+    const raw = result.raw || '(empty reply)';
+    const fence = raw.includes('```') ? '````' : '```';
+    
+    return `## ${label} unavailable\n\n` +
+           `The model's reply could not be read as a ${label.toLowerCase()} result, so nothing was generated. ` +
+           `Please try again or rephrase your request.\n\n` +
+           `**Problem:** ${result.error.message}\n\n` +
+           `### Raw model output\n${fence}\n${raw}\n${fence}`;
+  }
+
   formatList(items) {
     if (!items || !Array.isArray(items) || items.length === 0) {
       return "None";
@@ -440,6 +579,29 @@ Respond ONLY with the agent name most appropriate for this request.`;
     return items.map(item => `- ${item}`).join('\n');
   }
 
+  // Empty when the result was not analyzed (non-Deluge code)
+  formatStaticAnalysis(analysis) {
+    if (!analysis) {
+      return '';
+    }
+    
+    const status = analysis.valid ? 'passed' : 'found errors';
+    const repair = analysis.repair_attempted ? ' after one automatic repair' : '';
+    const diagnostics = analysis.diagnostics.map(d =>
+      `- Line ${d.line}: **${d.severity}** (${d.rule}) ${d.message}`
+    ).join('\n');
+    
+    return `\n\n### Static Analysis\nDeluge static analysis ${status}${repair}.` +
+           (diagnostics ? `\n\n${diagnostics}` : '');
+  }
+
+  formatTestCoverage(tests) {
+    if (!tests || !Array.isArray(tests) || tests.length === 0) {
+      return "No tests generated";
+    }
+    return tests.map(test => `- **${test.name}** (${test.kind.replace('_', ' ')}): ${test.covers.join('; ')}`).join('\n');
+  }
+
   formatIssues(issues) {
     if (!issues || !Array.isArray(issues) || issues.length === 0) {
       return "No issues found";
@@ -458,10 +620,13 @@ Respond ONLY with the agent name most appropriate for this request.`;
     }
     
     return refactoring.map(item => {
+      const status = item.applies === false
+        ? `Does not apply to the submitted code: ${item.apply_error}`
+        : 'Applies cleanly';
       return `- **${item.description}**\n` +
-             `  - Current: \`${item.current_code}\`\n` +
-             `  - Improved: \`${item.improved_code}\`\n` +
-             `  - Benefits: ${item.benefits.map(b => `${b}`).join(', ')}`;
+             `  - Benefits: ${item.benefits.map(b => `${b}`).join(', ')}\n` +
+             `  - ${status}\n\n` +
+             `\`\`\`diff\n${item.patch}\n\`\`\``;
     }).join('\n\n');
   }
 
@@ -524,19 +689,36 @@ Respond ONLY with the agent name most appropriate for this request.`;
     }
     
     return sprints.map(sprint => {
-      return `- **Sprint ${sprint.sprint_number}** (${sprint.duration})\n` +
+      const load = sprint.capacity === undefined ? '' :
+        `\n  - Load: ${sprint.allocated_points} of ${sprint.capacity} points${sprint.over_allocated ? ' (over-allocated)' : ''}`;
+      const dates = sprint.start_date ? `, ${sprint.start_date} to ${sprint.end_date}` : '';
+      return `- **Sprint ${sprint.sprint_number}** (${sprint.duration}${dates})\n` +
              `  - Goals: ${sprint.goals.join(', ')}\n` +
-             `  - User Stories: ${sprint.user_stories.join(', ')}`;
+             `  - User Stories: ${sprint.user_stories.join(', ')}${load}`;
     }).join('\n\n');
   }
 
+  formatSchedule(schedule) {
+    const overAllocated = schedule.over_allocated.length === 0 ? "None" :
+      schedule.over_allocated.map(entry => {
+        const who = entry.member ? `${entry.member} in ` : '';
+        return `- ${who}Sprint ${entry.sprint_number}: ${entry.allocated_points} of ${entry.capacity} points`;
+      }).join('\n');
+    const unassignable = schedule.unassignable.length === 0 ? "None" :
+      schedule.unassignable.map(story => `- **${story.id}: ${story.title}**: ${story.reason}`).join('\n');
+    
+    return `### Over-allocated\n${overAllocated}\n\n` +
+           `### Unassignable Stories\n${unassignable}`;
+  }
+
   formatCodeSnippets(snippets) {
     if (!snippets || !Array.isArray(snippets) || snippets.length === 0) {
       return "No relevant code snippets found";
     }
     
     return snippets.map(snippet => {
-      return `- **${snippet.filename}** (Relevance: ${snippet.relevance})\n` +
+      const lines = snippet.start_line ? ` lines ${snippet.start_line}-${snippet.end_line}` : '';
+      return `- **${snippet.filename}**${lines} (Relevance: ${snippet.relevance})\n` +
              `\`\`\`\n${snippet.code}\n\`\`\`\n` +
              `  - ${snippet.explanation}`;
     }).join('\n\n');
@@ -1,14 +1,87 @@
-const axios = require('axios');
-const driveService = require('../utils/googleDriveService');
+const BaseAgent = require('./baseAgent');
+const planHistory = require('../services/planHistory');
+const teamRegistry = require('../services/teamRegistry');
+const planningConfig = require('../config/planning');
+const { isDegraded } = require('../utils/structuredOutput');
+const { diffPlans } = require('../utils/planDiff');
+const { schedulePlan } = require('../utils/sprintScheduler');
 
-class PlanningAgent {
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const STORY_PROPERTIES = {
+  id: { type: 'string', description: 'Story id such as US-1' },
+  title: { type: 'string' },
+  description: { type: 'string', description: 'As a [role], I want [feature] so that [benefit]' },
+  acceptance_criteria: STRING_LIST,
+  story_points: { type: 'integer', minimum: 0 },
+  required_role: { type: 'string', description: 'Role needed to build the story, such as Backend Developer' },
+  required_skills: { ...STRING_LIST, description: 'Skills needed to build the story; may be empty' },
+  depends_on: { ...STRING_LIST, description: 'Ids of stories that must be done first' },
+  tasks: STRING_LIST
+};
+
+const STORY_REQUIRED = ['id', 'title', 'description', 'acceptance_criteria', 'story_points', 'required_role', 'required_skills', 'depends_on', 'tasks'];
+
+// Sprints and assignees are not asked for: the sprint scheduler works them out from the team
+function planSchema(storyProperties) {
+  return {
+    type: 'object',
+    properties: {
+      epics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            user_stories: {
+              type: 'array',
+              items: { type: 'object', properties: storyProperties, required: STORY_REQUIRED }
+            }
+          },
+          required: ['name', 'description', 'user_stories']
+        }
+      }
+    },
+    required: ['epics']
+  };
+}
+
+const PLAN_TOOL = {
+  name: 'record_project_plan',
+  description: 'Record the epics and estimated user stories',
+  schema: planSchema(STORY_PROPERTIES)
+};
+
+const REFINE_SCHEMA = planSchema({
+  ...STORY_PROPERTIES,
+  pinned_sprint: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Sprint the story must be in; only set when a change request asks for one'
+  }
+});
+
+const REFINE_TOOL = {
+  name: 'record_revised_plan',
+  description: 'Record the complete revised plan and what was changed',
+  schema: {
+    ...REFINE_SCHEMA,
+    properties: {
+      ...REFINE_SCHEMA.properties,
+      change_notes: { ...STRING_LIST, description: 'One note per change made, and any part of the request that could not be done' }
+    },
+    required: [...REFINE_SCHEMA.required, 'change_notes']
+  }
+};
+
+
+class PlanningAgent extends BaseAgent {
   constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.model = 'claude-3-5-haiku-20241022'; // Using the model that worked in the test
-    this.baseUrl = 'https://api.anthropic.com/v1';
+    super('planning', apiKey);
   }
 
-  async generateTasks(projectSummary, projectName = 'Project') {
+  async generateTasks(projectSummary, projectName = 'Project', { startDate = null } = {}) {
     try {
       console.log('Generating tasks from project summary...');
       
@@ -23,22 +96,21 @@ class PlanningAgent {
         }
       }
       
+      const team = await teamRegistry.listMembers(projectName);
       const systemPrompt = this._buildSystemPrompt();
-      const userPrompt = this._buildUserPrompt(summaryText);
-      const response = await this._callClaudeAPI(systemPrompt, userPrompt);
-      const tasks = this._parseResponse(response);
+      const userPrompt = this._buildUserPrompt(summaryText, team);
+      const stories = await this._requestTool(systemPrompt, userPrompt, PLAN_TOOL, () => this._generateMockResponse());
+      if (isDegraded(stories)) {
+        return stories;
+      }
+      
+      const tasks = this._schedule(stories, team, startDate);
       
       try {
-        // Save the tasks to Google Drive
-        const tasksFileName = `${projectName.replace(/\s+/g, '_')}_tasks.json`;
-        await driveService.createOrUpdateFile(
-          tasksFileName,
-          tasks,
-          'application/json',
-          'Tasks'
-        );
+        // Keep the plan as a new version and save it to Google Drive
+        await planHistory.savePlan(projectName, tasks, { source: 'generated' });
       } catch (saveError) {
-        console.warn('Failed to save tasks to Drive:', saveError.message);
+        console.warn('Failed to save plan version:', saveError.message);
         // Continue execution even if saving fails
       }
       
@@ -49,151 +121,141 @@ class PlanningAgent {
     }
   }
 
+  async refinePlan(projectName, changeRequest, { plan = null } = {}) {
+    try {
+      console.log(`Refining the ${projectName} plan...`);
+      
+      const currentPlan = plan || await planHistory.getCurrentPlan(projectName);
+      const team = await teamRegistry.listMembers(projectName);
+      const systemPrompt = this._buildRefineSystemPrompt();
+      const userPrompt = this._buildRefineUserPrompt(currentPlan, changeRequest, team);
+      const revised = await this._requestTool(systemPrompt, userPrompt, REFINE_TOOL,
+        () => this._generateMockRefinement(currentPlan, changeRequest));
+      if (isDegraded(revised)) {
+        return revised;
+      }
+      
+      const { change_notes: notes, ...revisedStories } = revised;
+      const revisedPlan = this._schedule(revisedStories, team, currentPlan.start_date);
+      const diff = diffPlans(currentPlan, revisedPlan);
+      const version = await planHistory.savePlan(projectName, revisedPlan, {
+        source: 'refined',
+        changeRequest,
+        notes,
+        diff
+      });
+      
+      return { plan: revisedPlan, diff, notes, version: version.version };
+    } catch (error) {
+      console.error('Error refining plan:', error);
+      throw error;
+    }
+  }
+
+  // Schedule the current plan again, e.g. after the team or start date changed; no model call
+  async reschedulePlan(projectName, { plan = null, startDate = null } = {}) {
+    const currentPlan = plan || await planHistory.getCurrentPlan(projectName);
+    const team = await teamRegistry.listMembers(projectName);
+    const scheduled = this._schedule(currentPlan, team, startDate);
+    const diff = diffPlans(currentPlan, scheduled);
+    const version = await planHistory.savePlan(projectName, scheduled, {
+      source: 'scheduled',
+      notes: [`Scheduled for a team of ${team.length}`],
+      diff
+    });
+    
+    return { plan: scheduled, diff, notes: [`Scheduled for a team of ${team.length}`], version: version.version };
+  }
+
+  // Sprints, assignees and dates come from the team's capacity, never from the model;
+  // sprint 1 starts on the given date, else the plan's own, else today
+  _schedule(plan, team, startDate = null) {
+    return schedulePlan(plan, team, {
+      ...planningConfig.scheduling,
+      startDate: startDate || plan.start_date || new Date().toISOString().slice(0, 10)
+    });
+  }
+
   _buildSystemPrompt() {
     return `You are a Planning & Task Generation Agent specializing in Agile methodology. 
     You analyze project summaries and create structured task breakdowns. 
-    Always format your responses as valid JSON without trailing commas or syntax errors.
-    Do not include backticks or any text outside the JSON structure.`;
+    Always record your answer with the provided tool.`;
   }
 
-  _buildUserPrompt(projectSummary) {
+  _buildUserPrompt(projectSummary, team = []) {
     return `
 Please analyze this project summary and create a structured task breakdown following Agile methodology.
 
 Project Summary:
 ${JSON.stringify(projectSummary, null, 2)}
-
+${this._describeTeam(team)}
 Create:
 1. A list of Epics (major work streams)
-2. User Stories under each Epic with acceptance criteria
-3. Task assignments based on team capabilities
-4. Sprint planning suggestions
-
-Return ONLY valid JSON without trailing commas, using this exact format:
-{
-  "epics": [
-    {
-      "name": "Epic name",
-      "description": "Epic description",
-      "user_stories": [
-        {
-          "id": "US-1",
-          "title": "User story title",
-          "description": "As a [role], I want [feature] so that [benefit]",
-          "acceptance_criteria": ["Criterion 1", "Criterion 2"],
-          "story_points": 5,
-          "suggested_assignee": "Team member role",
-          "tasks": ["Task 1", "Task 2"]
-        }
-      ]
-    }
-  ],
-  "sprint_plan": [
-    {
-      "sprint_number": 1,
-      "duration": "2 weeks",
-      "goals": ["Goal 1", "Goal 2"],
-      "user_stories": ["US-1", "US-2"]
-    }
-  ]
-}`;
+2. User Stories under each Epic with acceptance criteria and tasks
+3. A story point estimate for each story, with the role and skills it needs
+4. The stories each story depends on
+
+Do not plan sprints or assign people: stories are scheduled into sprints from the team's capacity.
+
+Record the plan with the record_project_plan tool.`;
   }
 
-  async _callClaudeAPI(systemPrompt, userPrompt) {
-    try {
-      console.log('Making API request to Claude...');
-      
-      const url = `${this.baseUrl}/messages`;
-      
-      const data = {
-        model: this.model,
-        max_tokens: 1000,
-        temperature: 0.7, // A bit lower temperature for more focused responses
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              }
-            ]
-          }
-        ]
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      };
-
-      console.log('Using Claude API URL:', url);
-      console.log('Using model:', this.model);
-      
-      const response = await axios.post(url, data, { headers });
-      console.log('Received response from Claude API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Claude API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
+  // Roles and skills to estimate against, so stories name ones the team has
+  _describeTeam(team) {
+    if (team.length === 0) return '';
+    
+    const members = team.map(member => `- ${member.role}${member.skills.length > 0 ? `: ${member.skills.join(', ')}` : ''}`);
+    return `
+Team roles and skills (use these names for required_role and required_skills):
+${[...new Set(members)].join('\n')}
+`;
   }
 
-  _parseResponse(response) {
-    try {
-      console.log('Parsing Claude response...');
-      
-      if (!response.content || response.content.length === 0) {
-        throw new Error('No content in Claude response');
-      }
-      
-      const textResponse = response.content[0].text;
-      console.log('Raw text response:', textResponse);
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      let jsonText = '';
-      if (jsonMatch) {
-        jsonText = jsonMatch[1] || jsonMatch[0];
-        
-        // Try to clean up common JSON syntax errors
-        jsonText = jsonText
-          .replace(/,(\s*[\]}])/g, '$1')         // Remove trailing commas
-          .replace(/([^\\])\\([^"\\\/bfnrtu])/g, '$1$2')  // Fix invalid escape sequences
-          .replace(/[\u0000-\u001F]+/g, ' ')     // Remove control characters
-          .replace(/\t/g, '    ');               // Replace tabs with spaces
-        
-        try {
-          return JSON.parse(jsonText);
-        } catch (jsonError) {
-          console.error('JSON parse error:', jsonError.message);
-          console.error('Attempted to parse:', jsonText);
-          
-          // Try using a more lenient JSON parser like JSON5 (if available)
-          throw jsonError;
-        }
-      } else {
-        console.error('Could not extract JSON from Claude response');
-        throw new Error('Could not extract JSON from Claude response');
-      }
-    } catch (error) {
-      console.error('Error parsing Claude response:', error);
-      
-      // Fall back to mock data
-      console.log('Falling back to mock data');
-      return this._generateMockResponse();
+  _buildRefineSystemPrompt() {
+    return `You are a Planning & Task Generation Agent specializing in Agile methodology. 
+    You revise existing project plans to follow change requests, changing only what the request needs. 
+    Always record your answer with the provided tool.`;
+  }
+
+  _buildRefineUserPrompt(currentPlan, changeRequest, team = []) {
+    return `
+Revise this project plan to follow the change request.
+
+Current Plan:
+${JSON.stringify(currentPlan, null, 2)}
+${this._describeTeam(team)}
+Change Request:
+${changeRequest}
+
+Rules:
+1. Return the complete revised list of epics and stories, including the ones that do not change
+2. Keep the id of every story that still exists, even when it moves to another epic
+3. Give new stories new ids that continue the existing numbering; a split story keeps its id for one part
+4. Sprints and assignees are scheduled from the team's capacity after you answer. Set pinned_sprint only
+   when the change request puts a story in a particular sprint, and keep existing pins unless asked to
+   change them
+5. Write one change note per change, and note any part of the request that cannot be done
+
+Record the revised plan with the record_revised_plan tool.`;
+  }
+
+  // Sample refinement returned in demo mode: the first story of the last sprint is pinned to sprint 1
+  _generateMockRefinement(currentPlan, changeRequest) {
+    const { sprint_plan: sprints = [], schedule, ...plan } = JSON.parse(JSON.stringify(currentPlan));
+    const last = sprints[sprints.length - 1];
+    
+    if (sprints.length < 2 || last.user_stories.length === 0) {
+      return { ...plan, change_notes: [`No sample change applies to this plan for: ${changeRequest}`] };
     }
+    
+    const storyId = last.user_stories[0];
+    plan.epics.forEach(epic => epic.user_stories
+      .filter(story => story.id === storyId)
+      .forEach(story => { story.pinned_sprint = 1; }));
+    return { ...plan, change_notes: [`Pinned ${storyId} to sprint 1 for: ${changeRequest}`] };
   }
 
-  // Add mock response method for fallback
+  // Sample output returned in demo mode
   _generateMockResponse() {
     return {
       epics: [
@@ -207,7 +269,9 @@ Return ONLY valid JSON without trailing commas, using this exact format:
               description: "As a rental manager, I want to add new vehicles to the system so that they can be rented out",
               acceptance_criteria: ["Can add vehicle details", "Data validation works", "Vehicle appears in available inventory"],
               story_points: 5,
-              suggested_assignee: "Backend Developer",
+              required_role: "Backend Developer",
+              required_skills: ["Node.js", "MongoDB"],
+              depends_on: [],
               tasks: ["Create vehicle schema", "Build registration API", "Implement validation"]
             }
           ]
@@ -222,25 +286,13 @@ Return ONLY valid JSON without trailing commas, using this exact format:
               description: "As a rental agent, I want to create a new rental record so that vehicle usage is tracked",
               acceptance_criteria: ["Can select customer and vehicle", "Valid rental dates required", "Confirmation generated"],
               story_points: 8,
-              suggested_assignee: "Full Stack Developer",
+              required_role: "Full Stack Developer",
+              required_skills: [],
+              depends_on: ["US-1"],
               tasks: ["Create rental form UI", "Build rental API", "Implement confirmation system"]
             }
           ]
         }
-      ],
-      sprint_plan: [
-        {
-          sprint_number: 1,
-          duration: "2 weeks",
-          goals: ["Complete database setup", "Build vehicle registration"],
-          user_stories: ["US-1"]
-        },
-        {
-          sprint_number: 2,
-          duration: "2 weeks",
-          goals: ["Implement rental functions", "Start reporting"],
-          user_stories: ["US-2"]
-        }
       ]
     };
   }
@@ -1,11 +1,22 @@
-const axios = require('axios');
+const BaseAgent = require('./baseAgent');
 const driveService = require('../utils/googleDriveService');
+const { requestGeminiJson, isDegraded } = require('../utils/structuredOutput');
 
-class ProjectUnderstandingAgent {
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    goals: { type: 'array', items: { type: 'string' } },
+    requirements: { type: 'array', items: { type: 'string' } },
+    milestones: { type: 'array', items: { type: 'string' } },
+    stakeholders: { type: 'array', items: { type: 'string' } },
+    risks: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['goals', 'requirements', 'milestones', 'stakeholders', 'risks']
+};
+
+class ProjectUnderstandingAgent extends BaseAgent {
   constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-    this.model = 'gemini-2.0-flash';
+    super('projectUnderstanding', apiKey);
     this.defaultResponse = {
       goals: [],
       requirements: [],
@@ -43,8 +54,13 @@ class ProjectUnderstandingAgent {
       }
       
       const prompt = this._buildPrompt(documentContent);
-      const response = await this._callGeminiAPI(prompt);
-      const analysis = this._parseResponse(response);
+      const analysis = await requestGeminiJson(
+        (contents, generationConfig) => this._callGeminiAPI(contents, generationConfig),
+        { prompt, schema: ANALYSIS_SCHEMA, label: 'projectUnderstanding' }
+      );
+      if (isDegraded(analysis)) {
+        return analysis;
+      }
       
       // Save the analysis to Google Drive
       const analysisFileName = `${documentName.replace(/\.[^/.]+$/, '')}_analysis.json`;
@@ -75,98 +91,10 @@ class ProjectUnderstandingAgent {
       Document to analyze:
       ${document}
 
-      Return the information in JSON format with these keys:
-      goals, requirements, milestones, stakeholders, risks
+      Return each of goals, requirements, milestones, stakeholders and risks
+      as a list of short statements.
     `;
   }
-
-  async _callGeminiAPI(prompt) {
-    try {
-      // Updated URL to match the sample
-      const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
-      
-      console.log('Making API request to Gemini...');
-      console.log(`Using model: ${this.model}`);
-      
-      // Updated request format to match the sample
-      const data = {
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt
-              }
-            ]
-          }
-        ]
-      };
-
-      console.log('Request payload structure:', JSON.stringify(data).substring(0, 100) + '...');
-      
-      const response = await axios.post(url, data);
-      console.log('Received response from Gemini API with status:', response.status);
-      return response.data;
-    } catch (error) {
-      console.error('Gemini API Error:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      }
-      throw error;
-    }
-  }
-
-  _parseResponse(response) {
-    try {
-      console.log('Parsing response...');
-      console.log('Response structure:', JSON.stringify(Object.keys(response), null, 2));
-      
-      if (!response.candidates || response.candidates.length === 0) {
-        console.error('No candidates in response');
-        throw new Error('No candidates in response');
-      }
-      
-      const textResponse = response.candidates[0].content.parts[0].text;
-      console.log('Raw text response:', textResponse.substring(0, 100) + '...');
-      
-      // Try to find JSON in the response
-      const jsonMatch = textResponse.match(/```json\n([\s\S]*?)\n```/) || 
-                        textResponse.match(/{[\s\S]*?}/);
-      
-      if (jsonMatch) {
-        const jsonText = jsonMatch[1] || jsonMatch[0];
-        console.log('Extracted JSON:', jsonText.substring(0, 100) + '...');
-        return JSON.parse(jsonText);
-      } else {
-        // If no JSON is found, attempt to extract structured information manually
-        console.log('No JSON found, parsing text manually');
-        
-        // This is a simplistic approach - in production you might want a more robust parser
-        const parsedData = {
-          goals: [],
-          requirements: [],
-          milestones: [],
-          stakeholders: [],
-          risks: []
-        };
-        
-        // Simple extraction using regex
-        const goalsMatch = textResponse.match(/goals:?([\s\S]*?)(?=requirements:|$)/i);
-        if (goalsMatch && goalsMatch[1]) {
-          parsedData.goals = goalsMatch[1].split('\n')
-            .filter(line => line.trim().startsWith('-'))
-            .map(line => line.replace('-', '').trim());
-        }
-        
-        // Similar extraction for other fields...
-        
-        return parsedData;
-      }
-    } catch (error) {
-      console.error('Error parsing response:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = ProjectUnderstandingAgent;
@@ -3,6 +3,12 @@ import MessageHistory from './MessageHistory';
 import ChatInput from './ChatInput';
 import '../styles/chat.css';
 
+/**
+ * Chat Interface Component
+ * apiService.streamChatMessage(userId, sessionId, message, onToken) is used when
+ * available so replies render incrementally; it must resolve with the final
+ * response, like apiService.sendChatMessage.
+ */
 const ChatInterface = ({ sessionId, userId, apiService }) => {
   const [messages, setMessages] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
@@ -51,17 +57,38 @@ const ChatInterface = ({ sessionId, userId, apiService }) => {
     setTimeout(() => setTypingIndicator(true), 500);
     
     try {
-      // Send to API
-      const response = await apiService.sendChatMessage(
-        userId, 
-        sessionId, 
-        {
-          content,
-          mode,
-          taskType,
-          metadata
+      const payload = {
+        content,
+        mode,
+        taskType,
+        metadata
+      };
+      
+      // Stream tokens into a placeholder message when the API service supports it
+      let streamingMessage = null;
+      const onToken = (text) => {
+        setTypingIndicator(false);
+        if (!streamingMessage) {
+          streamingMessage = {
+            role: 'assistant',
+            type: 'system',
+            content: text,
+            timestamp: new Date().toISOString(),
+            status: 'streaming'
+          };
+          setMessages(prev => [...prev, streamingMessage]);
+          return;
         }
-      );
+        
+        const previous = streamingMessage;
+        streamingMessage = { ...previous, content: previous.content + text };
+        setMessages(prev => prev.map(msg => msg === previous ? streamingMessage : msg));
+      };
+      
+      // Send to API
+      const response = apiService.streamChatMessage
+        ? await apiService.streamChatMessage(userId, sessionId, payload, onToken)
+        : await apiService.sendChatMessage(userId, sessionId, payload);
       
       // Hide typing indicator
       setTypingIndicator(false);
@@ -71,7 +98,7 @@ const ChatInterface = ({ sessionId, userId, apiService }) => {
         msg === userMessage ? { ...msg, status: 'delivered' } : msg
       ));
       
-      // Add assistant response
+      // Add assistant response, replacing the streamed placeholder if there is one
       const assistantMessage = {
         role: 'assistant',
         type: response.type === 'task' ? 'task' : 'system',
@@ -82,7 +109,9 @@ const ChatInterface = ({ sessionId, userId, apiService }) => {
         metadata: response.metadata
       };
       
-      setMessages(prev => [...prev, assistantMessage]);
+      setMessages(prev => streamingMessage
+        ? prev.map(msg => msg === streamingMessage ? assistantMessage : msg)
+        : [...prev, assistantMessage]);
     } catch (error) {
       console.error('Failed to send message:', error);
       
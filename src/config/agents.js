@@ -0,0 +1,15 @@
+/**
+ * Agent Configuration
+ * Demo mode makes the agents answer with built-in sample output instead of
+ * calling any model, for offline local development and tests. It is off
+ * unless AGENT_DEMO_MODE=true; outside demo mode an unreadable model reply is
+ * reported as a degraded result, never replaced with sample data.
+ */
+
+module.exports = {
+  demoMode: process.env.AGENT_DEMO_MODE === 'true',
+
+  // Free-text chat messages go to an agent only when their intent scores at
+  // least this (0-1); a known /command always does
+  intentThreshold: Number(process.env.AGENT_INTENT_THRESHOLD) || 0.75
+};
@@ -1,6 +1,8 @@
 /**
  * AI Model Configuration
- * Central configuration for all AI models used in the application
+ * Central configuration for all AI models used in the application.
+ * Load it through modelConfig.js, which validates it and applies any
+ * per-environment override file named by AI_MODELS_CONFIG.
  */
 
 module.exports = {
@@ -13,6 +15,7 @@ module.exports = {
       topP: 0.95,
       maxTokens: 2048,
       costPer1KTokens: 0.0001,
+      historyTokens: 4000,
       capabilities: ['code-generation', 'summarization', 'classification']
     },
     pro: {
@@ -22,6 +25,7 @@ module.exports = {
       topP: 0.95,
       maxTokens: 8192,
       costPer1KTokens: 0.0005,
+      historyTokens: 16000,
       capabilities: ['code-generation', 'summarization', 'classification', 'analysis']
     }
   },
@@ -29,17 +33,19 @@ module.exports = {
   // Anthropic Claude models
   claude: {
     haiku: {
-      id: 'claude-3.5-haiku-latest',
+      id: 'claude-3-5-haiku-20241022',
       temperature: 0.7,
       maxTokens: 4096,
       costPer1KTokens: 0.00025,
+      historyTokens: 8000,
       capabilities: ['code-generation', 'summarization', 'classification', 'analysis']
     },
     sonnet: {
-      id: 'claude-3.7-sonnet-latest',
+      id: 'claude-3-7-sonnet-20250219',
       temperature: 0.7,
       maxTokens: 16384,
       costPer1KTokens: 0.003,
+      historyTokens: 16000,
       capabilities: ['code-generation', 'summarization', 'classification', 'analysis', 'reasoning']
     },
     opus: {
@@ -47,6 +53,7 @@ module.exports = {
       temperature: 0.7,
       maxTokens: 32768,
       costPer1KTokens: 0.015,
+      historyTokens: 16000,
       capabilities: ['code-generation', 'summarization', 'classification', 'analysis', 'reasoning', 'complex-tasks']
     }
   },
@@ -58,10 +65,52 @@ module.exports = {
       temperature: 0.5,
       maxTokens: 16384,
       costPer1KTokens: 0.002,
+      historyTokens: 8000,
       capabilities: ['code-generation', 'reasoning', 'analysis']
     }
   },
   
+  // Provider model serving each routing tier
+  tiers: {
+    simple: { provider: 'gemini', model: 'flash' },
+    medium: { provider: 'gemini', model: 'pro' },
+    complex: { provider: 'claude', model: 'sonnet' },
+    veryComplex: { provider: 'claude', model: 'opus' },
+    reasoning: { provider: 'deepseek', model: 'r1' }
+  },
+
+  // Provider order tried when a model fails, and circuit breaker settings
+  fallback: {
+    order: ['claude', 'gemini', 'deepseek'],
+    circuitBreaker: {
+      failureThreshold: 3,   // Consecutive failures before a provider is skipped
+      cooldownMs: 60000      // How long a tripped provider is skipped
+    }
+  },
+
+  // Rolling conversation summary. Once the unsummarized chat turns pass
+  // summarizeAfterTokens, all but the most recent turns are folded into a
+  // summary by the summarizer tier. Each model receives the summary plus as
+  // many recent turns as fit its historyTokens.
+  memory: {
+    summarizerTier: 'simple',
+    summarizeAfterTokens: 3000,
+    keepRecentMessages: 6,
+    maxSummaryTokens: 600,
+    historyTokens: 4000      // Used for models that do not set historyTokens
+  },
+
+  // Model and generation settings used by each agent
+  agents: {
+    projectUnderstanding: { provider: 'gemini', model: 'flash' },
+    codeGeneration: { provider: 'claude', model: 'sonnet', maxTokens: 4000, temperature: 0.2 },
+    codeReview: { provider: 'claude', model: 'sonnet', maxTokens: 1500, temperature: 0.2 },
+    codeSearch: { provider: 'claude', model: 'haiku', maxTokens: 1500, temperature: 0.2 },
+    documentation: { provider: 'claude', model: 'haiku', maxTokens: 4000, temperature: 0.3 },
+    meetingActions: { provider: 'claude', model: 'haiku', maxTokens: 2000, temperature: 0.2 },
+    planning: { provider: 'claude', model: 'haiku', maxTokens: 1000, temperature: 0.7 }
+  },
+  
   // Model selection thresholds
   thresholds: {
     default: {
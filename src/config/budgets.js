@@ -0,0 +1,37 @@
+/**
+ * Usage Budget Configuration
+ * Daily and monthly spend limits (USD) for routed AI requests. A limit of
+ * null means unlimited. Entries under users/teams override the defaults;
+ * each team lists the user IDs that share its budget.
+ */
+
+const parseLimit = value => (value === undefined || value === '' ? undefined : Number(value));
+
+module.exports = {
+  // What the router does once a budget is spent: 'downgrade' or 'refuse'
+  onExhausted: process.env.AI_BUDGET_POLICY || 'downgrade',
+
+  // Tier served to users whose budget is exhausted under the 'downgrade' policy
+  downgradeTier: 'simple',
+
+  defaults: {
+    user: {
+      daily: parseLimit(process.env.AI_USER_DAILY_BUDGET) ?? 2,
+      monthly: parseLimit(process.env.AI_USER_MONTHLY_BUDGET) ?? 40
+    },
+    team: {
+      daily: null,
+      monthly: null
+    }
+  },
+
+  // Budget user charged for calls made outside a signed-in request, such as
+  // webhook reviews; its limits can be overridden under users like any other
+  systemUserId: 'system',
+
+  // e.g. { '1234567890': { daily: 5, monthly: 100 } }
+  users: {},
+
+  // e.g. { platform: { daily: 20, monthly: 400, members: ['1234567890'] } }
+  teams: {}
+};
@@ -0,0 +1,32 @@
+/**
+ * Response Cache Configuration
+ * Routes opt in to caching individually (see responseCache.route()).
+ * Redis is used when REDIS_URL is set; otherwise entries are kept in memory.
+ */
+
+module.exports = {
+  enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false',
+
+  redisUrl: process.env.REDIS_URL || null,
+  keyPrefix: 'projectcrew:cache:',
+
+  // Comma-separated emails allowed to clear the cache
+  adminEmails: (process.env.CACHE_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Used when a route does not set its own TTL
+  defaultTtlSeconds: 3600,
+
+  // In-memory fallback: oldest entries are evicted beyond this size
+  memory: {
+    maxEntries: 500
+  },
+
+  // TTLs for the routes that opt in
+  routes: {
+    codeExplain: { ttlSeconds: 24 * 3600 },
+    analyzeComplexity: { ttlSeconds: 3600 }
+  }
+};
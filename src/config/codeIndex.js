@@ -0,0 +1,58 @@
+/**
+ * Code Index Configuration
+ * Limits for indexing repositories into searchable chunks (see
+ * services/codeIndexer.js) and the retrieval settings used by code search.
+ */
+
+const parseNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+  // Local checkouts may only be indexed from under these directories
+  // (comma-separated CODE_INDEX_ROOTS); local path indexing is off when empty
+  allowedRoots: parseList(process.env.CODE_INDEX_ROOTS),
+
+  limits: {
+    maxFiles: parseNumber(process.env.CODE_INDEX_MAX_FILES) ?? 5000,
+    // Larger files are usually generated or minified and are skipped
+    maxFileBytes: 512 * 1024,
+    // Uploaded archives may not decompress to more than this in total
+    maxArchiveBytes: parseNumber(process.env.CODE_INDEX_MAX_ARCHIVE_BYTES) ?? 200 * 1024 * 1024
+  },
+
+  // Text files worth indexing; anything else is skipped
+  extensions: [
+    '.dg', '.ds', '.deluge',
+    '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx',
+    '.py', '.rb', '.php', '.java', '.kt', '.cs', '.go', '.rs', '.swift',
+    '.c', '.h', '.cpp', '.hpp',
+    '.html', '.css', '.scss', '.sql', '.sh',
+    '.json', '.yml', '.yaml', '.xml', '.md', '.txt'
+  ],
+
+  ignoredDirectories: ['node_modules', '.git', 'dist', 'build', 'coverage', 'vendor', '__pycache__', '.next'],
+
+  chunking: {
+    // Longer blocks are split into windows of this many lines
+    maxLines: 80,
+    overlapLines: 10
+  },
+
+  search: {
+    defaultTopK: 8,
+    maxTopK: 30,
+    // BM25 term-frequency saturation and length normalisation
+    k1: 1.2,
+    b: 0.75
+  },
+
+  // Optional embedding vectors, blended with BM25 scores at search time
+  embeddings: {
+    enabled: process.env.CODE_INDEX_EMBEDDINGS === 'true',
+    model: process.env.CODE_INDEX_EMBEDDING_MODEL || 'text-embedding-004',
+    batchSize: 100,
+    // Share of the final score taken by vector similarity
+    weight: 0.5
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Code Review Configuration
+ * Limits for reviewing unified diffs (see CodeReviewAgent.reviewDiff). Each
+ * changed file is reviewed in its own model call.
+ */
+
+module.exports = {
+  diff: {
+    // Larger patch sets are rejected rather than partially reviewed
+    maxFiles: 50,
+    // Extra lines shown around each hunk when the full new file is supplied
+    contextLines: 10
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Git Hosting Configuration
+ * API endpoints, tokens and webhook secrets for reviewing pull requests on
+ * GitHub and GitLab (see services/pullRequestReviewer.js). Point
+ * GITHUB_API_URL or GITLAB_API_URL at a local stub server to run the whole
+ * webhook flow offline.
+ */
+
+module.exports = {
+  github: {
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    token: process.env.GITHUB_TOKEN || null,
+    webhookSecret: process.env.GITHUB_WEBHOOK_SECRET || null,
+    // pull_request actions that trigger a review
+    reviewActions: ['opened', 'reopened', 'synchronize', 'ready_for_review']
+  },
+
+  gitlab: {
+    apiUrl: process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4',
+    token: process.env.GITLAB_TOKEN || null,
+    webhookSecret: process.env.GITLAB_WEBHOOK_SECRET || null,
+    // Merge request hook actions that trigger a review; updates only when they add commits
+    reviewActions: ['open', 'reopen', 'update'],
+    // Pages of 100 changed files fetched before a merge request is too large to review
+    maxDiffPages: 5
+  },
+
+  timeoutMs: 30000,
+  // Webhook bodies larger than this are rejected
+  maxPayloadBytes: 5 * 1024 * 1024
+};
@@ -0,0 +1,37 @@
+/**
+ * LLM Client Configuration
+ * Timeouts, retry policy and concurrency limits used by every agent and
+ * handler that calls a model provider (see services/llmClient.js).
+ */
+
+const parseNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+// LLM_<PROVIDER>_TIMEOUT_MS overrides one provider, LLM_TIMEOUT_MS every provider
+const timeoutFor = (provider, fallback) =>
+  parseNumber(process.env[`LLM_${provider.toUpperCase()}_TIMEOUT_MS`]) ??
+  parseNumber(process.env.LLM_TIMEOUT_MS) ??
+  fallback;
+
+module.exports = {
+  retry: {
+    // Retries after the first attempt, for rate limits, overloads, 5xx and timeouts
+    maxRetries: parseNumber(process.env.LLM_MAX_RETRIES) ?? 3,
+    baseDelayMs: 500,
+    maxDelayMs: 20000,
+    // A longer retry-after is not waited out; the request fails so the router can fall back
+    maxRetryAfterMs: 60000
+  },
+
+  // Used for providers not listed below
+  defaults: {
+    timeoutMs: parseNumber(process.env.LLM_TIMEOUT_MS) ?? 60000,
+    maxConcurrent: 4
+  },
+
+  // timeoutMs applies to each attempt
+  providers: {
+    claude: { timeoutMs: timeoutFor('claude', 120000), maxConcurrent: 4 },
+    gemini: { timeoutMs: timeoutFor('gemini', 60000), maxConcurrent: 6 },
+    deepseek: { timeoutMs: timeoutFor('deepseek', 180000), maxConcurrent: 2 }
+  }
+};
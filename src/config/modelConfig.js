@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const defaults = require('./aiModels');
+
+/**
+ * Model Configuration Loader
+ * Merges the defaults in aiModels.js with an optional per-environment
+ * override file (JSON or YAML, path in AI_MODELS_CONFIG), validates the
+ * result and exposes lookups for handlers, agents and routes.
+ */
+
+const RESERVED_SECTIONS = ['tiers', 'agents', 'thresholds', 'fallback', 'memory'];
+
+/**
+ * Read an override file
+ * @param {String} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} - Parsed overrides
+ */
+function readOverrideFile(filePath) {
+  const resolved = path.resolve(filePath);
+  const raw = fs.readFileSync(resolved, 'utf8');
+  const ext = path.extname(resolved).toLowerCase();
+
+  const parsed = ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`AI model override file must contain an object: ${resolved}`);
+  }
+  return parsed;
+}
+
+/**
+ * Deep merge plain objects; arrays and scalars in the override replace the base
+ * @param {Object} base - Base values
+ * @param {Object} override - Values to apply on top
+ * @returns {Object} - New merged object
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+
+  Object.entries(override || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? deepMerge(base[key], value)
+      : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Validate a model configuration
+ * @param {Object} config - Merged configuration
+ * @returns {Array<String>} - Validation errors (empty when valid)
+ */
+function validate(config) {
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const providers = Object.keys(config).filter(key => !RESERVED_SECTIONS.includes(key));
+
+  providers.forEach(provider => {
+    Object.entries(config[provider] || {}).forEach(([key, model]) => {
+      const name = `${provider}.${key}`;
+      if (!model || typeof model.id !== 'string' || !model.id) {
+        errors.push(`${name}.id must be a non-empty string`);
+        return;
+      }
+      if (!Number.isInteger(model.maxTokens) || model.maxTokens <= 0) {
+        errors.push(`${name}.maxTokens must be a positive integer`);
+      }
+      if (!isNumber(model.temperature) || model.temperature < 0 || model.temperature > 2) {
+        errors.push(`${name}.temperature must be between 0 and 2`);
+      }
+      if (!isNumber(model.costPer1KTokens) || model.costPer1KTokens < 0) {
+        errors.push(`${name}.costPer1KTokens must be a non-negative number`);
+      }
+      if (!Array.isArray(model.capabilities)) {
+        errors.push(`${name}.capabilities must be an array`);
+      }
+      if (model.historyTokens !== undefined && (!Number.isInteger(model.historyTokens) || model.historyTokens <= 0)) {
+        errors.push(`${name}.historyTokens must be a positive integer`);
+      }
+    });
+  });
+
+  const checkReference = (label, ref) => {
+    if (!ref || !config[ref.provider] || RESERVED_SECTIONS.includes(ref.provider)) {
+      errors.push(`${label} references unknown provider "${ref && ref.provider}"`);
+    } else if (!config[ref.provider][ref.model]) {
+      errors.push(`${label} references unknown model "${ref.provider}.${ref.model}"`);
+    }
+  };
+
+  Object.entries(config.tiers || {}).forEach(([tier, ref]) => checkReference(`tiers.${tier}`, ref));
+
+  Object.entries(config.agents || {}).forEach(([agent, ref]) => {
+    checkReference(`agents.${agent}`, ref);
+    if (ref && ref.maxTokens !== undefined && (!Number.isInteger(ref.maxTokens) || ref.maxTokens <= 0)) {
+      errors.push(`agents.${agent}.maxTokens must be a positive integer`);
+    }
+    if (ref && ref.temperature !== undefined && (!isNumber(ref.temperature) || ref.temperature < 0 || ref.temperature > 2)) {
+      errors.push(`agents.${agent}.temperature must be between 0 and 2`);
+    }
+  });
+
+  Object.entries(config.thresholds || {}).forEach(([profile, t]) => {
+    if (!t || ![t.simple, t.medium, t.complex].every(isNumber)) {
+      errors.push(`thresholds.${profile} must define numeric simple, medium and complex values`);
+    } else if (!(t.simple < t.medium && t.medium < t.complex)) {
+      errors.push(`thresholds.${profile} must satisfy simple < medium < complex`);
+    }
+  });
+
+  if (!config.thresholds || !config.thresholds.default) {
+    errors.push('thresholds.default is required');
+  }
+
+  const fallback = config.fallback || {};
+  if (fallback.order !== undefined) {
+    if (!Array.isArray(fallback.order)) {
+      errors.push('fallback.order must be an array of provider names');
+    } else {
+      fallback.order
+        .filter(provider => !providers.includes(provider))
+        .forEach(provider => errors.push(`fallback.order references unknown provider "${provider}"`));
+    }
+  }
+
+  const breaker = fallback.circuitBreaker || {};
+  if (breaker.failureThreshold !== undefined && (!Number.isInteger(breaker.failureThreshold) || breaker.failureThreshold <= 0)) {
+    errors.push('fallback.circuitBreaker.failureThreshold must be a positive integer');
+  }
+  if (breaker.cooldownMs !== undefined && (!isNumber(breaker.cooldownMs) || breaker.cooldownMs < 0)) {
+    errors.push('fallback.circuitBreaker.cooldownMs must be a non-negative number');
+  }
+
+  const memory = config.memory || {};
+  ['summarizeAfterTokens', 'keepRecentMessages', 'maxSummaryTokens', 'historyTokens'].forEach(key => {
+    if (memory[key] !== undefined && (!Number.isInteger(memory[key]) || memory[key] <= 0)) {
+      errors.push(`memory.${key} must be a positive integer`);
+    }
+  });
+  if (memory.summarizerTier !== undefined && !(config.tiers || {})[memory.summarizerTier]) {
+    errors.push(`memory.summarizerTier references unknown tier "${memory.summarizerTier}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build and validate the model configuration
+ * @param {Object} options - Optional { overridePath, overrides } for tests and tooling
+ * @returns {Object} - Validated configuration
+ */
+function load(options = {}) {
+  const overridePath = options.overridePath !== undefined
+    ? options.overridePath
+    : process.env.AI_MODELS_CONFIG;
+
+  let config = deepMerge(defaults, overridePath ? readOverrideFile(overridePath) : {});
+  config = deepMerge(config, options.overrides || {});
+
+  const errors = validate(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid AI model configuration:\n- ${errors.join('\n- ')}`);
+  }
+
+  if (overridePath) {
+    console.log('Loaded AI model overrides from', overridePath);
+  }
+  return config;
+}
+
+let current = load();
+
+module.exports = {
+  get config() {
+    return current;
+  },
+
+  /**
+   * Reload the configuration, e.g. after changing AI_MODELS_CONFIG
+   * @param {Object} options - Same options as load()
+   * @returns {Object} - The new configuration
+   */
+  reload(options = {}) {
+    current = load(options);
+    return current;
+  },
+
+  validate,
+
+  /**
+   * Get all models declared for a provider
+   * @param {String} provider - Provider name (e.g. 'claude')
+   * @returns {Object} - Model declarations keyed by model key
+   */
+  getProviderModels(provider) {
+    const models = current[provider];
+    if (!models || RESERVED_SECTIONS.includes(provider)) {
+      throw new Error(`Unknown AI provider in model config: ${provider}`);
+    }
+    return models;
+  },
+
+  /**
+   * Get a single model declaration
+   * @param {String} provider - Provider name
+   * @param {String} key - Model key (e.g. 'sonnet')
+   * @returns {Object} - Model declaration
+   */
+  getModel(provider, key) {
+    const model = this.getProviderModels(provider)[key];
+    if (!model) {
+      throw new Error(`Unknown model in model config: ${provider}.${key}`);
+    }
+    return model;
+  },
+
+  /**
+   * Get the resolved model settings for an agent
+   * @param {String} agent - Agent key (e.g. 'planning')
+   * @returns {Object} - { provider, key, id, maxTokens, temperature, costPer1KTokens }
+   */
+  getAgentModel(agent) {
+    const ref = current.agents && current.agents[agent];
+    if (!ref) {
+      throw new Error(`No model configured for agent: ${agent}`);
+    }
+
+    const model = this.getModel(ref.provider, ref.model);
+    return {
+      ...model,
+      provider: ref.provider,
+      key: ref.model,
+      maxTokens: ref.maxTokens || model.maxTokens,
+      temperature: ref.temperature !== undefined ? ref.temperature : model.temperature
+    };
+  },
+
+  /**
+   * Get threshold profile
+   * @param {String} profile - 'default', 'highPriority' or 'lowCost'
+   * @returns {Object} - { simple, medium, complex }
+   */
+  getThresholds(profile = 'default') {
+    return { ...(current.thresholds[profile] || current.thresholds.default) };
+  },
+
+  /**
+   * Get the fallback chain settings
+   * @returns {Object} - { order, circuitBreaker: { failureThreshold, cooldownMs } }
+   */
+  getFallback() {
+    const fallback = current.fallback || {};
+    return {
+      order: [...(fallback.order || [])],
+      circuitBreaker: { ...(fallback.circuitBreaker || {}) }
+    };
+  },
+
+  /**
+   * Get the conversation memory settings
+   * @returns {Object} - { summarizerTier, summarizeAfterTokens, keepRecentMessages, maxSummaryTokens, historyTokens }
+   */
+  getMemory() {
+    return {
+      summarizerTier: 'simple',
+      summarizeAfterTokens: 3000,
+      keepRecentMessages: 6,
+      maxSummaryTokens: 600,
+      historyTokens: 4000,
+      ...(current.memory || {})
+    };
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Plan Export Configuration
+ * Trackers that PlanningAgent plans are exported to (see
+ * services/planExporter.js) and how plan fields map onto their issues.
+ * Point JIRA_BASE_URL or LINEAR_API_URL at a local stub server, or use a
+ * dry run, to check an export before it touches the real tracker.
+ */
+
+module.exports = {
+  jira: {
+    baseUrl: process.env.JIRA_BASE_URL || null,
+    email: process.env.JIRA_EMAIL || null,
+    apiToken: process.env.JIRA_API_TOKEN || null,
+    projectKey: process.env.JIRA_PROJECT_KEY || null,
+    issueTypes: {
+      epic: 'Epic',
+      story: 'Story'
+    },
+    // Issue fields the plan is written to; null leaves a value out
+    fields: {
+      // "parent" for team-managed projects and recent Jira Cloud; an Epic Link custom field id otherwise
+      epicLink: 'parent',
+      storyPoints: process.env.JIRA_STORY_POINTS_FIELD || 'customfield_10016',
+      // Sprint custom field; when null, sprints become labels such as sprint-1
+      sprint: process.env.JIRA_SPRINT_FIELD || null
+    },
+    // Jira sprint ids by plan sprint number, e.g. { 1: 37 }; needed when fields.sprint is set
+    sprintIds: {}
+  },
+
+  linear: {
+    apiUrl: process.env.LINEAR_API_URL || 'https://api.linear.app/graphql',
+    apiKey: process.env.LINEAR_API_KEY || null,
+    teamId: process.env.LINEAR_TEAM_ID || null,
+    // IssueCreateInput fields the plan is written to; null leaves a value out
+    fields: {
+      storyPoints: 'estimate',
+      sprint: 'cycleId'
+    },
+    // Linear cycle ids by plan sprint number, e.g. { 1: 'c0ffee...' }
+    cycleIds: {}
+  },
+
+  // Columns of CSV and JSON exports, in order: header and plan field
+  // (type, storyId, epic, title, description, acceptanceCriteria, tasks, storyPoints, role, sprint)
+  columns: [
+    { header: 'Issue Type', field: 'type' },
+    { header: 'Issue Id', field: 'storyId' },
+    { header: 'Summary', field: 'title' },
+    { header: 'Description', field: 'description' },
+    { header: 'Epic', field: 'epic' },
+    { header: 'Acceptance Criteria', field: 'acceptanceCriteria' },
+    { header: 'Tasks', field: 'tasks' },
+    { header: 'Story Points', field: 'storyPoints' },
+    { header: 'Suggested Assignee', field: 'role' },
+    { header: 'Sprint', field: 'sprint' }
+  ],
+
+  timeoutMs: 30000,
+
+  // When true every tracker export is a dry run, whatever the request asks for
+  dryRun: process.env.PLAN_EXPORT_DRY_RUN === 'true'
+};
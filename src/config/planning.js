@@ -0,0 +1,16 @@
+/**
+ * Planning Configuration
+ * Sprint scheduling limits (see utils/sprintScheduler.js). Stories are
+ * packed into sprints using the velocity and availability of the project's
+ * registered team (see services/teamRegistry.js).
+ */
+
+module.exports = {
+  scheduling: {
+    // Stories that do not fit within this many sprints are reported as unassignable
+    maxSprints: 12,
+    sprintLengthWeeks: 2,
+    // Story points per sprint for a project with no registered team
+    defaultSprintCapacity: 20
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Zoho Creator Export Configuration
+ * OAuth client settings and the Creator API endpoints that generated Deluge
+ * code is pushed to (see services/zohoExporter.js). Point
+ * ZOHO_CREATOR_API_URL at a local stub server to test exports end to end.
+ */
+
+module.exports = {
+  oauth: {
+    clientId: process.env.ZOHO_CLIENT_ID || null,
+    clientSecret: process.env.ZOHO_CLIENT_SECRET || null,
+    redirectUri: process.env.ZOHO_REDIRECT_URI || `http://localhost:${process.env.PORT || 3000}/api/zoho/callback`,
+    // Default accounts server; Zoho names the user's data-centre server on the callback
+    accountsUrl: process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.com',
+    scopes: (process.env.ZOHO_SCOPES || 'ZohoCreator.meta.application.READ,ZohoCreator.meta.application.UPDATE').split(',')
+  },
+
+  api: {
+    baseUrl: process.env.ZOHO_CREATOR_API_URL || 'https://creator.zoho.com/api/v2',
+    timeoutMs: 30000,
+    // Collection paths per target type; updates PUT to <path>/<name>
+    paths: {
+      function: '/:owner/:app/functions',
+      workflow: '/:owner/:app/workflows'
+    }
+  },
+
+  // When true every export is a dry run, whatever the request asks for
+  dryRun: process.env.ZOHO_EXPORT_DRY_RUN === 'true',
+
+  // Refresh access tokens this long before Zoho expires them
+  tokenRefreshMarginMs: 60 * 1000
+};
@@ -2,24 +2,58 @@ const express = require('express');
 const router = express.Router();
 const aiOrchestrator = require('../services/aiOrchestrator');
 const driveService = require('../utils/googleDriveService');
+const responseCache = require('../services/responseCache');
+const llmClient = require('../services/llmClient');
+const cacheConfig = require('../config/cache');
+const { initEventStream, writeEvent } = require('../utils/sse');
+
+/**
+ * Only allow configured cache administrators through
+ */
+function requireCacheAdmin(req, res, next) {
+  const emails = (req.user.emails || []).map(entry => String(entry.value).toLowerCase());
+  if (emails.some(email => cacheConfig.adminEmails.includes(email))) return next();
+  res.status(403).json({ error: 'Only cache administrators can clear the response cache' });
+}
 
 /**
  * @route POST /api/ai/process
- * @desc Process a task using the appropriate AI model
- * @access Public
+ * @desc Process a task using the appropriate AI model.
+ *       Send { stream: true } to receive token/done/error Server-Sent Events.
+ * @access Private
  */
 router.post('/process', async (req, res) => {
   try {
-    const { task, context } = req.body;
+    const { task, context, stream } = req.body;
     
     if (!task) {
       return res.status(400).json({ error: 'Task is required' });
     }
     
-    const result = await aiOrchestrator.processTask(task, context || {});
+    // Charge the signed-in user's budget for the task
+    const principal = { userId: req.user.id };
+    
+    if (stream) {
+      initEventStream(res);
+      const result = await aiOrchestrator.processTask(task, context || {}, {
+        onToken: text => writeEvent(res, 'token', { text }),
+        principal
+      });
+      writeEvent(res, 'done', result);
+      return res.end();
+    }
+    
+    const result = await aiOrchestrator.processTask(task, context || {}, { principal });
     res.json(result);
   } catch (error) {
     console.error('Error processing AI task:', error);
+    if (res.headersSent) {
+      writeEvent(res, 'error', { error: error.message, code: error.code });
+      return res.end();
+    }
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -27,7 +61,7 @@ router.post('/process', async (req, res) => {
 /**
  * @route POST /api/ai/save
  * @desc Save AI result to Google Drive
- * @access Public
+ * @access Private
  */
 router.post('/save', async (req, res) => {
   try {
@@ -61,10 +95,14 @@ router.post('/save', async (req, res) => {
 
 /**
  * @route POST /api/ai/analyze-complexity
- * @desc Analyze the complexity of a task without processing it
- * @access Public
+ * @desc Analyze the complexity of a task without processing it.
+ *       Cached per task and current thresholds; send Cache-Control: no-cache to bypass.
+ * @access Private
  */
-router.post('/analyze-complexity', async (req, res) => {
+router.post('/analyze-complexity', responseCache.route('analyzeComplexity', req => ({
+  prompt: { task: req.body.task, thresholds: aiOrchestrator.thresholds },
+  model: 'complexity-scorer'
+})), async (req, res) => {
   try {
     const { task } = req.body;
     
@@ -87,7 +125,7 @@ router.post('/analyze-complexity', async (req, res) => {
 /**
  * @route PUT /api/ai/thresholds
  * @desc Update the thresholds for model selection
- * @access Public
+ * @access Private
  */
 router.put('/thresholds', (req, res) => {
   try {
@@ -106,20 +144,62 @@ router.put('/thresholds', (req, res) => {
 });
 
 /**
- * Helper function to get model recommendation based on complexity score
+ * @route GET /api/ai/providers
+ * @desc Registered providers with their models, circuit breaker status and current request load
+ * @access Private
+ */
+router.get('/providers', (req, res) => {
+  const health = aiOrchestrator.router.getProviderHealth();
+  const load = llmClient.getStats();
+  res.json({
+    fallbackOrder: aiOrchestrator.router.fallbackOrder,
+    providers: aiOrchestrator.providerRegistry.list().map(provider => ({
+      ...provider,
+      circuit: health[provider.name],
+      load: load[provider.name] || null
+    }))
+  });
+});
+
+/**
+ * @route GET /api/ai/cache
+ * @desc Response cache statistics
+ * @access Private
+ */
+router.get('/cache', (req, res) => {
+  res.json(responseCache.getStats());
+});
+
+/**
+ * @route DELETE /api/ai/cache
+ * @desc Clear the response cache, or one namespace of it (?namespace=codeExplain)
+ * @access Cache administrators
+ */
+router.delete('/cache', requireCacheAdmin, async (req, res) => {
+  try {
+    await responseCache.clear(req.query.namespace || '');
+    res.json({ message: 'Response cache cleared' });
+  } catch (error) {
+    console.error('Error clearing response cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Helper function to get model recommendation based on complexity score.
+ * Resolves the tier through the provider registry so the model IDs come
+ * from the shared model configuration.
  */
 function getModelRecommendation(complexityScore) {
-  const thresholds = aiOrchestrator.thresholds;
+  const score = typeof complexityScore === 'object' ? complexityScore.score : complexityScore;
+  const tier = aiOrchestrator.router.selectTier(score);
+  const target = aiOrchestrator.providerRegistry.resolveTier(tier);
   
-  if (complexityScore <= thresholds.simple) {
-    return { model: 'gemini-1.5-flash', tier: 'simple' };
-  } else if (complexityScore <= thresholds.medium) {
-    return { model: 'gemini-1.5-pro', tier: 'medium' };
-  } else if (complexityScore <= thresholds.complex) {
-    return { model: 'claude-3-haiku/sonnet', tier: 'complex' };
-  } else {
-    return { model: 'claude-3-opus', tier: 'very-complex' };
-  }
+  return {
+    model: target.model.id,
+    provider: target.provider.name,
+    tier
+  };
 }
 
 module.exports = router;
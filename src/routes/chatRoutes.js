@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const driveService = require('../utils/googleDriveService');
+const ChatSession = require('../services/chatSession');
+const sessionStore = require('../services/sessionStore');
+const aiService = require('../services/aiOrchestrator');
+const { initEventStream, writeEvent } = require('../utils/sse');
+
+/**
+ * @route POST /api/chat/start
+ * @desc Start a new chat session
+ * @access Private
+ */
+router.post('/start', async (req, res) => {
+  try {
+    const session = new ChatSession(req.user.id);
+    await session.initialize();
+    res.json({ sessionId: session.sessionId });
+  } catch (error) {
+    console.error('Error starting chat session:', error);
+    res.status(500).json({ error: 'Failed to start chat session' });
+  }
+});
+
+/**
+ * @route POST /api/chat/message
+ * @desc Send a chat message; with stream=true the reply is relayed as Server-Sent Events
+ * @access Private
+ */
+router.post('/message', [
+  // Not HTML-escaped: agents need code verbatim, and replies are sanitized when rendered
+  body('message').trim().isLength({ min: 1 }),
+  body('sessionId').optional().isString(),
+  body('stream').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Handle file uploads
+    const attachments = [];
+    if (req.files && req.files.attachment) {
+      const file = req.files.attachment;
+      const fileId = await driveService.createFile(
+        file.name,
+        file.data,
+        file.mimetype,
+        `projectcrew-ai/chats/${req.user.id}/${req.body.sessionId || 'default'}`,
+        'Uploaded via Projectcrew AI Platform'
+      );
+      attachments.push({ name: file.name, id: fileId });
+    }
+    
+    const { message, sessionId } = req.body;
+    
+    // Streaming mode: relay tokens as Server-Sent Events, then the full result
+    if (String(req.body.stream) === 'true') {
+      initEventStream(res);
+      const result = await aiService.processChatMessage(
+        req.user.id,
+        sessionId,
+        message,
+        [],
+        { onToken: text => writeEvent(res, 'token', { text }) }
+      );
+      writeEvent(res, 'done', { ...result, attachments });
+      return res.end();
+    }
+    
+    const result = await aiService.processChatMessage(
+      req.user.id,
+      sessionId,
+      message
+    );
+    
+    res.json({ ...result, attachments });
+  } catch (error) {
+    console.error('Error processing chat message:', error);
+    if (res.headersSent) {
+      writeEvent(res, 'error', { error: error.message });
+      return res.end();
+    }
+    res.status(500).json({ 
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * @route GET /api/chat/history
+ * @desc Paginated history, newest page first: pass nextCursor back as `before` for older messages
+ * @access Private
+ */
+router.get('/history', [
+  query('sessionId').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('before').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const session = new ChatSession(req.user.id, req.query.sessionId);
+    await session.initialize();
+    const page = await session.getHistoryPage({
+      limit: req.query.limit || 50,
+      before: req.query.before || null
+    });
+    res.json({
+      history: page.messages,
+      sessionId: session.sessionId,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error retrieving chat history:', error);
+    res.status(500).json({ error: 'Failed to retrieve chat history' });
+  }
+});
+
+/**
+ * @route GET /api/chat/sessions
+ * @desc List the user's chat sessions, most recently active first
+ * @access Private
+ */
+router.get('/sessions', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('before').optional().isString(),
+  query('archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = await sessionStore.listSessions(req.user.id, {
+      limit: req.query.limit || 20,
+      before: req.query.before || null,
+      archived: req.query.archived || false
+    });
+    res.json(page);
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error listing chat sessions:', error);
+    res.status(500).json({ error: 'Failed to list chat sessions' });
+  }
+});
+
+/**
+ * @route PATCH /api/chat/sessions/:sessionId
+ * @desc Rename and/or archive a chat session
+ * @access Private
+ */
+router.patch('/sessions/:sessionId', [
+  param('sessionId').isString(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 120 }),
+  body('archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { title, archived } = req.body;
+  if (title === undefined && archived === undefined) {
+    return res.status(400).json({ error: 'Provide a title or archived flag to update' });
+  }
+
+  try {
+    const session = await sessionStore.updateSession(req.user.id, req.params.sessionId, { title, archived });
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    res.json({ session });
+  } catch (error) {
+    console.error('Error updating chat session:', error);
+    res.status(500).json({ error: 'Failed to update chat session' });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/sessions/:sessionId
+ * @desc Permanently delete a chat session and its messages
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const deleted = await sessionStore.deleteSession(req.user.id, req.params.sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    res.status(500).json({ error: 'Failed to delete chat session' });
+  }
+});
+
+/**
+ * @route GET /api/chat/search
+ * @desc Full-text search across the user's messages
+ * @access Private
+ */
+router.get('/search', [
+  query('q').isString().trim().isLength({ min: 2, max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const results = await sessionStore.searchMessages(req.user.id, req.query.q, {
+      limit: req.query.limit || 20
+    });
+    res.json({ query: req.query.q, results });
+  } catch (error) {
+    console.error('Error searching chat history:', error);
+    res.status(500).json({ error: 'Failed to search chat history' });
+  }
+});
+
+/**
+ * @route POST /api/chat/export
+ * @desc Archive a chat session to Google Drive
+ * @access Private
+ */
+router.post('/export', [
+  body('sessionId').isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const session = new ChatSession(req.user.id, req.body.sessionId);
+    await session.initialize();
+    if (session.sessionId !== req.body.sessionId) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+    const fileId = await session.exportToDrive();
+    res.json({ success: true, fileId, sessionId: session.sessionId });
+  } catch (error) {
+    console.error('Error exporting chat session:', error);
+    res.status(500).json({ error: 'Failed to export chat session' });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,9 @@ router.post('/generate', async (req, res) => {
     const generatedCode = await codeGenerationAgent.generateCode(requirements, context || {});
     res.json({ code: generatedCode });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in code generation route:', error);
     res.status(500).json({ error: 'Failed to generate code' });
   }
@@ -34,9 +37,35 @@ router.post('/improve', async (req, res) => {
     const improvedCode = await codeGenerationAgent.improveCode(code, requirements || '');
     res.json({ code: improvedCode });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in code improvement route:', error);
     res.status(500).json({ error: 'Failed to improve code' });
   }
 });
 
+// Route to generate a test suite for existing JavaScript or Deluge code
+router.post('/tests', async (req, res) => {
+  try {
+    const { code, language, requirements } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code to test is required' });
+    }
+    
+    const tests = await codeGenerationAgent.generateTests(code, { language, requirements: requirements || '' });
+    res.json({ tests });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
+    if (error.code === 'UNSUPPORTED_TEST_LANGUAGE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Error in test generation route:', error);
+    res.status(500).json({ error: 'Failed to generate tests' });
+  }
+});
+
 module.exports = router;
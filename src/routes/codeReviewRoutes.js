@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const CodeReviewAgent = require('../agents/codeReviewAgent');
+const { applyPatches } = require('../utils/patchApplier');
 
 // Initialize agent
 const codeReviewAgent = new CodeReviewAgent(process.env.ANTHROPIC_API_KEY);
 
+// Diff and patch errors the client can fix
+const DIFF_ERROR_STATUS = {
+  INVALID_DIFF: 400,
+  DIFF_TOO_LARGE: 413,
+  PATCH_INVALID: 400,
+  PATCH_CONFLICT: 409
+};
+
 // Route to review code
 router.post('/review', async (req, res) => {
   try {
@@ -21,11 +30,41 @@ router.post('/review', async (req, res) => {
     const review = await codeReviewAgent.reviewCode(code, language, requirements || {});
     res.json({ review });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in code review route:', error);
     res.status(500).json({ error: 'Failed to review code' });
   }
 });
 
+// Route to review a unified diff file by file; files optionally maps paths to full new contents
+router.post('/review-diff', async (req, res) => {
+  try {
+    const { diff, requirements, files } = req.body;
+    
+    if (!diff || typeof diff !== 'string') {
+      return res.status(400).json({ error: 'A unified diff is required' });
+    }
+    if (files !== undefined && (typeof files !== 'object' || files === null || Array.isArray(files))) {
+      return res.status(400).json({ error: 'files must map file paths to their contents' });
+    }
+    
+    const review = await codeReviewAgent.reviewDiff(diff, { requirements: requirements || {}, files: files || {} });
+    res.json({ review });
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
+    console.error('Error in diff review route:', error);
+    const status = DIFF_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to review diff' });
+  }
+});
+
 // Route to suggest improvements
 router.post('/suggest-improvements', async (req, res) => {
   try {
@@ -42,9 +81,36 @@ router.post('/suggest-improvements', async (req, res) => {
     const suggestions = await codeReviewAgent.suggestImprovements(code, language, context || {});
     res.json({ suggestions });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in improvement suggestions route:', error);
     res.status(500).json({ error: 'Failed to suggest improvements' });
   }
 });
 
+// Route to apply suggested patches (see /suggest-improvements) and return the fully patched code
+router.post('/apply-patch', (req, res) => {
+  try {
+    const { code, patch, patches } = req.body;
+    const list = patches === undefined ? [patch] : patches;
+    
+    if (typeof code !== 'string') {
+      return res.status(400).json({ error: 'The original code is required' });
+    }
+    if (!Array.isArray(list) || list.length === 0 || !list.every(item => typeof item === 'string' && item.trim())) {
+      return res.status(400).json({ error: 'A patch, or a list of patches, is required' });
+    }
+    
+    res.json({ code: applyPatches(code, list), applied: list.length });
+  } catch (error) {
+    const status = DIFF_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code, patchIndex: error.patchIndex });
+    }
+    console.error('Error in apply patch route:', error);
+    res.status(500).json({ error: 'Failed to apply patch' });
+  }
+});
+
 module.exports = router;
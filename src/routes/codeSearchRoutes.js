@@ -1,29 +1,165 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
 const CodeSearchAgent = require('../agents/codeSearchAgent');
+const codeIndexer = require('../services/codeIndexer');
+const responseCache = require('../services/responseCache');
+const { isDegraded } = require('../utils/structuredOutput');
 
 // Initialize agent
 const codeSearchAgent = new CodeSearchAgent(process.env.ANTHROPIC_API_KEY);
 
-// Route to search code based on natural language query
+// HTTP status for code index and budget errors the client can act on
+const INDEX_ERROR_STATUS = {
+  CODE_INDEX_NOT_FOUND: 404,
+  CODE_INDEX_PATH_NOT_ALLOWED: 403,
+  CODE_INDEX_PATH_NOT_FOUND: 400,
+  CODE_INDEX_NOT_REFRESHABLE: 400,
+  INVALID_CODE_INDEX_SOURCE: 400,
+  UNSUPPORTED_ARCHIVE: 400,
+  INVALID_ARCHIVE: 400,
+  BUDGET_EXCEEDED: 429
+};
+
+function sendError(res, error, message) {
+  const status = INDEX_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// Route to index code: a JSON source ({ type: 'path', path } or { type: 'drive', folderId }),
+// or an uploaded archive in the "archive" field
+router.post('/indexes', async (req, res) => {
+  const archive = req.files && req.files.archive;
+  
+  try {
+    let source;
+    if (archive) {
+      source = { type: 'archive', filePath: archive.tempFilePath, fileName: archive.name };
+    } else {
+      source = req.body.source || {};
+      if (source.type === 'path' && !source.path) {
+        return res.status(400).json({ error: 'A path is required to index a local checkout' });
+      }
+      if (source.type === 'drive' && !source.folderId) {
+        return res.status(400).json({ error: 'A folderId is required to index a Drive folder' });
+      }
+      if (source.type !== 'path' && source.type !== 'drive') {
+        return res.status(400).json({ error: 'Upload an archive, or give a source of type "path" or "drive"' });
+      }
+    }
+    
+    const index = await codeIndexer.createIndex({
+      name: req.body.name,
+      source,
+      createdBy: req.user ? req.user.id : null
+    });
+    res.status(201).json({ index });
+  } catch (error) {
+    console.error('Error in code index route:', error);
+    sendError(res, error, 'Failed to index code');
+  } finally {
+    if (archive && archive.tempFilePath) {
+      fs.promises.unlink(archive.tempFilePath).catch(() => {});
+    }
+  }
+});
+
+// Route to list code indexes, most recently updated first
+router.get('/indexes', async (req, res) => {
+  try {
+    const indexes = await codeIndexer.listIndexes();
+    res.json({ indexes });
+  } catch (error) {
+    console.error('Error listing code indexes:', error);
+    sendError(res, error, 'Failed to list code indexes');
+  }
+});
+
+router.get('/indexes/:indexId', async (req, res) => {
+  try {
+    const index = await codeIndexer.getIndex(req.params.indexId);
+    if (!index) {
+      return res.status(404).json({ error: 'Code index not found' });
+    }
+    res.json({ index });
+  } catch (error) {
+    console.error('Error getting code index:', error);
+    sendError(res, error, 'Failed to get code index');
+  }
+});
+
+// Route to re-read an index's path or Drive source
+router.post('/indexes/:indexId/refresh', async (req, res) => {
+  try {
+    const index = await codeIndexer.refreshIndex(req.params.indexId);
+    res.json({ index });
+  } catch (error) {
+    console.error('Error refreshing code index:', error);
+    sendError(res, error, 'Failed to refresh code index');
+  }
+});
+
+router.delete('/indexes/:indexId', async (req, res) => {
+  try {
+    const deleted = await codeIndexer.deleteIndex(req.params.indexId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Code index not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting code index:', error);
+    sendError(res, error, 'Failed to delete code index');
+  }
+});
+
+// Route to retrieve matching chunks without asking the model
+router.post('/retrieve', async (req, res) => {
+  try {
+    const { query, indexId, topK } = req.body;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    
+    const index = await codeIndexer.resolveIndex(indexId);
+    const chunks = await codeIndexer.search(index.indexId, query, { topK });
+    res.json({ indexId: index.indexId, chunks });
+  } catch (error) {
+    console.error('Error in code retrieval route:', error);
+    sendError(res, error, 'Failed to retrieve code');
+  }
+});
+
+// Route to search indexed code based on natural language query (indexId defaults to the latest index)
 router.post('/search', async (req, res) => {
   try {
-    const { query, context } = req.body;
+    const { query, context, indexId, topK } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
-    const searchResults = await codeSearchAgent.searchCode(query, context || {});
+    const searchContext = { ...(context || {}) };
+    if (indexId) searchContext.indexId = indexId;
+    if (topK) searchContext.topK = topK;
+    
+    const searchResults = await codeSearchAgent.searchCode(query, searchContext);
     res.json({ results: searchResults });
   } catch (error) {
     console.error('Error in code search route:', error);
-    res.status(500).json({ error: 'Failed to search code', message: error.message });
+    sendError(res, error, 'Failed to search code');
   }
 });
 
-// Route to get code explanation
-router.post('/explain', async (req, res) => {
+// Route to get code explanation (cached: teams often ask about the same snippet)
+router.post('/explain', responseCache.route('codeExplain', req => ({
+  prompt: { code: req.body.code, language: req.body.language || 'javascript', context: req.body.context || {} },
+  model: codeSearchAgent.model,
+  temperature: codeSearchAgent.modelSettings.temperature
+})), async (req, res) => {
   try {
     const { code, language, context } = req.body;
     
@@ -32,10 +168,14 @@ router.post('/explain', async (req, res) => {
     }
     
     const explanation = await codeSearchAgent.explainCode(code, language || 'javascript', context || {});
+    if (isDegraded(explanation)) {
+      // Let the next request try the model again
+      res.set('Cache-Control', 'no-store');
+    }
     res.json({ explanation });
   } catch (error) {
     console.error('Error in code explanation route:', error);
-    res.status(500).json({ error: 'Failed to explain code', message: error.message });
+    sendError(res, error, 'Failed to explain code');
   }
 });
 
@@ -56,7 +196,7 @@ router.post('/generate', async (req, res) => {
     res.json({ code: generatedCode });
   } catch (error) {
     console.error('Error in code generation route:', error);
-    res.status(500).json({ error: 'Failed to generate code', message: error.message });
+    sendError(res, error, 'Failed to generate code');
   }
 });
 
@@ -17,6 +17,9 @@ router.post('/update', async (req, res) => {
     const updatedDocument = await documentationAgent.updateDocument(document, changes, context || {});
     res.json({ updatedDocument });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in documentation update route:', error);
     res.status(500).json({ error: 'Failed to update documentation' });
   }
@@ -34,6 +37,9 @@ router.post('/generate', async (req, res) => {
     const documentation = await documentationAgent.generateDocumentation(topic, details, format || 'markdown');
     res.json({ documentation });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in documentation generation route:', error);
     res.status(500).json({ error: 'Failed to generate documentation' });
   }
@@ -17,6 +17,9 @@ router.post('/extract', async (req, res) => {
     const actionItems = await meetingActionItemAgent.extractActionItems(transcript, context || {});
     res.json({ actionItems });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in action item extraction route:', error);
     res.status(500).json({ error: 'Failed to extract action items' });
   }
@@ -34,6 +37,9 @@ router.post('/summarize', async (req, res) => {
     const summary = await meetingActionItemAgent.summarizeMeeting(transcript, context || {});
     res.json({ summary });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in meeting summary route:', error);
     res.status(500).json({ error: 'Failed to summarize meeting' });
   }
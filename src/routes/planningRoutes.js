@@ -2,24 +2,76 @@ const express = require('express');
 const router = express.Router();
 const PlanningAgent = require('../agents/planningAgent');
 const driveService = require('../utils/googleDriveService');
+const taskBoard = require('../services/taskBoard');
+const planExporter = require('../services/planExporter');
+const planHistory = require('../services/planHistory');
+const teamRegistry = require('../services/teamRegistry');
+const projectTimeline = require('../services/projectTimeline');
+const { isDegraded } = require('../utils/structuredOutput');
 
 // Initialize agent
 const planningAgent = new PlanningAgent(process.env.ANTHROPIC_API_KEY);
 
+// HTTP status for plan, team, timeline, task board, export and budget errors the client can act on
+const PLAN_ERROR_STATUS = {
+  PLAN_NOT_FOUND: 404,
+  PLAN_INVALID: 400,
+  PLAN_VERSION_NOT_FOUND: 404,
+  TEAM_MEMBER_INVALID: 400,
+  TEAM_MEMBER_NOT_FOUND: 404,
+  TIMELINE_CHART_NOT_FOUND: 404,
+  TASK_INVALID: 400,
+  TASK_NOT_FOUND: 404,
+  TASK_TRANSITION_INVALID: 409,
+  PLAN_EXPORT_INVALID: 400,
+  PLAN_EXPORT_NOT_CONFIGURED: 503,
+  PLAN_EXPORT_FAILED: 502,
+  BUDGET_EXCEEDED: 429
+};
+
+function sendError(res, error, message) {
+  const status = PLAN_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      code: error.code,
+      problems: error.problems,
+      allowed: error.allowed,
+      created: error.created,
+      budget: error.budget
+    });
+  }
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// Calendar dates as YYYY-MM-DD, e.g. the day sprint 1 starts
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const day = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === value;
+}
+
 // Route to generate tasks from project summary
 router.post('/generate-tasks', async (req, res) => {
   try {
-    const { projectSummary, projectName } = req.body;
+    const { projectSummary, projectName, importToBoard, startDate } = req.body;
     
     if (!projectSummary) {
       return res.status(400).json({ error: 'Project summary is required' });
     }
+    if (startDate !== undefined && !isDate(startDate)) {
+      return res.status(400).json({ error: 'Start date must be a date as YYYY-MM-DD' });
+    }
     
-    const tasks = await planningAgent.generateTasks(projectSummary, projectName || 'Project');
+    const tasks = await planningAgent.generateTasks(projectSummary, projectName || 'Project', { startDate });
+    if (importToBoard && !isDegraded(tasks)) {
+      const { created, updated } = await taskBoard.importPlan(projectName || 'Project', tasks);
+      return res.json({ tasks, board: { created, updated } });
+    }
     res.json({ tasks });
   } catch (error) {
     console.error('Error in task generation route:', error);
-    res.status(500).json({ error: 'Failed to generate tasks' });
+    sendError(res, error, 'Failed to generate tasks');
   }
 });
 
@@ -52,4 +104,322 @@ router.get('/tasks/:fileName', async (req, res) => {
   }
 });
 
+// Route to revise the project's current plan (or the plan given) to follow
+// a change request; the result is saved as a new version with its diff
+router.post('/refine', async (req, res) => {
+  try {
+    const { project, changeRequest, plan } = req.body;
+    
+    if (!project) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+    if (!changeRequest) {
+      return res.status(400).json({ error: 'Change request is required' });
+    }
+    
+    const result = await planningAgent.refinePlan(project, changeRequest, { plan: plan || null });
+    res.json({ result });
+  } catch (error) {
+    console.error('Error refining plan:', error);
+    sendError(res, error, 'Failed to refine plan');
+  }
+});
+
+// Route to list the versions of a project's plan, newest first
+router.get('/plans/:project/versions', async (req, res) => {
+  try {
+    const versions = await planHistory.listVersions(req.params.project);
+    res.json({ versions });
+  } catch (error) {
+    console.error('Error listing plan versions:', error);
+    sendError(res, error, 'Failed to list plan versions');
+  }
+});
+
+router.get('/plans/:project/versions/:version', async (req, res) => {
+  try {
+    const version = await planHistory.getVersion(req.params.project, Number(req.params.version));
+    res.json({ version });
+  } catch (error) {
+    console.error('Error getting plan version:', error);
+    sendError(res, error, 'Failed to get plan version');
+  }
+});
+
+// Route to diff two plan versions; "to" defaults to the latest version
+router.get('/plans/:project/compare', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    if (!from) {
+      return res.status(400).json({ error: 'The version to compare from is required' });
+    }
+    
+    const comparison = await planHistory.compareVersions(req.params.project, Number(from), to ? Number(to) : null);
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing plan versions:', error);
+    sendError(res, error, 'Failed to compare plan versions');
+  }
+});
+
+// Route to make an earlier version the current plan, saved as a new version
+router.post('/plans/:project/rollback', async (req, res) => {
+  try {
+    const { version } = req.body;
+    
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'The version to roll back to is required' });
+    }
+    
+    const restored = await planHistory.rollback(req.params.project, version);
+    res.json({ version: restored });
+  } catch (error) {
+    console.error('Error rolling back plan:', error);
+    sendError(res, error, 'Failed to roll back plan');
+  }
+});
+
+// Timeline options from a query string or body: milestones may repeat
+function timelineOptions({ milestones, startDate }) {
+  return {
+    milestones: milestones === undefined ? [] : [].concat(milestones),
+    startDate: isDate(startDate) ? startDate : null
+  };
+}
+
+// Route to get the timeline of a project's current plan, with its critical
+// path and the Gantt chart and dependency graph as Mermaid source
+router.get('/plans/:project/timeline', async (req, res) => {
+  try {
+    const result = await projectTimeline.getTimeline(req.params.project, timelineOptions(req.query));
+    res.json(result);
+  } catch (error) {
+    console.error('Error building plan timeline:', error);
+    sendError(res, error, 'Failed to build plan timeline');
+  }
+});
+
+// Route to render the Gantt chart (gantt.svg) or dependency graph (graph.svg) as SVG
+router.get('/plans/:project/timeline/:chart.svg', async (req, res) => {
+  try {
+    const svg = await projectTimeline.renderSvg(req.params.project, req.params.chart, timelineOptions(req.query));
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    console.error('Error rendering plan timeline:', error);
+    sendError(res, error, 'Failed to render plan timeline');
+  }
+});
+
+// Route to export a project's timeline to a Google Doc
+router.post('/plans/:project/timeline/export', async (req, res) => {
+  try {
+    const { document, timeline } = await projectTimeline.exportToDocs(req.params.project, timelineOptions(req.body));
+    res.json({ document, criticalPath: timeline.critical_path });
+  } catch (error) {
+    console.error('Error exporting plan timeline:', error);
+    sendError(res, error, 'Failed to export plan timeline');
+  }
+});
+
+// Route to schedule the project's current plan (or the plan given) into
+// sprints again from the team's capacity, e.g. after the team or start date changed
+router.post('/schedule', async (req, res) => {
+  try {
+    const { project, plan, startDate } = req.body;
+    
+    if (!project) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+    if (startDate !== undefined && !isDate(startDate)) {
+      return res.status(400).json({ error: 'Start date must be a date as YYYY-MM-DD' });
+    }
+    
+    const result = await planningAgent.reschedulePlan(project, { plan: plan || null, startDate });
+    res.json({ result });
+  } catch (error) {
+    console.error('Error scheduling plan:', error);
+    sendError(res, error, 'Failed to schedule plan');
+  }
+});
+
+// Route to list the team a project's plans are scheduled for
+router.get('/team', async (req, res) => {
+  try {
+    const members = await teamRegistry.listMembers(req.query.project);
+    res.json({ members });
+  } catch (error) {
+    console.error('Error listing team members:', error);
+    sendError(res, error, 'Failed to list team members');
+  }
+});
+
+// Route to register a team member with their role, skills, velocity and availability
+router.post('/team/members', async (req, res) => {
+  try {
+    const { project, ...fields } = req.body;
+    const member = await teamRegistry.addMember(project, fields);
+    res.status(201).json({ member });
+  } catch (error) {
+    console.error('Error adding team member:', error);
+    sendError(res, error, 'Failed to add team member');
+  }
+});
+
+router.patch('/team/members/:memberId', async (req, res) => {
+  try {
+    const member = await teamRegistry.updateMember(req.params.memberId, req.body);
+    res.json({ member });
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    sendError(res, error, 'Failed to update team member');
+  }
+});
+
+router.delete('/team/members/:memberId', async (req, res) => {
+  try {
+    await teamRegistry.removeMember(req.params.memberId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    sendError(res, error, 'Failed to remove team member');
+  }
+});
+
+// Route to import a plan onto the project's task board; without a plan,
+// the project's current plan is used
+router.post('/board/import', async (req, res) => {
+  try {
+    const { project } = req.body;
+    let { plan } = req.body;
+    
+    if (!project) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+    
+    if (!plan) {
+      plan = await planHistory.getCurrentPlan(project);
+    }
+    
+    const result = await taskBoard.importPlan(project, plan);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error importing plan to task board:', error);
+    sendError(res, error, 'Failed to import plan');
+  }
+});
+
+// Route to export a plan to Jira or Linear, or download it as a CSV or JSON
+// import file; without a plan, the project's current plan is used.
+// A dry run returns the exact tracker requests without sending them.
+router.post('/export', async (req, res) => {
+  try {
+    const { format, project, dryRun } = req.body;
+    let { plan } = req.body;
+    
+    if (!format) {
+      return res.status(400).json({ error: 'Export format is required' });
+    }
+    if (!plan && !project) {
+      return res.status(400).json({ error: 'A plan or a project with a saved plan is required' });
+    }
+    
+    if (!plan) {
+      plan = await planHistory.getCurrentPlan(project);
+    }
+    
+    if (format === 'csv' || format === 'json') {
+      const file = planExporter.toFile(plan, format);
+      const fileName = `${(project || 'plan').replace(/[^\w-]+/g, '_')}_plan.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.type(file.contentType).send(file.content);
+    }
+    
+    const result = await planExporter.export(plan, { format, dryRun: dryRun === true });
+    res.json(result);
+  } catch (error) {
+    console.error('Error exporting plan:', error);
+    sendError(res, error, 'Failed to export plan');
+  }
+});
+
+// Route to get a project's task board, grouped into status columns
+router.get('/board', async (req, res) => {
+  try {
+    if (!req.query.project) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+    
+    const board = await taskBoard.getBoard(req.query.project);
+    res.json({ board });
+  } catch (error) {
+    console.error('Error getting task board:', error);
+    sendError(res, error, 'Failed to get task board');
+  }
+});
+
+// Route to list a project's tasks, optionally by status, sprint or assignee
+router.get('/board/tasks', async (req, res) => {
+  try {
+    const { project, status, sprint, assignee } = req.query;
+    
+    if (!project) {
+      return res.status(400).json({ error: 'Project is required' });
+    }
+    
+    const tasks = await taskBoard.listTasks(project, {
+      status,
+      sprint: sprint === undefined ? undefined : Number(sprint),
+      assignee
+    });
+    res.json({ tasks });
+  } catch (error) {
+    console.error('Error listing board tasks:', error);
+    sendError(res, error, 'Failed to list tasks');
+  }
+});
+
+// Route to add a task to a project's board
+router.post('/board/tasks', async (req, res) => {
+  try {
+    const { project, ...fields } = req.body;
+    const task = await taskBoard.createTask(project, fields);
+    res.status(201).json({ task });
+  } catch (error) {
+    console.error('Error creating board task:', error);
+    sendError(res, error, 'Failed to create task');
+  }
+});
+
+router.get('/board/tasks/:taskId', async (req, res) => {
+  try {
+    const task = await taskBoard.getTask(req.params.taskId);
+    res.json({ task });
+  } catch (error) {
+    console.error('Error getting board task:', error);
+    sendError(res, error, 'Failed to get task');
+  }
+});
+
+// Route to edit a task or move it to another status column
+router.patch('/board/tasks/:taskId', async (req, res) => {
+  try {
+    const task = await taskBoard.updateTask(req.params.taskId, req.body);
+    res.json({ task });
+  } catch (error) {
+    console.error('Error updating board task:', error);
+    sendError(res, error, 'Failed to update task');
+  }
+});
+
+router.delete('/board/tasks/:taskId', async (req, res) => {
+  try {
+    await taskBoard.deleteTask(req.params.taskId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting board task:', error);
+    sendError(res, error, 'Failed to delete task');
+  }
+});
+
 module.exports = router;
@@ -26,6 +26,9 @@ router.post('/analyze', async (req, res) => {
     
     res.json({ analysis });
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, budget: error.budget });
+    }
     console.error('Error in project analysis route:', error);
     res.status(500).json({ error: 'Failed to analyze document' });
   }
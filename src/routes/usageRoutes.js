@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const usageLedger = require('../services/usageLedger');
+const budgetManager = require('../services/budgetManager');
+
+const PERIODS = ['day', 'month', 'all'];
+
+// Comma-separated emails allowed to change budgets
+const budgetAdmins = (process.env.BUDGET_ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Only allow configured budget administrators through
+ */
+function requireBudgetAdmin(req, res, next) {
+  const emails = (req.user.emails || []).map(entry => String(entry.value).toLowerCase());
+  if (emails.some(email => budgetAdmins.includes(email))) return next();
+  res.status(403).json({ error: 'Only budget administrators can change budgets' });
+}
+
+/**
+ * Read and validate the period query parameter
+ */
+function getPeriod(req) {
+  const period = req.query.period || 'month';
+  return PERIODS.includes(period) ? period : null;
+}
+
+/**
+ * @route GET /api/usage
+ * @desc Token and cost totals for the signed-in user, broken down by agent,
+ *       model and session, with the status of their budgets
+ * @query period - 'day', 'month' (default) or 'all'
+ * @access Private
+ */
+router.get('/', (req, res) => {
+  try {
+    const period = getPeriod(req);
+    if (!period) {
+      return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+
+    const filter = { userId: req.user.id, period };
+    res.json({
+      userId: req.user.id,
+      period,
+      totals: usageLedger.totals(filter),
+      byAgent: usageLedger.breakdown('agent', filter),
+      byModel: usageLedger.breakdown('model', filter),
+      bySession: usageLedger.breakdown('sessionId', filter),
+      budget: budgetManager.check(req.user.id)
+    });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+/**
+ * @route GET /api/usage/team
+ * @desc Totals for the signed-in user's team, broken down by member, agent and model
+ * @query period - 'day', 'month' (default) or 'all'
+ * @access Private
+ */
+router.get('/team', (req, res) => {
+  try {
+    const period = getPeriod(req);
+    if (!period) {
+      return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+
+    const teamId = budgetManager.teamFor(req.user.id);
+    if (!teamId) {
+      return res.status(404).json({ error: 'You are not a member of a team' });
+    }
+
+    const filter = { teamId, period };
+    res.json({
+      teamId,
+      period,
+      totals: usageLedger.totals(filter),
+      byUser: usageLedger.breakdown('userId', filter),
+      byAgent: usageLedger.breakdown('agent', filter),
+      byModel: usageLedger.breakdown('model', filter),
+      limits: budgetManager.getLimits('team', teamId)
+    });
+  } catch (error) {
+    console.error('Error getting team usage:', error);
+    res.status(500).json({ error: 'Failed to get team usage' });
+  }
+});
+
+/**
+ * @route GET /api/usage/budgets
+ * @desc Budget policy and the signed-in user's effective limits
+ * @access Private
+ */
+router.get('/budgets', (req, res) => {
+  const teamId = budgetManager.teamFor(req.user.id);
+  res.json({
+    policy: budgetManager.policy,
+    user: budgetManager.getLimits('user', req.user.id),
+    team: teamId ? { id: teamId, ...budgetManager.getLimits('team', teamId) } : null
+  });
+});
+
+/**
+ * @route PUT /api/usage/budgets
+ * @desc Set daily/monthly limits for a user, a team or a scope's defaults (omit id),
+ *       and optionally the exhaustion policy
+ * @body { scope, id, daily, monthly, members, onExhausted, downgradeTier }
+ * @access Budget administrators
+ */
+router.put('/budgets', requireBudgetAdmin, (req, res) => {
+  try {
+    const { scope, id, daily, monthly, members, onExhausted, downgradeTier } = req.body;
+    const response = {};
+
+    if (scope) {
+      response.limits = budgetManager.setBudget(scope, id || null, { daily, monthly, members });
+    }
+
+    if (onExhausted || downgradeTier) {
+      response.policy = budgetManager.setPolicy({ onExhausted, downgradeTier });
+    }
+
+    if (Object.keys(response).length === 0) {
+      return res.status(400).json({ error: 'Provide a scope with limits or a policy to update' });
+    }
+
+    res.json({ message: 'Budgets updated successfully', ...response });
+  } catch (error) {
+    console.error('Error updating budgets:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
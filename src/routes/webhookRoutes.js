@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const gitHostingConfig = require('../config/gitHosting');
+const pullRequestReviewer = require('../services/pullRequestReviewer');
+
+// HTTP status for webhook errors
+const ERROR_STATUS = {
+  UNKNOWN_GIT_HOST: 404,
+  WEBHOOK_NOT_CONFIGURED: 503,
+  WEBHOOK_SIGNATURE_INVALID: 401,
+  WEBHOOK_PAYLOAD_INVALID: 400
+};
+
+/**
+ * @route POST /api/webhooks/:provider
+ * @desc Pull request webhook from GitHub or GitLab; accepted events are reviewed in
+ *   the background and the review is posted back to the pull request
+ * @access Public (verified by the webhook signature or token)
+ */
+router.post('/:provider', express.raw({ type: '*/*', limit: gitHostingConfig.maxPayloadBytes }), (req, res) => {
+  try {
+    const { provider } = req.params;
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = pullRequestReviewer.receive(provider, req.headers, rawBody);
+
+    if (result.ignored) {
+      return res.json({ status: 'ignored', reason: result.ignored });
+    }
+
+    // Git hosts time out webhook deliveries long before a review finishes; failures are logged by the reviewer
+    pullRequestReviewer.reviewPullRequest(result.pullRequest).catch(() => {});
+
+    const { repository, number, headSha } = result.pullRequest;
+    res.status(202).json({ status: 'accepted', pullRequest: { repository, number, headSha } });
+  } catch (error) {
+    const status = ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error handling webhook:', error);
+    res.status(500).json({ error: 'Failed to handle webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const zohoAuth = require('../services/zohoAuth');
+const zohoExporter = require('../services/zohoExporter');
+
+// HTTP status for Zoho errors the client can act on
+const ERROR_STATUS = {
+  ZOHO_NOT_CONFIGURED: 503,
+  ZOHO_NOT_CONNECTED: 409,
+  ZOHO_AUTH_FAILED: 502,
+  ZOHO_EXPORT_INVALID: 400,
+  ZOHO_EXPORT_FAILED: 502
+};
+
+function sendError(res, error, message) {
+  const status = ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code, problems: error.problems });
+  }
+  res.status(500).json({ error: message, message: error.message });
+}
+
+/**
+ * @route GET /api/zoho/status
+ * @desc Whether Zoho export is configured and the signed-in user has connected Zoho
+ * @access Private
+ */
+router.get('/status', async (req, res) => {
+  try {
+    res.json(await zohoAuth.getStatus(req.user.id));
+  } catch (error) {
+    console.error('Error getting Zoho status:', error);
+    sendError(res, error, 'Failed to get Zoho status');
+  }
+});
+
+/**
+ * @route GET /api/zoho/connect
+ * @desc Redirect to Zoho's consent page to connect the user's account
+ * @access Private
+ */
+router.get('/connect', (req, res) => {
+  try {
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.zohoOAuthState = state;
+    res.redirect(zohoAuth.getAuthorizationUrl(state));
+  } catch (error) {
+    console.error('Error starting Zoho connection:', error);
+    sendError(res, error, 'Failed to connect Zoho');
+  }
+});
+
+/**
+ * @route GET /api/zoho/callback
+ * @desc OAuth redirect target: stores the user's credentials, then returns to the dashboard
+ * @access Private
+ */
+router.get('/callback', async (req, res) => {
+  const expectedState = req.session.zohoOAuthState;
+  delete req.session.zohoOAuthState;
+
+  if (req.query.error) {
+    return res.redirect(`/dashboard?zoho=${encodeURIComponent(req.query.error)}`);
+  }
+  if (!req.query.code || !expectedState || req.query.state !== expectedState) {
+    return res.status(400).json({ error: 'Invalid Zoho authorization response' });
+  }
+
+  try {
+    await zohoAuth.connect(req.user.id, req.query.code, req.query['accounts-server']);
+    res.redirect('/dashboard?zoho=connected');
+  } catch (error) {
+    console.error('Error completing Zoho connection:', error);
+    sendError(res, error, 'Failed to connect Zoho');
+  }
+});
+
+/**
+ * @route DELETE /api/zoho/connection
+ * @desc Revoke and forget the user's Zoho credentials
+ * @access Private
+ */
+router.delete('/connection', async (req, res) => {
+  try {
+    const disconnected = await zohoAuth.disconnect(req.user.id);
+    res.json({ disconnected });
+  } catch (error) {
+    console.error('Error disconnecting Zoho:', error);
+    sendError(res, error, 'Failed to disconnect Zoho');
+  }
+});
+
+/**
+ * @route POST /api/zoho/export
+ * @desc Push Deluge code to a Zoho Creator app as a custom function or workflow script
+ * @body code - Deluge code, or a reply containing it in a fenced block
+ * @body target - { type: 'function' | 'workflow', owner, app, name, ... } (see services/zohoExporter)
+ * @body overwrite - Update an existing script of the same name instead of creating one
+ * @body dryRun - Return the exact request without sending it
+ * @access Private
+ */
+router.post('/export', async (req, res) => {
+  try {
+    const { code, target, overwrite, dryRun } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    if (!target || typeof target !== 'object') {
+      return res.status(400).json({ error: 'An export target is required' });
+    }
+
+    const result = await zohoExporter.export(req.user.id, {
+      code,
+      target,
+      overwrite: overwrite === true,
+      dryRun: dryRun === true
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error exporting to Zoho:', error);
+    sendError(res, error, 'Failed to export to Zoho');
+  }
+});
+
+module.exports = router;
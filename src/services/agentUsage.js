@@ -0,0 +1,68 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const usageLedger = require('./usageLedger');
+const budgetManager = require('./budgetManager');
+
+/**
+ * Agent Usage
+ * Charges the agents' model calls to the user and chat session of the
+ * request being served. Agents are shared between requests, so the principal
+ * travels with the async call chain instead of through every agent method.
+ */
+
+const principals = new AsyncLocalStorage();
+
+/**
+ * Run a function with agent calls charged to a principal
+ * @param {Object} principal - { userId, sessionId }
+ * @param {Function} fn - Work to run
+ * @returns {*} - Whatever fn returns
+ */
+function runAs(principal, fn) {
+  return principals.run({ userId: null, sessionId: null, ...principal }, fn);
+}
+
+/**
+ * Express middleware charging the agent calls made by a request to the signed-in user
+ */
+function chargeRequestUser(req, res, next) {
+  runAs({ userId: req.user ? req.user.id : null }, next);
+}
+
+/**
+ * Principal agent calls are currently charged to
+ * @returns {Object} - { userId, sessionId }, both null outside a request
+ */
+function currentPrincipal() {
+  return principals.getStore() || { userId: null, sessionId: null };
+}
+
+/**
+ * Refuse an agent call once the current user's or team's budget is exhausted.
+ * Agents run a fixed model, so there is no cheaper tier to downgrade to.
+ * Calls made outside a signed-in request are checked against the system budget.
+ * @throws {Error} - BUDGET_EXCEEDED
+ */
+function checkBudget() {
+  const status = budgetManager.check(budgetManager.chargedUser(currentPrincipal().userId));
+  if (status.exhausted) {
+    throw budgetManager.exceededError(status);
+  }
+}
+
+/**
+ * Record an agent call in the usage ledger against the current principal
+ * @param {Object} call - { agent, provider, model, usage, costPer1KTokens }
+ * @returns {Object} - The ledger entry
+ */
+function recordUsage(call) {
+  const { sessionId } = currentPrincipal();
+  const userId = budgetManager.chargedUser(currentPrincipal().userId);
+  return usageLedger.record({
+    ...call,
+    userId,
+    teamId: budgetManager.teamFor(userId),
+    sessionId
+  });
+}
+
+module.exports = { runAs, chargeRequestUser, currentPrincipal, checkBudget, recordUsage };
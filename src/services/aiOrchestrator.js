@@ -4,6 +4,16 @@ const ComplexityScorer = require('./complexityScorer');
 const ReasoningAnalyzer = require('./reasoningAnalyzer');
 const ChatSession = require('./chatSession');
 const TaskDetector = require('./taskDetector');
+const DeepseekHandler = require('./deepseekHandler');
+const { ProviderRegistry, createProvider, extractText } = require('./providerRegistry');
+const usageLedger = require('./usageLedger');
+const { UsageLedger } = usageLedger;
+const budgetManager = require('./budgetManager');
+const agentUsage = require('./agentUsage');
+const conversationMemory = require('./conversationMemory');
+const CircuitBreaker = require('./circuitBreaker');
+const { classifyError } = require('../utils/providerErrors');
+const modelConfig = require('../config/modelConfig');
 
 /**
  * Task Analyzer
@@ -41,65 +51,262 @@ class TaskAnalyzer {
 
 /**
  * Task Router
- * Responsible for routing tasks to appropriate handlers
+ * Responsible for routing tasks to the provider registered for each tier,
+ * falling back to equivalent models on other providers, enforcing usage
+ * budgets, fitting chat history to each model and recording usage for every call
  */
 class TaskRouter {
-  constructor(handlers, thresholds) {
-    this.handlers = handlers;
+  constructor(registry, thresholds, { ledger = null, budgets = null, fallback = {}, memory = null } = {}) {
+    this.registry = registry;
     this.thresholds = thresholds;
-    this.fallbackOrder = ['claude', 'gemini', 'deepseek'];
+    this.ledger = ledger;
+    this.budgets = budgets;
+    this.memory = memory;
+    this.fallbackOrder = fallback.order || ['claude', 'gemini', 'deepseek'];
+    this.breakerOptions = fallback.circuitBreaker || {};
+    this.breakers = new Map();
   }
 
-  async routeTask(task, analysis, context) {
+  async routeTask(task, analysis, context, options = {}) {
     if (analysis.requiresStepwise) {
-      console.log('Routing to DeepSeek for reasoning task');
-      return {
-        result: await this.handlers.deepseek.processReasoningTask(task, context),
-        model: 'deepseek-r1'
-      };
+      return this.routeToTier('reasoning', task, context, options);
     }
     
-    return this.routeByComplexity(task, analysis.complexity, context);
+    return this.routeByComplexity(task, analysis.complexity, context, options);
   }
   
-  async routeByComplexity(task, complexity, context) {
+  async routeByComplexity(task, complexity, context, options = {}) {
+    return this.routeToTier(this.selectTier(complexity), task, context, options);
+  }
+
+  /**
+   * Map a complexity score onto a routing tier
+   * @param {Number} complexity - Task complexity score (0-100)
+   * @returns {String} - Tier name
+   */
+  selectTier(complexity) {
     if (complexity <= this.thresholds.simple) {
-      console.log('Routing to Gemini Flash');
-      return {
-        result: await this.handlers.gemini.processSimpleTask(task, context),
-        model: 'gemini-flash'
-      };
+      return 'simple';
     } else if (complexity <= this.thresholds.medium) {
-      console.log('Routing to Gemini Pro');
-      return {
-        result: await this.handlers.gemini.processTask(task, context),
-        model: 'gemini-pro'
-      };
+      return 'medium';
     } else if (complexity <= this.thresholds.complex) {
-      console.log('Routing to Claude Haiku/Sonnet');
-      return {
-        result: await this.handlers.claude.processTask(task, context),
-        model: 'claude-sonnet'
-      };
-    } else {
-      console.log('Routing to Claude Opus');
-      return {
-        result: await this.handlers.claude.processComplexTask(task, context),
-        model: 'claude-opus'
-      };
+      return 'complex';
     }
+    return 'veryComplex';
   }
-  
-  async routeWithFallback(task, analysis, context) {
-    try {
-      return await this.routeTask(task, analysis, context);
-    } catch (error) {
-      console.warn(`Primary model failed, falling back: ${error.message}`);
-      return {
-        result: await this.handlers.gemini.processSimpleTask(task, context),
-        model: 'gemini-flash-fallback'
-      };
+
+  /**
+   * Invoke the provider model registered for a tier. If it fails with an
+   * error worth retrying elsewhere, the closest equivalent model on each
+   * other provider is tried in fallbackOrder. Providers whose circuit is
+   * open are skipped without a request.
+   * @param {String} tier - Tier name
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @param {Object} options - Routing options
+   * @param {Function} options.onToken - Streams the response, called with each text chunk
+   * @param {Object} options.principal - { userId, sessionId, agent } charged for the call
+   * @param {Boolean} options.fallback - Set to false to only try the tier's own model
+   * @returns {Promise<Object>} - Handler result, model label and any failed attempts
+   */
+  async routeToTier(tier, task, context, options = {}) {
+    const budgetTier = this.applyBudget(tier, options.principal);
+    const primary = this.registry.resolveTier(budgetTier);
+    const chain = options.fallback === false
+      ? [primary]
+      : [primary, ...this.registry.findAlternatives(primary, this.fallbackOrder)];
+    console.log(`Routing ${tier} tier to ${primary.label}${options.onToken ? ' (streaming)' : ''}`);
+    
+    const failures = [];
+    for (const [index, target] of chain.entries()) {
+      const breaker = this.getBreaker(target.provider.name);
+      if (!breaker.canRequest()) {
+        console.warn(`Skipping ${target.label}: circuit open`);
+        failures.push({ model: target.label, type: 'circuit_open' });
+        continue;
+      }
+      
+      let streamStarted = false;
+      const onToken = options.onToken && (chunk => {
+        streamStarted = true;
+        options.onToken(chunk);
+      });
+      
+      try {
+        const result = await this.invokeTarget(target, task, context, { ...options, onToken });
+        breaker.recordSuccess();
+        
+        const routed = {
+          result,
+          model: index === 0 ? target.label : `${target.label}-fallback`
+        };
+        if (budgetTier !== tier) {
+          routed.downgradedFrom = tier;
+        }
+        if (failures.length > 0) {
+          routed.failures = failures;
+        }
+        return routed;
+      } catch (error) {
+        const classification = classifyError(error);
+        error.errorType = classification.type;
+        
+        if (classification.tripsBreaker) {
+          breaker.recordFailure(classification.type, classification.tripImmediately);
+        } else {
+          breaker.recordRejection();
+        }
+        
+        // Tokens already sent to the client cannot be taken back
+        if (!classification.fallback || streamStarted) {
+          throw error;
+        }
+        
+        console.warn(`${target.label} failed with ${classification.type} error: ${error.message}`);
+        failures.push({ model: target.label, type: classification.type, error: error.message });
+      }
+    }
+    
+    const error = new Error(`All providers failed for ${tier} tier: ${
+      failures.map(failure => `${failure.model} (${failure.type})`).join(', ')
+    }`);
+    error.code = 'PROVIDERS_EXHAUSTED';
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Call a single resolved target and record its usage
+   * @param {Object} target - Resolved tier target
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @param {Object} options - { onToken, principal }
+   * @returns {Promise<Object>} - Handler result
+   */
+  async invokeTarget(target, task, context, options = {}) {
+    context = this.fitHistory(target, context);
+    
+    if (!options.onToken) {
+      const result = await target.provider.invoke(target.modelKey, task, context);
+      this.recordUsage(target, task, result, options.principal);
+      return result;
+    }
+    
+    let content = '';
+    for await (const chunk of target.provider.stream(target.modelKey, task, context)) {
+      content += chunk;
+      options.onToken(chunk);
+    }
+    
+    const result = {
+      content,
+      model: target.model.id,
+      type: target.provider.name,
+      streamed: true
+    };
+    this.recordUsage(target, task, result, options.principal);
+    return result;
+  }
+
+  /**
+   * Build the chat history for a target from the conversation in the context:
+   * the rolling summary plus the recent turns that fit the model's history budget
+   * @param {Object} target - Resolved tier target
+   * @param {Object} context - Task context, optionally with conversation { summary, messages }
+   * @returns {Object} - Context with chatHistory set
+   */
+  fitHistory(target, context) {
+    if (!this.memory || !context || !context.conversation) {
+      return context;
+    }
+    
+    return {
+      ...context,
+      chatHistory: this.memory.buildHistory(context.conversation, this.memory.historyBudget(target.model))
+    };
+  }
+
+  /**
+   * Get the circuit breaker for a provider
+   * @param {String} name - Provider name
+   * @returns {CircuitBreaker}
+   */
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.breakerOptions));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Circuit breaker status of every registered provider
+   * @returns {Object} - Breaker status keyed by provider name
+   */
+  getProviderHealth() {
+    const health = {};
+    this.registry.list().forEach(({ name }) => {
+      health[name] = this.getBreaker(name).getStatus();
+    });
+    return health;
+  }
+
+  /**
+   * Apply the budget policy for the user a request is charged to. Requests
+   * without a signed-in user are charged to the system budget.
+   * @param {String} tier - Requested tier
+   * @param {Object} principal - { userId } charged for the call
+   * @returns {String} - Tier to route to (the downgrade tier once a budget is exhausted)
+   */
+  applyBudget(tier, principal = {}) {
+    if (!this.budgets) {
+      return tier;
     }
+    
+    const userId = this.budgets.chargedUser(principal.userId);
+    const status = this.budgets.check(userId);
+    if (!status.exhausted) {
+      return tier;
+    }
+    
+    if (this.budgets.policy.onExhausted === 'refuse') {
+      throw this.budgets.exceededError(status);
+    }
+    
+    const { downgradeTier } = this.budgets.policy;
+    if (tier !== downgradeTier) {
+      console.warn(`Budget exhausted for user ${userId}, downgrading ${tier} tier to ${downgradeTier}`);
+    }
+    return downgradeTier;
+  }
+
+  /**
+   * Record tokens and cost for a call, estimating when the provider did not report usage
+   * @param {Object} target - Resolved tier target
+   * @param {Object} task - The task that was sent
+   * @param {Object} result - Handler result
+   * @param {Object} principal - { userId, sessionId, agent } charged for the call
+   */
+  recordUsage(target, task, result, principal = {}) {
+    if (!this.ledger) return;
+    
+    const reported = result && result.usage;
+    const usage = reported || {
+      inputTokens: UsageLedger.estimateTokens(task && task.content !== undefined ? task.content : task),
+      outputTokens: UsageLedger.estimateTokens(extractText(result))
+    };
+    
+    const userId = this.budgets ? this.budgets.chargedUser(principal.userId) : principal.userId;
+    this.ledger.record({
+      userId,
+      teamId: this.budgets ? this.budgets.teamFor(userId) : null,
+      sessionId: principal.sessionId,
+      agent: principal.agent,
+      provider: target.provider.name,
+      model: target.model.id,
+      usage,
+      costPer1KTokens: target.model.costPer1KTokens,
+      estimated: !reported
+    });
   }
 }
 
@@ -112,27 +319,68 @@ class AIOrchestrationService {
     this.claudeHandler = new ClaudeHandler();
     this.geminiHandler = new GeminiHandler();
     this.complexityScorer = new ComplexityScorer();
-    this.deepseekHandler = new (require('./deepseekHandler'))();
+    this.deepseekHandler = new DeepseekHandler();
     this.taskDetector = new TaskDetector();
     
-    // Default thresholds for model selection
-    this.thresholds = {
-      simple: 30,    // 0-30: Use Gemini Flash
-      medium: 60,    // 31-60: Use Claude Haiku or Gemini Pro
-      complex: 85    // 61-85: Use Claude Sonnet, 86+: Use Claude Opus
-    };
+    // Default thresholds for model selection (see thresholds in aiModels.js)
+    this.thresholds = modelConfig.getThresholds('default');
     
-    // Initialize analyzer and router
+    // Initialize provider registry, analyzer and router
+    this.providerRegistry = this._createProviderRegistry();
     this.analyzer = new TaskAnalyzer();
-    this.router = new TaskRouter(this._getHandlers(), this.thresholds);
+    this.usageLedger = usageLedger;
+    this.budgetManager = budgetManager;
+    this.conversationMemory = conversationMemory;
+    this.agentOrchestrator = null;
+    this.router = new TaskRouter(this.providerRegistry, this.thresholds, {
+      ledger: this.usageLedger,
+      budgets: this.budgetManager,
+      fallback: modelConfig.getFallback(),
+      memory: this.conversationMemory
+    });
   }
   
-  _getHandlers() {
-    return {
-      claude: this.claudeHandler,
-      gemini: this.geminiHandler,
-      deepseek: this.deepseekHandler
-    };
+  /**
+   * Build the registry of built-in providers and their tier assignments
+   * @returns {ProviderRegistry} - Populated provider registry
+   * @private
+   */
+  _createProviderRegistry() {
+    const { config } = modelConfig;
+    
+    return new ProviderRegistry(config.tiers)
+      .register(createProvider({
+        name: 'claude',
+        handler: this.claudeHandler,
+        models: config.claude,
+        // haiku and sonnet are served by generate() with the resolved model
+        methods: { opus: 'processComplexTask' }
+      }))
+      .register(createProvider({
+        name: 'gemini',
+        handler: this.geminiHandler,
+        models: config.gemini,
+        methods: { flash: 'processSimpleTask', pro: 'processTask' }
+      }))
+      .register(createProvider({
+        name: 'deepseek',
+        handler: this.deepseekHandler,
+        models: config.deepseek,
+        methods: { r1: 'processReasoningTask' }
+      }));
+  }
+
+  /**
+   * Register an additional provider, optionally assigning it to routing tiers
+   * @param {Object} provider - Provider created with createProvider()
+   * @param {Array<String>} tiers - Tiers the provider should serve
+   * @param {String} modelKey - Provider model key to use for those tiers
+   */
+  registerProvider(provider, tiers = [], modelKey = null) {
+    this.providerRegistry.register(provider);
+    
+    const model = modelKey || Object.keys(provider.models)[0];
+    tiers.forEach(tier => this.providerRegistry.setTier(tier, { provider: provider.name, model }));
   }
 
   /**
@@ -146,10 +394,12 @@ class AIOrchestrationService {
    * @param {Object} message.metadata - Additional task metadata
    * @param {Array} attachments - Optional file attachments
    * @param {Object} options - Additional options
+   * @param {Function} options.onToken - Streams the reply, called with each text chunk
    * @returns {Promise<Object>} - Response and session ID
    */
   async processChatMessage(userId, sessionId, message, attachments = [], options = {}) {
     let session;
+    const { onToken, ...processingOptions } = options;
     try {
       session = new ChatSession(userId, sessionId);
       await session.initialize();
@@ -160,6 +410,12 @@ class AIOrchestrationService {
       const messageMode = normalizedMessage.mode || 'auto';
       const taskType = normalizedMessage.taskType;
       const taskMetadata = normalizedMessage.metadata;
+      const principal = { userId, sessionId: session.sessionId };
+      
+      // Fold older turns into the rolling summary, then capture the
+      // conversation before the new message is added to it
+      await this._refreshSummary(session, principal);
+      const conversation = session.getConversation();
       
       // Add user message to history with sanitization
       await session.addMessage('user', this._sanitizeContent(messageContent));
@@ -172,35 +428,47 @@ class AIOrchestrationService {
         }]`;
       }
       
+      // Agent commands (/code, /review, ...) and confidently classified requests go to the
+      // specialised agents; everything else is answered by the general model
+      const agentRequestType = messageMode === 'auto' && !taskType
+        ? this._getAgentOrchestrator().detectRequestType(messageContent)
+        : null;
+      
       // Determine if this is a task based on explicit mode or detection
       let taskDetection = { isTask: messageMode === 'task', type: taskType, parameters: taskMetadata };
       
       // If not explicitly marked as task, detect from content
-      if (messageMode === 'auto' && !taskType) {
+      if (messageMode === 'auto' && !taskType && !agentRequestType) {
         taskDetection = await this.taskDetector.detectTaskIntent(messageContent);
       }
       
       let response;
       let responseType = 'chat';
       let responseMetadata = {};
+      let agentOutput = null;
       
       // Unified processing path
       try {
-        const processingResult = await this._processWithFallback({
+        const processingResult = agentRequestType
+          ? await this._processAgentRequest(messageContent, conversation, principal)
+          : await this._processWithFallback({
           content: messageContent,
           metadata: {
             attachments,
             taskType: taskDetection.type || taskType,
-            isTask: taskDetection.isTask || options.taskMode,
+            isTask: taskDetection.isTask || processingOptions.taskMode,
             ...taskDetection.parameters || taskMetadata || {},
-            ...options
+            ...processingOptions
           },
-          context: await session.getCompactHistory()
+          context: conversation,
+          onToken,
+          principal
         });
         
         response = processingResult.content;
         responseType = processingResult.type;
         responseMetadata = processingResult.metadata;
+        agentOutput = processingResult.agent || null;
         
         // Add system message about task execution if it was a task
         if (processingResult.type === 'task') {
@@ -212,13 +480,14 @@ class AIOrchestrationService {
         responseMetadata = { status: 'error', error: error.message };
       }
       
-      // Add AI response to history
-      await session.addMessage('assistant', response);
+      // Add AI response to history, keeping any structured agent result with it
+      await session.addMessage('assistant', response, agentOutput);
       
       return this._formatOutput({
         content: response,
         type: responseType,
-        metadata: responseMetadata
+        metadata: responseMetadata,
+        agent: agentOutput
       }, session);
     } catch (error) {
       console.error('Chat message processing error:', error);
@@ -288,7 +557,9 @@ class AIOrchestrationService {
    * @param {Object} request - The unified request object
    * @param {String} request.content - The message content
    * @param {Object} request.metadata - Additional metadata
-   * @param {Array} request.context - Chat history context
+   * @param {Object} request.context - Conversation { summary, messages } from ChatSession.getConversation()
+   * @param {Function} request.onToken - Streams the response, called with each text chunk
+   * @param {Object} request.principal - { userId, sessionId } charged for the request
    * @returns {Promise<Object>} - Standardized response object
    */
   async processUnifiedRequest(request) {
@@ -308,28 +579,39 @@ class AIOrchestrationService {
    * @private
    */
   async _processWithFallback(request) {
+    let streamStarted = false;
+    const onToken = request.onToken && (chunk => {
+      streamStarted = true;
+      request.onToken(chunk);
+    });
+    
     try {
       // Try processing with unified request handler
-      return await this.processUnifiedRequest(request);
+      return await this.processUnifiedRequest({ ...request, onToken });
     } catch (error) {
-      console.warn(`Primary processing failed, attempting fallback: ${error.message}`);
+      const classification = classifyError(error);
+      console.warn(`Primary processing failed (${classification.type}): ${error.message}`);
       
-      // If the error is related to a specific model, try with a simpler model
-      if (error.message.includes('API') || error.message.includes('model')) {
+      // The router has already tried every provider when the chain is exhausted,
+      // and budget/content filter errors would fail the same way again
+      if (classification.fallback && error.code !== 'PROVIDERS_EXHAUSTED' && !streamStarted) {
         try {
-          // Fallback to Gemini Flash for simplicity and reliability
-          const fallbackResult = await this.geminiHandler.processSimpleTask(
+          // Fallback to the simple tier for speed and reliability
+          const fallbackResult = await this.router.routeToTier(
+            'simple',
             { content: request.content },
-            { fallback: true }
+            { fallback: true },
+            { onToken: request.onToken, principal: request.principal }
           );
           
           return {
-            content: fallbackResult,
+            content: request.onToken ? fallbackResult.result.content : fallbackResult.result,
             type: 'chat',
             metadata: {
-              model: 'gemini-flash-fallback',
+              model: `${fallbackResult.model}-fallback`,
               status: 'fallback_success',
-              originalError: error.message
+              originalError: error.message,
+              errorType: classification.type
             }
           };
         } catch (fallbackError) {
@@ -343,6 +625,44 @@ class AIOrchestrationService {
     }
   }
 
+  /**
+   * Process a chat message with the OrchestratorAgent and its specialised agents
+   * @param {String} content - Message content, including any /command
+   * @param {Object} conversation - Conversation { summary, messages } passed to the agent as context
+   * @param {Object} principal - { userId, sessionId } the agent's model calls are charged to
+   * @returns {Promise<Object>} - Standardized response; agent holds { agent, operation, result }
+   * @private
+   */
+  async _processAgentRequest(content, conversation, principal) {
+    const agentResponse = await agentUsage.runAs(principal, () => this._getAgentOrchestrator().routeRequest(content, {
+      chatHistory: this.conversationMemory.buildHistory(conversation)
+    }));
+    
+    if (!agentResponse.success) {
+      return {
+        content: agentResponse.formattedResponse,
+        type: 'agent',
+        metadata: { status: 'error', error: agentResponse.error }
+      };
+    }
+    
+    return {
+      content: agentResponse.formattedResponse,
+      type: 'agent',
+      agent: {
+        agent: agentResponse.agent,
+        operation: agentResponse.operation,
+        result: agentResponse.result
+      },
+      metadata: {
+        agent: agentResponse.agent,
+        operation: agentResponse.operation,
+        status: agentResponse.degraded ? 'degraded' : 'success',
+        ...(agentResponse.degraded ? { error: agentResponse.result.error.message } : {})
+      }
+    };
+  }
+
   /**
    * Process a task request
    * @param {Object} request - The request object
@@ -353,7 +673,7 @@ class AIOrchestrationService {
     
     // Create task context
     const taskContext = {
-      chatHistory: request.context,
+      conversation: request.context,
       attachments: request.metadata.attachments,
       ...request.metadata
     };
@@ -365,7 +685,10 @@ class AIOrchestrationService {
     };
     
     // Process the task
-    const taskResult = await this.processTask(taskParameters, taskContext);
+    const taskResult = await this.processTask(taskParameters, taskContext, {
+      onToken: request.onToken,
+      principal: request.principal
+    });
     
     return {
       content: this.formatTaskResponse(taskResult, request.metadata.taskType),
@@ -393,15 +716,17 @@ class AIOrchestrationService {
     const chatResponse = await this.router.routeByComplexity(
       { content: request.content },
       analysis.complexity,
-      { chatHistory: request.context }
+      { conversation: request.context },
+      { onToken: request.onToken, principal: request.principal }
     );
     
     return {
-      content: chatResponse.result,
+      content: request.onToken ? chatResponse.result.content : chatResponse.result,
       type: 'chat',
       metadata: {
         model: chatResponse.model,
-        complexity: analysis.complexity
+        complexity: analysis.complexity,
+        ...(chatResponse.downgradedFrom ? { downgradedFrom: chatResponse.downgradedFrom } : {})
       }
     };
   }
@@ -410,9 +735,12 @@ class AIOrchestrationService {
    * Process a task using the appropriate AI model
    * @param {Object} task - The task to process
    * @param {Object} context - Additional context for the task
+   * @param {Object} options - Processing options
+   * @param {Function} options.onToken - Streams the response, called with each text chunk
+   * @param {Object} options.principal - { userId, sessionId } charged for the task
    * @returns {Promise<Object>} - The processed result
    */
-  async processTask(task, context = {}) {
+  async processTask(task, context = {}, options = {}) {
     // Add model metadata tracking
     const startTime = Date.now();
     let modelUsed = null;
@@ -433,8 +761,8 @@ class AIOrchestrationService {
       const thresholds = this.getDynamicThresholds(context);
       this.router.thresholds = thresholds;
       
-      // Model selection with fallback
-      const result = await this.router.routeWithFallback(task, analysis, context);
+      // Model selection; the router falls back across providers
+      const result = await this.router.routeTask(task, analysis, context, options);
       modelUsed = result.model;
       
       return result.result;
@@ -455,6 +783,9 @@ class AIOrchestrationService {
   
   _handleOrchestrationError(error, analysis) {
     const enhancedError = new Error(`ProjectCrew AI processing failed: ${error.message}`);
+    enhancedError.originalError = error;
+    enhancedError.code = error.code;
+    enhancedError.budget = error.budget;
     enhancedError.metadata = {
       timestamp: new Date().toISOString(),
       analysis,
@@ -498,6 +829,46 @@ class AIOrchestrationService {
     // In a production environment, this would send to a monitoring service
   }
 
+  /**
+   * Update the session's rolling summary with the summarizer tier. Failures
+   * only cost context, so they are logged rather than failing the message.
+   * @param {ChatSession} session - Session to summarize
+   * @param {Object} principal - { userId, sessionId } charged for the summary
+   * @private
+   */
+  async _refreshSummary(session, principal) {
+    try {
+      await session.refreshSummary(this.conversationMemory, async prompt => {
+        const routed = await this.router.routeToTier(
+          this.conversationMemory.settings.summarizerTier,
+          { content: prompt },
+          {},
+          { principal: { ...principal, agent: 'summarizer' } }
+        );
+        return extractText(routed.result);
+      });
+    } catch (error) {
+      console.warn(`Conversation summary not updated: ${error.message}`);
+    }
+  }
+
+  /**
+   * The OrchestratorAgent that routes chat commands and intents to the
+   * specialised agents, created on first use
+   * @returns {OrchestratorAgent}
+   * @private
+   */
+  _getAgentOrchestrator() {
+    if (!this.agentOrchestrator) {
+      const OrchestratorAgent = require('../agents/orchestratorAgent');
+      this.agentOrchestrator = new OrchestratorAgent({
+        google: process.env.GOOGLE_AI_API_KEY,
+        anthropic: process.env.ANTHROPIC_API_KEY
+      });
+    }
+    return this.agentOrchestrator;
+  }
+
   /**
    * Normalize message input to standard format
    * @param {String|Object} message - The message input
@@ -533,6 +904,8 @@ class AIOrchestrationService {
       sessionId: session.sessionId,
       type: result.type || 'chat',
       wasTask: result.type === 'task',
+      // Agent replies carry the structured result next to the chat-formatted text
+      ...(result.agent ? { ...result.agent, formattedResponse: result.content } : {}),
       metadata: {
         ...(result.metadata || {}),
         model: result.metadata?.model || 'unknown',
@@ -590,3 +963,4 @@ class AIOrchestrationService {
 }
 
 module.exports = new AIOrchestrationService();
+module.exports.AIOrchestrationService = AIOrchestrationService;
@@ -0,0 +1,210 @@
+const usageLedger = require('./usageLedger');
+const budgetConfig = require('../config/budgets');
+const modelConfig = require('../config/modelConfig');
+
+const PERIODS = { daily: 'day', monthly: 'month' };
+const POLICIES = ['downgrade', 'refuse'];
+
+/**
+ * Budget Manager
+ * Checks per-user and per-team daily/monthly spend recorded in the usage
+ * ledger against the configured limits
+ */
+class BudgetManager {
+  constructor(config = budgetConfig, ledger = usageLedger) {
+    this.ledger = ledger;
+    this.policy = {
+      onExhausted: config.onExhausted,
+      downgradeTier: config.downgradeTier
+    };
+    this.defaults = {
+      user: { ...config.defaults.user },
+      team: { ...config.defaults.team }
+    };
+    this.users = { ...config.users };
+    this.teams = { ...config.teams };
+    this.systemUserId = config.systemUserId || 'system';
+
+    if (!POLICIES.includes(this.policy.onExhausted)) {
+      throw new Error(`Invalid budget policy "${this.policy.onExhausted}" (expected ${POLICIES.join(' or ')})`);
+    }
+    checkTier(this.policy.downgradeTier);
+    ['user', 'team'].forEach(scope => checkLimits(`Default ${scope}`, this.defaults[scope]));
+    Object.entries(this.users).forEach(([id, limits]) => checkLimits(`User ${id}`, limits));
+    Object.entries(this.teams).forEach(([id, limits]) => checkLimits(`Team ${id}`, limits));
+  }
+
+  /**
+   * Resolve the user a call is charged to
+   * @param {String|null} userId - Signed-in user, if any
+   * @returns {String} - The user, or the system budget user when there is none
+   */
+  chargedUser(userId) {
+    return userId || this.systemUserId;
+  }
+
+  /**
+   * Find the team a user belongs to
+   * @param {String} userId - User identifier
+   * @returns {String|null} - Team identifier
+   */
+  teamFor(userId) {
+    const entry = Object.entries(this.teams)
+      .find(([, team]) => (team.members || []).includes(userId));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Get the effective limits for a user or team
+   * @param {String} scope - 'user' or 'team'
+   * @param {String} id - User or team identifier
+   * @returns {Object} - { daily, monthly }
+   */
+  getLimits(scope, id) {
+    const overrides = (scope === 'team' ? this.teams : this.users)[id] || {};
+    const limits = { ...this.defaults[scope] };
+
+    Object.keys(PERIODS).forEach(period => {
+      if (overrides[period] !== undefined) limits[period] = overrides[period];
+    });
+    return limits;
+  }
+
+  /**
+   * Set limits for a user, a team, or the defaults for either scope
+   * @param {String} scope - 'user' or 'team'
+   * @param {String|null} id - Identifier, or null to change the defaults
+   * @param {Object} limits - { daily, monthly, members } (members for teams only)
+   * @returns {Object} - The effective limits
+   */
+  setBudget(scope, id, limits) {
+    if (!['user', 'team'].includes(scope)) {
+      throw new Error(`Invalid budget scope: ${scope}`);
+    }
+
+    checkLimits('The', limits);
+
+    if (!id) {
+      this.defaults[scope] = { ...this.defaults[scope], ...this._pickLimits(limits) };
+      return { ...this.defaults[scope] };
+    }
+
+    const entries = scope === 'team' ? this.teams : this.users;
+    entries[id] = { ...(entries[id] || {}), ...this._pickLimits(limits) };
+    if (scope === 'team' && Array.isArray(limits.members)) {
+      entries[id].members = limits.members.map(String);
+    }
+    return this.getLimits(scope, id);
+  }
+
+  /**
+   * Update what happens when a budget is exhausted
+   * @param {Object} policy - { onExhausted, downgradeTier }
+   * @returns {Object} - The current policy
+   */
+  setPolicy(policy) {
+    if (policy.onExhausted !== undefined && !POLICIES.includes(policy.onExhausted)) {
+      throw new Error(`Invalid budget policy "${policy.onExhausted}" (expected ${POLICIES.join(' or ')})`);
+    }
+    if (policy.downgradeTier !== undefined) {
+      checkTier(policy.downgradeTier);
+    }
+
+    this.policy = {
+      onExhausted: policy.onExhausted || this.policy.onExhausted,
+      downgradeTier: policy.downgradeTier || this.policy.downgradeTier
+    };
+    return { ...this.policy };
+  }
+
+  /**
+   * Check a user's spend against their own and their team's budgets
+   * @param {String} userId - User identifier
+   * @returns {Object} - { userId, teamId, budgets, exhausted, exhaustedBudget }
+   */
+  check(userId) {
+    const teamId = this.teamFor(userId);
+    const budgets = this._scopeStatus('user', userId, { userId });
+
+    if (teamId) {
+      budgets.push(...this._scopeStatus('team', teamId, { teamId }));
+    }
+
+    const exhaustedBudget = budgets.find(budget => budget.exhausted) || null;
+    return {
+      userId,
+      teamId,
+      budgets,
+      exhausted: Boolean(exhaustedBudget),
+      exhaustedBudget
+    };
+  }
+
+  /**
+   * Build the error raised when a request is refused for budget reasons
+   * @param {Object} status - Result of check()
+   * @returns {Error} - Error with code BUDGET_EXCEEDED and the exhausted budget
+   */
+  exceededError(status) {
+    const budget = status.exhaustedBudget;
+    const error = new Error(
+      `${budget.period} ${budget.scope} budget of $${budget.limit.toFixed(2)} exhausted ` +
+      `($${budget.spent.toFixed(4)} spent)`
+    );
+    error.code = 'BUDGET_EXCEEDED';
+    error.budget = budget;
+    return error;
+  }
+
+  _scopeStatus(scope, id, filter) {
+    const limits = this.getLimits(scope, id);
+
+    return Object.entries(PERIODS)
+      .filter(([period]) => typeof limits[period] === 'number')
+      .map(([period, ledgerPeriod]) => {
+        const spent = this.ledger.totals({ ...filter, period: ledgerPeriod }).cost;
+        return {
+          scope,
+          id,
+          period,
+          limit: limits[period],
+          spent,
+          remaining: Math.max(limits[period] - spent, 0),
+          exhausted: spent >= limits[period]
+        };
+      });
+  }
+
+  _pickLimits(limits) {
+    const picked = {};
+    Object.keys(PERIODS).forEach(period => {
+      if (limits[period] !== undefined) picked[period] = limits[period];
+    });
+    return picked;
+  }
+}
+
+/**
+ * Throw unless a downgrade tier is one of the configured routing tiers
+ */
+function checkTier(tier) {
+  const tiers = Object.keys(modelConfig.config.tiers || {});
+  if (!tiers.includes(tier)) {
+    throw new Error(`Invalid downgrade tier "${tier}" (expected one of ${tiers.join(', ')})`);
+  }
+}
+
+/**
+ * Throw unless every daily/monthly limit is a finite, non-negative number or null
+ */
+function checkLimits(label, limits) {
+  Object.keys(PERIODS).forEach(period => {
+    const value = limits[period];
+    if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`${label} ${period} budget must be a non-negative number or null`);
+    }
+  });
+}
+
+module.exports = new BudgetManager();
+module.exports.BudgetManager = BudgetManager;
@@ -1,9 +1,14 @@
-const driveService = require('../utils/googleDriveService');
+const sessionStore = require('./sessionStore');
+const { contentText } = sessionStore;
+
+// Messages loaded into memory when a session is opened
+const HISTORY_WINDOW = 50;
 
 class ChatSession {
-  constructor(userId, sessionId = null) {
+  constructor(userId, sessionId = null, store = sessionStore) {
     this.userId = userId;
-    this.sessionId = sessionId || `chat-${Date.now()}`;
+    this.sessionId = sessionId;
+    this.store = store;
     this.history = [];
     this.context = {};
   }
@@ -17,15 +22,22 @@ class ChatSession {
     return this;
   }
 
-  async addMessage(role, content) {
-    const message = {
+  /**
+   * Append a message to the session
+   * @param {String} role - 'user', 'assistant' or 'system'
+   * @param {String} content - Message text
+   * @param {Object} metadata - Optional structured data stored with the message
+   * @returns {Promise<Object>} - The stored message
+   */
+  async addMessage(role, content, metadata = null) {
+    const message = await this.store.appendMessage(this.userId, this.sessionId, {
       role,
       content,
-      timestamp: new Date().toISOString()
-    };
-    
+      timestamp: new Date().toISOString(),
+      ...(metadata ? { metadata } : {})
+    });
+
     this.history.push(message);
-    await this._saveToDrive();
     return message;
   }
 
@@ -43,71 +55,124 @@ class ChatSession {
   }
 
   /**
-   * Get compact conversation history for AI context
-   * @returns {Array} Last 3 exchanges (user + assistant pairs) with truncated content
+   * Get a page of stored history, oldest message first
+   * @param {Object} options - { limit, before } where before is the nextCursor of the previous page
+   * @returns {Promise<Object>} - { messages, hasMore, nextCursor }
    */
-  async getCompactHistory() {
-    // Ensure we have fresh data
-    if (!this.history || this.history.length === 0) {
-      await this._loadExistingSession();
-    }
+  async getHistoryPage(options = {}) {
+    return this.store.getMessages(this.userId, this.sessionId, options);
+  }
 
-    // Ensure history exists and is an array
-    if (!Array.isArray(this.history)) {
-      this.history = [];
-    }
+  /**
+   * Get the conversation for AI context: the rolling summary of older turns
+   * plus the turns it does not cover yet (system messages are left out)
+   * @returns {Object} - { summary, messages } for ConversationMemory.buildHistory()
+   */
+  getConversation() {
+    const summary = this.context.summary || null;
 
-    // Return last 6 messages with safe truncation
-    return this.history
-      .slice(-6) // Keep last 3 exchanges (6 messages - 3 user + 3 assistant)
-      .map(msg => ({
-        role: msg.role || 'user', // Default role
-        content: msg.content 
-          ? String(msg.content).slice(0, 500) + (String(msg.content).length > 500 ? '...' : '')
-          : ''
-      }));
+    return {
+      summary: summary ? summary.text : null,
+      messages: this._unsummarizedTurns()
+        .map(message => ({ role: message.role, content: message.content }))
+    };
   }
 
-  async _createNewSession() {
-    this.sessionId = `chat-${Date.now()}-${this.userId}`;
-    this.history = [{
-      role: 'system',
-      content: 'Chat session initialized',
-      timestamp: new Date().toISOString()
-    }];
-    await this._saveToDrive();
-  }
+  /**
+   * Fold older turns into the rolling summary once the unsummarized history
+   * passes the memory threshold. The summary is stored in the session context.
+   * @param {ConversationMemory} memory - Memory settings and prompt builder
+   * @param {Function} summarize - Async function mapping a prompt to summary text
+   * @returns {Promise<Boolean>} - Whether the summary was updated
+   */
+  async refreshSummary(memory, summarize) {
+    const previous = this.context.summary || null;
+    const older = memory.selectForSummary(this._unsummarizedTurns());
+    if (older.length === 0) return false;
 
-  async _loadExistingSession() {
-    try {
-      const content = await driveService.readFile(this.sessionId);
-      const data = JSON.parse(content);
-      this.history = data.history;
-      this.context = data.context;
-    } catch (error) {
-      console.error('Error loading session:', error);
-      await this._createNewSession();
-    }
+    const text = await summarize(memory.buildSummaryPrompt(previous && previous.text, older));
+    if (!text || !String(text).trim()) return false;
+
+    this.context.summary = {
+      text: String(text).trim(),
+      lastMessageId: older[older.length - 1].id,
+      messageCount: (previous ? previous.messageCount : 0) + older.length,
+      updatedAt: new Date().toISOString()
+    };
+    await this.store.updateContext(this.userId, this.sessionId, this.context);
+    return true;
   }
 
-  async _saveToDrive() {
+  /**
+   * Archive the full session history to Google Drive as JSON
+   * @returns {Promise<String>} - Drive file ID
+   */
+  async exportToDrive() {
+    const driveService = require('../utils/googleDriveService');
+
+    const history = [];
+    let page = { nextCursor: null };
+    do {
+      page = await this.getHistoryPage({ limit: 200, before: page.nextCursor });
+      history.unshift(...page.messages);
+    } while (page.hasMore);
+
     const sessionData = {
-      history: this.history,
+      history,
       context: this.context,
       metadata: {
         userId: this.userId,
-        lastUpdated: new Date().toISOString(),
+        sessionId: this.sessionId,
+        exportedAt: new Date().toISOString(),
         platform: 'ProjectCrew AI'
       }
     };
 
-    await driveService.createOrUpdateFile(
+    return driveService.createOrUpdateFile(
       `${this.sessionId}.json`,
       JSON.stringify(sessionData, null, 2),
       'application/json',
       `project-crew-ai/chats/${this.userId}`
     );
   }
+
+  // User and assistant turns after the last summarized message, as plain text
+  _unsummarizedTurns() {
+    const summary = this.context.summary;
+    const summarizedIndex = summary
+      ? this.history.findIndex(message => message.id === summary.lastMessageId)
+      : -1;
+    return this.history
+      .slice(summarizedIndex + 1)
+      .filter(message => message.role !== 'system')
+      .map(message => ({ ...message, content: contentText(message.content) }));
+  }
+
+  async _createNewSession() {
+    this.sessionId = `chat-${Date.now()}-${this.userId}`;
+    this.history = [];
+    await this.store.createSession(this.userId, {
+      sessionId: this.sessionId,
+      context: this.context
+    });
+    await this.addMessage('system', 'Chat session initialized');
+  }
+
+  async _loadExistingSession() {
+    try {
+      const session = await this.store.getSession(this.userId, this.sessionId);
+      if (!session) {
+        throw new Error(`Chat session not found: ${this.sessionId}`);
+      }
+
+      const page = await this.getHistoryPage({ limit: HISTORY_WINDOW });
+      this.history = page.messages;
+      this.context = session.context || {};
+    } catch (error) {
+      console.error('Error loading session:', error);
+      await this._createNewSession();
+    }
+  }
 }
 
 module.exports = ChatSession;
@@ -0,0 +1,93 @@
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures for a provider. Once the failure threshold is
+ * reached the circuit opens and the provider is skipped until the cooldown
+ * elapses; then a single trial request is let through (half-open) and its
+ * outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+  /**
+   * @param {String} name - Provider name
+   * @param {Object} options - { failureThreshold, cooldownMs }
+   */
+  constructor(name, { failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastErrorType = null;
+  }
+
+  /**
+   * Whether a request may be sent to the provider
+   * @returns {Boolean}
+   */
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      return true;
+    }
+
+    // Only one trial request while half-open
+    return false;
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastErrorType = null;
+  }
+
+  /**
+   * Record a failed request
+   * @param {String} errorType - Classified error type
+   * @param {Boolean} tripImmediately - Open the circuit regardless of the threshold
+   */
+  recordFailure(errorType, tripImmediately = false) {
+    this.failures += 1;
+    this.lastErrorType = errorType;
+
+    if (tripImmediately || this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit opened for ${this.name} after ${errorType} error (${this.failures} consecutive failures)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Record a request the provider answered but refused (content filter,
+   * budget). It says nothing about the provider's health, so it does not
+   * count as a failure, but a half-open trial still closes the circuit
+   * rather than holding the trial slot forever.
+   */
+  recordRejection() {
+    if (this.state === 'half-open') {
+      this.recordSuccess();
+    }
+  }
+
+  /**
+   * Current breaker status for monitoring
+   * @returns {Object} - { state, failures, lastErrorType, retryAt }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastErrorType: this.lastErrorType,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
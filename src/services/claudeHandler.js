@@ -1,4 +1,6 @@
-const axios = require('axios');
+const modelConfig = require('../config/modelConfig');
+const llmClient = require('./llmClient');
+const { parseEventStream } = require('../utils/sse');
 
 /**
  * Claude AI Handler Service
@@ -10,38 +12,18 @@ class ClaudeHandler {
     this.apiVersion = '2023-06-01';
     this.baseURL = 'https://api.anthropic.com/v1';
     
-    // Model configurations
-    this.models = {
-      haiku: {
-        id: 'claude-3-haiku-20240307',
-        maxTokens: 4000,
-        temperature: 0.7
-      },
-      sonnet: {
-        id: 'claude-3-sonnet-20240229',
-        maxTokens: 12000,
-        temperature: 0.7
-      },
-      opus: {
-        id: 'claude-3-opus-20240229',
-        maxTokens: 24000,
-        temperature: 0.7
-      }
-    };
+    // Model configurations (haiku, sonnet, opus)
+    this.models = modelConfig.getProviderModels('claude');
   }
 
   /**
-   * Process a task using the appropriate Claude model based on complexity
+   * Process a task using Claude Sonnet
    * @param {Object} task - The task to process
    * @param {Object} context - Additional context for the task
    * @returns {Promise<Object>} - The processed result
    */
   async processTask(task, context = {}) {
-    // Select model based on complexity
-    const complexity = task.complexity || 50;
-    const model = this.selectModel(complexity);
-    
-    return await this.callClaudeAPI(task, context, model);
+    return await this.callClaudeAPI(task, context, this.models.sonnet);
   }
 
   /**
@@ -55,18 +37,14 @@ class ClaudeHandler {
   }
 
   /**
-   * Select the appropriate Claude model based on task complexity
-   * @param {Number} complexity - Task complexity score (0-100)
-   * @returns {Object} - Selected model configuration
+   * Process a task with the model the provider registry resolved for its tier
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @param {Object} model - Model configuration to use
+   * @returns {Promise<Object>} - The processed result
    */
-  selectModel(complexity) {
-    if (complexity > 75) {
-      return this.models.opus;
-    } else if (complexity > 50) {
-      return this.models.sonnet;
-    } else {
-      return this.models.haiku;
-    }
+  async generate(task, context = {}, model = this.models.sonnet) {
+    return await this.callClaudeAPI(task, context, model);
   }
 
   /**
@@ -92,25 +70,84 @@ class ClaudeHandler {
         }]
       };
 
-      const response = await axios.post(`${this.baseURL}/messages`, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': this.apiVersion
-        }
+      const response = await llmClient.request('claude', {
+        url: `${this.baseURL}/messages`,
+        data: payload,
+        headers: this.getHeaders(),
+        label: model.id
       });
 
       return this.parseResponse(response.data);
     } catch (error) {
-      console.error('Error calling Claude API:', error);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+      // llmClient errors already read "Claude API error: ..." and carry errorType/status
+      console.error('Error calling Claude API:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a task response from Claude
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @param {Object} model - Model configuration to use (Sonnet if omitted)
+   * @returns {AsyncGenerator<String>} - Text chunks as they arrive
+   */
+  async *streamTask(task, context = {}, model = null) {
+    const selectedModel = model || this.models.sonnet;
+    
+    const payload = {
+      model: selectedModel.id,
+      max_tokens: selectedModel.maxTokens,
+      temperature: selectedModel.temperature,
+      system: this.buildSystemPrompt(context),
+      messages: [{
+        role: "user",
+        content: this.formatContent(task)
+      }],
+      stream: true
+    };
+    
+    let response;
+    try {
+      response = await llmClient.request('claude', {
+        url: `${this.baseURL}/messages`,
+        data: payload,
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        label: selectedModel.id
+      });
+    } catch (error) {
+      console.error('Error opening Claude stream:', error.message);
+      throw error;
+    }
+    
+    for await (const { event, data } of parseEventStream(response.data)) {
+      if (event === 'error') {
+        const parsed = JSON.parse(data);
+        throw new Error(`Claude API error: ${parsed.error ? parsed.error.message : data}`);
+      }
+      
+      if (event === 'content_block_delta') {
+        const parsed = JSON.parse(data);
+        if (parsed.delta && parsed.delta.type === 'text_delta') {
+          yield parsed.delta.text;
+        }
       }
-      throw new Error(`Claude API error: ${error.message}`);
     }
   }
 
+  /**
+   * Request headers for the Claude API
+   * @returns {Object} - Headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion
+    };
+  }
+
   /**
    * Build system prompt based on context
    * @param {Object} context - Context information
@@ -127,6 +164,14 @@ class ClaudeHandler {
       systemPrompt += ` ${context.guidelines}`;
     }
     
+    // Add chat history if available
+    if (context.chatHistory && Array.isArray(context.chatHistory) && context.chatHistory.length > 0) {
+      systemPrompt += "\n\nPrevious conversation:\n";
+      systemPrompt += context.chatHistory
+        .map(message => `${message.role}: ${message.content}`)
+        .join('\n');
+    }
+    
     return systemPrompt;
   }
 
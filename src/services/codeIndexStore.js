@@ -0,0 +1,153 @@
+const database = require('../utils/database');
+
+/**
+ * Code Index Stores
+ * Persist code indexes: one summary record per index and one record per
+ * chunk. Saving an index replaces all of its chunks.
+ *
+ * Every store implements:
+ *   saveIndex(index, chunks)
+ *   listIndexes() -> [index], most recently updated first
+ *   getIndex(indexId) -> index or null
+ *   getChunks(indexId) -> [chunk]
+ *   deleteIndex(indexId) -> Boolean
+ */
+
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * MongoDB code index store
+ * Summaries live in code_indexes, chunks in code_chunks.
+ */
+class MongoCodeIndexStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by code index queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await Promise.all([
+      db.collection('code_indexes').createIndex({ indexId: 1 }, { unique: true }),
+      db.collection('code_indexes').createIndex({ updatedAt: -1 }),
+      db.collection('code_chunks').createIndex({ indexId: 1, file: 1, startLine: 1 })
+    ]);
+  }
+
+  async saveIndex(index, chunks) {
+    const { indexes, chunks: chunkCollection } = await this._collections();
+
+    await chunkCollection.deleteMany({ indexId: index.indexId });
+    for (let i = 0; i < chunks.length; i += INSERT_BATCH_SIZE) {
+      await chunkCollection.insertMany(
+        chunks.slice(i, i + INSERT_BATCH_SIZE).map(chunk => ({ ...chunk, indexId: index.indexId }))
+      );
+    }
+    await indexes.replaceOne({ indexId: index.indexId }, { ...index }, { upsert: true });
+  }
+
+  async listIndexes() {
+    const { indexes } = await this._collections();
+    const docs = await indexes.find({}).sort({ updatedAt: -1 }).toArray();
+    return docs.map(toIndex);
+  }
+
+  async getIndex(indexId) {
+    const { indexes } = await this._collections();
+    return toIndex(await indexes.findOne({ indexId }));
+  }
+
+  async getChunks(indexId) {
+    const { chunks } = await this._collections();
+    const docs = await chunks.find({ indexId }).sort({ file: 1, startLine: 1 }).toArray();
+    return docs.map(({ _id, indexId: ignored, ...chunk }) => chunk);
+  }
+
+  async deleteIndex(indexId) {
+    const { indexes, chunks } = await this._collections();
+    const result = await indexes.deleteOne({ indexId });
+    await chunks.deleteMany({ indexId });
+    return result.deletedCount > 0;
+  }
+
+  async _collections() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return {
+      indexes: db.collection('code_indexes'),
+      chunks: db.collection('code_chunks')
+    };
+  }
+}
+
+/**
+ * In-memory code index store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Indexes are lost on restart.
+ */
+class MemoryCodeIndexStore {
+  constructor() {
+    this.indexes = new Map();
+    this.chunks = new Map();
+  }
+
+  async saveIndex(index, chunks) {
+    this.indexes.set(index.indexId, { ...index });
+    this.chunks.set(index.indexId, chunks.map(chunk => ({ ...chunk })));
+  }
+
+  async listIndexes() {
+    return [...this.indexes.values()]
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(index => ({ ...index }));
+  }
+
+  async getIndex(indexId) {
+    const index = this.indexes.get(indexId);
+    return index ? { ...index } : null;
+  }
+
+  async getChunks(indexId) {
+    return (this.chunks.get(indexId) || []).map(chunk => ({ ...chunk }));
+  }
+
+  async deleteIndex(indexId) {
+    this.chunks.delete(indexId);
+    return this.indexes.delete(indexId);
+  }
+}
+
+function toIndex(doc) {
+  if (!doc) return null;
+  const { _id, ...index } = doc;
+  return index;
+}
+
+/**
+ * Create the code index store for this environment
+ * @returns {MongoCodeIndexStore|MemoryCodeIndexStore}
+ */
+function createCodeIndexStore() {
+  if (database.isConfigured()) {
+    return new MongoCodeIndexStore();
+  }
+
+  console.warn('MONGODB_URI is not set; code indexes are kept in memory and lost on restart');
+  return new MemoryCodeIndexStore();
+}
+
+module.exports = createCodeIndexStore();
+module.exports.MongoCodeIndexStore = MongoCodeIndexStore;
+module.exports.MemoryCodeIndexStore = MemoryCodeIndexStore;
+module.exports.createCodeIndexStore = createCodeIndexStore;
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const codeIndexConfig = require('../config/codeIndex');
+const codeIndexStore = require('./codeIndexStore');
+const llmClient = require('./llmClient');
+const { chunkFile } = require('../utils/codeChunker');
+const { Bm25Index, tokenize } = require('../utils/bm25');
+const { readArchive } = require('../utils/archiveReader');
+
+const execFileAsync = promisify(execFile);
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+// Embedding input is truncated to roughly the model's input limit
+const MAX_EMBEDDING_CHARS = 8000;
+
+/**
+ * Code Indexer
+ * Builds searchable indexes of real code from a local git checkout, an
+ * uploaded archive or a Google Drive folder. Files are split into chunks by
+ * function or block (see utils/codeChunker) and ranked with BM25, optionally
+ * blended with embedding similarity. Search results keep their file and line
+ * range so answers can point at the actual code.
+ *
+ * Sources:
+ *   { type: 'path', path }                  local checkout under CODE_INDEX_ROOTS
+ *   { type: 'archive', filePath, fileName } uploaded .zip, .tar, .tar.gz or .tgz
+ *   { type: 'drive', folderId }             Google Drive folder, read recursively
+ */
+class CodeIndexer {
+  /**
+   * @param {Object} options - { store, config, client }, defaults are the shared instances
+   */
+  constructor({ store = codeIndexStore, config = codeIndexConfig, client = llmClient } = {}) {
+    this.store = store;
+    this.config = config;
+    this.client = client;
+    // indexId -> { updatedAt, chunks, byId, bm25 }, rebuilt when the index changes
+    this.loaded = new Map();
+  }
+
+  /**
+   * Index a source
+   * @param {Object} options - { name, source, createdBy }
+   * @returns {Promise<Object>} - The index summary
+   */
+  async createIndex({ name, source, createdBy = null }) {
+    const now = new Date().toISOString();
+    const index = {
+      indexId: `idx_${crypto.randomUUID()}`,
+      name: name || defaultName(source),
+      source: describeSource(source),
+      createdBy,
+      createdAt: now
+    };
+
+    return this._build(index, source);
+  }
+
+  /**
+   * Re-read an index's source and rebuild it
+   * @param {String} indexId - Index id
+   * @returns {Promise<Object>} - The updated index summary
+   */
+  async refreshIndex(indexId) {
+    const index = await this.getIndex(indexId);
+    if (!index) {
+      throw notFound(indexId);
+    }
+    if (index.source.type === 'archive') {
+      const error = new Error('Archive indexes cannot be refreshed; upload the archive again');
+      error.code = 'CODE_INDEX_NOT_REFRESHABLE';
+      throw error;
+    }
+
+    return this._build(index, index.source);
+  }
+
+  async listIndexes() {
+    return this.store.listIndexes();
+  }
+
+  async getIndex(indexId) {
+    return this.store.getIndex(indexId);
+  }
+
+  async deleteIndex(indexId) {
+    this.loaded.delete(indexId);
+    return this.store.deleteIndex(indexId);
+  }
+
+  /**
+   * The index to search: the given one, or the most recently updated
+   * @param {String} indexId - Index id (optional)
+   * @returns {Promise<Object>} - The index summary
+   */
+  async resolveIndex(indexId = null) {
+    const index = indexId
+      ? await this.store.getIndex(indexId)
+      : (await this.store.listIndexes())[0];
+
+    if (!index) {
+      throw notFound(indexId);
+    }
+    return index;
+  }
+
+  /**
+   * Retrieve the chunks that best match a query
+   * @param {String} indexId - Index id
+   * @param {String} query - Natural language or identifier query
+   * @param {Object} options - { topK }
+   * @returns {Promise<Array<Object>>} - [{ id, file, language, symbol, startLine, endLine, text, score }], best first
+   */
+  async search(indexId, query, { topK = this.config.search.defaultTopK } = {}) {
+    const index = await this.resolveIndex(indexId);
+    const loaded = await this._load(index);
+    const limit = Math.min(Math.max(1, Number(topK) || this.config.search.defaultTopK), this.config.search.maxTopK);
+
+    const lexical = loaded.bm25.search(tokenize(query), loaded.chunks.length);
+    const scores = new Map();
+    const topLexical = lexical.length > 0 ? lexical[0].score : 0;
+    lexical.forEach(({ id, score }) => scores.set(id, score / topLexical));
+
+    const queryVector = index.embeddings ? await this._embedQuery(query) : null;
+    if (queryVector) {
+      const weight = this.config.embeddings.weight;
+      scores.forEach((score, id) => scores.set(id, score * (1 - weight)));
+      loaded.chunks.forEach(chunk => {
+        if (!chunk.vector) return;
+        const similarity = Math.max(0, cosineSimilarity(queryVector, chunk.vector));
+        scores.set(chunk.id, (scores.get(chunk.id) || 0) + similarity * weight);
+      });
+    }
+
+    return [...scores.entries()]
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const { vector, ...chunk } = loaded.byId.get(id);
+        return { ...chunk, score: Math.round(score * 10000) / 10000 };
+      });
+  }
+
+  async _build(index, source) {
+    const { files, skippedFiles, truncated, commit } = await this._readSource(source);
+    const { maxLines, overlapLines } = this.config.chunking;
+    const chunks = files.flatMap(file => chunkFile(file.path, file.content, { maxLines, overlapLines }));
+
+    let embeddings = false;
+    if (this.config.embeddings.enabled && chunks.length > 0) {
+      embeddings = await this._embedChunks(chunks);
+    }
+
+    const saved = {
+      ...index,
+      fileCount: files.length,
+      chunkCount: chunks.length,
+      skippedFiles,
+      truncated,
+      commit,
+      embeddings,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.saveIndex(saved, chunks);
+    this.loaded.delete(saved.indexId);
+    console.log(`Indexed ${files.length} files (${chunks.length} chunks) into code index ${saved.indexId}`);
+    return saved;
+  }
+
+  async _load(index) {
+    const cached = this.loaded.get(index.indexId);
+    if (cached && cached.updatedAt === index.updatedAt) {
+      return cached;
+    }
+
+    const chunks = await this.store.getChunks(index.indexId);
+    const bm25 = new Bm25Index(this.config.search);
+    const byId = new Map();
+    chunks.forEach(chunk => {
+      byId.set(chunk.id, chunk);
+      // The path and symbol count as part of the chunk, so file names match too
+      bm25.add(chunk.id, tokenize(`${chunk.file} ${chunk.symbol || ''} ${chunk.text}`));
+    });
+
+    const loaded = { updatedAt: index.updatedAt, chunks, byId, bm25 };
+    this.loaded.set(index.indexId, loaded);
+    return loaded;
+  }
+
+  async _readSource(source) {
+    switch (source.type) {
+      case 'path':
+        return this._readLocalPath(source.path);
+      case 'archive':
+        return this._collect(readArchive(source.filePath, source.fileName, {
+          maxFileBytes: this.config.limits.maxFileBytes,
+          maxTotalBytes: this.config.limits.maxArchiveBytes
+        }).map(entry => ({ path: entry.path, read: async () => entry.content })));
+      case 'drive':
+        return this._readDriveFolder(source.folderId);
+      default: {
+        const error = new Error(`Unknown code index source type: ${source.type}`);
+        error.code = 'INVALID_CODE_INDEX_SOURCE';
+        throw error;
+      }
+    }
+  }
+
+  async _readLocalPath(requestedPath) {
+    const root = await this._checkAllowedPath(requestedPath);
+    const isGitCheckout = fs.existsSync(path.join(root, '.git'));
+
+    // A git checkout is read through git, which honours .gitignore
+    const paths = isGitCheckout ? await gitFiles(root) : await walk(root, this.config.ignoredDirectories);
+    const result = await this._collect(paths.map(file => ({
+      path: file,
+      size: () => fs.promises.stat(path.join(root, file)).then(stat => stat.size),
+      read: () => fs.promises.readFile(path.join(root, file))
+    })));
+
+    result.commit = isGitCheckout ? await gitCommit(root) : null;
+    return result;
+  }
+
+  async _checkAllowedPath(requestedPath) {
+    let resolved;
+    try {
+      resolved = await fs.promises.realpath(path.resolve(requestedPath || ''));
+    } catch (error) {
+      const notFoundError = new Error(`Path not found: ${requestedPath}`);
+      notFoundError.code = 'CODE_INDEX_PATH_NOT_FOUND';
+      throw notFoundError;
+    }
+
+    const allowed = this.config.allowedRoots.some(root => {
+      const allowedRoot = path.resolve(root);
+      return resolved === allowedRoot || resolved.startsWith(allowedRoot + path.sep);
+    });
+    if (!allowed) {
+      const error = new Error(this.config.allowedRoots.length === 0
+        ? 'Indexing local paths is disabled; set CODE_INDEX_ROOTS to allow it'
+        : `Path is outside the directories allowed by CODE_INDEX_ROOTS: ${requestedPath}`);
+      error.code = 'CODE_INDEX_PATH_NOT_ALLOWED';
+      throw error;
+    }
+    return resolved;
+  }
+
+  async _readDriveFolder(folderId) {
+    // Loaded on first use: the Drive client needs credentials at startup
+    const googleDriveService = require('../utils/googleDriveService');
+    const files = await googleDriveService.listFolderTree(folderId);
+
+    return this._collect(files
+      // Native Docs and Sheets have no source to read
+      .filter(file => !file.mimeType.startsWith('application/vnd.google-apps.'))
+      .map(file => ({
+        path: file.path,
+        size: async () => Number(file.size) || 0,
+        read: async () => {
+          const content = await googleDriveService.readFile(file.id);
+          return typeof content === 'string' || Buffer.isBuffer(content)
+            ? content
+            : JSON.stringify(content, null, 2);
+        }
+      })));
+  }
+
+  /**
+   * Read the indexable files of a source
+   * @param {Array<Object>} candidates - [{ path, read(), size() }], size is optional
+   * @returns {Promise<Object>} - { files: [{ path, content }], skippedFiles, truncated }
+   */
+  async _collect(candidates) {
+    const { maxFiles, maxFileBytes } = this.config.limits;
+    const files = [];
+    let skippedFiles = 0;
+    let truncated = false;
+
+    for (const candidate of candidates) {
+      const filePath = candidate.path.replace(/\\/g, '/');
+      if (!this._isIndexable(filePath)) continue;
+
+      if (files.length >= maxFiles) {
+        truncated = true;
+        break;
+      }
+
+      if (candidate.size && await candidate.size() > maxFileBytes) {
+        skippedFiles += 1;
+        continue;
+      }
+
+      const raw = await candidate.read();
+      const content = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw);
+      if (content.length > maxFileBytes || content.includes('\u0000')) {
+        // Too large, or binary despite its extension
+        skippedFiles += 1;
+        continue;
+      }
+
+      files.push({ path: filePath, content });
+    }
+
+    return { files, skippedFiles, truncated, commit: null };
+  }
+
+  _isIndexable(filePath) {
+    const segments = filePath.split('/');
+    if (segments.slice(0, -1).some(segment => this.config.ignoredDirectories.includes(segment))) {
+      return false;
+    }
+    return this.config.extensions.includes(path.extname(filePath).toLowerCase());
+  }
+
+  // Adds a vector to every chunk; returns false (lexical search only) if embedding fails
+  async _embedChunks(chunks) {
+    try {
+      const { batchSize } = this.config.embeddings;
+      for (let i = 0; i < chunks.length; i += batchSize) {
+        const batch = chunks.slice(i, i + batchSize);
+        const vectors = await this._embed(
+          batch.map(chunk => `${chunk.file}\n${chunk.text}`),
+          'RETRIEVAL_DOCUMENT'
+        );
+        batch.forEach((chunk, j) => { chunk.vector = vectors[j]; });
+      }
+      return true;
+    } catch (error) {
+      console.warn('Embedding code chunks failed; the index will use lexical search only:', error.message);
+      chunks.forEach(chunk => { delete chunk.vector; });
+      return false;
+    }
+  }
+
+  async _embedQuery(query) {
+    if (!this.config.embeddings.enabled) return null;
+
+    try {
+      const [vector] = await this._embed([query], 'RETRIEVAL_QUERY');
+      return vector;
+    } catch (error) {
+      console.warn('Embedding the search query failed; using lexical search only:', error.message);
+      return null;
+    }
+  }
+
+  async _embed(texts, taskType) {
+    const model = this.config.embeddings.model;
+    const response = await this.client.request('gemini', {
+      url: `${GEMINI_BASE_URL}/models/${model}:batchEmbedContents?key=${process.env.GOOGLE_AI_API_KEY}`,
+      data: {
+        requests: texts.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text: text.slice(0, MAX_EMBEDDING_CHARS) }] },
+          taskType
+        }))
+      },
+      label: 'codeIndexEmbeddings'
+    });
+    return response.data.embeddings.map(embedding => embedding.values);
+  }
+}
+
+async function gitFiles(root) {
+  const { stdout } = await execFileAsync('git', ['ls-files', '-z'], { cwd: root, maxBuffer: 64 * 1024 * 1024 });
+  return stdout.split('\0').filter(Boolean);
+}
+
+async function gitCommit(root) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: root });
+    return stdout.trim();
+  } catch (error) {
+    // A checkout with no commits yet
+    return null;
+  }
+}
+
+async function walk(root, ignoredDirectories, relative = '') {
+  const files = [];
+  const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory() && !ignoredDirectories.includes(entry.name)) {
+      files.push(...await walk(root, ignoredDirectories, entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// What is stored about a source: enough to refresh it, nothing temporary
+function describeSource(source) {
+  switch (source.type) {
+    case 'path':
+      return { type: 'path', path: source.path };
+    case 'drive':
+      return { type: 'drive', folderId: source.folderId };
+    case 'archive':
+      return { type: 'archive', fileName: source.fileName };
+    default:
+      return { type: source.type };
+  }
+}
+
+function defaultName(source) {
+  if (source.type === 'path') return path.basename(path.resolve(source.path || ''));
+  if (source.type === 'archive') return source.fileName;
+  return `Drive folder ${source.folderId}`;
+}
+
+function notFound(indexId) {
+  const error = new Error(indexId
+    ? `Code index not found: ${indexId}`
+    : 'No code has been indexed yet; create a code index first');
+  error.code = 'CODE_INDEX_NOT_FOUND';
+  return error;
+}
+
+module.exports = new CodeIndexer();
+module.exports.CodeIndexer = CodeIndexer;
@@ -0,0 +1,111 @@
+const modelConfig = require('../config/modelConfig');
+const { UsageLedger } = require('./usageLedger');
+
+/**
+ * Conversation Memory
+ * Keeps long chats within each model's context by folding older turns into
+ * a rolling summary and fitting the summary plus the most recent turns into
+ * a per-model token budget
+ */
+class ConversationMemory {
+  constructor(settings = modelConfig.getMemory()) {
+    this.settings = settings;
+  }
+
+  /**
+   * Pick the turns that should be folded into the summary
+   * @param {Array} messages - Unsummarized turns, oldest first
+   * @returns {Array} - Turns to summarize (empty while under the threshold)
+   */
+  selectForSummary(messages) {
+    const tokens = messages.reduce((total, message) => total + UsageLedger.estimateTokens(message.content), 0);
+    if (tokens <= this.settings.summarizeAfterTokens) {
+      return [];
+    }
+    return messages.slice(0, Math.max(0, messages.length - this.settings.keepRecentMessages));
+  }
+
+  /**
+   * Build the prompt asking the summarizer to extend the running summary
+   * @param {String} previousSummary - Current summary, if any
+   * @param {Array} messages - Turns to fold in, oldest first
+   * @returns {String} - Summarization prompt
+   */
+  buildSummaryPrompt(previousSummary, messages) {
+    const maxWords = Math.round(this.settings.maxSummaryTokens * 0.75);
+
+    return [
+      'You maintain the running memory of a project planning conversation.',
+      `Update the summary below with the new messages in at most ${maxWords} words.`,
+      'Keep every requirement, constraint, decision, name, number and open question;',
+      'drop greetings and small talk. Reply with the summary only.',
+      '',
+      'Current summary:',
+      previousSummary || '(none yet)',
+      '',
+      'New messages:',
+      ...messages.map(message => `${message.role}: ${message.content}`)
+    ].join('\n');
+  }
+
+  /**
+   * History budget for a model
+   * @param {Object} model - Model declaration from the model configuration
+   * @returns {Number} - Tokens of history the model should receive
+   */
+  historyBudget(model) {
+    return (model && model.historyTokens) || this.settings.historyTokens;
+  }
+
+  /**
+   * Fit a conversation into a token budget. The summary comes first (using at
+   * most half the budget), then as many of the most recent turns as fit; the
+   * newest turn is truncated rather than dropped when it alone is too long.
+   * @param {Object} conversation - { summary, messages } from ChatSession.getConversation()
+   * @param {Number} budgetTokens - Tokens available for history
+   * @returns {Array} - Chat history entries { role, content }, oldest first
+   */
+  buildHistory({ summary = null, messages = [] } = {}, budgetTokens = this.settings.historyTokens) {
+    let remaining = budgetTokens;
+    const history = [];
+
+    if (summary) {
+      const content = truncateToTokens(`Summary of the earlier conversation:\n${summary}`, Math.floor(budgetTokens / 2));
+      history.push({ role: 'system', content });
+      remaining -= UsageLedger.estimateTokens(content);
+    }
+
+    const recent = [];
+    for (let i = messages.length - 1; i >= 0 && remaining > 0; i -= 1) {
+      const content = String(messages[i].content || '');
+      const tokens = UsageLedger.estimateTokens(content);
+
+      if (tokens > remaining) {
+        if (recent.length === 0) {
+          recent.unshift({ role: messages[i].role, content: truncateToTokens(content, remaining) });
+        }
+        break;
+      }
+
+      recent.unshift({ role: messages[i].role, content });
+      remaining -= tokens;
+    }
+
+    history.push(...recent);
+    return history;
+  }
+}
+
+/**
+ * Cut text down to roughly the given number of tokens
+ * @param {String} text - Text to cut
+ * @param {Number} tokens - Token budget
+ * @returns {String} - Text within the budget
+ */
+function truncateToTokens(text, tokens) {
+  const maxChars = tokens * 4;
+  return text.length <= maxChars ? text : `${text.slice(0, Math.max(0, maxChars - 3))}...`;
+}
+
+module.exports = new ConversationMemory();
+module.exports.ConversationMemory = ConversationMemory;
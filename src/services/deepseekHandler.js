@@ -1,5 +1,6 @@
-const axios = require('axios');
-const aiModels = require('../config/aiModels');
+const modelConfig = require('../config/modelConfig');
+const llmClient = require('./llmClient');
+const { parseEventStream } = require('../utils/sse');
 
 /**
  * DeepSeek AI Handler Service for Projectcrew AI
@@ -9,7 +10,7 @@ class DeepseekHandler {
   constructor() {
     this.apiKey = process.env.DEEPSEEK_API_KEY;
     this.apiUrl = process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1';
-    this.model = aiModels.deepseek.r1;
+    this.model = modelConfig.getModel('deepseek', 'r1');
   }
 
   /**
@@ -47,7 +48,60 @@ class DeepseekHandler {
         task: this._redactSensitive(task),
         context: this._redactSensitive(safeContext)
       });
-      throw new Error(`DeepSeek API error: ${error.message}`);
+      // Provider failures from llmClient are already labelled and classified
+      throw error.code === 'LLM_REQUEST_FAILED' ? error : new Error(`DeepSeek API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a reasoning task response from DeepSeek
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @returns {AsyncGenerator<String>} - Text chunks as they arrive
+   */
+  async *streamTask(task, context = {}) {
+    const safeContext = {
+      ...context,
+      chatHistory: Array.isArray(context.chatHistory) ? context.chatHistory : []
+    };
+    
+    let response;
+    try {
+      response = await llmClient.request('deepseek', {
+        url: `${this.apiUrl}/chat/completions`,
+        data: {
+          model: this.model.id,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are an AI assistant specialized in reasoning and problem-solving.'
+            },
+            {
+              role: 'user',
+              content: this.buildReasoningPrompt(task, safeContext)
+            }
+          ],
+          temperature: safeContext.temperature || this.model.temperature,
+          max_tokens: safeContext.maxTokens || this.model.maxTokens,
+          stream: true
+        },
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        label: this.model.id
+      });
+    } catch (error) {
+      console.error('[ProjectCrew AI] Error opening DeepSeek stream:', error.message);
+      throw error;
+    }
+    
+    for await (const { data } of parseEventStream(response.data)) {
+      if (data === '[DONE]') break;
+      
+      const parsed = JSON.parse(data);
+      const delta = parsed.choices && parsed.choices[0] && parsed.choices[0].delta;
+      if (delta && delta.content) {
+        yield delta.content;
+      }
     }
   }
 
@@ -64,6 +118,7 @@ class DeepseekHandler {
       model: this.model.id,
       type: 'reasoning',
       reasoning: response.reasoning || null,
+      usage: response.usage,
       taskContext: context.chatHistory.length > 0 ? 'chat_integrated' : 'standalone',
       displayFormat: 'reasoning',
       steps: response.reasoning ? this.formatReasoningSteps(response.reasoning) : null,
@@ -113,11 +168,11 @@ class DeepseekHandler {
       prompt += `Guidelines: ${context.guidelines}\n\n`;
     }
     
-    // Include chat history context if available
+    // Include chat history context if available (already fitted to the model's history budget)
     if (context.chatHistory && Array.isArray(context.chatHistory)) {
       prompt += 'Previous conversation context:\n';
       prompt += context.chatHistory
-        .map(msg => `${msg.role}: ${msg.content.substring(0, 200)}${msg.content.length > 200 ? '...' : ''}`)
+        .map(msg => `${msg.role}: ${msg.content}`)
         .join('\n');
       prompt += '\n\n';
     }
@@ -150,9 +205,9 @@ class DeepseekHandler {
    */
   async callDeepseekAPI(prompt, context) {
     try {
-      const response = await axios.post(
-        `${this.apiUrl}/chat/completions`,
-        {
+      const response = await llmClient.request('deepseek', {
+        url: `${this.apiUrl}/chat/completions`,
+        data: {
           model: this.model.id,
           messages: [
             {
@@ -168,13 +223,9 @@ class DeepseekHandler {
           max_tokens: context.maxTokens || this.model.maxTokens,
           response_format: { type: 'json_object' }
         },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          }
-        }
-      );
+        headers: this.getHeaders(),
+        label: this.model.id
+      });
 
       // Parse the response
       const result = response.data.choices[0].message.content;
@@ -184,22 +235,32 @@ class DeepseekHandler {
         parsedResult = JSON.parse(result);
       } catch (e) {
         // If not valid JSON, return as plain text
-        return { content: result };
+        return { content: result, usage: response.data.usage };
       }
       
       return {
         content: parsedResult.answer || parsedResult.content || result,
-        reasoning: parsedResult.reasoning || parsedResult.steps || null
+        reasoning: parsedResult.reasoning || parsedResult.steps || null,
+        usage: response.data.usage
       };
     } catch (error) {
-      console.error('[ProjectCrew AI] Error calling DeepSeek API:', error);
-      if (error.response) {
-        console.error('[ProjectCrew AI] Response status:', error.response.status);
-        console.error('[ProjectCrew AI] Response data:', error.response.data);
-      }
-      throw new Error(`DeepSeek API error: ${error.message}`);
+      // llmClient errors already read "DeepSeek API error: ..." and carry errorType/status
+      console.error('[ProjectCrew AI] Error calling DeepSeek API:', error.message);
+      throw error;
     }
   }
+
+  /**
+   * Request headers for the DeepSeek API
+   * @returns {Object} - Headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
   /**
    * Format reasoning steps for display
    * @param {String|Array} reasoning - Reasoning steps from the model
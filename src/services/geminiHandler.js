@@ -1,4 +1,6 @@
 const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
+const modelConfig = require('../config/modelConfig');
+const llmClient = require('./llmClient');
 
 /**
  * Gemini AI Handler Service
@@ -9,21 +11,8 @@ class GeminiHandler {
     this.apiKey = process.env.GOOGLE_AI_API_KEY;
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     
-    // Model configurations
-    this.models = {
-      flash: {
-        id: 'gemini-1.5-flash',
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95
-      },
-      pro: {
-        id: 'gemini-1.5-pro',
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95
-      }
-    };
+    // Model configurations (flash, pro)
+    this.models = modelConfig.getProviderModels('gemini');
   }
 
   /**
@@ -59,11 +48,9 @@ class GeminiHandler {
    * @returns {Promise<Object>} - The API response
    */
   async callGeminiAPI(task, context, model) {
-    const MAX_RETRIES = 3;
-    let attempt = 0;
-    
-    while (attempt < MAX_RETRIES) {
-      try {
+    try {
+      const prompt = this.buildPrompt(task, context);
+      const result = await llmClient.execute('gemini', ({ timeoutMs }) => {
         const geminiModel = this.genAI.getGenerativeModel({
           model: model.id,
           safetySettings: this.getSafetySettings(context),
@@ -71,25 +58,64 @@ class GeminiHandler {
             temperature: model.temperature,
             topK: model.topK,
             topP: model.topP,
-            maxOutputTokens: this.calculateTokenBudget(task)
+            maxOutputTokens: this.calculateTokenBudget(task, model)
           }
-        });
+        }, { timeout: timeoutMs });
+        
+        return geminiModel.generateContent(prompt);
+      }, { label: model.id });
 
-        const prompt = this.buildPrompt(task, context);
-        const result = await geminiModel.generateContent(prompt);
-        const response = result.response;
+      return this.parseResponse(result.response, model.id);
+    } catch (error) {
+      // llmClient errors already read "Gemini API error: ..." and carry errorType/status
+      console.error('Error calling Gemini API:', error.message);
+      throw error;
+    }
+  }
 
-        return this.parseResponse(response, model.id);
-      } catch (error) {
-        if (this.isRetryableError(error) && attempt < MAX_RETRIES - 1) {
-          attempt++;
-          console.log(`Retrying Gemini API call (attempt ${attempt + 1}/${MAX_RETRIES})...`);
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-          continue;
-        }
-        console.error('Error calling Gemini API:', error);
-        throw new Error(`Gemini API error: ${error.message}`);
+  /**
+   * Stream a task response from Gemini
+   * @param {Object} task - The task to process
+   * @param {Object} context - Additional context for the task
+   * @param {Object} model - Model configuration to use (Pro if omitted)
+   * @returns {AsyncGenerator<String>} - Text chunks as they arrive
+   */
+  async *streamTask(task, context = {}, model = null) {
+    const selectedModel = model || this.models.pro;
+    
+    if (context.history && Array.isArray(context.history)) {
+      context.chatHistory = context.history;
+    }
+    
+    let result;
+    try {
+      result = await llmClient.execute('gemini', ({ timeoutMs }) => {
+        const geminiModel = this.genAI.getGenerativeModel({
+          model: selectedModel.id,
+          safetySettings: this.getSafetySettings(context),
+          generationConfig: {
+            temperature: selectedModel.temperature,
+            topK: selectedModel.topK,
+            topP: selectedModel.topP,
+            maxOutputTokens: this.calculateTokenBudget(task, selectedModel)
+          }
+        }, { timeout: timeoutMs });
+        
+        return geminiModel.generateContentStream(this.buildPrompt(task, context));
+      }, { label: selectedModel.id });
+    } catch (error) {
+      console.error('Error opening Gemini stream:', error.message);
+      throw error;
+    }
+    
+    try {
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
       }
+    } catch (error) {
+      console.error('Error streaming from Gemini API:', error);
+      throw new Error(`Gemini API error: ${error.message}`);
     }
   }
 
@@ -149,6 +175,7 @@ class GeminiHandler {
     return {
       content: response.text(),
       model: modelId,
+      usage: response.usageMetadata,
       type: 'gemini'
     };
   }
@@ -156,12 +183,13 @@ class GeminiHandler {
   /**
    * Calculate token budget based on task complexity
    * @param {Object} task - The task to process
+   * @param {Object} model - Model configuration, whose maxTokens caps the budget
    * @returns {Number} - Token budget
    */
-  calculateTokenBudget(task) {
+  calculateTokenBudget(task, model = {}) {
     const baseTokens = 2048;
     const complexityBonus = task.complexity ? Math.floor(task.complexity / 100 * 1024) : 0;
-    return baseTokens + complexityBonus;
+    return Math.min(baseTokens + complexityBonus, model.maxTokens || Infinity);
   }
 
   /**
@@ -178,17 +206,6 @@ class GeminiHandler {
       }
     ];
   }
-
-  /**
-   * Check if error is retryable
-   * @param {Error} error - The error to check
-   * @returns {Boolean} - Whether the error is retryable
-   */
-  isRetryableError(error) {
-    return error.code === 503 || 
-      (error.message && error.message.includes('quota')) ||
-      error.code === 429;
-  }
 }
 
 module.exports = GeminiHandler;
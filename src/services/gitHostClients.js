@@ -0,0 +1,286 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Files per page of the GitLab merge request diffs API (its maximum)
+const GITLAB_DIFF_PAGE_SIZE = 100;
+
+/**
+ * Git Host Clients
+ * Webhook verification and the pull request API calls used to review pull
+ * requests (see services/pullRequestReviewer.js), for GitHub and GitLab.
+ *
+ * Every client implements:
+ *   verifySignature(headers, rawBody) -> throws WEBHOOK_NOT_CONFIGURED or WEBHOOK_SIGNATURE_INVALID
+ *   parseEvent(headers, payload) -> pull request, or null when the event needs no review
+ *   fetchDiff(pullRequest) -> unified diff; throws DIFF_TOO_LARGE when the host
+ *     cannot return all of it
+ *   postReview(pullRequest, { summary, comments: [{ path, oldPath, line, oldLine, body }] })
+ *     -> when it fails part way, the error's `posted` counts the comments already posted
+ *   postComment(pullRequest, body)
+ *
+ * Pull requests: { provider, repository, number, headSha, title, description, url, ... }
+ */
+
+/**
+ * GitHub client
+ * Webhooks are signed with HMAC-SHA256 in X-Hub-Signature-256. Inline
+ * comments and the summary are posted as one pull request review.
+ */
+class GitHubClient {
+  /**
+   * @param {Object} config - github section of config/gitHosting.js, plus timeoutMs
+   * @param {Function} transport - HTTP request function, defaults to axios.request
+   */
+  constructor(config, transport = axios.request) {
+    this.config = config;
+    this.transport = transport;
+  }
+
+  verifySignature(headers, rawBody) {
+    if (!this.config.webhookSecret) {
+      throw gitHostError('GitHub webhooks are not configured; set GITHUB_WEBHOOK_SECRET', 'WEBHOOK_NOT_CONFIGURED');
+    }
+    const expected = `sha256=${crypto.createHmac('sha256', this.config.webhookSecret).update(rawBody).digest('hex')}`;
+    if (!safeEqual(headers['x-hub-signature-256'], expected)) {
+      throw gitHostError('Invalid GitHub webhook signature', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+  }
+
+  parseEvent(headers, payload) {
+    const pullRequest = payload.pull_request;
+    if (headers['x-github-event'] !== 'pull_request' || !pullRequest || !payload.repository) return null;
+    if (!this.config.reviewActions.includes(payload.action) || pullRequest.draft) return null;
+
+    return {
+      provider: 'github',
+      repository: payload.repository.full_name,
+      number: pullRequest.number,
+      headSha: pullRequest.head.sha,
+      title: pullRequest.title || '',
+      description: pullRequest.body || '',
+      url: pullRequest.html_url || null
+    };
+  }
+
+  async fetchDiff(pullRequest) {
+    const response = await this._request({
+      method: 'get',
+      url: `/repos/${pullRequest.repository}/pulls/${pullRequest.number}`,
+      headers: { Accept: 'application/vnd.github.v3.diff' },
+      responseType: 'text'
+    });
+    return response.data;
+  }
+
+  async postReview(pullRequest, { summary, comments }) {
+    const post = data => this._request({
+      method: 'post',
+      url: `/repos/${pullRequest.repository}/pulls/${pullRequest.number}/reviews`,
+      data: { commit_id: pullRequest.headSha, event: 'COMMENT', ...data }
+    });
+
+    try {
+      await post({
+        body: summary,
+        comments: comments.map(comment => ({ path: comment.path, line: comment.line, side: 'RIGHT', body: comment.body }))
+      });
+    } catch (error) {
+      // GitHub rejects the whole review when any comment is off the diff, so
+      // post the summary alone with the comments folded into it
+      if (error.status !== 422 || comments.length === 0) throw error;
+      console.warn(`GitHub refused the inline comments on ${pullRequest.repository}#${pullRequest.number}, posting the summary only`);
+      await post({
+        body: [summary, '### Inline comments', ...comments.map(comment => `**${comment.path}:${comment.line}**\n\n${comment.body}`)].join('\n\n')
+      });
+    }
+  }
+
+  async postComment(pullRequest, body) {
+    await this._request({
+      method: 'post',
+      url: `/repos/${pullRequest.repository}/issues/${pullRequest.number}/comments`,
+      data: { body }
+    });
+  }
+
+  async _request({ headers = {}, url, ...request }) {
+    return sendRequest(this.transport, 'GitHub', {
+      ...request,
+      url: `${this.config.apiUrl}${url}`,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        'User-Agent': 'ProjectCrew-AI',
+        ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+        ...headers
+      },
+      timeout: this.config.timeoutMs
+    });
+  }
+}
+
+/**
+ * GitLab client
+ * Webhooks carry the shared secret in X-Gitlab-Token. Each issue becomes a
+ * diff discussion on its line, and the summary a merge request note.
+ */
+class GitLabClient {
+  /**
+   * @param {Object} config - gitlab section of config/gitHosting.js, plus timeoutMs
+   * @param {Function} transport - HTTP request function, defaults to axios.request
+   */
+  constructor(config, transport = axios.request) {
+    this.config = config;
+    this.transport = transport;
+  }
+
+  verifySignature(headers) {
+    if (!this.config.webhookSecret) {
+      throw gitHostError('GitLab webhooks are not configured; set GITLAB_WEBHOOK_SECRET', 'WEBHOOK_NOT_CONFIGURED');
+    }
+    if (!safeEqual(headers['x-gitlab-token'], this.config.webhookSecret)) {
+      throw gitHostError('Invalid GitLab webhook token', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+  }
+
+  parseEvent(headers, payload) {
+    const attributes = payload.object_attributes;
+    if (payload.object_kind !== 'merge_request' || !attributes || !payload.project) return null;
+    if (!this.config.reviewActions.includes(attributes.action)) return null;
+    // Title or label edits arrive as updates without a previous revision
+    if (attributes.action === 'update' && !attributes.oldrev) return null;
+    if (attributes.draft || attributes.work_in_progress) return null;
+
+    return {
+      provider: 'gitlab',
+      repository: payload.project.path_with_namespace || String(payload.project.id),
+      projectId: payload.project.id,
+      number: attributes.iid,
+      headSha: attributes.last_commit ? attributes.last_commit.id : null,
+      title: attributes.title || '',
+      description: attributes.description || '',
+      url: attributes.url || null
+    };
+  }
+
+  async fetchDiff(pullRequest) {
+    const base = this._mergeRequestPath(pullRequest);
+    const [mergeRequest, changes] = await Promise.all([
+      this._request({ method: 'get', url: base }),
+      this._fetchChanges(base)
+    ]);
+
+    // Diff positions are needed for inline discussions
+    pullRequest.diffRefs = mergeRequest.data.diff_refs;
+    return changes.map(change => [
+      `diff --git a/${change.old_path} b/${change.new_path}`,
+      change.new_file ? 'new file mode 100644' : null,
+      change.deleted_file ? 'deleted file mode 100644' : null,
+      `--- ${change.new_file ? '/dev/null' : `a/${change.old_path}`}`,
+      `+++ ${change.deleted_file ? '/dev/null' : `b/${change.new_path}`}`,
+      change.diff.replace(/\n$/, '')
+    ].filter(line => line !== null).join('\n')).join('\n');
+  }
+
+  // The diffs API is paginated; follow x-next-page for up to maxDiffPages pages
+  async _fetchChanges(base) {
+    const changes = [];
+    let page = 1;
+    for (let fetched = 0; page; fetched += 1) {
+      if (fetched === this.config.maxDiffPages) {
+        throw gitHostError(`The merge request changes more than ${changes.length} files; too many to review`, 'DIFF_TOO_LARGE');
+      }
+      const response = await this._request({
+        method: 'get',
+        url: `${base}/diffs`,
+        params: { per_page: GITLAB_DIFF_PAGE_SIZE, page }
+      });
+      changes.push(...response.data);
+      page = Number((response.headers || {})['x-next-page']) || null;
+    }
+    return changes;
+  }
+
+  async postReview(pullRequest, { summary, comments }) {
+    const base = this._mergeRequestPath(pullRequest);
+    const refs = pullRequest.diffRefs || {};
+    let posted = 0;
+
+    try {
+      for (const comment of comments) {
+        await this._postDiscussion(base, refs, comment);
+        posted += 1;
+      }
+      await this.postComment(pullRequest, summary);
+    } catch (error) {
+      error.posted = posted;
+      throw error;
+    }
+  }
+
+  async _postDiscussion(base, refs, comment) {
+    await this._request({
+      method: 'post',
+      url: `${base}/discussions`,
+      data: {
+        body: comment.body,
+        position: {
+          position_type: 'text',
+          base_sha: refs.base_sha,
+          start_sha: refs.start_sha,
+          head_sha: refs.head_sha,
+          old_path: comment.oldPath || comment.path,
+          new_path: comment.path,
+          new_line: comment.line,
+          // Unchanged lines are identified by both sides
+          ...(comment.oldLine ? { old_line: comment.oldLine } : {})
+        }
+      }
+    });
+  }
+
+  async postComment(pullRequest, body) {
+    await this._request({ method: 'post', url: `${this._mergeRequestPath(pullRequest)}/notes`, data: { body } });
+  }
+
+  _mergeRequestPath(pullRequest) {
+    return `/projects/${encodeURIComponent(pullRequest.projectId)}/merge_requests/${pullRequest.number}`;
+  }
+
+  async _request({ url, ...request }) {
+    return sendRequest(this.transport, 'GitLab', {
+      ...request,
+      url: `${this.config.apiUrl}${url}`,
+      headers: this.config.token ? { 'PRIVATE-TOKEN': this.config.token } : {},
+      timeout: this.config.timeoutMs
+    });
+  }
+}
+
+async function sendRequest(transport, host, request) {
+  try {
+    return await transport(request);
+  } catch (error) {
+    const data = error.response && error.response.data;
+    const reason = data && (data.message || data.error);
+    const failure = gitHostError(`${host} API error: ${reason || error.message}`, 'GIT_HOST_REQUEST_FAILED');
+    failure.status = error.response ? error.response.status : null;
+    throw failure;
+  }
+}
+
+// Constant-time comparison of a received secret or signature
+function safeEqual(received, expected) {
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function gitHostError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { GitHubClient, GitLabClient, gitHostError };
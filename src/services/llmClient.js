@@ -0,0 +1,246 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const llmConfig = require('../config/llm');
+const { classifyError } = require('../utils/providerErrors');
+
+// Error types worth another attempt at the same provider
+const RETRYABLE_TYPES = ['rate_limit', 'timeout', 'server'];
+
+const PROVIDER_LABELS = {
+  claude: 'Claude',
+  gemini: 'Gemini',
+  deepseek: 'DeepSeek'
+};
+
+/**
+ * Concurrency limiter
+ * Lets at most `limit` calls run at once; the rest wait in arrival order
+ */
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  acquire() {
+    if (this.active < this.limit) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      // The slot passes straight to the next caller
+      next();
+    } else {
+      this.active -= 1;
+    }
+  }
+}
+
+/**
+ * LLM Client
+ * The one path by which agents and handlers call model providers. Every call
+ * gets a request ID, a per-attempt timeout and a slot under the provider's
+ * concurrency limit. Rate limits, overloads, 5xx responses and timeouts are
+ * retried with exponential backoff and jitter, honouring retry-after; a rate
+ * limit also pauses the provider's other queued calls until it lifts.
+ * Failures surface as "<Provider> API error" errors carrying errorType
+ * (see utils/providerErrors), status, provider, requestId and attempts.
+ */
+class LlmClient {
+  /**
+   * @param {Object} options - { config, transport, sleep, random }; transport defaults
+   *   to axios.request, the others exist for tests
+   */
+  constructor({
+    config = llmConfig,
+    transport = axios.request,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random
+  } = {}) {
+    this.config = config;
+    this.transport = transport;
+    this.sleep = sleep;
+    this.random = random;
+    this.providers = new Map();
+  }
+
+  /**
+   * Send an HTTP request to a provider
+   * @param {String} provider - Provider name (claude, gemini, deepseek)
+   * @param {Object} request - axios request config ({ url, data, headers, params, responseType });
+   *   the method defaults to POST. Optional timeoutMs and label (used in logs).
+   * @returns {Promise<Object>} - axios response, with requestId set
+   */
+  async request(provider, { timeoutMs, label, ...httpRequest }) {
+    return this.execute(provider, async ({ requestId, timeoutMs: timeout }) => {
+      const response = await this.transport({
+        method: 'post',
+        ...httpRequest,
+        headers: { ...(httpRequest.headers || {}), 'X-Request-Id': requestId },
+        timeout
+      });
+      response.requestId = requestId;
+      return response;
+    }, { timeoutMs, label });
+  }
+
+  /**
+   * Run a provider call under the provider's concurrency limit and retry policy.
+   * Used directly for SDK-based calls; request() wraps it for HTTP calls.
+   * @param {String} provider - Provider name
+   * @param {Function} call - async ({ requestId, attempt, timeoutMs }) => result
+   * @param {Object} options - { timeoutMs, label }
+   * @returns {Promise<*>} - The call's result
+   */
+  async execute(provider, call, { timeoutMs, label = provider } = {}) {
+    const state = this._getProvider(provider);
+    const requestId = `llm_${crypto.randomUUID()}`;
+    const { maxRetries, maxRetryAfterMs } = this.config.retry;
+    const attemptTimeout = timeoutMs || state.settings.timeoutMs;
+
+    for (let attempt = 1; ; attempt += 1) {
+      await this._waitForCooldown(state);
+      await state.limiter.acquire();
+
+      let failure;
+      try {
+        return await call({ requestId, attempt, timeoutMs: attemptTimeout });
+      } catch (error) {
+        failure = error;
+      } finally {
+        state.limiter.release();
+      }
+
+      const classification = classifyError(failure);
+      const retryAfterMs = getRetryAfterMs(failure);
+      const canRetry = RETRYABLE_TYPES.includes(classification.type) &&
+        attempt <= maxRetries &&
+        (retryAfterMs === null || retryAfterMs <= maxRetryAfterMs);
+
+      if (!canRetry) {
+        throw this._wrapError(provider, failure, classification, requestId, attempt);
+      }
+
+      const delay = retryAfterMs ?? this._backoff(attempt);
+      console.warn(
+        `[${requestId}] ${label} ${classification.type} error${classification.status ? ` (${classification.status})` : ''}, ` +
+        `retry ${attempt}/${maxRetries} in ${delay}ms`
+      );
+
+      if (classification.type === 'rate_limit') {
+        // Hold back every call to this provider, not just this one
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+      } else {
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Current load per provider
+   * @returns {Object} - { [provider]: { active, queued, maxConcurrent, pausedUntil } }
+   */
+  getStats() {
+    const stats = {};
+    this.providers.forEach((state, name) => {
+      stats[name] = {
+        active: state.limiter.active,
+        queued: state.limiter.waiting.length,
+        maxConcurrent: state.settings.maxConcurrent,
+        pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+      };
+    });
+    return stats;
+  }
+
+  _getProvider(name) {
+    if (!this.providers.has(name)) {
+      const settings = { ...this.config.defaults, ...(this.config.providers[name] || {}) };
+      this.providers.set(name, {
+        settings,
+        limiter: new ConcurrencyLimiter(settings.maxConcurrent),
+        pausedUntil: 0
+      });
+    }
+    return this.providers.get(name);
+  }
+
+  async _waitForCooldown(state) {
+    const wait = state.pausedUntil - Date.now();
+    if (wait > 0) {
+      await this.sleep(wait);
+    }
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half the step is fixed, half random
+   * @param {Number} attempt - Attempt that just failed (1-based)
+   * @returns {Number} - Delay in milliseconds
+   */
+  _backoff(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.config.retry;
+    const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(step / 2 + this.random() * (step / 2));
+  }
+
+  _wrapError(provider, failure, classification, requestId, attempts) {
+    const headers = (failure.response && failure.response.headers) || {};
+    const error = new Error(`${PROVIDER_LABELS[provider] || provider} API error: ${describeFailure(failure)}`);
+    error.code = 'LLM_REQUEST_FAILED';
+    error.errorType = classification.type;
+    error.status = classification.status;
+    error.provider = provider;
+    error.requestId = requestId;
+    error.providerRequestId = headers['request-id'] || headers['x-request-id'] || null;
+    error.attempts = attempts;
+    error.originalError = failure;
+
+    console.error(`[${requestId}] ${error.message} (${classification.type}, ${attempts} attempt(s))`);
+    return error;
+  }
+}
+
+/**
+ * Read how long the provider asked us to wait, if it did
+ * @param {Error} error - Failed call
+ * @returns {Number|null} - Milliseconds, or null when no hint was given
+ */
+function getRetryAfterMs(error) {
+  if (Number.isFinite(error.retryAfterMs)) return error.retryAfterMs;
+
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  if (headers['retry-after-ms'] !== undefined && Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Best description of a failure: the provider's own error message when the
+ * response carried one, otherwise the transport error
+ */
+function describeFailure(error) {
+  const data = error.response && error.response.data;
+  if (data && typeof data === 'object' && data.error) {
+    return typeof data.error === 'string' ? data.error : data.error.message || error.message;
+  }
+  return error.message;
+}
+
+module.exports = new LlmClient();
+module.exports.LlmClient = LlmClient;
+module.exports.ConcurrencyLimiter = ConcurrencyLimiter;
+module.exports.getRetryAfterMs = getRetryAfterMs;
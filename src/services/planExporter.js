@@ -0,0 +1,420 @@
+const axios = require('axios');
+const planExportConfig = require('../config/planExport');
+
+const FILE_FORMATS = ['csv', 'json'];
+
+const LINEAR_ISSUE_CREATE = `mutation IssueCreate($input: IssueCreateInput!) {
+  issueCreate(input: $input) {
+    success
+    issue { id identifier url }
+  }
+}`;
+
+/**
+ * Plan Exporter
+ * Exports PlanningAgent plans to issue trackers (Jira, Linear) or to CSV and
+ * JSON files for any tracker's importer. Epics are created first and each
+ * user story becomes an issue under its epic, with its acceptance criteria,
+ * tasks, story points and sprint. A dry run returns the exact requests that
+ * would be sent, with credentials masked and the keys of epics that do not
+ * exist yet shown as placeholders.
+ *
+ * Errors: PLAN_EXPORT_INVALID (with problems), PLAN_EXPORT_NOT_CONFIGURED,
+ * PLAN_EXPORT_FAILED (with the issues created before the failure)
+ */
+class PlanExporter {
+  /**
+   * @param {Object} options - { config, transport }; transport defaults to axios.request
+   */
+  constructor({ config = planExportConfig, transport = axios.request } = {}) {
+    this.config = config;
+    this.transport = transport;
+    this.trackers = {
+      jira: new JiraTracker(config.jira),
+      linear: new LinearTracker(config.linear)
+    };
+  }
+
+  /**
+   * Export a plan to a tracker
+   * @param {Object} plan - PlanningAgent.generateTasks output
+   * @param {Object} options - { format: 'jira' | 'linear', dryRun }
+   * @returns {Promise<Object>} - { format, dryRun, requests, created: [{ type, name, storyId, id, key, url }] }
+   */
+  async export(plan, { format, dryRun = false } = {}) {
+    const tracker = this.trackers[format];
+    if (!tracker) {
+      throw exportError('Unknown export format', [`format must be one of ${[...Object.keys(this.trackers), ...FILE_FORMATS].join(', ')}`]);
+    }
+
+    const { epics } = normalizePlan(plan);
+    const sending = !(dryRun || this.config.dryRun);
+    tracker.checkConfigured({ sending });
+
+    const requests = [];
+    const created = [];
+    const send = async (request, item) => {
+      requests.push(maskCredentials(request, tracker));
+      if (!sending) return null;
+
+      const issue = await this._send(tracker, request, created);
+      created.push({ ...item, ...issue });
+      return issue.ref;
+    };
+
+    for (const [index, epic] of epics.entries()) {
+      const epicRef = await send(tracker.epicRequest(epic), { type: 'epic', name: epic.name, storyId: null });
+      for (const story of epic.stories) {
+        await send(tracker.storyRequest(story, epicRef || tracker.placeholder(index, epic)),
+          { type: 'story', name: story.title, storyId: story.storyId });
+      }
+    }
+
+    if (sending) {
+      console.log(`Exported plan to ${format}: ${created.length} issue(s) created`);
+    }
+    return { format, dryRun: !sending, requests, created };
+  }
+
+  /**
+   * Write a plan as a CSV or JSON import file, one row per epic and story
+   * @param {Object} plan - PlanningAgent.generateTasks output
+   * @param {String} format - 'csv' or 'json'
+   * @returns {Object} - { format, contentType, content }
+   */
+  toFile(plan, format) {
+    if (!FILE_FORMATS.includes(format)) {
+      throw exportError('Unknown file format', [`format must be one of ${FILE_FORMATS.join(', ')}`]);
+    }
+
+    const rows = planRows(normalizePlan(plan));
+    const { columns } = this.config;
+
+    if (format === 'json') {
+      const records = rows.map(row => Object.fromEntries(columns.map(({ header, field }) => [header, row[field]])));
+      return { format, contentType: 'application/json', content: JSON.stringify(records, null, 2) };
+    }
+
+    const lines = [
+      columns.map(({ header }) => csvCell(header)),
+      ...rows.map(row => columns.map(({ field }) => csvCell(row[field])))
+    ];
+    return { format, contentType: 'text/csv', content: `${lines.map(cells => cells.join(',')).join('\r\n')}\r\n` };
+  }
+
+  // Send a create request and read the new issue from the response
+  async _send(tracker, request, created) {
+    let response;
+    try {
+      response = await this.transport({
+        ...request,
+        headers: { ...request.headers, ...tracker.authHeaders() },
+        timeout: this.config.timeoutMs
+      });
+    } catch (error) {
+      const data = error.response && error.response.data;
+      throw failedError(`${tracker.label} API error: ${tracker.errorReason(data) || error.message}`,
+        error.response ? error.response.status : null, created);
+    }
+
+    const issue = tracker.readIssue(response);
+    if (!issue) {
+      throw failedError(`${tracker.label} API error: ${tracker.errorReason(response.data) || 'issue was not created'}`,
+        response.status, created);
+    }
+    return issue;
+  }
+}
+
+/**
+ * Jira Cloud REST API v3: one POST /rest/api/3/issue per epic and story,
+ * with descriptions in Atlassian Document Format
+ */
+class JiraTracker {
+  constructor(config) {
+    this.config = config;
+    this.label = 'Jira';
+  }
+
+  checkConfigured({ sending }) {
+    const missing = [];
+    if (!this.config.baseUrl) missing.push('JIRA_BASE_URL');
+    if (!this.config.projectKey) missing.push('JIRA_PROJECT_KEY');
+    if (sending && !this.config.email) missing.push('JIRA_EMAIL');
+    if (sending && !this.config.apiToken) missing.push('JIRA_API_TOKEN');
+    if (missing.length > 0) {
+      throw notConfiguredError(`Jira export is not configured; set ${missing.join(', ')}`);
+    }
+  }
+
+  authHeaders() {
+    const credentials = Buffer.from(`${this.config.email}:${this.config.apiToken}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  maskedAuthHeaders() {
+    return { Authorization: 'Basic <base64 of email:api token>' };
+  }
+
+  placeholder(index, epic) {
+    return `<key of epic ${index + 1}: ${epic.name}>`;
+  }
+
+  epicRequest(epic) {
+    return this._issueRequest({
+      issuetype: { name: this.config.issueTypes.epic },
+      summary: epic.name,
+      description: adfDocument([adfParagraph(epic.description)])
+    });
+  }
+
+  storyRequest(story, epicKey) {
+    const { fields: mapping, sprintIds } = this.config;
+    const fields = {
+      issuetype: { name: this.config.issueTypes.story },
+      summary: story.title,
+      description: adfDocument([
+        adfParagraph(story.description),
+        ...adfSection('Acceptance criteria', story.acceptanceCriteria),
+        ...adfSection('Tasks', story.tasks),
+        story.role ? adfParagraph(`Suggested assignee: ${story.role}`) : null
+      ]),
+      labels: story.storyId ? [labelFor(story.storyId)] : []
+    };
+
+    if (mapping.epicLink) {
+      fields[mapping.epicLink] = mapping.epicLink === 'parent' ? { key: epicKey } : epicKey;
+    }
+    if (mapping.storyPoints && story.storyPoints !== null) {
+      fields[mapping.storyPoints] = story.storyPoints;
+    }
+    if (story.sprint !== null) {
+      if (mapping.sprint && sprintIds[story.sprint] !== undefined) {
+        fields[mapping.sprint] = sprintIds[story.sprint];
+      } else {
+        fields.labels.push(`sprint-${story.sprint}`);
+      }
+    }
+    return this._issueRequest(fields);
+  }
+
+  readIssue(response) {
+    const { id, key } = response.data || {};
+    return key ? { id, key, url: `${this.config.baseUrl}/browse/${key}`, ref: key } : null;
+  }
+
+  errorReason(data) {
+    if (!data) return null;
+    const messages = [...(data.errorMessages || []), ...Object.entries(data.errors || {}).map(([field, message]) => `${field}: ${message}`)];
+    return messages.join('; ') || data.message || null;
+  }
+
+  _issueRequest(fields) {
+    return {
+      method: 'post',
+      url: `${this.config.baseUrl}/rest/api/3/issue`,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      data: { fields: { project: { key: this.config.projectKey }, ...fields } }
+    };
+  }
+}
+
+/**
+ * Linear GraphQL API: one issueCreate mutation per epic and story; epics
+ * become parent issues and stories their sub-issues
+ */
+class LinearTracker {
+  constructor(config) {
+    this.config = config;
+    this.label = 'Linear';
+  }
+
+  checkConfigured({ sending }) {
+    const missing = [];
+    if (!this.config.teamId) missing.push('LINEAR_TEAM_ID');
+    if (sending && !this.config.apiKey) missing.push('LINEAR_API_KEY');
+    if (missing.length > 0) {
+      throw notConfiguredError(`Linear export is not configured; set ${missing.join(', ')}`);
+    }
+  }
+
+  authHeaders() {
+    return { Authorization: this.config.apiKey };
+  }
+
+  maskedAuthHeaders() {
+    return { Authorization: '<api key>' };
+  }
+
+  placeholder(index, epic) {
+    return `<id of epic ${index + 1}: ${epic.name}>`;
+  }
+
+  epicRequest(epic) {
+    return this._issueCreate({ title: epic.name, description: epic.description });
+  }
+
+  storyRequest(story, parentId) {
+    const { fields: mapping, cycleIds } = this.config;
+    const input = {
+      title: story.storyId ? `${story.storyId}: ${story.title}` : story.title,
+      description: [
+        story.description,
+        markdownSection('Acceptance criteria', story.acceptanceCriteria),
+        markdownSection('Tasks', story.tasks),
+        story.role ? `Suggested assignee: ${story.role}` : null,
+        // Sprints without a mapped cycle are kept in the description
+        story.sprint !== null && !(mapping.sprint && cycleIds[story.sprint]) ? `Sprint ${story.sprint}` : null
+      ].filter(Boolean).join('\n\n'),
+      parentId
+    };
+
+    if (mapping.storyPoints && story.storyPoints !== null) {
+      input[mapping.storyPoints] = story.storyPoints;
+    }
+    if (mapping.sprint && story.sprint !== null && cycleIds[story.sprint]) {
+      input[mapping.sprint] = cycleIds[story.sprint];
+    }
+    return this._issueCreate(input);
+  }
+
+  // GraphQL reports failures in the body of a 200 response
+  readIssue(response) {
+    const data = response.data || {};
+    const result = data.data && data.data.issueCreate;
+    if (data.errors || !result || !result.success || !result.issue) return null;
+
+    const { id, identifier, url } = result.issue;
+    return { id, key: identifier, url, ref: id };
+  }
+
+  errorReason(data) {
+    return data && Array.isArray(data.errors) ? data.errors.map(error => error.message).join('; ') : null;
+  }
+
+  _issueCreate(input) {
+    return {
+      method: 'post',
+      url: this.config.apiUrl,
+      headers: { 'Content-Type': 'application/json' },
+      data: { query: LINEAR_ISSUE_CREATE, variables: { input: { teamId: this.config.teamId, ...input } } }
+    };
+  }
+}
+
+/**
+ * Check a plan and give each story its sprint from the sprint plan
+ * @param {Object} plan - PlanningAgent.generateTasks output
+ * @returns {Object} - { epics: [{ name, description, stories: [{ storyId, title, description,
+ *   acceptanceCriteria, tasks, storyPoints, role, sprint }] }] }
+ */
+function normalizePlan(plan) {
+  if (!plan || !Array.isArray(plan.epics) || plan.epics.length === 0) {
+    throw exportError('Invalid plan', ['plan must have at least one epic']);
+  }
+
+  const sprints = new Map();
+  (plan.sprint_plan || []).forEach(sprint => {
+    (sprint.user_stories || []).forEach(storyId => sprints.set(storyId, sprint.sprint_number));
+  });
+
+  const problems = [];
+  const epics = plan.epics.map((epic, epicIndex) => {
+    if (!epic.name) problems.push(`epic ${epicIndex + 1} has no name`);
+    return {
+      name: epic.name,
+      description: epic.description || '',
+      stories: (epic.user_stories || []).map((story, storyIndex) => {
+        if (!story.title) problems.push(`story ${storyIndex + 1} of epic ${epicIndex + 1} has no title`);
+        return {
+          storyId: story.id || null,
+          title: story.title,
+          description: story.description || '',
+          acceptanceCriteria: story.acceptance_criteria || [],
+          tasks: story.tasks || [],
+          storyPoints: Number.isInteger(story.story_points) ? story.story_points : null,
+          role: story.suggested_assignee || null,
+          sprint: sprints.get(story.id) || null
+        };
+      })
+    };
+  });
+
+  if (problems.length > 0) {
+    throw exportError('Invalid plan', problems);
+  }
+  return { epics };
+}
+
+function planRows({ epics }) {
+  const rows = [];
+  epics.forEach(epic => {
+    rows.push({
+      type: 'Epic', storyId: null, epic: null, title: epic.name, description: epic.description,
+      acceptanceCriteria: [], tasks: [], storyPoints: null, role: null, sprint: null
+    });
+    epic.stories.forEach(story => rows.push({ type: 'Story', epic: epic.name, ...story }));
+  });
+  return rows;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function adfDocument(blocks) {
+  return { type: 'doc', version: 1, content: blocks.filter(Boolean) };
+}
+
+function adfParagraph(text) {
+  // ADF rejects empty text nodes
+  return text ? { type: 'paragraph', content: [{ type: 'text', text }] } : null;
+}
+
+function adfSection(title, items) {
+  if (items.length === 0) return [];
+  return [
+    { type: 'heading', attrs: { level: 3 }, content: [{ type: 'text', text: title }] },
+    { type: 'bulletList', content: items.map(item => ({ type: 'listItem', content: [adfParagraph(item)] })) }
+  ];
+}
+
+function markdownSection(title, items) {
+  return items.length > 0 ? `### ${title}\n${items.map(item => `- ${item}`).join('\n')}` : null;
+}
+
+// Jira labels cannot contain spaces
+function labelFor(storyId) {
+  return String(storyId).replace(/\s+/g, '-');
+}
+
+function maskCredentials(request, tracker) {
+  return { ...request, headers: { ...request.headers, ...tracker.maskedAuthHeaders() } };
+}
+
+function exportError(message, problems) {
+  const error = new Error(`${message}: ${problems.join('; ')}`);
+  error.code = 'PLAN_EXPORT_INVALID';
+  error.problems = problems;
+  return error;
+}
+
+function notConfiguredError(message) {
+  const error = new Error(message);
+  error.code = 'PLAN_EXPORT_NOT_CONFIGURED';
+  return error;
+}
+
+function failedError(message, status, created) {
+  const error = new Error(message);
+  error.code = 'PLAN_EXPORT_FAILED';
+  error.status = status || null;
+  error.created = [...created];
+  return error;
+}
+
+module.exports = new PlanExporter();
+module.exports.PlanExporter = PlanExporter;
+module.exports.normalizePlan = normalizePlan;
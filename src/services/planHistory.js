@@ -0,0 +1,148 @@
+const planVersionStore = require('./planVersionStore');
+const driveService = require('../utils/googleDriveService');
+const { diffPlans } = require('../utils/planDiff');
+
+/**
+ * Plan History
+ * Every plan PlanningAgent generates or refines is kept as a numbered
+ * version of its project's plan, so versions can be compared and rolled
+ * back. The latest version is also written to <project>_tasks.json in the
+ * Drive Tasks folder, as generate-tasks always has; a project whose plan
+ * only exists in Drive has that file taken as its first version.
+ *
+ * Versions: { project, version, plan, source ('generated', 'refined',
+ *   'scheduled', 'rollback' or 'drive'), changeRequest, notes, diff, createdAt }
+ *
+ * Errors: PLAN_NOT_FOUND, PLAN_INVALID, PLAN_VERSION_NOT_FOUND
+ */
+class PlanHistory {
+  /**
+   * @param {Object} options - { store, drive }
+   */
+  constructor({ store = planVersionStore, drive = driveService } = {}) {
+    this.store = store;
+    this.drive = drive;
+  }
+
+  /**
+   * Save a plan as the project's latest version and write it to Drive
+   * @param {String} project - Project name
+   * @param {Object} plan - PlanningAgent plan
+   * @param {Object} details - { source, changeRequest, notes, diff }
+   * @returns {Promise<Object>} - The saved version
+   */
+  async savePlan(project, plan, { source = 'generated', changeRequest = null, notes = [], diff = null } = {}) {
+    const version = await this.store.addVersion(project, {
+      plan,
+      source,
+      changeRequest,
+      notes,
+      diff,
+      createdAt: new Date()
+    });
+
+    try {
+      await this.drive.createOrUpdateFile(planFileName(project), plan, 'application/json', 'Tasks');
+    } catch (error) {
+      console.warn('Failed to save tasks to Drive:', error.message);
+      // The version is kept even when Drive is unavailable
+    }
+    return version;
+  }
+
+  /**
+   * The project's latest plan, from its versions or else from Drive
+   * @param {String} project - Project name
+   * @returns {Promise<Object>} - PlanningAgent plan
+   */
+  async getCurrentPlan(project) {
+    const latest = await this.store.getLatestVersion(project);
+    if (latest) return latest.plan;
+
+    const file = await this.drive.findFileByName(planFileName(project), 'Tasks');
+    if (!file) {
+      throw historyError('No saved plan found for this project', 'PLAN_NOT_FOUND');
+    }
+
+    let plan = await this.drive.readFile(file.id);
+    if (typeof plan === 'string') {
+      try {
+        plan = JSON.parse(plan);
+      } catch (error) {
+        throw historyError('The saved plan is not valid JSON', 'PLAN_INVALID');
+      }
+    }
+
+    // Later versions are compared against this one
+    await this.store.addVersion(project, { plan, source: 'drive', changeRequest: null, notes: [], diff: null, createdAt: new Date() });
+    return plan;
+  }
+
+  /**
+   * A project's versions without their plans, newest first
+   * @param {String} project - Project name
+   * @returns {Promise<Array>}
+   */
+  async listVersions(project) {
+    return this.store.listVersions(project);
+  }
+
+  async getVersion(project, number) {
+    const version = await this.store.getVersion(project, number);
+    if (!version) {
+      throw historyError(`Plan version ${number} not found for ${project}`, 'PLAN_VERSION_NOT_FOUND');
+    }
+    return version;
+  }
+
+  /**
+   * Diff two versions of a project's plan
+   * @param {String} project - Project name
+   * @param {Number} from - Earlier version number
+   * @param {Number} to - Later version number, defaults to the latest
+   * @returns {Promise<Object>} - { from, to, diff }
+   */
+  async compareVersions(project, from, to = null) {
+    const before = await this.getVersion(project, from);
+    const after = to === null ? await this.store.getLatestVersion(project) : await this.getVersion(project, to);
+    return { from: before.version, to: after.version, diff: diffPlans(before.plan, after.plan) };
+  }
+
+  /**
+   * Make an earlier version the current plan again. The rollback is saved
+   * as a new version, so it can itself be undone.
+   * @param {String} project - Project name
+   * @param {Number} number - Version to restore
+   * @returns {Promise<Object>} - The new version
+   */
+  async rollback(project, number) {
+    const target = await this.getVersion(project, number);
+    const current = await this.store.getLatestVersion(project);
+
+    console.log(`Rolling back the ${project} plan from version ${current.version} to version ${number}`);
+    return this.savePlan(project, target.plan, {
+      source: 'rollback',
+      changeRequest: `Roll back to version ${number}`,
+      diff: diffPlans(current.plan, target.plan)
+    });
+  }
+}
+
+/**
+ * Drive file name of a project's plan
+ * @param {String} project - Project name
+ * @returns {String}
+ */
+function planFileName(project) {
+  return `${project.replace(/\s+/g, '_')}_tasks.json`;
+}
+
+function historyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = new PlanHistory();
+module.exports.PlanHistory = PlanHistory;
+module.exports.planFileName = planFileName;
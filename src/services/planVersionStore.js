@@ -0,0 +1,126 @@
+const database = require('../utils/database');
+
+/**
+ * Plan Version Stores
+ * Keep every version of each project's plan (see services/planHistory.js).
+ * Versions are numbered from 1 per project and never changed once added.
+ *
+ * Every store implements:
+ *   addVersion(project, version) -> version with its number
+ *     (version: { plan, source, changeRequest, notes, diff, createdAt })
+ *   getVersion(project, number) -> version or null
+ *   getLatestVersion(project) -> version or null
+ *   listVersions(project) -> versions without their plans, newest first
+ */
+
+/**
+ * MongoDB plan version store
+ * One document per version in plan_versions.
+ */
+class MongoPlanVersionStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by version queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await db.collection('plan_versions').createIndex({ project: 1, version: -1 }, { unique: true });
+  }
+
+  async addVersion(project, version) {
+    const collection = await this._collection();
+    const latest = await collection.findOne({ project }, { sort: { version: -1 }, projection: { version: 1 } });
+    // The unique index rejects a concurrent save that picked the same number
+    const doc = { ...version, project, version: latest ? latest.version + 1 : 1 };
+
+    await collection.insertOne({ ...doc });
+    return doc;
+  }
+
+  async getVersion(project, number) {
+    const collection = await this._collection();
+    return collection.findOne({ project, version: number }, { projection: { _id: 0 } });
+  }
+
+  async getLatestVersion(project) {
+    const collection = await this._collection();
+    return collection.findOne({ project }, { sort: { version: -1 }, projection: { _id: 0 } });
+  }
+
+  async listVersions(project) {
+    const collection = await this._collection();
+    return collection.find({ project }, { projection: { _id: 0, plan: 0 } }).sort({ version: -1 }).toArray();
+  }
+
+  async _collection() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection('plan_versions');
+  }
+}
+
+/**
+ * In-memory plan version store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Versions are lost on restart.
+ */
+class MemoryPlanVersionStore {
+  constructor() {
+    this.versions = new Map();
+  }
+
+  async addVersion(project, version) {
+    const versions = this.versions.get(project) || [];
+    const doc = { ...version, project, version: versions.length + 1 };
+
+    versions.push(doc);
+    this.versions.set(project, versions);
+    return { ...doc };
+  }
+
+  async getVersion(project, number) {
+    const version = (this.versions.get(project) || [])[number - 1];
+    return version ? { ...version } : null;
+  }
+
+  async getLatestVersion(project) {
+    const versions = this.versions.get(project) || [];
+    return versions.length > 0 ? { ...versions[versions.length - 1] } : null;
+  }
+
+  async listVersions(project) {
+    return [...(this.versions.get(project) || [])]
+      .reverse()
+      .map(({ plan, ...version }) => version);
+  }
+}
+
+/**
+ * Create the plan version store for this environment
+ * @returns {MongoPlanVersionStore|MemoryPlanVersionStore}
+ */
+function createPlanVersionStore() {
+  if (database.isConfigured()) {
+    return new MongoPlanVersionStore();
+  }
+
+  console.warn('MONGODB_URI is not set; plan versions are kept in memory and lost on restart');
+  return new MemoryPlanVersionStore();
+}
+
+module.exports = createPlanVersionStore();
+module.exports.MongoPlanVersionStore = MongoPlanVersionStore;
+module.exports.MemoryPlanVersionStore = MemoryPlanVersionStore;
+module.exports.createPlanVersionStore = createPlanVersionStore;
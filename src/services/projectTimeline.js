@@ -0,0 +1,133 @@
+const planHistory = require('./planHistory');
+const driveService = require('../utils/googleDriveService');
+const planningConfig = require('../config/planning');
+const { buildTimeline } = require('../utils/planTimeline');
+const { toMermaidGantt, toMermaidGraph, toGanttSvg, toGraphSvg } = require('../utils/timelineCharts');
+
+// SVG renderers by chart name
+const SVG_CHARTS = {
+  gantt: (timeline, title) => toGanttSvg(timeline, title),
+  graph: timeline => toGraphSvg(timeline)
+};
+
+/**
+ * Project Timeline
+ * The timeline of a project's current plan (see utils/planTimeline.js) with
+ * its critical path, rendered as a Gantt chart and a dependency graph for
+ * the dashboard (Mermaid source or SVG) and exported to a Google Doc in the
+ * Drive Timelines folder.
+ *
+ * Errors: PLAN_NOT_FOUND (from plan history), TIMELINE_CHART_NOT_FOUND
+ */
+class ProjectTimeline {
+  /**
+   * @param {Object} options - { history, drive }
+   */
+  constructor({ history = planHistory, drive = driveService } = {}) {
+    this.history = history;
+    this.drive = drive;
+  }
+
+  /**
+   * Timeline of a project's plan with its charts as Mermaid source
+   * @param {String} project - Project name
+   * @param {Object} options - { plan, milestones, startDate }; plan defaults to the current plan,
+   *   startDate (for plans without dates) to today
+   * @returns {Promise<Object>} - { project, timeline, mermaid: { gantt, graph } }
+   */
+  async getTimeline(project, options = {}) {
+    const timeline = await this._build(project, options);
+    return {
+      project,
+      timeline,
+      mermaid: {
+        gantt: toMermaidGantt(timeline, chartTitle(project)),
+        graph: toMermaidGraph(timeline)
+      }
+    };
+  }
+
+  /**
+   * Render one of a project's charts as SVG
+   * @param {String} project - Project name
+   * @param {String} chart - 'gantt' or 'graph'
+   * @param {Object} options - As for getTimeline
+   * @returns {Promise<String>} - SVG document
+   */
+  async renderSvg(project, chart, options = {}) {
+    const render = SVG_CHARTS[chart];
+    if (!render) {
+      const error = new Error(`Unknown timeline chart: ${chart}. Use ${Object.keys(SVG_CHARTS).join(' or ')}`);
+      error.code = 'TIMELINE_CHART_NOT_FOUND';
+      throw error;
+    }
+
+    const timeline = await this._build(project, options);
+    return render(timeline, chartTitle(project));
+  }
+
+  /**
+   * Export a project's timeline to a Google Doc, with both charts as Mermaid source
+   * @param {String} project - Project name
+   * @param {Object} options - As for getTimeline
+   * @returns {Promise<Object>} - { document: { id, name, webViewLink }, timeline }
+   */
+  async exportToDocs(project, options = {}) {
+    const { timeline, mermaid } = await this.getTimeline(project, options);
+    const document = await this.drive.createDocument(chartTitle(project), timelineDocument(project, timeline, mermaid), 'Timelines');
+    console.log(`Exported the ${project} timeline to Google Docs`);
+    return { document, timeline };
+  }
+
+  async _build(project, { plan = null, milestones = [], startDate = null }) {
+    const currentPlan = plan || await this.history.getCurrentPlan(project);
+    return buildTimeline(currentPlan, {
+      startDate: startDate || new Date().toISOString().slice(0, 10),
+      sprintLengthWeeks: planningConfig.scheduling.sprintLengthWeeks,
+      milestones
+    });
+  }
+}
+
+function chartTitle(project) {
+  return `${project} Timeline`;
+}
+
+// Plain text document: dates, critical path, stories by sprint, milestones and the Mermaid charts
+function timelineDocument(project, timeline, mermaid) {
+  const lines = [
+    chartTitle(project),
+    '',
+    timeline.start_date && timeline.end_date
+      ? `${timeline.start_date} to ${timeline.end_date} (${timeline.sprints.length} sprints)`
+      : 'No sprints scheduled',
+    `Critical path: ${timeline.critical_path.length > 0 ? timeline.critical_path.join(' -> ') : 'none'}`
+  ];
+
+  timeline.sprints.forEach(sprint => {
+    lines.push('', `Sprint ${sprint.sprint_number} (${sprint.start_date} to ${sprint.end_date})`);
+    timeline.stories.filter(story => story.sprint === sprint.sprint_number).forEach(story => {
+      const who = story.assignee ? `, ${story.assignee}` : '';
+      const slack = story.critical ? 'critical' : `${story.slack_days} days slack`;
+      lines.push(`- ${story.id} ${story.title} (${story.story_points} points${who}; ${slack})`);
+      if (story.depends_on.length > 0) {
+        lines.push(`  Depends on: ${story.depends_on.join(', ')}`);
+      }
+    });
+  });
+
+  if (timeline.unscheduled.length > 0) {
+    lines.push('', 'Unscheduled stories');
+    timeline.unscheduled.forEach(story => lines.push(`- ${story.id} ${story.title}`));
+  }
+  if (timeline.milestones.length > 0) {
+    lines.push('', 'Milestones');
+    timeline.milestones.forEach(milestone => lines.push(`- ${milestone.name}${milestone.date ? ` (${milestone.date})` : ''}`));
+  }
+
+  lines.push('', 'Gantt chart (Mermaid)', mermaid.gantt, '', 'Dependency graph (Mermaid)', mermaid.graph);
+  return lines.join('\n');
+}
+
+module.exports = new ProjectTimeline();
+module.exports.ProjectTimeline = ProjectTimeline;
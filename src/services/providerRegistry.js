@@ -0,0 +1,248 @@
+/**
+ * Provider Registry
+ * Keeps track of the AI providers available to the orchestrator, the models
+ * each one offers, and which provider/model serves each routing tier
+ */
+class ProviderRegistry {
+  constructor(tiers = {}) {
+    this.providers = new Map();
+    this.tiers = {};
+
+    Object.entries(tiers).forEach(([tier, target]) => this.setTier(tier, target));
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - Provider created with createProvider()
+   * @returns {ProviderRegistry} - The registry, for chaining
+   */
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Provider must have a name');
+    }
+
+    if (typeof provider.invoke !== 'function') {
+      throw new Error(`Provider "${provider.name}" must implement invoke()`);
+    }
+
+    if (!provider.models || Object.keys(provider.models).length === 0) {
+      throw new Error(`Provider "${provider.name}" must declare at least one model`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Remove a provider from the registry
+   * @param {String} name - Provider name
+   * @returns {Boolean} - Whether a provider was removed
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {String} name - Provider name
+   * @returns {Boolean}
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Get a registered provider
+   * @param {String} name - Provider name
+   * @returns {Object} - The provider
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * List registered providers with their model declarations
+   * @returns {Array} - Provider summaries
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      models: Object.entries(provider.models).map(([key, model]) => ({
+        key,
+        id: model.id,
+        capabilities: model.capabilities || [],
+        costPer1KTokens: model.costPer1KTokens
+      }))
+    }));
+  }
+
+  /**
+   * Assign a provider model to a routing tier
+   * @param {String} tier - Tier name (e.g. 'simple', 'reasoning')
+   * @param {Object} target - { provider, model } where model is the provider's model key
+   */
+  setTier(tier, target) {
+    if (!target || !target.provider || !target.model) {
+      throw new Error(`Tier "${tier}" must specify a provider and model`);
+    }
+    this.tiers[tier] = { provider: target.provider, model: target.model };
+  }
+
+  /**
+   * Resolve a routing tier to a concrete provider and model
+   * @param {String} tier - Tier name
+   * @returns {Object} - { tier, provider, modelKey, model, label }
+   */
+  resolveTier(tier) {
+    const target = this.tiers[tier];
+    if (!target) {
+      throw new Error(`No provider configured for tier: ${tier}`);
+    }
+
+    const provider = this.get(target.provider);
+    const model = provider.models[target.model];
+    if (!model) {
+      throw new Error(`Provider "${provider.name}" has no model "${target.model}" for tier: ${tier}`);
+    }
+
+    return {
+      tier,
+      provider,
+      modelKey: target.model,
+      model,
+      label: `${provider.name}-${target.model}`
+    };
+  }
+
+  /**
+   * Find every registered model that declares a capability, cheapest first
+   * @param {String} capability - Capability name (e.g. 'reasoning')
+   * @returns {Array} - Matching { provider, modelKey, model } entries
+   */
+  findByCapability(capability) {
+    const matches = [];
+
+    this.providers.forEach(provider => {
+      Object.entries(provider.models).forEach(([modelKey, model]) => {
+        if ((model.capabilities || []).includes(capability)) {
+          matches.push({ provider, modelKey, model });
+        }
+      });
+    });
+
+    return matches.sort((a, b) =>
+      (a.model.costPer1KTokens || 0) - (b.model.costPer1KTokens || 0));
+  }
+
+  /**
+   * Find the closest equivalent of a resolved target on every other provider.
+   * Each provider contributes its best match: models covering all of the
+   * target's capabilities first, then the largest overlap, then the cheapest.
+   * @param {Object} target - Result of resolveTier()
+   * @param {Array<String>} order - Preferred provider order; unlisted providers go last
+   * @returns {Array} - Targets shaped like resolveTier() results, in fallback order
+   */
+  findAlternatives(target, order = []) {
+    const required = target.model.capabilities || [];
+    const names = [
+      ...order.filter(name => this.providers.has(name)),
+      ...Array.from(this.providers.keys()).filter(name => !order.includes(name))
+    ].filter(name => name !== target.provider.name);
+
+    return names.map(name => {
+      const provider = this.providers.get(name);
+      const best = Object.entries(provider.models)
+        .map(([modelKey, model]) => {
+          const overlap = required.filter(capability => (model.capabilities || []).includes(capability)).length;
+          return { modelKey, model, overlap, covers: overlap === required.length };
+        })
+        .filter(candidate => required.length === 0 || candidate.overlap > 0)
+        .sort((a, b) =>
+          (b.covers - a.covers) ||
+          (b.overlap - a.overlap) ||
+          ((a.model.costPer1KTokens || 0) - (b.model.costPer1KTokens || 0)))[0];
+
+      return best && {
+        tier: target.tier,
+        provider,
+        modelKey: best.modelKey,
+        model: best.model,
+        label: `${name}-${best.modelKey}`
+      };
+    }).filter(Boolean);
+  }
+}
+
+/**
+ * Create a provider definition for the registry
+ * @param {Object} definition - Provider definition
+ * @param {String} definition.name - Provider name (e.g. 'claude')
+ * @param {Object} definition.handler - Handler instance that talks to the provider API
+ * @param {Object} definition.models - Model declarations keyed by model key
+ * @param {Object} definition.methods - Optional map of model key to handler method name.
+ *   Models without an entry are served by handler.generate(task, context, model).
+ * @returns {Object} - Provider usable with ProviderRegistry.register()
+ */
+function createProvider({ name, handler, models, methods = {} }) {
+  return {
+    name,
+    handler,
+    models,
+    methods,
+
+    async invoke(modelKey, task, context = {}) {
+      const method = methods[modelKey];
+
+      if (method) {
+        if (typeof handler[method] !== 'function') {
+          throw new Error(`Provider "${name}" handler has no method ${method}()`);
+        }
+        return await handler[method](task, context);
+      }
+
+      if (typeof handler.generate !== 'function') {
+        throw new Error(`Provider "${name}" cannot serve model "${modelKey}"`);
+      }
+      return await handler.generate(task, context, models[modelKey]);
+    },
+
+    /**
+     * Stream a response as text chunks. Handlers without streamTask() are
+     * invoked normally and their full text is yielded as a single chunk.
+     */
+    async *stream(modelKey, task, context = {}) {
+      if (typeof handler.streamTask === 'function') {
+        yield* handler.streamTask(task, context, models[modelKey]);
+        return;
+      }
+
+      const result = await this.invoke(modelKey, task, context);
+      yield extractText(result);
+    }
+  };
+}
+
+/**
+ * Extract plain text from a handler result
+ * @param {Object|String} result - Handler result (string, or object with content)
+ * @returns {String} - Text content
+ */
+function extractText(result) {
+  if (typeof result === 'string') return result;
+  if (!result) return '';
+
+  if (Array.isArray(result.content)) {
+    return result.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  return typeof result.content === 'string' ? result.content : JSON.stringify(result);
+}
+
+module.exports = { ProviderRegistry, createProvider, extractText };
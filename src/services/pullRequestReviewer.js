@@ -0,0 +1,193 @@
+const gitHostingConfig = require('../config/gitHosting');
+const CodeReviewAgent = require('../agents/codeReviewAgent');
+const { GitHubClient, GitLabClient, gitHostError } = require('./gitHostClients');
+const { parseUnifiedDiff } = require('../utils/diffParser');
+
+// Head commits remembered to ignore redelivered webhooks
+const MAX_REMEMBERED_REVIEWS = 500;
+
+/**
+ * Pull Request Reviewer
+ * Turns git host webhooks into code reviews: verifies the delivery, fetches
+ * the pull request diff, reviews it with CodeReviewAgent.reviewDiff and posts
+ * each issue as an inline comment plus a summary with the quality score.
+ * Each head commit is reviewed once, so redelivered events are ignored.
+ */
+class PullRequestReviewer {
+  /**
+   * @param {Object} options - { agent, clients, config }; clients maps provider
+   *   names to git host clients, built from config when omitted
+   */
+  constructor({ agent = null, clients = null, config = gitHostingConfig } = {}) {
+    this.config = config;
+    this.agent = agent || new CodeReviewAgent(process.env.ANTHROPIC_API_KEY);
+    this.clients = clients || {
+      github: new GitHubClient({ ...config.github, timeoutMs: config.timeoutMs }),
+      gitlab: new GitLabClient({ ...config.gitlab, timeoutMs: config.timeoutMs })
+    };
+    this.reviewed = new Set();
+  }
+
+  /**
+   * Check a webhook delivery and read the pull request it is about
+   * @param {String} provider - 'github' or 'gitlab'
+   * @param {Object} headers - Request headers, lower-cased
+   * @param {Buffer} rawBody - Body exactly as received, for signature checks
+   * @returns {Object} - { pullRequest } to review, or { ignored: reason }
+   */
+  receive(provider, headers, rawBody) {
+    const client = this._client(provider);
+    client.verifySignature(headers, rawBody);
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw gitHostError('Webhook body is not valid JSON', 'WEBHOOK_PAYLOAD_INVALID');
+    }
+
+    const pullRequest = client.parseEvent(headers, payload || {});
+    if (!pullRequest) {
+      return { ignored: 'not a pull request event that needs a review' };
+    }
+    if (this.reviewed.has(reviewKey(pullRequest))) {
+      return { ignored: 'this commit has already been reviewed' };
+    }
+
+    this._remember(pullRequest);
+    return { pullRequest };
+  }
+
+  /**
+   * Review a pull request and post the results to it
+   * @param {Object} pullRequest - From receive()
+   * @returns {Promise<Object>} - { review, comments } with the number of inline comments posted
+   */
+  async reviewPullRequest(pullRequest) {
+    const client = this._client(pullRequest.provider);
+    const label = `${pullRequest.provider} ${pullRequest.repository}#${pullRequest.number}`;
+
+    try {
+      console.log(`Reviewing ${label} at ${pullRequest.headSha}`);
+
+      let diff;
+      let review;
+      try {
+        diff = await client.fetchDiff(pullRequest);
+        review = await this.agent.reviewDiff(diff, {
+          requirements: { title: pullRequest.title, description: pullRequest.description }
+        });
+      } catch (error) {
+        if (error.code !== 'INVALID_DIFF' && error.code !== 'DIFF_TOO_LARGE') throw error;
+        // Say why there is no review instead of staying silent
+        await client.postComment(pullRequest, `## Automated code review\n\nNo review was produced: ${error.message}.`);
+        return { review: null, comments: 0 };
+      }
+
+      const { comments, unplaced } = this._buildComments(diff, review.issues);
+      await client.postReview(pullRequest, { summary: formatSummary(review, unplaced), comments });
+      console.log(`Posted review of ${label} with ${comments.length} inline comment(s)`);
+      return { review, comments: comments.length };
+    } catch (error) {
+      // A later redelivery may try again, unless that would post comments twice
+      if (!error.posted) {
+        this.reviewed.delete(reviewKey(pullRequest));
+      }
+      console.error(`Failed to review ${label}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Inline comments carry both sides' paths and line numbers; hosts use what they need.
+  // Hosts only accept comments on lines in the diff, so issues elsewhere are
+  // returned as unplaced for the summary.
+  _buildComments(diff, issues) {
+    const lines = new Map();
+    parseUnifiedDiff(diff).forEach(file => {
+      file.hunks.forEach(hunk => hunk.lines.forEach(line => {
+        if (line.newLine !== null) {
+          lines.set(`${file.path}:${line.newLine}`, { oldPath: file.oldPath, oldLine: line.oldLine });
+        }
+      }));
+    });
+
+    const comments = [];
+    const unplaced = [];
+    issues.forEach(issue => {
+      const position = lines.get(`${issue.file}:${issue.line}`);
+      if (!position) {
+        unplaced.push(issue);
+        return;
+      }
+      comments.push({
+        path: issue.file,
+        oldPath: position.oldPath || issue.file,
+        line: issue.line,
+        oldLine: position.oldLine || null,
+        body: formatIssueComment(issue)
+      });
+    });
+    return { comments, unplaced };
+  }
+
+  _client(provider) {
+    const client = this.clients[provider];
+    if (!client) {
+      throw gitHostError(`Unknown git host: ${provider}`, 'UNKNOWN_GIT_HOST');
+    }
+    return client;
+  }
+
+  _remember(pullRequest) {
+    this.reviewed.add(reviewKey(pullRequest));
+    if (this.reviewed.size > MAX_REMEMBERED_REVIEWS) {
+      // Sets iterate in insertion order, so this drops the oldest
+      this.reviewed.delete(this.reviewed.values().next().value);
+    }
+  }
+}
+
+function reviewKey(pullRequest) {
+  return `${pullRequest.provider}:${pullRequest.repository}#${pullRequest.number}@${pullRequest.headSha}`;
+}
+
+function formatIssueComment(issue) {
+  return `**${issue.severity} ${issue.type}**: ${issue.description}\n\n**Suggestion:** ${issue.suggestion}`;
+}
+
+function formatSummary(review, unplaced = []) {
+  const { summary } = review;
+  const severities = ['high', 'medium', 'low']
+    .map(severity => [severity, review.issues.filter(issue => issue.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+
+  const lines = [
+    '## Automated code review',
+    '',
+    `**Quality score:** ${summary.quality_score === null ? 'n/a' : `${summary.quality_score}/10`}`,
+    `Reviewed ${summary.files_reviewed} file(s) and found ${summary.issues} issue(s)${severities.length > 0 ? ` (${severities.join(', ')})` : ''}.`
+  ];
+
+  review.files.forEach(file => {
+    lines.push('', `### ${file.path}`);
+    lines.push(file.status === 'degraded'
+      ? `Could not be reviewed: ${file.error}`
+      : `${file.overall_assessment} (score ${file.quality_score}/10)`);
+  });
+
+  if (unplaced.length > 0) {
+    lines.push('', '### Other findings');
+    unplaced.forEach(issue => {
+      lines.push(`- \`${issue.file}${issue.line ? `:${issue.line}` : ''}\` **${issue.severity} ${issue.type}**: ${issue.description} Suggestion: ${issue.suggestion}`);
+    });
+  }
+
+  if (review.skipped.length > 0) {
+    lines.push('', `Skipped: ${review.skipped.map(file => `${file.path} (${file.reason})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = new PullRequestReviewer();
+module.exports.PullRequestReviewer = PullRequestReviewer;
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const cacheConfig = require('../config/cache');
+
+/**
+ * In-memory cache backend
+ * Used for local development, and whenever Redis is not configured or unreachable
+ */
+class MemoryCacheBackend {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    // Maps keep insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear(prefix) {
+    Array.from(this.entries.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.entries.delete(key));
+  }
+}
+
+/**
+ * Redis cache backend
+ * The client retries a dropped connection a few times and then closes; the
+ * backend waits retryAfterMs before connecting again, and the response cache
+ * uses the in-memory backend meanwhile.
+ */
+class RedisCacheBackend {
+  constructor(url, { retryAfterMs = 30000 } = {}) {
+    this.name = 'redis';
+    this.client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 2000,
+        reconnectStrategy: retries => (retries > 3 ? new Error('Redis unreachable') : retries * 200)
+      }
+    });
+    this.client.on('error', error => console.error('Redis cache error:', error.message));
+    this.connecting = null;
+    this.retryAfterMs = retryAfterMs;
+    this.unavailableUntil = 0;
+  }
+
+  async connect() {
+    if (this.client.isReady) return;
+    if (this.connecting && !this.client.isOpen) {
+      // reconnectStrategy gave up on a dropped connection and closed the client
+      this.connecting = null;
+      this.unavailableUntil = Date.now() + this.retryAfterMs;
+    }
+    if (Date.now() < this.unavailableUntil) {
+      throw new Error('Redis unavailable, retrying later');
+    }
+
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch(error => {
+        this.connecting = null;
+        this.unavailableUntil = Date.now() + this.retryAfterMs;
+        throw error;
+      });
+    }
+    await this.connecting;
+  }
+
+  async get(key) {
+    await this.connect();
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.connect();
+    await this.client.set(key, value, { EX: ttlSeconds });
+  }
+
+  async clear(prefix) {
+    await this.connect();
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      await this.client.del(key);
+    }
+  }
+}
+
+/**
+ * Response Cache
+ * Caches AI responses keyed on the normalized prompt, model and temperature.
+ * Routes opt in with route(); everything else is never cached.
+ */
+class ResponseCache {
+  constructor(config = cacheConfig) {
+    this.config = config;
+    this.memory = new MemoryCacheBackend(config.memory);
+    this.redis = config.redisUrl ? new RedisCacheBackend(config.redisUrl) : null;
+    this.activeBackend = this.redis ? 'redis' : 'memory';
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Normalize a prompt so trivially different payloads share a key:
+   * line endings, runs of spaces/tabs and blank lines are collapsed, strings
+   * are trimmed and object keys are sorted
+   * @param {*} prompt - String or JSON-serializable payload
+   * @returns {String} - Normalized prompt
+   */
+  static normalizePrompt(prompt) {
+    const normalize = value => {
+      if (typeof value === 'string') {
+        return value
+          .replace(/\r\n?/g, '\n')
+          .replace(/[ \t]+/g, ' ')
+          .replace(/ ?\n ?/g, '\n')
+          .replace(/\n{3,}/g, '\n\n')
+          .trim();
+      }
+      if (Array.isArray(value)) {
+        return value.map(normalize);
+      }
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+          if (value[key] !== undefined) sorted[key] = normalize(value[key]);
+          return sorted;
+        }, {});
+      }
+      return value;
+    };
+
+    const normalized = normalize(prompt);
+    return typeof normalized === 'string' ? normalized : JSON.stringify(normalized);
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {String} namespace - Route or agent namespace (e.g. 'codeExplain')
+   * @param {Object} request - { prompt, model, temperature }
+   * @returns {String} - Cache key
+   */
+  buildKey(namespace, { prompt, model, temperature }) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([ResponseCache.normalizePrompt(prompt), model || null, temperature ?? null]))
+      .digest('hex');
+    return `${this.config.keyPrefix}${namespace}:${hash}`;
+  }
+
+  /**
+   * Read a cached entry
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} - { value, cachedAt, expiresAt } or null
+   */
+  async get(key) {
+    const raw = await this._call('get', key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Store a value
+   * @param {String} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Number} ttlSeconds - Time to live
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async set(key, value, ttlSeconds = this.config.defaultTtlSeconds) {
+    const entry = {
+      value,
+      cachedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    };
+    await this._call('set', key, JSON.stringify(entry), ttlSeconds);
+    return entry;
+  }
+
+  /**
+   * Express middleware that lets a route opt in to caching. JSON responses
+   * with a 2xx status are cached unless the route marks them
+   * "Cache-Control: no-store", and every response reports the cache
+   * result in metadata.cache and the X-Cache header. Clients can send
+   * "Cache-Control: no-cache" to bypass the lookup.
+   * @param {String} namespace - Cache namespace for the route
+   * @param {Function} describe - Maps req to { prompt, model, temperature }
+   * @param {Object} options - { ttlSeconds }
+   * @returns {Function} - Express middleware
+   */
+  route(namespace, describe, options = {}) {
+    const ttlSeconds = options.ttlSeconds ||
+      (this.config.routes[namespace] && this.config.routes[namespace].ttlSeconds) ||
+      this.config.defaultTtlSeconds;
+
+    return async (req, res, next) => {
+      if (!this.config.enabled) return next();
+
+      let key;
+      try {
+        key = this.buildKey(namespace, describe(req));
+
+        if (!/no-cache/i.test(req.get('Cache-Control') || '')) {
+          const cached = await this.get(key);
+          if (cached) {
+            this.stats.hits += 1;
+            res.set('X-Cache', 'HIT');
+            return res.json(withCacheMetadata(cached.value, this._metadata(true, cached)));
+          }
+        }
+      } catch (error) {
+        console.error(`Response cache lookup failed for ${namespace}:`, error.message);
+        return next();
+      }
+
+      this.stats.misses += 1;
+      const json = res.json.bind(res);
+      res.json = body => {
+        if (res.statusCode < 200 || res.statusCode >= 300 || /no-store/i.test(res.get('Cache-Control') || '')) {
+          return json(body);
+        }
+
+        // Report the entry as stored, so a later HIT carries the same metadata
+        this.set(key, body, ttlSeconds).then(entry => {
+          res.set('X-Cache', 'MISS');
+          json(withCacheMetadata(body, this._metadata(false, entry)));
+        }, error => {
+          console.error(`Response cache store failed for ${namespace}:`, error.message);
+          json(body);
+        });
+        return res;
+      };
+      next();
+    };
+  }
+
+  /**
+   * Remove cached entries
+   * @param {String} namespace - Only clear this namespace (all when omitted)
+   */
+  async clear(namespace = '') {
+    await this._call('clear', `${this.config.keyPrefix}${namespace ? `${namespace}:` : ''}`);
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} - { backend, redisConfigured, enabled, hits, misses, errors }
+   */
+  getStats() {
+    return {
+      backend: this.activeBackend,
+      redisConfigured: Boolean(this.redis),
+      enabled: this.config.enabled,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Call the active backend, falling back to memory when Redis fails
+   */
+  async _call(method, ...args) {
+    if (this.redis) {
+      try {
+        const result = await this.redis[method](...args);
+        this.activeBackend = 'redis';
+        return result;
+      } catch (error) {
+        this.stats.errors += 1;
+        console.warn(`Redis cache ${method} failed, using in-memory cache: ${error.message}`);
+      }
+    }
+    this.activeBackend = 'memory';
+    return this.memory[method](...args);
+  }
+
+  _metadata(hit, entry) {
+    return {
+      hit,
+      backend: this.activeBackend,
+      cachedAt: entry.cachedAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+}
+
+/**
+ * Add cache metadata to a response body
+ * @param {Object} body - Response body
+ * @param {Object} cache - Cache metadata
+ * @returns {Object} - Body with metadata.cache set
+ */
+function withCacheMetadata(body, cache) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  return { ...body, metadata: { ...(body.metadata || {}), cache } };
+}
+
+module.exports = new ResponseCache();
+module.exports.ResponseCache = ResponseCache;
+module.exports.MemoryCacheBackend = MemoryCacheBackend;
+module.exports.RedisCacheBackend = RedisCacheBackend;
@@ -0,0 +1,534 @@
+const { ObjectId } = require('mongodb');
+const database = require('../utils/database');
+const { extractText } = require('./providerRegistry');
+
+/**
+ * Chat Session Stores
+ * Persist chat sessions and their messages. Messages are append-only and
+ * read back in pages, newest page first, using the id of the oldest message
+ * on a page as the cursor for the next one.
+ *
+ * Each message also keeps the plain text of its content (assistant replies
+ * may be structured results), which is what searchMessages() matches.
+ *
+ * Every store implements:
+ *   createSession(userId, { sessionId, context })
+ *   getSession(userId, sessionId)
+ *   appendMessage(userId, sessionId, { role, content, timestamp, metadata })
+ *     (metadata is optional, e.g. the structured result of the agent that replied)
+ *   getMessages(userId, sessionId, { limit, before }) -> { messages, hasMore, nextCursor }
+ *   updateContext(userId, sessionId, context)
+ *   listSessions(userId, { limit, before, archived }) -> { sessions, hasMore, nextCursor }
+ *     (sessions are ordered by updatedAt then sessionId, newest first; the
+ *     cursor names the last session on a page, so ties are not skipped)
+ *     (sessions with no user or assistant messages yet are left out)
+ *   updateSession(userId, sessionId, { title, archived })
+ *   deleteSession(userId, sessionId)
+ *   searchMessages(userId, query, { limit }) -> [{ sessionId, sessionTitle, archived, message, excerpt }]
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_SESSION_PAGE_SIZE = 20;
+const PREVIEW_LENGTH = 200;
+
+/**
+ * MongoDB session store
+ * Sessions live in chat_sessions, messages in chat_messages (one document
+ * per message), so adding a message is a single insert.
+ */
+class MongoSessionStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by session, history and search queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    // A collection has one text index; the first one indexed content, which
+    // holds objects for structured assistant replies
+    await db.collection('chat_messages').dropIndex('userId_1_content_text').catch(error => {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    });
+
+    await Promise.all([
+      db.collection('chat_sessions').createIndex({ sessionId: 1 }, { unique: true }),
+      db.collection('chat_sessions').createIndex({ userId: 1, updatedAt: -1, sessionId: -1 }),
+      db.collection('chat_messages').createIndex({ sessionId: 1, _id: -1 }),
+      db.collection('chat_messages').createIndex({ userId: 1, timestamp: -1 }),
+      db.collection('chat_messages').createIndex({ userId: 1, text: 'text' })
+    ]);
+  }
+
+  /**
+   * Fill in the plain text of messages stored before it was kept
+   * @param {Db} db - MongoDB database handle
+   */
+  async backfillText(db) {
+    const messages = db.collection('chat_messages');
+    const missing = messages.find({ text: { $exists: false } }, { projection: { content: 1 } });
+
+    for await (const doc of missing) {
+      await messages.updateOne({ _id: doc._id }, { $set: { text: contentText(doc.content) } });
+    }
+  }
+
+  async createSession(userId, { sessionId, context = {} } = {}) {
+    const { sessions } = await this._collections();
+    const session = newSession(userId, sessionId, context);
+
+    await sessions.insertOne({ ...session });
+    return session;
+  }
+
+  async getSession(userId, sessionId) {
+    const { sessions } = await this._collections();
+    return sessions.findOne({ sessionId, userId }, { projection: { _id: 0 } });
+  }
+
+  async appendMessage(userId, sessionId, message) {
+    const { sessions, messages } = await this._collections();
+    const doc = {
+      sessionId,
+      userId,
+      role: message.role,
+      content: message.content,
+      text: contentText(message.content),
+      timestamp: new Date(message.timestamp || Date.now())
+    };
+    if (message.metadata) {
+      doc.metadata = message.metadata;
+    }
+
+    const { insertedId } = await messages.insertOne(doc);
+    const saved = this._toMessage({ ...doc, _id: insertedId });
+
+    const update = { $inc: { messageCount: 1 }, $set: { updatedAt: doc.timestamp } };
+    if (saved.role !== 'system') {
+      update.$set.lastMessage = toPreview(saved);
+    }
+    await sessions.updateOne({ sessionId, userId }, update);
+
+    // The first user message names the session until it is renamed
+    if (saved.role === 'user') {
+      await sessions.updateOne({ sessionId, userId, title: null }, { $set: { title: titleFrom(saved.content) } });
+    }
+
+    return saved;
+  }
+
+  async getMessages(userId, sessionId, { limit = DEFAULT_PAGE_SIZE, before = null } = {}) {
+    const { messages } = await this._collections();
+    const query = { sessionId, userId };
+
+    if (before) {
+      if (!ObjectId.isValid(before)) {
+        throw invalidCursorError('history', before);
+      }
+      query._id = { $lt: new ObjectId(before) };
+    }
+
+    const docs = await messages.find(query).sort({ _id: -1 }).limit(limit + 1).toArray();
+    return toPage(docs.map(doc => this._toMessage(doc)), limit);
+  }
+
+  async updateContext(userId, sessionId, context) {
+    const { sessions } = await this._collections();
+    await sessions.updateOne({ sessionId, userId }, { $set: { context, updatedAt: new Date() } });
+  }
+
+  async listSessions(userId, { limit = DEFAULT_SESSION_PAGE_SIZE, before = null, archived = false } = {}) {
+    const { sessions } = await this._collections();
+    const query = { userId, archived: archived ? true : { $ne: true }, lastMessage: { $ne: null } };
+    if (before) {
+      const cursor = parseSessionCursor(before);
+      query.$or = [
+        { updatedAt: { $lt: cursor.updatedAt } },
+        { updatedAt: cursor.updatedAt, sessionId: { $lt: cursor.sessionId } }
+      ];
+    }
+
+    const docs = await sessions.find(query, { projection: { _id: 0, context: 0 } })
+      .sort({ updatedAt: -1, sessionId: -1 })
+      .limit(limit + 1)
+      .toArray();
+    return toSessionPage(docs.map(toSummary), limit);
+  }
+
+  async updateSession(userId, sessionId, changes) {
+    const { sessions } = await this._collections();
+    const result = await sessions.findOneAndUpdate(
+      { sessionId, userId },
+      { $set: { ...pickSessionChanges(changes), updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0, context: 0 } }
+    );
+    return result ? toSummary(result) : null;
+  }
+
+  async deleteSession(userId, sessionId) {
+    const { sessions, messages } = await this._collections();
+    const { deletedCount } = await sessions.deleteOne({ sessionId, userId });
+    if (deletedCount > 0) {
+      await messages.deleteMany({ sessionId, userId });
+    }
+    return deletedCount > 0;
+  }
+
+  async searchMessages(userId, query, { limit = DEFAULT_SESSION_PAGE_SIZE } = {}) {
+    const { sessions, messages } = await this._collections();
+    const docs = await messages.find(
+      { userId, $text: { $search: query } },
+      { projection: { score: { $meta: 'textScore' } } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray();
+
+    const sessionIds = [...new Set(docs.map(doc => doc.sessionId))];
+    const owners = await sessions.find(
+      { userId, sessionId: { $in: sessionIds } },
+      { projection: { _id: 0, sessionId: 1, title: 1, archived: 1 } }
+    ).toArray();
+
+    return docs.map(doc => toSearchResult(this._toMessage(doc), doc.text, doc.sessionId,
+      owners.find(session => session.sessionId === doc.sessionId), query));
+  }
+
+  async _collections() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).then(() => this.backfillText(db)).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return {
+      sessions: db.collection('chat_sessions'),
+      messages: db.collection('chat_messages')
+    };
+  }
+
+  _toMessage(doc) {
+    const message = {
+      id: doc._id.toString(),
+      role: doc.role,
+      content: doc.content,
+      timestamp: doc.timestamp.toISOString()
+    };
+    if (doc.metadata) {
+      message.metadata = doc.metadata;
+    }
+    return message;
+  }
+}
+
+/**
+ * In-memory session store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Sessions are lost on restart.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.messages = new Map();
+    this.nextId = 1;
+  }
+
+  async createSession(userId, { sessionId, context = {} } = {}) {
+    const session = newSession(userId, sessionId, context);
+
+    this.sessions.set(sessionId, session);
+    this.messages.set(sessionId, []);
+    return { ...session };
+  }
+
+  async getSession(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.userId === userId ? { ...session } : null;
+  }
+
+  async appendMessage(userId, sessionId, message) {
+    const session = await this.getSession(userId, sessionId);
+    if (!session) {
+      throw new Error(`Chat session not found: ${sessionId}`);
+    }
+
+    const saved = {
+      id: String(this.nextId++),
+      role: message.role,
+      content: message.content,
+      timestamp: new Date(message.timestamp || Date.now()).toISOString()
+    };
+    if (message.metadata) {
+      saved.metadata = message.metadata;
+    }
+
+    this.messages.get(sessionId).push({ ...saved, text: contentText(saved.content) });
+
+    const stored = this.sessions.get(sessionId);
+    Object.assign(stored, {
+      messageCount: session.messageCount + 1,
+      updatedAt: new Date(saved.timestamp)
+    });
+    if (saved.role !== 'system') {
+      stored.lastMessage = toPreview(saved);
+    }
+    if (saved.role === 'user' && stored.title === null) {
+      stored.title = titleFrom(saved.content);
+    }
+    return { ...saved };
+  }
+
+  async getMessages(userId, sessionId, { limit = DEFAULT_PAGE_SIZE, before = null } = {}) {
+    const session = await this.getSession(userId, sessionId);
+    if (!session) {
+      return { messages: [], hasMore: false, nextCursor: null };
+    }
+
+    if (before && !/^\d+$/.test(before)) {
+      throw invalidCursorError('history', before);
+    }
+
+    const newestFirst = [...this.messages.get(sessionId)]
+      .reverse()
+      .filter(message => !before || Number(message.id) < Number(before));
+    return toPage(newestFirst.slice(0, limit + 1).map(({ text, ...message }) => message), limit);
+  }
+
+  async updateContext(userId, sessionId, context) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.userId === userId) {
+      Object.assign(session, { context, updatedAt: new Date() });
+    }
+  }
+
+  async listSessions(userId, { limit = DEFAULT_SESSION_PAGE_SIZE, before = null, archived = false } = {}) {
+    const cursor = before ? parseSessionCursor(before) : null;
+    const matches = Array.from(this.sessions.values())
+      .filter(session => session.userId === userId && session.lastMessage)
+      .filter(session => Boolean(session.archived) === Boolean(archived))
+      .filter(session => !cursor || compareSessions(session, cursor) > 0)
+      .sort(compareSessions);
+
+    return toSessionPage(matches.slice(0, limit + 1).map(toSummary), limit);
+  }
+
+  async updateSession(userId, sessionId, changes) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId) return null;
+
+    Object.assign(session, pickSessionChanges(changes), { updatedAt: new Date() });
+    return toSummary(session);
+  }
+
+  async deleteSession(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId) return false;
+
+    this.sessions.delete(sessionId);
+    this.messages.delete(sessionId);
+    return true;
+  }
+
+  async searchMessages(userId, query, { limit = DEFAULT_SESSION_PAGE_SIZE } = {}) {
+    const terms = searchTerms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    this.sessions.forEach(session => {
+      if (session.userId !== userId) return;
+
+      this.messages.get(session.sessionId).forEach(({ text, ...message }) => {
+        const lower = text.toLowerCase();
+        const score = terms.reduce((total, term) => total + lower.split(term).length - 1, 0);
+        if (terms.some(term => lower.includes(term))) {
+          results.push({ score, result: toSearchResult(message, text, session.sessionId, session, query) });
+        }
+      });
+    });
+
+    return results
+      .sort((a, b) => (b.score - a.score) || b.result.message.timestamp.localeCompare(a.result.message.timestamp))
+      .slice(0, limit)
+      .map(({ result }) => result);
+  }
+}
+
+/**
+ * Build a new session document
+ */
+function newSession(userId, sessionId, context) {
+  const now = new Date();
+  return {
+    sessionId,
+    userId,
+    title: null,
+    archived: false,
+    lastMessage: null,
+    context,
+    messageCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Plain text of a stored message (assistant replies may be handler result objects)
+ * @param {*} content - Message content
+ * @returns {String}
+ */
+function contentText(content) {
+  return content ? extractText(content) : '';
+}
+
+function titleFrom(content) {
+  const text = contentText(content).replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text || null;
+}
+
+function toPreview(message) {
+  return {
+    role: message.role,
+    content: contentText(message.content).slice(0, PREVIEW_LENGTH),
+    timestamp: message.timestamp
+  };
+}
+
+/**
+ * Public summary of a session, as returned by listSessions()
+ */
+function toSummary(session) {
+  return {
+    sessionId: session.sessionId,
+    title: session.title || 'New chat',
+    lastMessage: session.lastMessage || null,
+    messageCount: session.messageCount || 0,
+    archived: Boolean(session.archived),
+    createdAt: new Date(session.createdAt).toISOString(),
+    updatedAt: new Date(session.updatedAt).toISOString()
+  };
+}
+
+function pickSessionChanges(changes) {
+  const picked = {};
+  if (typeof changes.title === 'string') picked.title = changes.title.trim();
+  if (typeof changes.archived === 'boolean') picked.archived = changes.archived;
+  return picked;
+}
+
+function searchTerms(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Build a search result with an excerpt of the message text around the first matching term
+ */
+function toSearchResult(message, text, sessionId, session, query) {
+  const lower = text.toLowerCase();
+  const index = searchTerms(query)
+    .map(term => lower.indexOf(term))
+    .filter(position => position >= 0)
+    .sort((a, b) => a - b)[0] || 0;
+  const start = Math.max(index - 60, 0);
+
+  return {
+    sessionId,
+    sessionTitle: (session && session.title) || 'New chat',
+    archived: Boolean(session && session.archived),
+    message: { id: message.id, role: message.role, timestamp: message.timestamp },
+    excerpt: `${start > 0 ? '...' : ''}${text.slice(start, start + PREVIEW_LENGTH)}${start + PREVIEW_LENGTH < text.length ? '...' : ''}`
+  };
+}
+
+/**
+ * Order sessions newest first by updatedAt, then by sessionId
+ */
+function compareSessions(a, b) {
+  return (new Date(b.updatedAt) - new Date(a.updatedAt)) || (a.sessionId < b.sessionId ? 1 : a.sessionId > b.sessionId ? -1 : 0);
+}
+
+/**
+ * Session list cursor: "<updatedAt ISO date>|<sessionId>" of the last session on a page
+ */
+function toSessionCursor(session) {
+  return `${session.updatedAt}|${session.sessionId}`;
+}
+
+function parseSessionCursor(cursor) {
+  const separator = String(cursor).indexOf('|');
+  const updatedAt = new Date(separator >= 0 ? cursor.slice(0, separator) : cursor);
+  const sessionId = separator >= 0 ? cursor.slice(separator + 1) : '';
+  if (Number.isNaN(updatedAt.getTime()) || !sessionId) {
+    throw invalidCursorError('session', cursor);
+  }
+  return { updatedAt, sessionId };
+}
+
+/**
+ * Error for a page cursor the store did not hand out
+ * @param {String} kind - 'history' or 'session'
+ * @param {String} cursor - The cursor received
+ * @returns {Error} - Error with code INVALID_CURSOR
+ */
+function invalidCursorError(kind, cursor) {
+  const error = new Error(`Invalid ${kind} cursor: ${cursor}`);
+  error.code = 'INVALID_CURSOR';
+  return error;
+}
+
+/**
+ * Build a page of session summaries from up to limit + 1 sessions sorted by compareSessions()
+ */
+function toSessionPage(summaries, limit) {
+  const hasMore = summaries.length > limit;
+  const sessions = summaries.slice(0, limit);
+
+  return {
+    sessions,
+    hasMore,
+    nextCursor: hasMore ? toSessionCursor(sessions[sessions.length - 1]) : null
+  };
+}
+
+/**
+ * Build a page from up to limit + 1 messages sorted newest first
+ * @param {Array} newestFirst - Messages, newest first
+ * @param {Number} limit - Page size
+ * @returns {Object} - { messages (oldest first), hasMore, nextCursor }
+ */
+function toPage(newestFirst, limit) {
+  const hasMore = newestFirst.length > limit;
+  const messages = newestFirst.slice(0, limit).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore && messages.length > 0 ? messages[0].id : null
+  };
+}
+
+/**
+ * Create the session store for this environment
+ * @returns {MongoSessionStore|MemorySessionStore}
+ */
+function createSessionStore() {
+  if (database.isConfigured()) {
+    return new MongoSessionStore();
+  }
+
+  console.warn('MONGODB_URI is not set; chat sessions are kept in memory and lost on restart');
+  return new MemorySessionStore();
+}
+
+module.exports = createSessionStore();
+module.exports.MongoSessionStore = MongoSessionStore;
+module.exports.MemorySessionStore = MemorySessionStore;
+module.exports.createSessionStore = createSessionStore;
+module.exports.contentText = contentText;
+module.exports.DEFAULT_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+module.exports.DEFAULT_SESSION_PAGE_SIZE = DEFAULT_SESSION_PAGE_SIZE;
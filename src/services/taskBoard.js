@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const taskBoardStore = require('./taskBoardStore');
+
+// Board columns, in order
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'done'];
+
+const STATUS_TITLES = {
+  todo: 'To Do',
+  in_progress: 'In Progress',
+  review: 'Review',
+  done: 'Done'
+};
+
+// Statuses a task may move to from each status; done tasks reopen into review
+const TRANSITIONS = {
+  todo: ['in_progress'],
+  in_progress: ['todo', 'review'],
+  review: ['in_progress', 'done'],
+  done: ['review']
+};
+
+// Fields that come from the plan and are refreshed when it is imported again
+const PLAN_FIELDS = ['epic', 'title', 'description', 'acceptanceCriteria', 'subtasks', 'storyPoints', 'role', 'sprint'];
+
+/**
+ * Task Board
+ * Turns PlanningAgent plans into persistent tasks and keeps them moving
+ * through the board columns. Each user story becomes one task; its sprint
+ * comes from the sprint plan and its suggested assignee becomes the task's
+ * role until someone is assigned.
+ *
+ * Tasks: { taskId, project, storyId, epic, title, description,
+ *   acceptanceCriteria, subtasks, status, assignee, role, storyPoints,
+ *   sprint, createdAt, updatedAt }
+ *
+ * Errors: PLAN_INVALID, TASK_INVALID (with problems), TASK_NOT_FOUND,
+ * TASK_TRANSITION_INVALID
+ */
+class TaskBoard {
+  /**
+   * @param {Object} options - { store }, defaults to the store for this environment
+   */
+  constructor({ store = taskBoardStore } = {}) {
+    this.store = store;
+  }
+
+  /**
+   * Import a plan onto a project's board. Stories already on the board are
+   * matched by story id and keep their status and assignee.
+   * @param {String} project - Project name
+   * @param {Object} plan - PlanningAgent.generateTasks output
+   * @returns {Promise<Object>} - { created, updated, tasks }
+   */
+  async importPlan(project, plan) {
+    const name = projectName(project);
+    if (!plan || !Array.isArray(plan.epics)) {
+      throw boardError('The plan has no epics to import', 'PLAN_INVALID');
+    }
+
+    const sprints = new Map();
+    (plan.sprint_plan || []).forEach(sprint => {
+      (sprint.user_stories || []).forEach(storyId => sprints.set(storyId, sprint.sprint_number));
+    });
+
+    const existing = await this.store.listTasks(name);
+    const byStory = new Map(existing.filter(task => task.storyId).map(task => [task.storyId, task]));
+    const result = { created: 0, updated: 0, tasks: [] };
+
+    for (const epic of plan.epics) {
+      for (const story of epic.user_stories || []) {
+        const fields = {
+          epic: epic.name || null,
+          title: story.title || story.id || 'Untitled story',
+          description: story.description || '',
+          acceptanceCriteria: story.acceptance_criteria || [],
+          subtasks: story.tasks || [],
+          storyPoints: Number.isInteger(story.story_points) ? story.story_points : null,
+          role: story.suggested_assignee || null,
+          sprint: sprints.get(story.id) || null
+        };
+
+        const current = story.id && byStory.get(story.id);
+        if (current) {
+          result.tasks.push(await this.store.updateTask(current.taskId, { ...fields, updatedAt: new Date() }));
+          result.updated += 1;
+        } else {
+          result.tasks.push(await this.store.createTask(newTask(name, { ...fields, storyId: story.id || null })));
+          result.created += 1;
+        }
+      }
+    }
+
+    console.log(`Imported plan for ${name}: ${result.created} created, ${result.updated} updated`);
+    return result;
+  }
+
+  /**
+   * List a project's tasks, ordered by sprint (unscheduled last) then creation
+   * @param {String} project - Project name
+   * @param {Object} filters - Optional { status, sprint, assignee }
+   * @returns {Promise<Array>}
+   */
+  async listTasks(project, { status, sprint, assignee } = {}) {
+    const tasks = await this.store.listTasks(projectName(project));
+    return sortBySprint(tasks.filter(task =>
+      (status === undefined || task.status === status) &&
+      (sprint === undefined || task.sprint === sprint) &&
+      (assignee === undefined || task.assignee === assignee)));
+  }
+
+  /**
+   * A project's tasks grouped into board columns
+   * @param {String} project - Project name
+   * @returns {Promise<Object>} - { project, columns: [{ status, title, transitions, tasks }], sprints }
+   */
+  async getBoard(project) {
+    const tasks = await this.listTasks(project);
+    return {
+      project: projectName(project),
+      columns: TASK_STATUSES.map(status => ({
+        status,
+        title: STATUS_TITLES[status],
+        transitions: TRANSITIONS[status],
+        tasks: tasks.filter(task => task.status === status)
+      })),
+      sprints: [...new Set(tasks.map(task => task.sprint).filter(sprint => sprint !== null))].sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Add a task to a project's board by hand
+   * @param {String} project - Project name
+   * @param {Object} fields - title is required; status defaults to todo
+   * @returns {Promise<Object>} - The new task
+   */
+  async createTask(project, fields = {}) {
+    const name = projectName(project);
+    const problems = validateFields(fields, { requireTitle: true });
+    if (fields.status !== undefined && !TASK_STATUSES.includes(fields.status)) {
+      problems.push(`status must be one of ${TASK_STATUSES.join(', ')}`);
+    }
+    if (problems.length > 0) {
+      throw invalidTask(problems);
+    }
+
+    return this.store.createTask(newTask(name, pickFields(fields)));
+  }
+
+  async getTask(taskId) {
+    const task = await this.store.getTask(taskId);
+    if (!task) {
+      throw boardError(`Task not found: ${taskId}`, 'TASK_NOT_FOUND');
+    }
+    return task;
+  }
+
+  /**
+   * Change a task; status changes must follow the board transitions
+   * @param {String} taskId - Task id
+   * @param {Object} changes - Any of the editable fields, plus status
+   * @returns {Promise<Object>} - The updated task
+   */
+  async updateTask(taskId, changes = {}) {
+    const task = await this.getTask(taskId);
+    const problems = validateFields(changes, { requireTitle: false });
+    if (problems.length > 0) {
+      throw invalidTask(problems);
+    }
+
+    const update = pickFields(changes);
+    if (changes.status !== undefined && changes.status !== task.status) {
+      if (!TASK_STATUSES.includes(changes.status)) {
+        throw invalidTask([`status must be one of ${TASK_STATUSES.join(', ')}`]);
+      }
+      if (!TRANSITIONS[task.status].includes(changes.status)) {
+        const error = boardError(
+          `A task cannot move from ${STATUS_TITLES[task.status]} to ${STATUS_TITLES[changes.status]}`,
+          'TASK_TRANSITION_INVALID'
+        );
+        error.allowed = TRANSITIONS[task.status];
+        throw error;
+      }
+      update.status = changes.status;
+    }
+
+    const updated = await this.store.updateTask(taskId, { ...update, updatedAt: new Date() });
+    if (!updated) {
+      throw boardError(`Task not found: ${taskId}`, 'TASK_NOT_FOUND');
+    }
+    return updated;
+  }
+
+  async deleteTask(taskId) {
+    if (!await this.store.deleteTask(taskId)) {
+      throw boardError(`Task not found: ${taskId}`, 'TASK_NOT_FOUND');
+    }
+  }
+}
+
+function newTask(project, fields) {
+  const now = new Date();
+  return {
+    taskId: `task_${crypto.randomUUID()}`,
+    project,
+    storyId: null,
+    epic: null,
+    title: '',
+    description: '',
+    acceptanceCriteria: [],
+    subtasks: [],
+    status: 'todo',
+    assignee: null,
+    role: null,
+    storyPoints: null,
+    sprint: null,
+    ...fields,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function projectName(project) {
+  const name = typeof project === 'string' ? project.trim() : '';
+  if (!name) {
+    throw invalidTask(['project is required']);
+  }
+  return name;
+}
+
+// Problems with the editable fields present in fields
+function validateFields(fields, { requireTitle }) {
+  const problems = [];
+  const nullableString = value => value === null || typeof value === 'string';
+  const stringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (requireTitle || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || !fields.title.trim()) problems.push('title must be a non-empty string');
+  }
+  if (fields.description !== undefined && typeof fields.description !== 'string') problems.push('description must be a string');
+  ['epic', 'assignee', 'role'].forEach(field => {
+    if (fields[field] !== undefined && !nullableString(fields[field])) problems.push(`${field} must be a string or null`);
+  });
+  ['acceptanceCriteria', 'subtasks'].forEach(field => {
+    if (fields[field] !== undefined && !stringList(fields[field])) problems.push(`${field} must be a list of strings`);
+  });
+  if (fields.storyPoints !== undefined && fields.storyPoints !== null &&
+      !(Number.isInteger(fields.storyPoints) && fields.storyPoints >= 0)) {
+    problems.push('storyPoints must be a whole number of at least 0, or null');
+  }
+  if (fields.sprint !== undefined && fields.sprint !== null &&
+      !(Number.isInteger(fields.sprint) && fields.sprint >= 1)) {
+    problems.push('sprint must be a whole number of at least 1, or null');
+  }
+  return problems;
+}
+
+// Editable fields only; status goes through the transition check
+function pickFields(fields) {
+  const picked = {};
+  [...PLAN_FIELDS, 'assignee'].forEach(field => {
+    if (fields[field] !== undefined) picked[field] = fields[field];
+  });
+  if (typeof picked.title === 'string') picked.title = picked.title.trim();
+  if (typeof picked.assignee === 'string') picked.assignee = picked.assignee.trim() || null;
+  return picked;
+}
+
+function sortBySprint(tasks) {
+  const sprintOrder = task => (task.sprint === null ? Number.MAX_SAFE_INTEGER : task.sprint);
+  // Array sort is stable, so tasks within a sprint stay in creation order
+  return [...tasks].sort((a, b) => sprintOrder(a) - sprintOrder(b));
+}
+
+function invalidTask(problems) {
+  const error = boardError(`Invalid task: ${problems.join('; ')}`, 'TASK_INVALID');
+  error.problems = problems;
+  return error;
+}
+
+function boardError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = new TaskBoard();
+module.exports.TaskBoard = TaskBoard;
+module.exports.TASK_STATUSES = TASK_STATUSES;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,140 @@
+const database = require('../utils/database');
+
+/**
+ * Task Board Stores
+ * Persist the tasks on each project's task board (see services/taskBoard.js).
+ * Tasks are plain documents keyed by taskId; the board service owns their
+ * shape and the rules for changing them.
+ *
+ * Every store implements:
+ *   createTask(task) -> task
+ *   getTask(taskId) -> task or null
+ *   listTasks(project) -> tasks, oldest first
+ *   updateTask(taskId, changes) -> updated task or null
+ *   deleteTask(taskId) -> Boolean
+ */
+
+/**
+ * MongoDB task store
+ * One document per task in board_tasks.
+ */
+class MongoTaskBoardStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by task queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await Promise.all([
+      db.collection('board_tasks').createIndex({ taskId: 1 }, { unique: true }),
+      db.collection('board_tasks').createIndex({ project: 1, createdAt: 1 })
+    ]);
+  }
+
+  async createTask(task) {
+    const collection = await this._collection();
+    await collection.insertOne({ ...task });
+    return { ...task };
+  }
+
+  async getTask(taskId) {
+    const collection = await this._collection();
+    return collection.findOne({ taskId }, { projection: { _id: 0 } });
+  }
+
+  async listTasks(project) {
+    const collection = await this._collection();
+    return collection.find({ project }, { projection: { _id: 0 } }).sort({ createdAt: 1, _id: 1 }).toArray();
+  }
+
+  async updateTask(taskId, changes) {
+    const collection = await this._collection();
+    return collection.findOneAndUpdate(
+      { taskId },
+      { $set: changes },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  async deleteTask(taskId) {
+    const collection = await this._collection();
+    const { deletedCount } = await collection.deleteOne({ taskId });
+    return deletedCount > 0;
+  }
+
+  async _collection() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection('board_tasks');
+  }
+}
+
+/**
+ * In-memory task store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Boards are lost on restart.
+ */
+class MemoryTaskBoardStore {
+  constructor() {
+    this.tasks = new Map();
+  }
+
+  async createTask(task) {
+    this.tasks.set(task.taskId, { ...task });
+    return { ...task };
+  }
+
+  async getTask(taskId) {
+    const task = this.tasks.get(taskId);
+    return task ? { ...task } : null;
+  }
+
+  async listTasks(project) {
+    // Maps iterate in insertion order, which is creation order
+    return Array.from(this.tasks.values())
+      .filter(task => task.project === project)
+      .map(task => ({ ...task }));
+  }
+
+  async updateTask(taskId, changes) {
+    const task = this.tasks.get(taskId);
+    if (!task) return null;
+
+    Object.assign(task, changes);
+    return { ...task };
+  }
+
+  async deleteTask(taskId) {
+    return this.tasks.delete(taskId);
+  }
+}
+
+/**
+ * Create the task store for this environment
+ * @returns {MongoTaskBoardStore|MemoryTaskBoardStore}
+ */
+function createTaskBoardStore() {
+  if (database.isConfigured()) {
+    return new MongoTaskBoardStore();
+  }
+
+  console.warn('MONGODB_URI is not set; task boards are kept in memory and lost on restart');
+  return new MemoryTaskBoardStore();
+}
+
+module.exports = createTaskBoardStore();
+module.exports.MongoTaskBoardStore = MongoTaskBoardStore;
+module.exports.MemoryTaskBoardStore = MemoryTaskBoardStore;
+module.exports.createTaskBoardStore = createTaskBoardStore;
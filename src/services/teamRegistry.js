@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const teamStore = require('./teamStore');
+
+// Fields a member may be registered or updated with
+const MEMBER_FIELDS = ['name', 'role', 'skills', 'velocity', 'availability', 'sprintAvailability'];
+
+/**
+ * Team Registry
+ * The members of each project's team, used to schedule plans into sprints
+ * (see utils/sprintScheduler.js). Names are unique within a project, since
+ * stories are assigned by name.
+ *
+ * Members: { memberId, project, name, role, skills, velocity (story points
+ *   per sprint at full availability), availability (0 to 1),
+ *   sprintAvailability ({ sprintNumber: 0 to 1 } overrides, e.g. for
+ *   holidays), createdAt, updatedAt }
+ *
+ * Errors: TEAM_MEMBER_INVALID (with problems), TEAM_MEMBER_NOT_FOUND
+ */
+class TeamRegistry {
+  /**
+   * @param {Object} options - { store }, defaults to the store for this environment
+   */
+  constructor({ store = teamStore } = {}) {
+    this.store = store;
+  }
+
+  async listMembers(project) {
+    return this.store.listMembers(projectName(project));
+  }
+
+  /**
+   * Register a team member
+   * @param {String} project - Project name
+   * @param {Object} fields - name, role and velocity are required; availability defaults to 1
+   * @returns {Promise<Object>} - The new member
+   */
+  async addMember(project, fields = {}) {
+    const name = projectName(project);
+    const problems = validateMember(fields, { partial: false });
+    if (problems.length === 0 && await this._nameTaken(name, fields.name)) {
+      problems.push(`a member named ${fields.name.trim()} is already on the team`);
+    }
+    if (problems.length > 0) {
+      throw invalidMember(problems);
+    }
+
+    const now = new Date();
+    const member = {
+      memberId: `member_${crypto.randomUUID()}`,
+      project: name,
+      skills: [],
+      availability: 1,
+      sprintAvailability: {},
+      ...pickMember(fields),
+      createdAt: now,
+      updatedAt: now
+    };
+    console.log(`Registered ${member.name} (${member.role}) on the ${name} team`);
+    return this.store.addMember(member);
+  }
+
+  async updateMember(memberId, changes = {}) {
+    const member = await this._getMember(memberId);
+    const problems = validateMember(changes, { partial: true });
+    if (problems.length === 0 && changes.name !== undefined && await this._nameTaken(member.project, changes.name, memberId)) {
+      problems.push(`a member named ${changes.name.trim()} is already on the team`);
+    }
+    if (problems.length > 0) {
+      throw invalidMember(problems);
+    }
+
+    return this.store.updateMember(memberId, { ...pickMember(changes), updatedAt: new Date() });
+  }
+
+  async removeMember(memberId) {
+    if (!await this.store.deleteMember(memberId)) {
+      throw memberNotFound(memberId);
+    }
+  }
+
+  async _getMember(memberId) {
+    const member = await this.store.getMember(memberId);
+    if (!member) {
+      throw memberNotFound(memberId);
+    }
+    return member;
+  }
+
+  async _nameTaken(project, name, exceptMemberId = null) {
+    const members = await this.store.listMembers(project);
+    return members.some(member => member.memberId !== exceptMemberId &&
+      member.name.toLowerCase() === name.trim().toLowerCase());
+  }
+}
+
+function projectName(project) {
+  const name = typeof project === 'string' ? project.trim() : '';
+  if (!name) {
+    throw invalidMember(['project is required']);
+  }
+  return name;
+}
+
+// Problems with the member fields; partial checks only the fields present
+function validateMember(fields, { partial }) {
+  const problems = [];
+  const present = field => !partial || fields[field] !== undefined;
+  const fraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+  ['name', 'role'].forEach(field => {
+    if (present(field) && (typeof fields[field] !== 'string' || !fields[field].trim())) {
+      problems.push(`${field} must be a non-empty string`);
+    }
+  });
+  if (present('velocity') && !(typeof fields.velocity === 'number' && fields.velocity >= 0)) {
+    problems.push('velocity must be a number of story points per sprint, at least 0');
+  }
+  if (fields.skills !== undefined && !(Array.isArray(fields.skills) && fields.skills.every(skill => typeof skill === 'string'))) {
+    problems.push('skills must be a list of strings');
+  }
+  if (fields.availability !== undefined && !fraction(fields.availability)) {
+    problems.push('availability must be a number from 0 to 1');
+  }
+  if (fields.sprintAvailability !== undefined) {
+    const overrides = fields.sprintAvailability;
+    const valid = overrides && typeof overrides === 'object' && !Array.isArray(overrides) &&
+      Object.entries(overrides).every(([sprint, value]) => /^[1-9]\d*$/.test(sprint) && fraction(value));
+    if (!valid) {
+      problems.push('sprintAvailability must map sprint numbers to numbers from 0 to 1');
+    }
+  }
+  return problems;
+}
+
+function pickMember(fields) {
+  const picked = {};
+  MEMBER_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) picked[field] = fields[field];
+  });
+  if (typeof picked.name === 'string') picked.name = picked.name.trim();
+  if (typeof picked.role === 'string') picked.role = picked.role.trim();
+  if (Array.isArray(picked.skills)) picked.skills = picked.skills.map(skill => skill.trim()).filter(Boolean);
+  return picked;
+}
+
+function invalidMember(problems) {
+  const error = new Error(`Invalid team member: ${problems.join('; ')}`);
+  error.code = 'TEAM_MEMBER_INVALID';
+  error.problems = problems;
+  return error;
+}
+
+function memberNotFound(memberId) {
+  const error = new Error(`Team member not found: ${memberId}`);
+  error.code = 'TEAM_MEMBER_NOT_FOUND';
+  return error;
+}
+
+module.exports = new TeamRegistry();
+module.exports.TeamRegistry = TeamRegistry;
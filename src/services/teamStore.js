@@ -0,0 +1,137 @@
+const database = require('../utils/database');
+
+/**
+ * Team Stores
+ * Persist each project's team members (see services/teamRegistry.js).
+ *
+ * Every store implements:
+ *   addMember(member) -> member
+ *   getMember(memberId) -> member or null
+ *   listMembers(project) -> members, in the order they were added
+ *   updateMember(memberId, changes) -> updated member or null
+ *   deleteMember(memberId) -> Boolean
+ */
+
+/**
+ * MongoDB team store
+ * One document per member in team_members.
+ */
+class MongoTeamStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by team queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await Promise.all([
+      db.collection('team_members').createIndex({ memberId: 1 }, { unique: true }),
+      db.collection('team_members').createIndex({ project: 1, createdAt: 1 })
+    ]);
+  }
+
+  async addMember(member) {
+    const collection = await this._collection();
+    await collection.insertOne({ ...member });
+    return { ...member };
+  }
+
+  async getMember(memberId) {
+    const collection = await this._collection();
+    return collection.findOne({ memberId }, { projection: { _id: 0 } });
+  }
+
+  async listMembers(project) {
+    const collection = await this._collection();
+    return collection.find({ project }, { projection: { _id: 0 } }).sort({ createdAt: 1, _id: 1 }).toArray();
+  }
+
+  async updateMember(memberId, changes) {
+    const collection = await this._collection();
+    return collection.findOneAndUpdate(
+      { memberId },
+      { $set: changes },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  async deleteMember(memberId) {
+    const collection = await this._collection();
+    const { deletedCount } = await collection.deleteOne({ memberId });
+    return deletedCount > 0;
+  }
+
+  async _collection() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection('team_members');
+  }
+}
+
+/**
+ * In-memory team store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Teams are lost on restart.
+ */
+class MemoryTeamStore {
+  constructor() {
+    this.members = new Map();
+  }
+
+  async addMember(member) {
+    this.members.set(member.memberId, { ...member });
+    return { ...member };
+  }
+
+  async getMember(memberId) {
+    const member = this.members.get(memberId);
+    return member ? { ...member } : null;
+  }
+
+  async listMembers(project) {
+    return Array.from(this.members.values())
+      .filter(member => member.project === project)
+      .map(member => ({ ...member }));
+  }
+
+  async updateMember(memberId, changes) {
+    const member = this.members.get(memberId);
+    if (!member) return null;
+
+    Object.assign(member, changes);
+    return { ...member };
+  }
+
+  async deleteMember(memberId) {
+    return this.members.delete(memberId);
+  }
+}
+
+/**
+ * Create the team store for this environment
+ * @returns {MongoTeamStore|MemoryTeamStore}
+ */
+function createTeamStore() {
+  if (database.isConfigured()) {
+    return new MongoTeamStore();
+  }
+
+  console.warn('MONGODB_URI is not set; teams are kept in memory and lost on restart');
+  return new MemoryTeamStore();
+}
+
+module.exports = createTeamStore();
+module.exports.MongoTeamStore = MongoTeamStore;
+module.exports.MemoryTeamStore = MemoryTeamStore;
+module.exports.createTeamStore = createTeamStore;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const usageStore = require('./usageStore');
+
+/**
+ * Usage Ledger Service
+ * Records input/output tokens and computed cost for every model call and
+ * aggregates them per user, team, session, agent and model. Entries are
+ * written through to a usage store, and the current month is reloaded from
+ * it on startup so daily and monthly budgets survive a restart.
+ */
+class UsageLedger {
+  /**
+   * @param {Object} store - Usage store entries are saved to, or null to keep them in memory only
+   */
+  constructor(store = null) {
+    this.entries = [];
+    this.maxEntries = 50000;
+    this.store = store;
+  }
+
+  /**
+   * Reload this month's entries from the store, keeping any recorded since startup
+   * @returns {Promise<Number>} - Number of entries loaded
+   */
+  async load() {
+    if (!this.store) return 0;
+
+    const saved = await this.store.listEntries({
+      since: UsageLedger.periodStart('month'),
+      limit: this.maxEntries
+    });
+    const known = new Set(this.entries.map(entry => entry.id));
+    const loaded = saved.filter(entry => !known.has(entry.id));
+
+    this.entries = [...loaded, ...this.entries].slice(-this.maxEntries);
+    return loaded.length;
+  }
+
+  /**
+   * Normalize provider usage payloads into { inputTokens, outputTokens }
+   * @param {Object} usage - Claude ({ input_tokens }), OpenAI/DeepSeek
+   *   ({ prompt_tokens }), Gemini ({ promptTokenCount }) or already normalized
+   * @returns {Object|null} - Normalized usage, or null when nothing was reported
+   */
+  static normalizeUsage(usage) {
+    if (!usage) return null;
+
+    const inputTokens = usage.inputTokens ?? usage.input_tokens ?? usage.prompt_tokens ?? usage.promptTokenCount;
+    const outputTokens = usage.outputTokens ?? usage.output_tokens ?? usage.completion_tokens ?? usage.candidatesTokenCount;
+
+    if (inputTokens === undefined && outputTokens === undefined) return null;
+    return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+  }
+
+  /**
+   * Rough token estimate for providers that do not report usage (e.g. streams)
+   * @param {String|Object} content - Prompt or response content
+   * @returns {Number} - Estimated tokens (~4 characters per token)
+   */
+  static estimateTokens(content) {
+    if (!content) return 0;
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Compute the cost of a call
+   * @param {Number} inputTokens - Prompt tokens
+   * @param {Number} outputTokens - Completion tokens
+   * @param {Number} costPer1KTokens - Model rate from the model configuration
+   * @returns {Number} - Cost in USD
+   */
+  static computeCost(inputTokens, outputTokens, costPer1KTokens = 0) {
+    return ((inputTokens + outputTokens) / 1000) * costPer1KTokens;
+  }
+
+  /**
+   * Record a model call
+   * @param {Object} call - Call details
+   * @param {String} call.userId - User identifier (null for system/agent calls without a user)
+   * @param {String} call.teamId - Team identifier
+   * @param {String} call.sessionId - Chat session identifier
+   * @param {String} call.agent - Agent or service that made the call
+   * @param {String} call.provider - Provider name
+   * @param {String} call.model - Model ID
+   * @param {Object} call.usage - Provider usage payload (any supported shape)
+   * @param {Number} call.costPer1KTokens - Model rate
+   * @param {Boolean} call.estimated - Whether token counts are estimates
+   * @returns {Object} - The ledger entry
+   */
+  record(call) {
+    const usage = UsageLedger.normalizeUsage(call.usage) || { inputTokens: 0, outputTokens: 0 };
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      userId: call.userId || null,
+      teamId: call.teamId || null,
+      sessionId: call.sessionId || null,
+      agent: call.agent || 'orchestrator',
+      provider: call.provider || 'unknown',
+      model: call.model || 'unknown',
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cost: UsageLedger.computeCost(usage.inputTokens, usage.outputTokens, call.costPer1KTokens),
+      estimated: Boolean(call.estimated)
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    if (this.store) {
+      this.store.saveEntry(entry).catch(error => {
+        console.error('Error saving usage entry:', error.message);
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Start of the period containing now (UTC)
+   * @param {String} period - 'day', 'month' or 'all'
+   * @returns {Date|null} - Period start, or null for all time
+   */
+  static periodStart(period) {
+    const now = new Date();
+    if (period === 'day') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+    if (period === 'month') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+    return null;
+  }
+
+  /**
+   * Select entries matching a filter
+   * @param {Object} filter - { userId, teamId, sessionId, agent, model, period }
+   * @returns {Array} - Matching entries
+   */
+  query(filter = {}) {
+    const since = UsageLedger.periodStart(filter.period);
+    const fields = ['userId', 'teamId', 'sessionId', 'agent', 'model'];
+
+    return this.entries.filter(entry => {
+      if (since && new Date(entry.timestamp) < since) return false;
+      return fields.every(field => filter[field] === undefined || entry[field] === filter[field]);
+    });
+  }
+
+  /**
+   * Sum tokens and cost for matching entries
+   * @param {Object} filter - Same as query()
+   * @returns {Object} - { calls, inputTokens, outputTokens, cost }
+   */
+  totals(filter = {}) {
+    return this.query(filter).reduce((totals, entry) => {
+      totals.calls += 1;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.cost += entry.cost;
+      return totals;
+    }, { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+  }
+
+  /**
+   * Totals grouped by a field
+   * @param {String} field - 'agent', 'model', 'sessionId', 'userId' or 'teamId'
+   * @param {Object} filter - Same as query()
+   * @returns {Object} - Totals keyed by field value
+   */
+  breakdown(field, filter = {}) {
+    return this.query(filter).reduce((groups, entry) => {
+      const key = entry[field] || 'none';
+      if (!groups[key]) {
+        groups[key] = { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+      }
+      groups[key].calls += 1;
+      groups[key].inputTokens += entry.inputTokens;
+      groups[key].outputTokens += entry.outputTokens;
+      groups[key].cost += entry.cost;
+      return groups;
+    }, {});
+  }
+}
+
+const usageLedger = new UsageLedger(usageStore);
+usageLedger.load().catch(error => {
+  console.error('Error loading usage history:', error.message);
+});
+
+module.exports = usageLedger;
+module.exports.UsageLedger = UsageLedger;
@@ -0,0 +1,96 @@
+const database = require('../utils/database');
+
+/**
+ * Usage Stores
+ * Persist usage ledger entries (see services/usageLedger.js) so budgets
+ * survive a restart.
+ *
+ * Every store implements:
+ *   saveEntry(entry)
+ *   listEntries({ since, limit }) -> the newest `limit` entries recorded at or
+ *     after `since`, oldest first
+ */
+
+/**
+ * MongoDB usage store
+ * One document per model call in usage_entries.
+ */
+class MongoUsageStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by usage queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await Promise.all([
+      db.collection('usage_entries').createIndex({ id: 1 }, { unique: true }),
+      db.collection('usage_entries').createIndex({ timestamp: -1 })
+    ]);
+  }
+
+  async saveEntry(entry) {
+    const collection = await this._collection();
+    await collection.insertOne({ ...entry });
+  }
+
+  async listEntries({ since = null, limit = 0 } = {}) {
+    const collection = await this._collection();
+    // Timestamps are ISO strings, which sort and compare chronologically
+    const query = since ? { timestamp: { $gte: since.toISOString() } } : {};
+    const newestFirst = await collection.find(query, { projection: { _id: 0 } })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+    return newestFirst.reverse();
+  }
+
+  async _collection() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection('usage_entries');
+  }
+}
+
+/**
+ * In-memory usage store
+ * Used when MONGODB_URI is not set (local development and tests). The
+ * ledger already keeps its entries in memory, so nothing is stored twice:
+ * usage history and budget spend reset on restart.
+ */
+class MemoryUsageStore {
+  async saveEntry() {}
+
+  async listEntries() {
+    return [];
+  }
+}
+
+/**
+ * Create the usage store for this environment
+ * @returns {MongoUsageStore|MemoryUsageStore}
+ */
+function createUsageStore() {
+  if (database.isConfigured()) {
+    return new MongoUsageStore();
+  }
+
+  console.warn('MONGODB_URI is not set; usage is kept in memory and budgets reset on restart');
+  return new MemoryUsageStore();
+}
+
+module.exports = createUsageStore();
+module.exports.MongoUsageStore = MongoUsageStore;
+module.exports.MemoryUsageStore = MemoryUsageStore;
+module.exports.createUsageStore = createUsageStore;
@@ -0,0 +1,221 @@
+const axios = require('axios');
+const zohoConfig = require('../config/zoho');
+const zohoCredentialStore = require('./zohoCredentialStore');
+const SecurityUtils = require('./securityUtils');
+
+// Zoho's data-centre accounts servers; a callback naming any other host is ignored
+const ACCOUNTS_SERVER_PATTERN = /^https:\/\/accounts\.zoho\.(com|eu|in|com\.au|jp|com\.cn|sa|ca|uk)$/;
+
+/**
+ * Zoho Auth
+ * Connects users' Zoho accounts through the OAuth authorization-code flow and
+ * hands out access tokens for Creator API calls, refreshing them as they
+ * expire. Tokens are stored per user, encrypted with ENCRYPTION_KEY.
+ */
+class ZohoAuth {
+  /**
+   * @param {Object} options - { store, config, transport, encryptionKey }; transport
+   *   defaults to axios.request, the others to the shared instances and environment
+   */
+  constructor({
+    store = zohoCredentialStore,
+    config = zohoConfig,
+    transport = axios.request,
+    encryptionKey = process.env.ENCRYPTION_KEY
+  } = {}) {
+    this.store = store;
+    this.config = config;
+    this.transport = transport;
+    this.encryptionKey = encryptionKey;
+  }
+
+  /**
+   * Whether a Zoho OAuth client is configured
+   * @returns {Boolean}
+   */
+  isConfigured() {
+    return Boolean(this.config.oauth.clientId && this.config.oauth.clientSecret);
+  }
+
+  /**
+   * URL of Zoho's consent page
+   * @param {String} state - Opaque value checked on the callback
+   * @returns {String}
+   */
+  getAuthorizationUrl(state) {
+    this._checkConfigured();
+    const { accountsUrl, clientId, redirectUri, scopes } = this.config.oauth;
+    const params = new URLSearchParams({
+      scope: scopes.join(','),
+      client_id: clientId,
+      response_type: 'code',
+      // Offline access returns a refresh token; consent makes Zoho issue a new one on reconnect
+      access_type: 'offline',
+      prompt: 'consent',
+      redirect_uri: redirectUri,
+      state
+    });
+    return `${accountsUrl}/oauth/v2/auth?${params}`;
+  }
+
+  /**
+   * Exchange an authorization code and store the user's credentials
+   * @param {String} userId - User id
+   * @param {String} code - Code from the OAuth callback
+   * @param {String} accountsServer - accounts-server from the callback (optional)
+   * @returns {Promise<Object>} - Connection status
+   */
+  async connect(userId, code, accountsServer = null) {
+    this._checkConfigured();
+    const server = ACCOUNTS_SERVER_PATTERN.test(accountsServer || '')
+      ? accountsServer
+      : this.config.oauth.accountsUrl;
+
+    const tokens = await this._requestToken(server, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.oauth.redirectUri
+    });
+    if (!tokens.refresh_token) {
+      throw zohoError('Zoho did not return a refresh token; reconnect and grant offline access', 'ZOHO_AUTH_FAILED');
+    }
+
+    const now = Date.now();
+    await this.store.saveCredentials(userId, {
+      accountsServer: server,
+      apiDomain: tokens.api_domain || null,
+      refreshToken: this._encrypt(tokens.refresh_token),
+      accessToken: this._encrypt(tokens.access_token),
+      expiresAt: new Date(now + tokens.expires_in * 1000).toISOString(),
+      connectedAt: new Date(now).toISOString()
+    });
+
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Whether the user has connected Zoho
+   * @param {String} userId - User id
+   * @returns {Promise<Object>} - { connected, accountsServer, connectedAt }
+   */
+  async getStatus(userId) {
+    const credentials = await this.store.getCredentials(userId);
+    if (!credentials) {
+      return { connected: false, configured: this.isConfigured() };
+    }
+    return {
+      connected: true,
+      configured: this.isConfigured(),
+      accountsServer: credentials.accountsServer,
+      connectedAt: credentials.connectedAt
+    };
+  }
+
+  /**
+   * A current access token for the user, refreshed when close to expiry
+   * @param {String} userId - User id
+   * @returns {Promise<String>}
+   */
+  async getAccessToken(userId) {
+    const credentials = await this.store.getCredentials(userId);
+    if (!credentials) {
+      throw zohoError('Zoho is not connected; connect your Zoho account first', 'ZOHO_NOT_CONNECTED');
+    }
+
+    if (new Date(credentials.expiresAt).getTime() - this.config.tokenRefreshMarginMs > Date.now()) {
+      return this._decrypt(credentials.accessToken);
+    }
+
+    this._checkConfigured();
+    const tokens = await this._requestToken(credentials.accountsServer, {
+      grant_type: 'refresh_token',
+      refresh_token: this._decrypt(credentials.refreshToken)
+    });
+
+    await this.store.saveCredentials(userId, {
+      ...credentials,
+      accessToken: this._encrypt(tokens.access_token),
+      expiresAt: new Date(Date.now() + tokens.expires_in * 1000).toISOString()
+    });
+    return tokens.access_token;
+  }
+
+  /**
+   * Revoke and forget the user's credentials
+   * @param {String} userId - User id
+   * @returns {Promise<Boolean>} - false if Zoho was not connected
+   */
+  async disconnect(userId) {
+    const credentials = await this.store.getCredentials(userId);
+    if (!credentials) return false;
+
+    try {
+      await this.transport({
+        method: 'post',
+        url: `${credentials.accountsServer}/oauth/v2/token/revoke`,
+        params: { token: this._decrypt(credentials.refreshToken) },
+        timeout: this.config.api.timeoutMs
+      });
+    } catch (error) {
+      // The local copy is removed either way
+      console.warn('Failed to revoke Zoho refresh token:', error.message);
+    }
+
+    return this.store.deleteCredentials(userId);
+  }
+
+  async _requestToken(accountsServer, params) {
+    const { clientId, clientSecret } = this.config.oauth;
+    let response;
+    try {
+      response = await this.transport({
+        method: 'post',
+        url: `${accountsServer}/oauth/v2/token`,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        data: new URLSearchParams({ ...params, client_id: clientId, client_secret: clientSecret }).toString(),
+        timeout: this.config.api.timeoutMs
+      });
+    } catch (error) {
+      const reason = error.response && error.response.data && error.response.data.error;
+      throw zohoError(`Zoho token request failed: ${reason || error.message}`, 'ZOHO_AUTH_FAILED');
+    }
+
+    // Zoho reports token errors in a 200 response
+    if (!response.data || response.data.error || !response.data.access_token) {
+      const reason = response.data && response.data.error ? response.data.error : 'no access token returned';
+      throw zohoError(`Zoho token request failed: ${reason}`, 'ZOHO_AUTH_FAILED');
+    }
+    return response.data;
+  }
+
+  _checkConfigured() {
+    if (!this.isConfigured()) {
+      throw zohoError('Zoho export is not configured; set ZOHO_CLIENT_ID and ZOHO_CLIENT_SECRET', 'ZOHO_NOT_CONFIGURED');
+    }
+  }
+
+  _encrypt(token) {
+    this._checkEncryptionKey();
+    return SecurityUtils.encrypt(token, this.encryptionKey);
+  }
+
+  _decrypt(token) {
+    this._checkEncryptionKey();
+    return SecurityUtils.decrypt(token, this.encryptionKey);
+  }
+
+  _checkEncryptionKey() {
+    if (!this.encryptionKey) {
+      throw zohoError('ENCRYPTION_KEY must be set to store Zoho credentials', 'ZOHO_NOT_CONFIGURED');
+    }
+  }
+}
+
+function zohoError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = new ZohoAuth();
+module.exports.ZohoAuth = ZohoAuth;
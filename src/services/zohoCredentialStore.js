@@ -0,0 +1,107 @@
+const database = require('../utils/database');
+
+/**
+ * Zoho Credential Stores
+ * Persist each user's Zoho OAuth credentials. Tokens arrive here already
+ * encrypted (see services/zohoAuth.js); the stores never see them in clear.
+ *
+ * Every store implements:
+ *   saveCredentials(userId, credentials)
+ *   getCredentials(userId) -> credentials or null
+ *   deleteCredentials(userId) -> Boolean
+ */
+
+/**
+ * MongoDB credential store
+ * One document per user in zoho_credentials.
+ */
+class MongoZohoCredentialStore {
+  constructor(db = database) {
+    this.database = db;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Create the indexes used by credential queries
+   * @param {Db} db - MongoDB database handle
+   */
+  async ensureIndexes(db) {
+    await db.collection('zoho_credentials').createIndex({ userId: 1 }, { unique: true });
+  }
+
+  async saveCredentials(userId, credentials) {
+    const collection = await this._collection();
+    await collection.replaceOne({ userId }, { ...credentials, userId }, { upsert: true });
+  }
+
+  async getCredentials(userId) {
+    const collection = await this._collection();
+    const doc = await collection.findOne({ userId });
+    if (!doc) return null;
+
+    const { _id, ...credentials } = doc;
+    return credentials;
+  }
+
+  async deleteCredentials(userId) {
+    const collection = await this._collection();
+    const result = await collection.deleteOne({ userId });
+    return result.deletedCount > 0;
+  }
+
+  async _collection() {
+    const db = await this.database.getDb();
+
+    if (!this.indexesReady) {
+      this.indexesReady = this.ensureIndexes(db).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection('zoho_credentials');
+  }
+}
+
+/**
+ * In-memory credential store
+ * Used when MONGODB_URI is not set (local development and tests).
+ * Users have to reconnect Zoho after a restart.
+ */
+class MemoryZohoCredentialStore {
+  constructor() {
+    this.credentials = new Map();
+  }
+
+  async saveCredentials(userId, credentials) {
+    this.credentials.set(userId, { ...credentials, userId });
+  }
+
+  async getCredentials(userId) {
+    const credentials = this.credentials.get(userId);
+    return credentials ? { ...credentials } : null;
+  }
+
+  async deleteCredentials(userId) {
+    return this.credentials.delete(userId);
+  }
+}
+
+/**
+ * Create the credential store for this environment
+ * @returns {MongoZohoCredentialStore|MemoryZohoCredentialStore}
+ */
+function createZohoCredentialStore() {
+  if (database.isConfigured()) {
+    return new MongoZohoCredentialStore();
+  }
+
+  console.warn('MONGODB_URI is not set; Zoho credentials are kept in memory and lost on restart');
+  return new MemoryZohoCredentialStore();
+}
+
+module.exports = createZohoCredentialStore();
+module.exports.MongoZohoCredentialStore = MongoZohoCredentialStore;
+module.exports.MemoryZohoCredentialStore = MemoryZohoCredentialStore;
+module.exports.createZohoCredentialStore = createZohoCredentialStore;
@@ -0,0 +1,227 @@
+const axios = require('axios');
+const zohoConfig = require('../config/zoho');
+const zohoAuth = require('./zohoAuth');
+
+// Deluge function signature: return type, optionally namespaced name, parameters
+const FUNCTION_SIGNATURE = /^\s*(void|string|int|bool|boolean|map|list|decimal|float|date|datetime)\s+([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)?)\s*\(([^)]*)\)/im;
+const LINK_NAME = /^[A-Za-z0-9_-]+$/;
+const SCRIPT_NAME = /^[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)?$/;
+
+const WORKFLOW_RECORD_EVENTS = ['created', 'edited', 'created_or_edited', 'deleted'];
+const WORKFLOW_EVENTS = ['on_load', 'on_validate', 'on_success', 'on_user_input'];
+
+/**
+ * Zoho Creator Exporter
+ * Pushes generated or improved Deluge code into a Zoho Creator application
+ * as a custom function or a form workflow script, authenticated as the
+ * requesting user (see services/zohoAuth.js). A dry run returns the exact
+ * request that would be sent, without credentials or network access.
+ *
+ * Targets:
+ *   { type: 'function', owner, app, name?, returnType?, parameters? }
+ *     name, return type and parameters default to the code's own signature
+ *   { type: 'workflow', owner, app, name, form, recordEvent, event }
+ */
+class ZohoExporter {
+  /**
+   * @param {Object} options - { auth, config, transport }; transport defaults to axios.request
+   */
+  constructor({ auth = zohoAuth, config = zohoConfig, transport = axios.request } = {}) {
+    this.auth = auth;
+    this.config = config;
+    this.transport = transport;
+  }
+
+  /**
+   * Build the Creator API request for an export
+   * @param {String} code - Deluge code, or markdown containing it in a fenced block
+   * @param {Object} target - Export target (see above)
+   * @param {Object} options - { overwrite } update an existing script instead of creating one
+   * @returns {Object} - { method, url, headers, data }, without the Authorization header
+   */
+  buildRequest(code, target = {}, { overwrite = false } = {}) {
+    const script = extractDelugeCode(code);
+    if (!script) {
+      throw exportError('No Deluge code to export', ['code is empty']);
+    }
+
+    const data = target.type === 'workflow'
+      ? this._workflowPayload(script, target)
+      : this._functionPayload(script, target);
+    const name = (data.function || data.workflow).name;
+
+    const collectionPath = this.config.api.paths[target.type]
+      .replace(':owner', encodeURIComponent(target.owner))
+      .replace(':app', encodeURIComponent(target.app));
+
+    return {
+      method: overwrite ? 'put' : 'post',
+      url: `${this.config.api.baseUrl}${collectionPath}${overwrite ? `/${encodeURIComponent(name)}` : ''}`,
+      headers: { 'Content-Type': 'application/json' },
+      data
+    };
+  }
+
+  /**
+   * Export code to Zoho Creator, or describe the request in a dry run
+   * @param {String} userId - User whose Zoho credentials are used
+   * @param {Object} options - { code, target, overwrite, dryRun }
+   * @returns {Promise<Object>} - { dryRun, request } plus { status, response } when sent
+   */
+  async export(userId, { code, target, overwrite = false, dryRun = false }) {
+    const request = this.buildRequest(code, target, { overwrite });
+
+    if (dryRun || this.config.dryRun) {
+      return {
+        dryRun: true,
+        request: {
+          ...request,
+          headers: { ...request.headers, Authorization: 'Zoho-oauthtoken <access token>' }
+        }
+      };
+    }
+
+    const accessToken = await this.auth.getAccessToken(userId);
+    let response;
+    try {
+      response = await this.transport({
+        ...request,
+        headers: { ...request.headers, Authorization: `Zoho-oauthtoken ${accessToken}` },
+        timeout: this.config.api.timeoutMs
+      });
+    } catch (error) {
+      throw apiError(error.response ? error.response.data : null, error.message, error.response && error.response.status);
+    }
+
+    // Creator reports failures in the body's code as well as the HTTP status; 3000 is success
+    if (response.data && response.data.code !== undefined && response.data.code !== 3000) {
+      throw apiError(response.data, 'request rejected', response.status);
+    }
+
+    console.log(`Exported ${target.type} ${(request.data.function || request.data.workflow).name} to Zoho Creator app ${target.app}`);
+    return { dryRun: false, request, status: response.status, response: response.data };
+  }
+
+  _functionPayload(script, target) {
+    const signature = parseFunctionSignature(script) || {};
+    const name = target.name || signature.name;
+    const problems = this._checkApp(target);
+
+    if (!name) {
+      problems.push('name is required when the code has no function signature');
+    } else if (!SCRIPT_NAME.test(name)) {
+      problems.push('name must be a Deluge identifier, optionally namespaced (namespace.name)');
+    }
+    if (problems.length > 0) {
+      throw exportError('Invalid Zoho function export', problems);
+    }
+
+    const [namespace, functionName] = name.includes('.') ? name.split('.') : [null, name];
+    return {
+      function: {
+        name: functionName,
+        namespace,
+        return_type: target.returnType || signature.returnType || 'void',
+        parameters: target.parameters || signature.parameters || [],
+        script
+      }
+    };
+  }
+
+  _workflowPayload(script, target) {
+    const problems = this._checkApp(target);
+
+    if (!target.name || !SCRIPT_NAME.test(target.name)) {
+      problems.push('name is required and must be a Deluge identifier');
+    }
+    if (!target.form || !LINK_NAME.test(target.form)) {
+      problems.push('form must be the link name of a form');
+    }
+    if (!WORKFLOW_RECORD_EVENTS.includes(target.recordEvent)) {
+      problems.push(`recordEvent must be one of ${WORKFLOW_RECORD_EVENTS.join(', ')}`);
+    }
+    if (!WORKFLOW_EVENTS.includes(target.event)) {
+      problems.push(`event must be one of ${WORKFLOW_EVENTS.join(', ')}`);
+    }
+    if (problems.length > 0) {
+      throw exportError('Invalid Zoho workflow export', problems);
+    }
+
+    return {
+      workflow: {
+        name: target.name,
+        form: target.form,
+        record_event: target.recordEvent,
+        event: target.event,
+        script
+      }
+    };
+  }
+
+  _checkApp(target) {
+    const problems = [];
+    if (!Object.prototype.hasOwnProperty.call(this.config.api.paths, target.type)) {
+      problems.push(`type must be one of ${Object.keys(this.config.api.paths).join(', ')}`);
+    }
+    if (!target.owner || !LINK_NAME.test(target.owner)) {
+      problems.push('owner must be the Zoho account name that owns the application');
+    }
+    if (!target.app || !LINK_NAME.test(target.app)) {
+      problems.push('app must be the link name of the application');
+    }
+    return problems;
+  }
+}
+
+/**
+ * The Deluge code in a model reply: the first deluge fenced block, else the
+ * first fenced block, else the whole text
+ * @param {String} content - Code or markdown
+ * @returns {String} - Code, trimmed
+ */
+function extractDelugeCode(content) {
+  const text = String(content || '');
+  const blocks = [...text.matchAll(/```([\w-]*)[^\n]*\n([\s\S]*?)```/g)];
+  if (blocks.length === 0) return text.trim();
+
+  const deluge = blocks.find(([, language]) => ['deluge', 'dg'].includes(language.toLowerCase()));
+  return (deluge || blocks[0])[2].trim();
+}
+
+/**
+ * Read a Deluge function signature
+ * @param {String} code - Deluge code
+ * @returns {Object|null} - { returnType, name, parameters: [{ name, type }] }
+ */
+function parseFunctionSignature(code) {
+  const match = FUNCTION_SIGNATURE.exec(code);
+  if (!match) return null;
+
+  const parameters = match[3].split(',')
+    .map(parameter => parameter.trim().split(/\s+/))
+    .filter(parts => parts.length === 2)
+    .map(([type, name]) => ({ name, type }));
+
+  return { returnType: match[1].toLowerCase(), name: match[2], parameters };
+}
+
+function exportError(message, problems) {
+  const error = new Error(`${message}: ${problems.join('; ')}`);
+  error.code = 'ZOHO_EXPORT_INVALID';
+  error.problems = problems;
+  return error;
+}
+
+function apiError(data, fallback, status) {
+  const reason = data && (data.message || (data.error && (data.error.message || data.error)) || data.description);
+  const error = new Error(`Zoho Creator API error: ${reason || fallback}`);
+  error.code = 'ZOHO_EXPORT_FAILED';
+  error.status = status || null;
+  error.zohoCode = data && data.code !== undefined ? data.code : null;
+  return error;
+}
+
+module.exports = new ZohoExporter();
+module.exports.ZohoExporter = ZohoExporter;
+module.exports.extractDelugeCode = extractDelugeCode;
+module.exports.parseFunctionSignature = parseFunctionSignature;
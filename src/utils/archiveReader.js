@@ -0,0 +1,177 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { constants: { MAX_LENGTH } } = require('buffer');
+
+/**
+ * Archive Reader
+ * Reads the files out of uploaded .zip, .tar, .tar.gz and .tgz archives in
+ * memory. Only regular files are returned; directories, links and anything
+ * with an unsafe path are skipped. Decompression is capped per entry and in
+ * total, so a small archive cannot expand without bound.
+ */
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const TAR_BLOCK = 512;
+
+/**
+ * Read every file in an archive
+ * @param {String|Buffer} source - Archive path or contents
+ * @param {String} name - Archive file name, used to tell the format
+ * @param {Object} options - { maxFileBytes, maxTotalBytes } files larger than
+ *   maxFileBytes are skipped; archives that expand beyond maxTotalBytes are rejected
+ * @returns {Array<Object>} - [{ path, content: Buffer }]
+ */
+function readArchive(source, name, { maxFileBytes = Infinity, maxTotalBytes = MAX_LENGTH } = {}) {
+  const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  const lowerName = (name || '').toLowerCase();
+
+  let entries;
+  if (lowerName.endsWith('.zip')) {
+    entries = readZip(buffer, maxFileBytes, maxTotalBytes);
+  } else if (lowerName.endsWith('.tar.gz') || lowerName.endsWith('.tgz')) {
+    entries = readTar(decompress(zlib.gunzipSync, buffer, maxTotalBytes, 'Archive'), maxFileBytes);
+  } else if (lowerName.endsWith('.tar')) {
+    entries = readTar(buffer, maxFileBytes);
+  } else {
+    const error = new Error('Unsupported archive type; upload a .zip, .tar, .tar.gz or .tgz file');
+    error.code = 'UNSUPPORTED_ARCHIVE';
+    throw error;
+  }
+
+  return entries.filter(entry => isSafePath(entry.path));
+}
+
+function readZip(buffer, maxFileBytes, maxTotalBytes) {
+  const endOffset = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw archiveError('Corrupt zip central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/') || size > maxFileBytes) continue;
+    if (totalBytes + size > maxTotalBytes) {
+      throw archiveError(`Archive expands beyond ${maxTotalBytes} bytes`);
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+      throw archiveError(`Corrupt zip entry: ${path}`);
+    }
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ path, content: Buffer.from(data) });
+    } else if (method === 8) {
+      // The declared size is the cap, so an entry cannot inflate past what it claims
+      entries.push({ path, content: decompress(zlib.inflateRawSync, data, Math.max(size, 1), `Zip entry ${path}`) });
+    } else {
+      console.warn(`Skipping zip entry ${path}: unsupported compression method ${method}`);
+      continue;
+    }
+    totalBytes += entries[entries.length - 1].content.length;
+  }
+
+  return entries;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB at the end of the file
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw archiveError('Not a zip archive');
+}
+
+function readTar(buffer, maxFileBytes) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const dataStart = offset + TAR_BLOCK;
+    offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'L') {
+      // GNU long name: the next entry's path is stored as this entry's data
+      longName = readString(buffer, dataStart, size);
+      continue;
+    }
+    if (type === 'x') {
+      // POSIX extended header: may carry the next entry's full path
+      const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(readString(buffer, dataStart, size));
+      longName = match ? match[1] : null;
+      continue;
+    }
+
+    const path = longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+
+    if (type === '0' && size <= maxFileBytes) {
+      entries.push({ path, content: Buffer.from(buffer.subarray(dataStart, dataStart + size)) });
+    }
+  }
+
+  return entries;
+}
+
+function readString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+function isSafePath(path) {
+  const segments = path.replace(/\\/g, '/').split('/');
+  return !path.startsWith('/') && !/^[a-zA-Z]:/.test(path) && !segments.includes('..');
+}
+
+/**
+ * Run a zlib decompressor with an output cap; corrupt data and output past
+ * the cap are reported as INVALID_ARCHIVE
+ */
+function decompress(method, data, maxOutputLength, label) {
+  try {
+    return method(data, { maxOutputLength });
+  } catch (error) {
+    throw archiveError(error.code === 'ERR_BUFFER_TOO_LARGE'
+      ? `${label} expands beyond ${maxOutputLength} bytes`
+      : `${label} could not be decompressed: ${error.message}`);
+  }
+}
+
+function archiveError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ARCHIVE';
+  return error;
+}
+
+module.exports = { readArchive };
@@ -0,0 +1,117 @@
+/**
+ * BM25 lexical index
+ * Ranks documents by the Okapi BM25 score of the query terms. Tokens are
+ * lower-cased words and identifier parts, so `getRecordById` matches queries
+ * for "record", "getrecordbyid" and "get record by id".
+ */
+
+// Words too common in code and prose to help ranking
+const STOP_WORDS = new Set([
+  'the', 'and', 'or', 'of', 'to', 'in', 'is', 'it', 'for', 'on', 'with', 'as', 'at', 'by',
+  'an', 'be', 'this', 'that', 'are', 'was', 'from', 'how', 'what', 'where', 'which', 'do', 'does',
+  'var', 'let', 'const', 'return', 'if', 'else', 'new', 'null', 'true', 'false'
+]);
+
+/**
+ * Split text into search tokens
+ * Identifiers are kept whole and also split on camelCase and snake_case.
+ * @param {String} text - Code or query text
+ * @returns {Array<String>} - Tokens, in order, with repeats
+ */
+function tokenize(text) {
+  const tokens = [];
+  const words = String(text || '').match(/[A-Za-z_$][\w$]*|\d+/g) || [];
+
+  words.forEach(word => {
+    const parts = word
+      .split(/[_$]+/)
+      .flatMap(part => part.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/))
+      .filter(Boolean);
+
+    if (parts.length > 1) {
+      addToken(tokens, word.toLowerCase());
+    }
+    parts.forEach(part => addToken(tokens, part.toLowerCase()));
+  });
+
+  return tokens;
+}
+
+function addToken(tokens, token) {
+  if (token.length > 1 && !STOP_WORDS.has(token)) {
+    tokens.push(token);
+  }
+}
+
+class Bm25Index {
+  /**
+   * @param {Object} options - { k1, b } term-frequency saturation and length normalisation
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    // term -> [[documentIndex, termFrequency]]
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Add a document
+   * @param {String} id - Document id returned by search()
+   * @param {Array<String>} tokens - Document tokens (see tokenize())
+   */
+  add(id, tokens) {
+    const documentIndex = this.documents.length;
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    this.documents.push({ id, length: tokens.length });
+    this.totalLength += tokens.length;
+
+    counts.forEach((count, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, []);
+      }
+      this.postings.get(term).push([documentIndex, count]);
+    });
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {Array<String>} queryTokens - Query tokens (see tokenize())
+   * @param {Number} limit - Maximum number of results
+   * @returns {Array<Object>} - [{ id, score }], best first; documents sharing no term are left out
+   */
+  search(queryTokens, limit = 10) {
+    if (this.documents.length === 0) return [];
+
+    const documentCount = this.documents.length;
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    new Set(queryTokens).forEach(term => {
+      const postings = this.postings.get(term);
+      if (!postings) return;
+
+      const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+      postings.forEach(([documentIndex, frequency]) => {
+        const length = this.documents[documentIndex].length;
+        const score = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(documentIndex, (scores.get(documentIndex) || 0) + score);
+      });
+    });
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([documentIndex, score]) => ({ id: this.documents[documentIndex].id, score }));
+  }
+}
+
+module.exports = { Bm25Index, tokenize };
@@ -0,0 +1,171 @@
+const path = require('path');
+
+/**
+ * Code Chunker
+ * Splits a source file into retrievable chunks, one per function, method or
+ * class where declarations can be recognised, with any code before the first
+ * declaration as its own chunk. Files without recognisable declarations, and
+ * blocks longer than maxLines, are split into overlapping line windows.
+ * Line numbers are 1-based and inclusive.
+ */
+
+const LANGUAGES = {
+  '.dg': 'deluge', '.ds': 'deluge', '.deluge': 'deluge',
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.rb': 'ruby', '.php': 'php', '.java': 'java', '.kt': 'kotlin',
+  '.cs': 'csharp', '.go': 'go', '.rs': 'rust', '.swift': 'swift',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp',
+  '.html': 'html', '.css': 'css', '.scss': 'scss', '.sql': 'sql', '.sh': 'shell',
+  '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.xml': 'xml', '.md': 'markdown', '.txt': 'text'
+};
+
+const CLASS_PATTERN = /^\s*(?:export\s+)?(?:default\s+)?(?:(?:public|private|internal|abstract|final|sealed|static)\s+)*class\s+([\w$]+)/;
+
+// Each pattern captures the declared name
+const DECLARATION_PATTERNS = [
+  CLASS_PATTERN,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+  /^\s*(?:async\s+)?def\s+(\w+)/,
+  /^\s*func\s+(?:\([^)]*\)\s*)?(\w+)/,
+  /^\s*(?:pub(?:\([\w\s]+\))?\s+)?(?:async\s+)?fn\s+(\w+)/,
+  // Deluge functions: return type, then the (possibly dotted) name
+  /^\s*(?:void|string|int|bool|boolean|map|list|decimal|date|datetime)\s+([\w.]+)\s*\(/i,
+  // Methods with modifiers (Java, C#, TypeScript)
+  /^\s*(?:(?:public|private|protected|static|async|override|final|virtual)\s+)+[\w<>[\],.?\s]*?\b(\w+)\s*\([^;]*$/,
+  // Class methods without modifiers
+  /^\s*(?:async\s+)?(?!(?:if|for|while|switch|catch|return|function|else)\b)([\w$]+)\s*\([^)]*\)\s*\{\s*$/
+];
+
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*|#)/;
+
+/**
+ * Language name for a file, from its extension
+ * @param {String} file - File path
+ * @returns {String} - Language, or 'text' when unknown
+ */
+function detectLanguage(file) {
+  return LANGUAGES[path.extname(file).toLowerCase()] || 'text';
+}
+
+/**
+ * Split a file into chunks
+ * @param {String} file - File path, relative to the repository root
+ * @param {String} content - File contents
+ * @param {Object} options - { maxLines, overlapLines }
+ * @returns {Array<Object>} - [{ id, file, language, symbol, startLine, endLine, text }]
+ */
+function chunkFile(file, content, { maxLines = 80, overlapLines = 10 } = {}) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const language = detectLanguage(file);
+  const blocks = findBlocks(lines);
+
+  const chunks = [];
+  blocks.forEach(block => {
+    splitBlock(block, maxLines, overlapLines).forEach(({ start, end }) => {
+      const text = lines.slice(start - 1, end).join('\n');
+      chunks.push({
+        id: `${file}:${start}-${end}`,
+        file,
+        language,
+        symbol: block.symbol,
+        startLine: start,
+        endLine: end,
+        text
+      });
+    });
+  });
+  return chunks;
+}
+
+/**
+ * Find the declaration blocks of a file
+ * A declaration starts a block when it sits at the top level, or directly
+ * inside a top-level class. Comments right above it belong to the block.
+ */
+function findBlocks(lines) {
+  const starts = [];
+  let depth = 0;
+  let classDepth = null;
+
+  lines.forEach((line, index) => {
+    if (classDepth !== null && depth <= classDepth) {
+      classDepth = null;
+    }
+
+    if (depth === 0 || (classDepth !== null && depth === classDepth + 1)) {
+      const symbol = matchDeclaration(line);
+      if (symbol) {
+        starts.push({ line: index + 1, symbol });
+        if (depth === 0 && CLASS_PATTERN.test(line)) {
+          classDepth = 0;
+        }
+      }
+    }
+
+    depth = Math.max(0, depth + braceDelta(line));
+  });
+
+  // Pull leading comments into the declaration that follows them
+  starts.forEach((start, i) => {
+    const floor = i === 0 ? 1 : starts[i - 1].line + 1;
+    while (start.line - 1 >= floor && COMMENT_LINE.test(lines[start.line - 2])) {
+      start.line -= 1;
+    }
+  });
+
+  const blocks = [];
+  const firstStart = starts.length > 0 ? starts[0].line : lines.length + 1;
+  if (firstStart > 1) {
+    blocks.push({ start: 1, end: firstStart - 1, symbol: null });
+  }
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].line - 1 : lines.length;
+    blocks.push({ start: start.line, end, symbol: start.symbol });
+  });
+
+  return blocks
+    .map(block => trimBlankLines(block, lines))
+    .filter(Boolean);
+}
+
+function matchDeclaration(line) {
+  for (const pattern of DECLARATION_PATTERNS) {
+    const match = pattern.exec(line);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Net change in brace depth, ignoring braces inside strings and line comments
+function braceDelta(line) {
+  const code = line
+    .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '')
+    .replace(/\/\/.*$/, '');
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+}
+
+function trimBlankLines(block, lines) {
+  let { start, end } = block;
+  while (start <= end && !lines[start - 1].trim()) start += 1;
+  while (end >= start && !lines[end - 1].trim()) end -= 1;
+  return start <= end ? { ...block, start, end } : null;
+}
+
+function splitBlock(block, maxLines, overlapLines) {
+  if (block.end - block.start + 1 <= maxLines) {
+    return [{ start: block.start, end: block.end }];
+  }
+
+  const windows = [];
+  const step = Math.max(1, maxLines - overlapLines);
+  for (let start = block.start; ; start += step) {
+    const end = Math.min(block.end, start + maxLines - 1);
+    windows.push({ start, end });
+    if (end === block.end) break;
+  }
+  return windows;
+}
+
+module.exports = { chunkFile, detectLanguage };
@@ -0,0 +1,65 @@
+const { MongoClient } = require('mongodb');
+
+/**
+ * MongoDB connection
+ * Lazily connects once using MONGODB_URI (and MONGODB_DB for the database
+ * name) and shares the connection across services.
+ */
+class Database {
+  constructor() {
+    this.client = null;
+    this.db = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Whether a MongoDB connection string is configured
+   * @returns {Boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.MONGODB_URI);
+  }
+
+  /**
+   * Get the connected database, connecting on first use
+   * @returns {Promise<Db>} - MongoDB database handle
+   */
+  async getDb() {
+    if (this.db) return this.db;
+
+    if (!this.isConfigured()) {
+      throw new Error('MONGODB_URI is not set');
+    }
+
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const client = new MongoClient(process.env.MONGODB_URI);
+        await client.connect();
+        this.client = client;
+        this.db = client.db(process.env.MONGODB_DB || 'projectcrew');
+        console.log('Connected to MongoDB database', this.db.databaseName);
+        return this.db;
+      })().catch(error => {
+        this.connecting = null;
+        console.error('Error connecting to MongoDB:', error.message);
+        throw error;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close();
+    }
+    this.client = null;
+    this.db = null;
+    this.connecting = null;
+  }
+}
+
+module.exports = new Database();
@@ -0,0 +1,701 @@
+/**
+ * Deluge Static Analyzer
+ * Lexes and parses Zoho Creator Deluge scripts and reports the problems
+ * generated code most often has: unbalanced blocks, malformed `for each`
+ * loops, unknown zoho.creator tasks or wrong argument counts, and variables
+ * used before they are assigned. Deluge has no declarations, so a variable
+ * counts as declared once it is assigned, bound by `for each` or `catch`, or
+ * is a function parameter.
+ *
+ * Diagnostics: { severity: 'error' | 'warning', rule, message, line, column }
+ * Rules: syntax, balanced-blocks, for-each, zoho-creator-call, undeclared-variable
+ */
+
+const MAX_DIAGNOSTICS = 50;
+
+// zoho.creator integration tasks; bracketed parameters are optional
+const ZOHO_CREATOR_TASKS = {
+  getRecords: ['owner', 'app', 'report', '[criteria]', '[from_index]', '[limit]', '[connection]'],
+  getRecordById: ['owner', 'app', 'report', 'id', '[connection]'],
+  createRecord: ['owner', 'app', 'form', 'data', '[other_params]', '[connection]'],
+  updateRecord: ['owner', 'app', 'report', 'id', 'data', '[other_params]', '[connection]'],
+  deleteRecord: ['owner', 'app', 'report', 'criteria', '[connection]']
+};
+
+const RETURN_TYPES = new Set(['void', 'string', 'int', 'bool', 'boolean', 'map', 'list', 'decimal', 'float', 'date', 'datetime']);
+
+// Names available without assignment
+const GLOBALS = new Set(['input', 'zoho', 'thisapp', 'row', 'true', 'false', 'null', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Words that cannot start an expression
+const RESERVED = new Set(['else', 'for', 'each', 'in', 'try', 'catch', 'return', 'break', 'continue', 'while', 'function', 'var', 'let', 'const', 'throw']);
+
+// Inside [...], a name followed by one of these is a field or task parameter, not a variable
+const FIELD_FOLLOWERS = new Set([':', '=', '==', '!=', '<', '>', '<=', '>=']);
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=']);
+const BINARY_OPERATORS = [['||'], ['&&'], ['==', '!=', '<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=',
+  '+', '-', '*', '/', '%', '<', '>', '=', '!', '.', ',', ';', ':', '(', ')', '{', '}', '[', ']'];
+const PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Analyze a Deluge script
+ * @param {String} code - Deluge code
+ * @returns {Object} - { valid, diagnostics }, valid when there are no errors
+ */
+function analyzeDeluge(code) {
+  const diagnostics = [];
+  const tokens = lex(String(code || ''), diagnostics);
+  checkBalance(tokens, diagnostics);
+
+  // Parsing unbalanced code only repeats the same problem in other words
+  if (!diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+    new Parser(tokens, diagnostics).parseProgram();
+  }
+
+  const sorted = diagnostics
+    .sort((a, b) => a.line - b.line || a.column - b.column)
+    .slice(0, MAX_DIAGNOSTICS);
+  return {
+    valid: !sorted.some(diagnostic => diagnostic.severity === 'error'),
+    diagnostics: sorted
+  };
+}
+
+/**
+ * Diagnostics as one line each, for prompts and logs
+ * @param {Array<Object>} diagnostics - Analyzer diagnostics
+ * @returns {String}
+ */
+function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => `Line ${d.line}, column ${d.column}: ${d.severity} (${d.rule}) ${d.message}`)
+    .join('\n');
+}
+
+function diagnostic(severity, rule, message, token) {
+  return { severity, rule, message, line: token.line, column: token.column };
+}
+
+function lex(code, diagnostics) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = count => {
+    for (let k = 0; k < count && i < code.length; k += 1) {
+      if (code[i] === '\n') {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      i += 1;
+    }
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    const position = { line, column };
+
+    if (/\s/.test(ch)) {
+      advance(1);
+    } else if (code.startsWith('//', i)) {
+      while (i < code.length && code[i] !== '\n') advance(1);
+    } else if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      if (end === -1) {
+        diagnostics.push(diagnostic('error', 'balanced-blocks', 'Unterminated block comment', position));
+        break;
+      }
+      advance(end + 2 - i);
+    } else if (ch === '"' || ch === "'") {
+      // Double quotes are strings, single quotes dates and times; both may span lines
+      let end = i + 1;
+      while (end < code.length && code[end] !== ch) {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      if (end >= code.length) {
+        diagnostics.push(diagnostic('error', 'syntax', 'Unterminated string', position));
+        break;
+      }
+      tokens.push({ type: 'string', value: code.slice(i, end + 1), ...position });
+      advance(end + 1 - i);
+    } else if (/[0-9]/.test(ch)) {
+      const value = /^\d+(\.\d+)?/.exec(code.slice(i))[0];
+      tokens.push({ type: 'number', value, ...position });
+      advance(value.length);
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const value = /^[A-Za-z_]\w*/.exec(code.slice(i))[0];
+      tokens.push({ type: 'identifier', value, ...position });
+      advance(value.length);
+    } else {
+      const operator = OPERATORS.find(op => code.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, ...position });
+        advance(operator.length);
+      } else {
+        diagnostics.push(diagnostic('error', 'syntax', `Unexpected character "${ch}"`, position));
+        advance(1);
+      }
+    }
+  }
+
+  tokens.push({ type: 'eof', value: '', line, column });
+  return tokens;
+}
+
+function checkBalance(tokens, diagnostics) {
+  const open = [];
+
+  tokens.forEach(token => {
+    if (token.type !== 'operator') return;
+
+    if (PAIRS[token.value]) {
+      open.push(token);
+    } else if (Object.values(PAIRS).includes(token.value)) {
+      const matchIndex = open.map(opener => PAIRS[opener.value]).lastIndexOf(token.value);
+      if (matchIndex === -1) {
+        diagnostics.push(diagnostic('error', 'balanced-blocks', `Unmatched "${token.value}"`, token));
+        return;
+      }
+      // Anything opened after the matching opener was never closed
+      open.splice(matchIndex).slice(1).forEach(opener => {
+        diagnostics.push(diagnostic('error', 'balanced-blocks',
+          `"${opener.value}" opened here is not closed before the "${token.value}" on line ${token.line}`, opener));
+      });
+    }
+  });
+
+  open.forEach(opener => {
+    diagnostics.push(diagnostic('error', 'balanced-blocks', `"${opener.value}" opened here is never closed`, opener));
+  });
+}
+
+// Thrown to abandon the current statement; the parser reports it and resynchronises
+class ParseIssue {
+  constructor(rule, message, token) {
+    this.diagnostic = diagnostic('error', rule, message, token);
+  }
+}
+
+class Parser {
+  constructor(tokens, diagnostics) {
+    this.tokens = tokens;
+    this.diagnostics = diagnostics;
+    this.pos = 0;
+    this.scope = new Set();
+    this.reported = new Set();
+  }
+
+  parseProgram() {
+    while (!this.atEnd()) {
+      if (this.check('}')) {
+        // Left over after recovering from an error inside a block
+        this.next();
+        continue;
+      }
+      if (this.isFunctionDefinition()) {
+        this.guard(() => this.parseFunction());
+      } else {
+        this.guard(() => this.parseStatement());
+      }
+    }
+  }
+
+  // Run a parse step, reporting a ParseIssue and skipping the rest of the statement
+  guard(step) {
+    const start = this.pos;
+    try {
+      step();
+    } catch (issue) {
+      if (!(issue instanceof ParseIssue)) throw issue;
+      this.diagnostics.push(issue.diagnostic);
+      this.synchronize();
+    }
+    if (this.pos === start) {
+      this.next();
+    }
+  }
+
+  synchronize() {
+    let depth = 0;
+    while (!this.atEnd()) {
+      const { value } = this.peek();
+      if (depth === 0 && value === ';') {
+        this.next();
+        return;
+      }
+      if (depth === 0 && value === '}') return;
+      if (PAIRS[value]) depth += 1;
+      if (Object.values(PAIRS).includes(value)) depth -= 1;
+      this.next();
+      // A block that closes back at statement level ends the broken statement
+      if (depth < 0 || (depth === 0 && value === '}')) return;
+    }
+  }
+
+  isFunctionDefinition() {
+    const [type, name, after] = [this.peek(), this.peek(1), this.peek(2)];
+    return type.type === 'identifier' && RETURN_TYPES.has(type.value.toLowerCase()) &&
+      name.type === 'identifier' && (after.value === '(' || after.value === '.');
+  }
+
+  parseFunction() {
+    this.next();
+    this.expectIdentifier('Expected a function name');
+    while (this.match('.')) {
+      this.expectIdentifier('Expected a function name after "."');
+    }
+
+    // Functions see only their parameters, not the script around them
+    const outerScope = this.scope;
+    this.scope = new Set();
+    this.expect('(');
+    if (!this.check(')')) {
+      do {
+        this.expectIdentifier('Expected a parameter type');
+        this.scope.add(this.expectIdentifier('Expected a parameter name').value);
+      } while (this.match(','));
+    }
+    this.expect(')');
+    try {
+      this.parseBlock();
+    } finally {
+      this.scope = outerScope;
+    }
+  }
+
+  parseBlock() {
+    this.expect('{');
+    while (!this.check('}') && !this.atEnd()) {
+      this.guard(() => this.parseStatement());
+    }
+    this.expect('}');
+  }
+
+  parseBody() {
+    if (this.check('{')) {
+      this.parseBlock();
+    } else {
+      this.parseStatement();
+    }
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.value === ';') {
+      this.next();
+      return;
+    }
+    if (token.type !== 'identifier') {
+      this.parseExpressionStatement();
+      return;
+    }
+
+    switch (token.value) {
+      case 'if':
+        this.parseIf();
+        return;
+      case 'for':
+        this.parseForEach();
+        return;
+      case 'foreach':
+        throw new ParseIssue('for-each', 'Write "for each" as two words', token);
+      case 'while':
+        this.report('syntax', 'Deluge has no while loop; iterate over a list with "for each"', token);
+        this.next();
+        this.parseCondition();
+        this.parseBody();
+        return;
+      case 'try':
+        this.parseTry();
+        return;
+      case 'return':
+        this.next();
+        if (!this.check(';') && !this.check('}')) {
+          this.parseExpression();
+        }
+        this.expectSemicolon();
+        return;
+      case 'break':
+      case 'continue':
+        this.next();
+        this.expectSemicolon();
+        return;
+      case 'info':
+      case 'alert':
+        this.next();
+        this.parseExpression();
+        this.expectSemicolon();
+        return;
+      case 'cancel':
+        this.next();
+        this.expectIdentifier('Expected "submit" or "delete" after "cancel"');
+        this.expectSemicolon();
+        return;
+      case 'insert':
+        this.next();
+        this.expectKeyword('into', 'Expected "into" after "insert"');
+        this.expectIdentifier('Expected a form name after "insert into"');
+        this.parseBracket();
+        this.match(';');
+        return;
+      case 'delete':
+        this.next();
+        this.expectKeyword('from', 'Expected "from" after "delete"');
+        this.parseExpression();
+        this.expectSemicolon();
+        return;
+      case 'var':
+      case 'let':
+      case 'const':
+        // Report, then read the rest as a plain assignment
+        this.report('syntax', `Deluge has no "${token.value}"; assign variables directly (name = value;)`, token);
+        this.next();
+        this.parseExpressionStatement();
+        return;
+      case 'function':
+        throw new ParseIssue('syntax', 'Deluge functions are declared as <return type> name(<type> param, ...)', token);
+      case 'throw':
+        this.report('syntax', 'Deluge has no throw statement; return an error value or use info', token);
+        this.next();
+        this.parseExpression();
+        this.expectSemicolon();
+        return;
+      default:
+        this.parseExpressionStatement();
+    }
+  }
+
+  parseExpressionStatement() {
+    const [first, second] = [this.peek(), this.peek(1)];
+
+    if (first.type === 'identifier' && !RESERVED.has(first.value) && ASSIGNMENT_OPERATORS.has(second.value)) {
+      this.next();
+      this.next();
+      if (second.value !== '=') {
+        this.useVariable(first);
+      }
+      this.parseExpression();
+      this.scope.add(first.value);
+    } else {
+      this.parseExpression();
+      if (ASSIGNMENT_OPERATORS.has(this.peek().value)) {
+        this.next();
+        this.parseExpression();
+      }
+    }
+
+    // Tasks written with [...] blocks, such as sendmail, need no semicolon
+    if (this.previous().value === ']') {
+      this.match(';');
+    } else {
+      this.expectSemicolon();
+    }
+  }
+
+  parseIf() {
+    this.next();
+    this.parseCondition();
+    this.parseBody();
+
+    while (this.checkKeyword('else')) {
+      this.next();
+      if (this.checkKeyword('if')) {
+        this.next();
+        this.parseCondition();
+        this.parseBody();
+      } else {
+        this.parseBody();
+        return;
+      }
+    }
+  }
+
+  parseCondition() {
+    this.expect('(');
+    this.parseExpression();
+    this.expect(')');
+  }
+
+  parseForEach() {
+    const forToken = this.next();
+
+    if (this.check('(')) {
+      throw new ParseIssue('for-each', 'Deluge has no C-style for loop; use "for each <item> in <list>"', forToken);
+    }
+    if (!this.matchKeyword('each')) {
+      throw new ParseIssue('for-each', 'Expected "each" after "for" (for each <item> in <list>)', this.peek());
+    }
+    this.matchKeyword('index');
+
+    const variable = this.peek();
+    if (variable.type !== 'identifier' || variable.value === 'in') {
+      throw new ParseIssue('for-each', 'Expected a loop variable after "for each"', variable);
+    }
+    this.next();
+
+    if (!this.matchKeyword('in')) {
+      throw new ParseIssue('for-each', `Expected "in" after "for each ${variable.value}" (for each <item> in <list>)`, this.peek());
+    }
+    this.parseExpression();
+
+    if (!this.check('{')) {
+      throw new ParseIssue('for-each', 'Expected "{" to start the for each block', this.peek());
+    }
+    this.scope.add(variable.value);
+    this.parseBlock();
+  }
+
+  parseTry() {
+    this.next();
+    this.parseBlock();
+    if (!this.matchKeyword('catch')) {
+      throw new ParseIssue('syntax', 'Expected "catch" after the try block', this.peek());
+    }
+    this.expect('(');
+    this.scope.add(this.expectIdentifier('Expected an error variable in catch').value);
+    this.expect(')');
+    this.parseBlock();
+  }
+
+  parseExpression(level = 0) {
+    if (level === BINARY_OPERATORS.length) {
+      this.parseUnary();
+      return;
+    }
+
+    this.parseExpression(level + 1);
+    while (this.peek().type === 'operator' && BINARY_OPERATORS[level].includes(this.peek().value)) {
+      this.next();
+      this.parseExpression(level + 1);
+    }
+  }
+
+  parseUnary() {
+    if (this.match('!') || this.match('-') || this.match('+')) {
+      this.parseUnary();
+      return;
+    }
+    this.parsePostfix();
+  }
+
+  parsePostfix() {
+    const token = this.peek();
+    // Dotted name while the expression is still a plain name chain, for task checks
+    let path = null;
+
+    if (token.type === 'identifier') {
+      if (RESERVED.has(token.value)) {
+        throw new ParseIssue('syntax', `Unexpected "${token.value}"`, token);
+      }
+      this.next();
+      path = token.value;
+      if (this.check('(')) {
+        // Built-in or custom function, including the if(condition, a, b) expression
+        this.parseArguments();
+        path = null;
+      } else if (this.check('[')) {
+        // Form or report criteria, or a task such as sendmail or invokeurl
+        this.parseBracket();
+        path = null;
+      } else {
+        this.useVariable(token);
+      }
+    } else if (token.type === 'number' || token.type === 'string') {
+      this.next();
+    } else if (this.match('(')) {
+      this.parseExpression();
+      this.expect(')');
+    } else if (this.match('{')) {
+      this.parseCollectionLiteral();
+    } else {
+      throw new ParseIssue('syntax', token.type === 'eof' ? 'Unexpected end of script' : `Unexpected "${token.value}"`, token);
+    }
+
+    for (;;) {
+      if (this.match('.')) {
+        const name = this.expectIdentifier('Expected a name after "."');
+        path = path === null ? null : `${path}.${name.value}`;
+        if (this.check('(')) {
+          const argumentCount = this.parseArguments();
+          if (path !== null) {
+            this.checkTask(path, argumentCount, token);
+          }
+          path = null;
+        }
+      } else if (this.check('[')) {
+        this.parseBracket();
+        path = null;
+      } else if (this.checkKeyword('sort') && this.peek(1).value === 'by') {
+        // Record fetch modifiers: sort by <field> [asc|desc], range from <n> to <m>
+        this.next();
+        this.next();
+        this.expectIdentifier('Expected a field name after "sort by"');
+        if (this.checkKeyword('asc') || this.checkKeyword('desc')) this.next();
+      } else if (this.checkKeyword('range') && this.peek(1).value === 'from') {
+        this.next();
+        this.next();
+        this.parseExpression();
+        this.expectKeyword('to', 'Expected "to" in "range from <n> to <m>"');
+        this.parseExpression();
+      } else {
+        return;
+      }
+    }
+  }
+
+  parseArguments() {
+    this.expect('(');
+    let count = 0;
+    if (!this.check(')')) {
+      do {
+        this.parseExpression();
+        count += 1;
+      } while (this.match(','));
+    }
+    this.expect(')');
+    return count;
+  }
+
+  // List {a, b} or map {"key": value} literal, after the opening brace
+  parseCollectionLiteral() {
+    if (!this.check('}')) {
+      do {
+        this.parseExpression();
+        if (this.match(':')) {
+          this.parseExpression();
+        }
+      } while (this.match(','));
+    }
+    this.expect('}');
+  }
+
+  // Criteria and task blocks are read loosely: only variable use is checked
+  parseBracket() {
+    this.expect('[');
+    let depth = 0;
+
+    while (!this.atEnd()) {
+      const token = this.peek();
+      if (token.value === ']' && depth === 0) {
+        this.next();
+        return;
+      }
+      if (PAIRS[token.value]) depth += 1;
+      if (Object.values(PAIRS).includes(token.value)) depth -= 1;
+
+      const following = this.peek(1).value;
+      if (token.type === 'identifier' && this.previous().value !== '.' &&
+          !FIELD_FOLLOWERS.has(following) && following !== '(' && following !== '[') {
+        this.useVariable(token);
+      }
+      this.next();
+    }
+  }
+
+  checkTask(path, argumentCount, token) {
+    if (!path.startsWith('zoho.creator.')) return;
+
+    const task = path.slice('zoho.creator.'.length);
+    const parameters = ZOHO_CREATOR_TASKS[task];
+    if (!parameters) {
+      this.report('zoho-creator-call', `Unknown task ${path}; expected one of ${Object.keys(ZOHO_CREATOR_TASKS).join(', ')}`, token, 'warning');
+      return;
+    }
+
+    const min = parameters.filter(parameter => !parameter.startsWith('[')).length;
+    if (argumentCount < min || argumentCount > parameters.length) {
+      this.report('zoho-creator-call',
+        `${path} takes ${min} to ${parameters.length} arguments (${parameters.join(', ')}) but was given ${argumentCount}`, token);
+    }
+  }
+
+  useVariable(token) {
+    if (GLOBALS.has(token.value) || this.scope.has(token.value) || this.reported.has(token.value)) return;
+
+    this.reported.add(token.value);
+    this.report('undeclared-variable', `"${token.value}" is used before it is assigned`, token, 'warning');
+  }
+
+  report(rule, message, token, severity = 'error') {
+    this.diagnostics.push(diagnostic(severity, rule, message, token));
+  }
+
+  expect(value) {
+    if (!this.check(value)) {
+      const token = this.peek();
+      throw new ParseIssue('syntax', `Expected "${value}" but found ${token.type === 'eof' ? 'the end of the script' : `"${token.value}"`}`, token);
+    }
+    return this.next();
+  }
+
+  expectIdentifier(message) {
+    if (this.peek().type !== 'identifier') {
+      throw new ParseIssue('syntax', message, this.peek());
+    }
+    return this.next();
+  }
+
+  expectKeyword(value, message) {
+    if (!this.matchKeyword(value)) {
+      throw new ParseIssue('syntax', message, this.peek());
+    }
+  }
+
+  // A missing semicolon is reported without abandoning the statement
+  expectSemicolon() {
+    if (!this.match(';')) {
+      const previous = this.previous();
+      this.report('syntax', 'Missing ";" at the end of the statement', {
+        line: previous.line,
+        column: previous.column + previous.value.length
+      });
+    }
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  previous() {
+    return this.tokens[Math.max(0, this.pos - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (!this.atEnd()) this.pos += 1;
+    return token;
+  }
+
+  atEnd() {
+    return this.peek().type === 'eof';
+  }
+
+  check(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  match(value) {
+    if (!this.check(value)) return false;
+    this.next();
+    return true;
+  }
+
+  checkKeyword(value) {
+    const token = this.peek();
+    return token.type === 'identifier' && token.value === value;
+  }
+
+  matchKeyword(value) {
+    if (!this.checkKeyword(value)) return false;
+    this.next();
+    return true;
+  }
+}
+
+module.exports = { analyzeDeluge, formatDiagnostics, ZOHO_CREATOR_TASKS };
@@ -0,0 +1,150 @@
+/**
+ * Unified Diff Parser
+ * Reads `git diff` output or a plain patch set (---/+++ headers only) into
+ * files and hunks, numbering every line on the old and new side so review
+ * comments can point at exact new-side lines.
+ *
+ * Files: { oldPath, newPath, path, status, binary, hunks }
+ *   status: 'added' | 'deleted' | 'modified' | 'renamed'
+ *   path: the new path, or the old one for deleted files
+ * Hunks: { oldStart, oldLines, newStart, newLines, section, lines }
+ *   lines: [{ type: 'context' | 'add' | 'delete', content, oldLine, newLine }]
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Parse a unified diff
+ * @param {String} text - Diff or patch set
+ * @returns {Array<Object>} - Files, in diff order
+ */
+function parseUnifiedDiff(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const startFile = (oldPath = null, newPath = null) => {
+    file = { oldPath, newPath, path: null, status: 'modified', binary: false, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    // Inside a hunk, lines are consumed until both sides are complete
+    if (hunk && (oldLine < hunk.oldStart + hunk.oldLines || newLine < hunk.newStart + hunk.newLines)) {
+      if (line.startsWith('+')) {
+        hunk.lines.push({ type: 'add', content: line.slice(1), oldLine: null, newLine });
+        newLine += 1;
+        continue;
+      }
+      if (line.startsWith('-')) {
+        hunk.lines.push({ type: 'delete', content: line.slice(1), oldLine, newLine: null });
+        oldLine += 1;
+        continue;
+      }
+      if (line.startsWith(' ') || line === '') {
+        hunk.lines.push({ type: 'context', content: line.slice(1), oldLine, newLine });
+        oldLine += 1;
+        newLine += 1;
+        continue;
+      }
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file"
+      continue;
+    }
+
+    const gitHeader = /^diff --git a\/(.+) b\/(.+)$/.exec(line);
+    if (gitHeader) {
+      startFile(gitHeader[1], gitHeader[2]);
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1] && lines[i + 1].startsWith('+++ ')) {
+      // A patch set without git headers starts a file at its ---/+++ pair
+      if (!file || file.hunks.length > 0 || file.binary) {
+        startFile();
+      }
+      file.oldPath = headerPath(line.slice(4));
+      file.newPath = headerPath(lines[i + 1].slice(4));
+      i += 1;
+      continue;
+    }
+
+    const hunkHeader = HUNK_HEADER.exec(line);
+    if (hunkHeader && file) {
+      hunk = {
+        oldStart: Number(hunkHeader[1]),
+        oldLines: hunkHeader[2] === undefined ? 1 : Number(hunkHeader[2]),
+        newStart: Number(hunkHeader[3]),
+        newLines: hunkHeader[4] === undefined ? 1 : Number(hunkHeader[4]),
+        section: hunkHeader[5].trim(),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      continue;
+    }
+
+    if (!file) continue;
+
+    if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      file.oldPath = line.slice('rename from '.length);
+      file.status = 'renamed';
+    } else if (line.startsWith('rename to ')) {
+      file.newPath = line.slice('rename to '.length);
+      file.status = 'renamed';
+    } else if (/^Binary files .* differ$/.test(line) || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+
+  return files.map(finishFile);
+}
+
+/**
+ * A hunk as numbered text: new-side line number, marker, content.
+ * Deleted lines have no new-side number.
+ * @param {Object} hunk - Parsed hunk, or one with extra context lines added
+ * @returns {String}
+ */
+function formatHunk(hunk) {
+  const width = String(Math.max(0, ...hunk.lines.map(line => line.newLine || 0))).length;
+  const markers = { context: ' ', add: '+', delete: '-' };
+
+  return hunk.lines
+    .map(line => `${line.newLine === null ? ' '.repeat(width) : String(line.newLine).padStart(width)} ${markers[line.type]} ${line.content}`)
+    .join('\n');
+}
+
+// Path from a ---/+++ header: a/ and b/ prefixes and trailing timestamps removed
+function headerPath(value) {
+  const pathPart = value.split('\t')[0].trim();
+  if (pathPart === '/dev/null') return null;
+  return pathPart.replace(/^[ab]\//, '');
+}
+
+function finishFile(file) {
+  if (file.oldPath === null && file.newPath !== null) {
+    file.status = 'added';
+  } else if (file.newPath === null && file.oldPath !== null) {
+    file.status = 'deleted';
+  } else if (file.status === 'modified' && file.oldPath !== file.newPath) {
+    file.status = 'renamed';
+  }
+  file.path = file.status === 'deleted' ? file.oldPath : file.newPath;
+  return file;
+}
+
+module.exports = { parseUnifiedDiff, formatHunk };
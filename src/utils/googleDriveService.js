@@ -85,6 +85,38 @@ class GoogleDriveService {
     }
   }
 
+  // Every file under a folder, recursively, with its path relative to the folder
+  async listFolderTree(folderId, prefix = '') {
+    try {
+      const files = [];
+      let pageToken;
+
+      do {
+        const response = await this.drive.files.list({
+          q: `'${folderId}' in parents and trashed=false`,
+          fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime)',
+          pageSize: 1000,
+          pageToken
+        });
+
+        for (const file of response.data.files) {
+          const filePath = `${prefix}${file.name}`;
+          if (file.mimeType === 'application/vnd.google-apps.folder') {
+            files.push(...await this.listFolderTree(file.id, `${filePath}/`));
+          } else {
+            files.push({ ...file, path: filePath });
+          }
+        }
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return files;
+    } catch (error) {
+      console.error('Error listing folder tree:', error);
+      throw error;
+    }
+  }
+
   async getSubfolderId(subfolderPath) {
     try {
       const folders = subfolderPath.split('/').filter(f => f);
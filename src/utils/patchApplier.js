@@ -0,0 +1,142 @@
+const { parseUnifiedDiff } = require('./diffParser');
+
+/**
+ * Patch Applier
+ * Applies single-file unified diff patches to code. A hunk applies cleanly
+ * when its context and removed lines match the code exactly, ignoring
+ * trailing whitespace. Like `git apply`, a hunk may match away from the
+ * line in its header; the nearest match wins. Hunk line counts are
+ * recounted from the hunk body, since model-written headers often get
+ * them wrong.
+ *
+ * Errors: PATCH_INVALID (not a usable patch), PATCH_CONFLICT (does not apply)
+ */
+
+/**
+ * Apply a patch to code
+ * @param {String} code - Original code
+ * @param {String} patch - Unified diff for one file; ---/+++ headers are optional
+ * @returns {Object} - { code, hunks: [{ oldStart, appliedAt }] } with 1-based line numbers
+ */
+function applyPatch(code, patch) {
+  const files = parseUnifiedDiff(withHeaders(recountHunks(String(patch || ''))));
+  if (files.length !== 1) {
+    throw patchError(files.length === 0 ? 'The patch has no hunks' : 'A patch may only change one file', 'PATCH_INVALID');
+  }
+  const { hunks } = files[0];
+  if (hunks.length === 0) {
+    throw patchError('The patch has no hunks', 'PATCH_INVALID');
+  }
+
+  const text = String(code || '').replace(/\r\n?/g, '\n');
+  const trailingNewline = text.endsWith('\n');
+  const body = trailingNewline ? text.slice(0, -1) : text;
+  const lines = body === '' ? [] : body.split('\n');
+
+  const output = [];
+  const applied = [];
+  let cursor = 0;
+
+  hunks.forEach((hunk, index) => {
+    const oldLines = hunk.lines.filter(line => line.type !== 'add').map(line => line.content);
+    const newLines = hunk.lines.filter(line => line.type !== 'delete').map(line => line.content);
+
+    const position = findPosition(lines, oldLines, hunk, cursor);
+    if (position === -1) {
+      throw patchError(`Hunk ${index + 1} (@@ -${hunk.oldStart},${hunk.oldLines} @@) does not match the code`, 'PATCH_CONFLICT');
+    }
+
+    output.push(...lines.slice(cursor, position), ...newLines);
+    applied.push({ oldStart: hunk.oldStart, appliedAt: position + 1 });
+    cursor = position + oldLines.length;
+  });
+  output.push(...lines.slice(cursor));
+
+  return { code: output.join('\n') + (trailingNewline ? '\n' : ''), hunks: applied };
+}
+
+/**
+ * Apply several patches in order, each to the result of the previous one
+ * @param {String} code - Original code
+ * @param {Array<String>} patches - Unified diffs
+ * @returns {String} - Patched code
+ */
+function applyPatches(code, patches) {
+  return patches.reduce((current, patch, index) => {
+    try {
+      return applyPatch(current, patch).code;
+    } catch (error) {
+      error.message = `Patch ${index + 1}: ${error.message}`;
+      error.patchIndex = index;
+      throw error;
+    }
+  }, code);
+}
+
+// Index where a hunk's old lines match, nearest to its header position and not before cursor
+function findPosition(lines, oldLines, hunk, cursor) {
+  // A pure insertion goes after line oldStart
+  const expected = oldLines.length === 0 ? hunk.oldStart : Math.max(0, hunk.oldStart - 1);
+  const last = lines.length - oldLines.length;
+
+  for (let distance = 0; distance <= lines.length; distance += 1) {
+    for (const position of distance === 0 ? [expected] : [expected - distance, expected + distance]) {
+      if (position >= cursor && position <= last && matches(lines, oldLines, position)) {
+        return position;
+      }
+    }
+  }
+  return -1;
+}
+
+function matches(lines, oldLines, position) {
+  return oldLines.every((line, offset) => lines[position + offset].trimEnd() === line.trimEnd());
+}
+
+// Rewrite each hunk header with the counts of the lines that follow it
+function recountHunks(patch) {
+  const lines = patch.replace(/\r\n?/g, '\n').replace(/\s+$/, '').split('\n');
+  const output = [];
+  let header = null;
+
+  const flush = () => {
+    if (!header) return;
+    const body = header.body;
+    const oldCount = body.filter(line => !line.startsWith('+')).length;
+    const newCount = body.filter(line => !line.startsWith('-')).length;
+    output.push(`@@ -${header.oldStart},${oldCount} +${header.newStart},${newCount} @@${header.section}`, ...body);
+    header = null;
+  };
+
+  lines.forEach((line, index) => {
+    const match = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/.exec(line);
+    // A removed line can start with "--- " too; file headers come in ---/+++ pairs
+    const fileHeader = line.startsWith('--- ') && (lines[index + 1] || '').startsWith('+++ ');
+    if (match) {
+      flush();
+      header = { oldStart: match[1], newStart: match[2], section: match[3], body: [] };
+    } else if (header && !fileHeader && (line === '' || /^[ +-]/.test(line))) {
+      header.body.push(line);
+    } else if (header && line.startsWith('\\')) {
+      // "\ No newline at end of file"
+    } else {
+      flush();
+      output.push(line);
+    }
+  });
+  flush();
+  return output.join('\n');
+}
+
+// Bare hunks get file headers so the diff parser reads them as one file
+function withHeaders(patch) {
+  return /^--- .*\n\+\+\+ /m.test(patch) ? patch : `--- a/code\n+++ b/code\n${patch}`;
+}
+
+function patchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { applyPatch, applyPatches };
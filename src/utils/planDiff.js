@@ -0,0 +1,107 @@
+/**
+ * Plan Diff
+ * Compares two PlanningAgent plans story by story. Stories are matched by
+ * id; a story's sprint comes from the plan's sprint_plan and its epic from
+ * the epic it is listed under, so moving a story between sprints or epics
+ * shows up as a change to that story.
+ */
+
+// Story fields compared, in the order changes are reported
+const STORY_FIELDS = [
+  'title', 'description', 'epic', 'sprint', 'story_points', 'suggested_assignee', 'required_role',
+  'required_skills', 'depends_on', 'pinned_sprint', 'acceptance_criteria', 'tasks'
+];
+
+/**
+ * Diff two plans
+ * @param {Object} before - Earlier plan
+ * @param {Object} after - Later plan
+ * @returns {Object} - { added, removed, modified: [{ id, title, changes: [{ field, before, after }] }],
+ *   summary: { added, removed, modified, unchanged, story_points: { before, after } } }
+ */
+function diffPlans(before, after) {
+  const oldStories = planStories(before);
+  const newStories = planStories(after);
+
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  newStories.forEach((story, id) => {
+    const previous = oldStories.get(id);
+    if (!previous) {
+      added.push(storySummary(story));
+      return;
+    }
+
+    const changes = STORY_FIELDS
+      .filter(field => !sameValue(previous[field], story[field]))
+      .map(field => ({ field, before: previous[field], after: story[field] }));
+    if (changes.length > 0) {
+      modified.push({ id, title: story.title, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  const removed = [...oldStories.values()]
+    .filter(story => !newStories.has(story.id))
+    .map(storySummary);
+
+  return {
+    added,
+    removed,
+    modified,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      unchanged,
+      story_points: { before: totalPoints(oldStories), after: totalPoints(newStories) }
+    }
+  };
+}
+
+/**
+ * A plan's stories by id, each with its epic name and sprint number
+ * @param {Object} plan - PlanningAgent plan
+ * @returns {Map<String, Object>}
+ */
+function planStories(plan) {
+  const sprints = new Map();
+  ((plan && plan.sprint_plan) || []).forEach(sprint => {
+    (sprint.user_stories || []).forEach(id => sprints.set(id, sprint.sprint_number));
+  });
+
+  const stories = new Map();
+  ((plan && plan.epics) || []).forEach(epic => {
+    (epic.user_stories || []).forEach(story => {
+      stories.set(story.id, {
+        ...story,
+        epic: epic.name,
+        sprint: sprints.has(story.id) ? sprints.get(story.id) : null
+      });
+    });
+  });
+  return stories;
+}
+
+function storySummary(story) {
+  return {
+    id: story.id,
+    title: story.title,
+    epic: story.epic,
+    sprint: story.sprint,
+    story_points: story.story_points === undefined ? null : story.story_points
+  };
+}
+
+function totalPoints(stories) {
+  return [...stories.values()].reduce((total, story) => total + (Number.isInteger(story.story_points) ? story.story_points : 0), 0);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+module.exports = { diffPlans, planStories };
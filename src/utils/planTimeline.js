@@ -0,0 +1,139 @@
+const { sprintDates } = require('./sprintScheduler');
+
+/**
+ * Plan Timeline
+ * Lays a scheduled plan out on the calendar and finds its critical path.
+ * Stories take their sprint's dates, so the critical path is worked out in
+ * whole sprints: a story's latest sprint is the last one that still leaves
+ * room for every story that depends on it before the plan ends, and its
+ * slack is how many days it could slip to get there. The critical path is
+ * the longest chain of zero-slack stories, each in the sprint right after
+ * the one it depends on, that ends in the last sprint.
+ *
+ * Plans scheduled before they carried dates are laid out from a start date
+ * given by the caller.
+ */
+
+/**
+ * Build a plan's timeline
+ * @param {Object} plan - Scheduled plan (see utils/sprintScheduler.js)
+ * @param {Object} options - { startDate, sprintLengthWeeks, milestones }; milestones are
+ *   { name, date } or strings such as the project analysis milestones, dated when they
+ *   contain a YYYY-MM-DD date
+ * @returns {Object} - { start_date, end_date, sprints: [{ sprint_number, start_date, end_date }],
+ *   stories: [{ id, title, epic, sprint, start_date, end_date, story_points, assignee, depends_on,
+ *   slack_days, critical }], critical_path: [id], unscheduled: [{ id, title }],
+ *   milestones: [{ name, date }] }
+ */
+function buildTimeline(plan, { startDate, sprintLengthWeeks = 2, milestones = [] } = {}) {
+  const firstDay = plan.start_date || startDate;
+  const sprintDays = sprintLengthWeeks * 7;
+  const sprints = (plan.sprint_plan || []).map(sprint => ({
+    sprint_number: sprint.sprint_number,
+    ...(sprint.start_date && sprint.end_date
+      ? { start_date: sprint.start_date, end_date: sprint.end_date }
+      : sprintDates(firstDay, sprint.sprint_number, sprintLengthWeeks))
+  }));
+
+  const sprintOf = new Map();
+  (plan.sprint_plan || []).forEach(sprint => sprint.user_stories.forEach(id => sprintOf.set(id, sprint.sprint_number)));
+
+  const all = [];
+  (plan.epics || []).forEach(epic => (epic.user_stories || []).forEach(story => all.push({ story, epic: epic.name })));
+  const scheduled = all.filter(({ story }) => sprintOf.has(story.id));
+  const ids = new Set(scheduled.map(({ story }) => story.id));
+  const dependsOn = story => (story.depends_on || []).filter(id => id !== story.id && ids.has(id));
+
+  const lastSprint = Math.max(0, ...sprintOf.values());
+  const latest = latestSprints(scheduled.map(({ story }) => story), dependsOn, lastSprint);
+
+  const stories = scheduled.map(({ story, epic }) => {
+    const sprint = sprintOf.get(story.id);
+    const dates = sprints.find(entry => entry.sprint_number === sprint);
+    const slack = latest.get(story.id) - sprint;
+    return {
+      id: story.id,
+      title: story.title,
+      epic,
+      sprint,
+      start_date: dates.start_date,
+      end_date: dates.end_date,
+      story_points: story.story_points,
+      assignee: story.suggested_assignee || null,
+      depends_on: dependsOn(story),
+      slack_days: slack * sprintDays,
+      critical: slack <= 0
+    };
+  });
+
+  return {
+    start_date: sprints.length > 0 ? sprints[0].start_date : firstDay || null,
+    end_date: sprints.length > 0 ? sprints[sprints.length - 1].end_date : null,
+    sprints,
+    stories,
+    critical_path: criticalPath(stories),
+    unscheduled: all.filter(({ story }) => !sprintOf.has(story.id)).map(({ story }) => ({ id: story.id, title: story.title })),
+    milestones: milestones.map(normalizeMilestone).filter(Boolean)
+  };
+}
+
+// Latest sprint each story can finish in without delaying its dependents past the last sprint
+function latestSprints(stories, dependsOn, lastSprint) {
+  const dependents = new Map(stories.map(story => [story.id, []]));
+  stories.forEach(story => dependsOn(story).forEach(id => dependents.get(id).push(story.id)));
+
+  const latest = new Map();
+  const visiting = new Set();
+  const visit = id => {
+    if (latest.has(id)) return latest.get(id);
+    // A dependency cycle cannot be scheduled in order; treat the loop back as unconstrained
+    if (visiting.has(id)) return lastSprint + 1;
+
+    visiting.add(id);
+    const sprint = Math.min(lastSprint, ...dependents.get(id).map(next => visit(next) - 1));
+    visiting.delete(id);
+    latest.set(id, sprint);
+    return sprint;
+  };
+  stories.forEach(story => visit(story.id));
+  return latest;
+}
+
+// Longest chain of critical stories, each in the sprint after its predecessor, ending in the last sprint
+function criticalPath(stories) {
+  const byId = new Map(stories.map(story => [story.id, story]));
+  const lastSprint = Math.max(0, ...stories.map(story => story.sprint));
+  const chains = new Map();
+
+  const chainTo = story => {
+    if (chains.has(story.id)) return chains.get(story.id);
+    chains.set(story.id, [story.id]);
+
+    const longest = story.depends_on
+      .map(id => byId.get(id))
+      .filter(previous => previous.critical && previous.sprint === story.sprint - 1)
+      .map(chainTo)
+      .reduce((best, chain) => (chain.length > best.length ? chain : best), []);
+    const chain = [...longest, story.id];
+    chains.set(story.id, chain);
+    return chain;
+  };
+
+  return stories
+    .filter(story => story.critical && story.sprint === lastSprint)
+    .map(chainTo)
+    .reduce((best, chain) => (chain.length > best.length ? chain : best), []);
+}
+
+function normalizeMilestone(milestone) {
+  if (typeof milestone === 'string') {
+    const date = milestone.match(/\b\d{4}-\d{2}-\d{2}\b/);
+    return milestone.trim() ? { name: milestone.trim(), date: date ? date[0] : null } : null;
+  }
+  if (milestone && typeof milestone.name === 'string' && milestone.name.trim()) {
+    return { name: milestone.name.trim(), date: /^\d{4}-\d{2}-\d{2}$/.test(milestone.date) ? milestone.date : null };
+  }
+  return null;
+}
+
+module.exports = { buildTimeline };
@@ -0,0 +1,92 @@
+/**
+ * Provider error classification
+ * Maps errors from the Claude, Gemini and DeepSeek handlers (axios errors,
+ * SDK errors, or the "<Provider> API error: ..." wrappers around them) onto
+ * a small set of types that decide whether the router tries another provider
+ * and whether the failure counts against the provider's circuit breaker.
+ */
+
+const ERROR_TYPES = {
+  rate_limit: { fallback: true, tripsBreaker: true },
+  timeout: { fallback: true, tripsBreaker: true },
+  server: { fallback: true, tripsBreaker: true },
+  auth: { fallback: true, tripsBreaker: true, tripImmediately: true },
+  content_filter: { fallback: false, tripsBreaker: false },
+  budget: { fallback: false, tripsBreaker: false },
+  // The request itself is at fault, so another provider would refuse it too
+  invalid_request: { fallback: false, tripsBreaker: false },
+  unknown: { fallback: true, tripsBreaker: true }
+};
+
+const LOCAL_ERRORS = [TypeError, ReferenceError, SyntaxError, RangeError];
+
+/**
+ * Find the HTTP status behind an error, if any
+ * @param {Error} error - Error to inspect
+ * @returns {Number|null} - HTTP status code
+ */
+function getStatus(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  if (status) return Number(status);
+
+  // axios: "Request failed with status code 429"; Gemini SDK: "[429 Too Many Requests]"
+  const match = String(error.message || '').match(/status code (\d{3})|\[(\d{3})[ \]]/);
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+/**
+ * Determine the type of an error
+ * @param {Error} error - Error to inspect
+ * @returns {String} - One of the ERROR_TYPES keys
+ */
+function getType(error) {
+  if (error.code === 'BUDGET_EXCEEDED') return 'budget';
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(error.code)) return 'timeout';
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) return 'server';
+
+  const status = getStatus(error);
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 500) return 'server';
+
+  const message = String(error.message || '');
+  if (/rate.?limit|quota|too many requests|resource.?exhausted/i.test(message)) return 'rate_limit';
+  if (/timeout|timed out|ETIMEDOUT|ECONNABORTED|aborted/i.test(message)) return 'timeout';
+  if (/api key|unauthori[sz]ed|forbidden|authentication|permission denied/i.test(message)) return 'auth';
+  if (/safety|content.?filter|content policy|blocked|content exists risk/i.test(message)) return 'content_filter';
+  if (/overloaded|unavailable|ECONNRESET|ECONNREFUSED|ENOTFOUND|socket hang up/i.test(message)) return 'server';
+
+  if (status >= 400 && status < 500) return 'invalid_request';
+  // Bugs on our side, such as reading a property of undefined while building the request
+  if (!status && LOCAL_ERRORS.some(ErrorType => error instanceof ErrorType)) return 'invalid_request';
+
+  return 'unknown';
+}
+
+/**
+ * Classify a provider error
+ * @param {Error} error - Error thrown while calling a provider
+ * @returns {Object} - { type, status, fallback, tripsBreaker, tripImmediately }
+ */
+function classifyError(error) {
+  if (!error) {
+    return { type: 'unknown', status: null, ...ERROR_TYPES.unknown };
+  }
+
+  // Classify the underlying error when one was wrapped
+  const source = error.originalError || error.cause || error;
+  const type = error.errorType || source.errorType || getType(source);
+
+  return {
+    type,
+    status: getStatus(source),
+    tripImmediately: false,
+    ...ERROR_TYPES[type]
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError
+};
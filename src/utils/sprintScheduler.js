@@ -0,0 +1,258 @@
+/**
+ * Sprint Scheduler
+ * Deterministically assigns a plan's stories to sprints and team members.
+ * Stories are taken in dependency order (plan order otherwise) and each goes
+ * to the earliest sprint after all of its dependencies, with the qualified
+ * member who has the most capacity left in that sprint. A member qualifies
+ * with all of the story's required skills, or, for stories that list no
+ * skills, with its required role.
+ *
+ * A member's capacity in a sprint is velocity × availability, where
+ * availability (0 to 1) may be overridden per sprint. A project without a
+ * team is scheduled against a single default capacity per sprint.
+ *
+ * Stories pinned to a sprint stay there even beyond capacity, and a story
+ * larger than any qualified member's sprint capacity is still placed; both
+ * show up as over-allocated sprints. Stories with no qualified member, no
+ * room within maxSprints, a dependency cycle or an unassignable dependency
+ * are reported as unassignable and left out of the sprint plan.
+ *
+ * With a start date (YYYY-MM-DD), sprints run back to back from it and every
+ * sprint and scheduled story carries its start_date and end_date (inclusive).
+ */
+
+/**
+ * Schedule a plan
+ * @param {Object} plan - Plan with epics of user stories ({ id, story_points, required_role,
+ *   required_skills, depends_on, pinned_sprint }); any sprint_plan is replaced
+ * @param {Array} members - Team members: { name, role, skills, velocity, availability, sprintAvailability }
+ * @param {Object} options - { maxSprints, sprintLengthWeeks, defaultSprintCapacity, startDate },
+ *   startDate defaulting to the plan's start_date
+ * @returns {Object} - Copy of the plan with suggested_assignee set on each story, a new
+ *   sprint_plan ({ sprint_number, duration, goals, user_stories, capacity, allocated_points,
+ *   over_allocated }) and schedule: { team_size, over_allocated: [{ sprint_number, member,
+ *   capacity, allocated_points }], unassignable: [{ id, title, reason }] }
+ */
+function schedulePlan(plan, members, { maxSprints = 12, sprintLengthWeeks = 2, defaultSprintCapacity = 20, startDate = plan.start_date } = {}) {
+  const scheduled = JSON.parse(JSON.stringify(plan));
+  const stories = [];
+  (scheduled.epics || []).forEach(epic => (epic.user_stories || []).forEach(story => stories.push(story)));
+
+  const workers = members.length > 0
+    ? members.map(member => ({
+      name: member.name,
+      role: lower(member.role),
+      skills: (member.skills || []).map(lower),
+      capacity: sprint => round(member.velocity * availabilityIn(member, sprint))
+    }))
+    : [{ name: null, anyone: true, capacity: () => defaultSprintCapacity }];
+
+  const allocated = workers.map(() => new Map());
+  const remaining = (worker, sprint) => worker.capacity(sprint) - (allocated[workers.indexOf(worker)].get(sprint) || 0);
+  const sprintOf = new Map();
+  const unassignable = [];
+  const unassignableIds = new Set();
+
+  const markUnassignable = (story, reason) => {
+    unassignable.push({ id: story.id, title: story.title, reason });
+    unassignableIds.add(story.id);
+    delete story.start_date;
+    delete story.end_date;
+    story.suggested_assignee = story.required_role || story.suggested_assignee || null;
+  };
+
+  const { ordered, cyclic } = dependencyOrder(stories);
+  cyclic.forEach(story => markUnassignable(story, inCycle(story, cyclic)
+    ? 'circular dependency'
+    : 'depends on a story with a circular dependency'));
+
+  ordered.forEach(story => {
+    const deps = knownDependencies(story, stories);
+    const blocked = deps.find(id => unassignableIds.has(id));
+    if (blocked) {
+      markUnassignable(story, `depends on unassignable story ${blocked}`);
+      return;
+    }
+
+    const candidates = workers.filter(worker => qualifies(worker, story));
+    if (candidates.length === 0) {
+      markUnassignable(story, missingQualification(story));
+      return;
+    }
+
+    const points = Number.isInteger(story.story_points) ? story.story_points : 0;
+    const earliest = Math.max(1, ...deps.map(id => sprintOf.get(id) + 1));
+    const pinned = Number.isInteger(story.pinned_sprint) && story.pinned_sprint >= 1 ? story.pinned_sprint : null;
+
+    const biggest = largest(candidates, earliest, maxSprints);
+
+    let placement = null;
+    if (pinned) {
+      placement = { sprint: pinned, worker: mostRemaining(candidates, pinned, remaining) };
+    } else {
+      for (let sprint = earliest; sprint <= maxSprints && !placement; sprint += 1) {
+        const fitting = candidates.filter(worker => remaining(worker, sprint) >= points);
+        if (fitting.length > 0) {
+          placement = { sprint, worker: mostRemaining(fitting, sprint, remaining) };
+        }
+      }
+
+      // Too big for any one sprint: place it where the most capacity is left and flag the overrun
+      if (!placement && biggest > 0 && points > biggest) {
+        placement = range(earliest, maxSprints)
+          .map(sprint => ({ sprint, worker: mostRemaining(candidates, sprint, remaining) }))
+          .reduce((best, option) => (remaining(option.worker, option.sprint) > remaining(best.worker, best.sprint) ? option : best));
+      }
+    }
+
+    if (!placement) {
+      let reason = `no capacity left in sprints ${earliest} to ${maxSprints}`;
+      if (earliest > maxSprints) {
+        reason = `its dependencies are not done before the last sprint (${maxSprints})`;
+      } else if (biggest === 0) {
+        reason = 'no qualified team member has capacity';
+      }
+      markUnassignable(story, reason);
+      return;
+    }
+
+    const index = workers.indexOf(placement.worker);
+    allocated[index].set(placement.sprint, (allocated[index].get(placement.sprint) || 0) + points);
+    sprintOf.set(story.id, placement.sprint);
+    story.suggested_assignee = placement.worker.name || story.required_role || story.suggested_assignee || null;
+    if (startDate) {
+      Object.assign(story, sprintDates(startDate, placement.sprint, sprintLengthWeeks));
+    }
+  });
+
+  const lastSprint = Math.max(0, ...sprintOf.values());
+  const overAllocated = [];
+  scheduled.sprint_plan = range(1, lastSprint).map(sprint => {
+    const sprintStories = stories.filter(story => sprintOf.get(story.id) === sprint);
+    workers.forEach((worker, index) => {
+      const points = allocated[index].get(sprint) || 0;
+      if (points > worker.capacity(sprint)) {
+        overAllocated.push({ sprint_number: sprint, member: worker.name, capacity: worker.capacity(sprint), allocated_points: points });
+      }
+    });
+
+    return {
+      sprint_number: sprint,
+      duration: `${sprintLengthWeeks} weeks`,
+      ...(startDate ? sprintDates(startDate, sprint, sprintLengthWeeks) : {}),
+      goals: sprintStories.map(story => story.title),
+      user_stories: sprintStories.map(story => story.id),
+      capacity: round(workers.reduce((total, worker) => total + worker.capacity(sprint), 0)),
+      allocated_points: workers.reduce((total, worker, index) => total + (allocated[index].get(sprint) || 0), 0),
+      over_allocated: overAllocated.some(entry => entry.sprint_number === sprint)
+    };
+  });
+
+  scheduled.schedule = { team_size: members.length, over_allocated: overAllocated, unassignable };
+  if (startDate) {
+    scheduled.start_date = startDate;
+  }
+  return scheduled;
+}
+
+/**
+ * Dates of a sprint when sprints run back to back from a start date
+ * @param {String} startDate - First day of sprint 1 (YYYY-MM-DD)
+ * @param {Number} sprint - Sprint number
+ * @param {Number} sprintLengthWeeks - Sprint length
+ * @returns {Object} - { start_date, end_date }, both inclusive
+ */
+function sprintDates(startDate, sprint, sprintLengthWeeks) {
+  const days = sprintLengthWeeks * 7;
+  return {
+    start_date: addDays(startDate, (sprint - 1) * days),
+    end_date: addDays(startDate, sprint * days - 1)
+  };
+}
+
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// Stories sorted so dependencies come first, keeping plan order where free; stories in cycles are split out
+function dependencyOrder(stories) {
+  const ordered = [];
+  const done = new Set();
+  let pending = [...stories];
+
+  while (pending.length > 0) {
+    const ready = pending.find(story => knownDependencies(story, stories).every(id => done.has(id)));
+    if (!ready) break;
+
+    ordered.push(ready);
+    done.add(ready.id);
+    pending = pending.filter(story => story !== ready);
+  }
+  return { ordered, cyclic: pending };
+}
+
+// Whether a story can reach itself through the dependencies among the given stories
+function inCycle(story, stories) {
+  const seen = new Set();
+  const stack = [...knownDependencies(story, stories)];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === story.id) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const next = stories.find(other => other.id === id);
+    if (next) stack.push(...knownDependencies(next, stories));
+  }
+  return false;
+}
+
+// Dependencies on stories that are in the plan; others cannot block scheduling
+function knownDependencies(story, stories) {
+  return (story.depends_on || []).filter(id => id !== story.id && stories.some(other => other.id === id));
+}
+
+function qualifies(worker, story) {
+  if (worker.anyone) return true;
+
+  const skills = (story.required_skills || []).map(lower);
+  if (skills.length > 0) return skills.every(skill => worker.skills.includes(skill));
+  return !story.required_role || worker.role === lower(story.required_role);
+}
+
+function missingQualification(story) {
+  const skills = story.required_skills || [];
+  return skills.length > 0
+    ? `no team member has the skills ${skills.join(', ')}`
+    : `no team member has the role ${story.required_role}`;
+}
+
+// The worker with the most capacity left in a sprint; the first one on ties
+function mostRemaining(workers, sprint, remaining) {
+  return workers.reduce((best, worker) => (remaining(worker, sprint) > remaining(best, sprint) ? worker : best));
+}
+
+function largest(workers, from, to) {
+  return Math.max(0, ...workers.flatMap(worker => range(from, to).map(worker.capacity)));
+}
+
+function availabilityIn(member, sprint) {
+  const overrides = member.sprintAvailability || {};
+  if (overrides[sprint] !== undefined) return overrides[sprint];
+  return member.availability === undefined ? 1 : member.availability;
+}
+
+function range(from, to) {
+  return Array.from({ length: Math.max(0, to - from + 1) }, (_, index) => from + index);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function lower(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+module.exports = { schedulePlan, sprintDates };
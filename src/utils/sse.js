@@ -0,0 +1,89 @@
+/**
+ * Server-Sent Events utilities
+ * Parses upstream provider event streams and writes event streams to clients
+ */
+
+/**
+ * Parse a single SSE block into an event
+ * @param {String} block - Raw event block (lines without the blank separator)
+ * @returns {Object|null} - { event, data } or null for comment-only blocks
+ */
+function parseBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+
+  return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+}
+
+/**
+ * Parse an event stream from a readable source
+ * @param {AsyncIterable} readable - Node stream or any async iterable of chunks
+ * @returns {AsyncGenerator<Object>} - Yields { event, data } objects
+ */
+async function* parseEventStream(readable) {
+  let buffer = '';
+
+  for await (const chunk of readable) {
+    buffer += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      const block = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+
+      const parsed = parseBlock(block);
+      if (parsed) yield parsed;
+    }
+  }
+
+  const trailing = parseBlock(buffer);
+  if (trailing) yield trailing;
+}
+
+/**
+ * Prepare an Express response for streaming events
+ * @param {Object} res - Express response
+ */
+function initEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write an event to a streaming response
+ * @param {Object} res - Express response prepared with initEventStream()
+ * @param {String} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ * @returns {Boolean} - Whether the event was written
+ */
+function writeEvent(res, event, data) {
+  if (res.writableEnded) return false;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  return true;
+}
+
+module.exports = {
+  parseEventStream,
+  initEventStream,
+  writeEvent
+};
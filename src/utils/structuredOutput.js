@@ -0,0 +1,207 @@
+const Ajv = require('ajv');
+
+/**
+ * Structured Output
+ * Requests agent output that matches a JSON Schema through the provider's
+ * native feature (Claude tool use, Gemini JSON response schema), validates
+ * it, and sends the validation errors back for a bounded number of repair
+ * attempts. When every attempt fails the caller gets a degraded result that
+ * carries the raw model output and the error, rather than made-up data.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<String>} - Readable validation errors (empty when valid)
+ */
+function validateOutput(value, schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  const validate = validators.get(schema);
+  if (validate(value)) {
+    return [];
+  }
+
+  return validate.errors.map(error => {
+    const where = error.instancePath ? error.instancePath.replace(/^\//, '').replace(/\//g, '.') : 'output';
+    const allowed = error.params && error.params.allowedValues
+      ? ` (${error.params.allowedValues.join(', ')})`
+      : '';
+    return `${where} ${error.message}${allowed}`;
+  });
+}
+
+/**
+ * Build the result returned once every attempt has failed validation
+ * @param {String} label - Tool or agent name
+ * @param {Array<String>} errors - Validation errors from the last attempt
+ * @param {String} raw - Raw model output from the last attempt
+ * @param {Number} attempts - Attempts made
+ * @returns {Object} - { status: 'degraded', error: { code, message, validationErrors }, raw, attempts }
+ */
+function degradedResult(label, errors, raw, attempts) {
+  const message = `${label} output did not match its schema after ${attempts} attempt(s): ${errors.join('; ')}`;
+  console.error(message);
+
+  return {
+    status: 'degraded',
+    error: { code: 'STRUCTURED_OUTPUT_INVALID', message, validationErrors: errors },
+    raw,
+    attempts
+  };
+}
+
+/**
+ * Check whether an agent result is a degraded result
+ * @param {*} result - Agent result
+ * @returns {Boolean}
+ */
+function isDegraded(result) {
+  return Boolean(result && typeof result === 'object' && result.status === 'degraded');
+}
+
+function repairInstructions(errors) {
+  return `Your previous output did not match the required schema:\n- ${errors.join('\n- ')}\n` +
+    'Send the complete corrected output again.';
+}
+
+/**
+ * Request tool-call output from Claude. The tool is forced with tool_choice,
+ * so the reply's tool_use input is the structured result.
+ * @param {Function} callClaude - async (messages, extra) => Claude Messages API response body;
+ *   extra holds the tools and tool_choice to merge into the request
+ * @param {Object} request - Request details
+ * @param {String} request.prompt - User prompt
+ * @param {Object} request.tool - { name, description, schema }
+ * @param {Number} request.maxAttempts - Attempts including repairs (default 3)
+ * @returns {Promise<Object>} - Validated tool input, or a degraded result
+ */
+async function requestClaudeTool(callClaude, { prompt, tool, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const extra = {
+    tools: [{ name: tool.name, description: tool.description, input_schema: tool.schema }],
+    tool_choice: { type: 'tool', name: tool.name }
+  };
+  const messages = [{ role: 'user', content: [{ type: 'text', text: prompt }] }];
+  let errors = [];
+  let raw = '';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const response = await callClaude([...messages], extra);
+    const content = (response && response.content) || [];
+    const toolUse = content.find(block => block.type === 'tool_use' && block.name === tool.name);
+    raw = toolUse
+      ? JSON.stringify(toolUse.input, null, 2)
+      : content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+    if (!toolUse) {
+      errors = [`no ${tool.name} tool call in the response`];
+      messages.push(
+        { role: 'assistant', content: content.length > 0 ? content : [{ type: 'text', text: '(empty response)' }] },
+        { role: 'user', content: [{ type: 'text', text: `Call the ${tool.name} tool with your answer.` }] }
+      );
+    } else {
+      errors = validateOutput(toolUse.input, tool.schema);
+      if (errors.length === 0) {
+        return toolUse.input;
+      }
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: repairInstructions(errors) }]
+        }
+      );
+    }
+
+    console.warn(`${tool.name} attempt ${attempt}/${maxAttempts} failed validation: ${errors.join('; ')}`);
+  }
+
+  return degradedResult(tool.name, errors, raw, maxAttempts);
+}
+
+/**
+ * Request JSON output from Gemini using responseMimeType/responseSchema
+ * @param {Function} callGemini - async (contents, generationConfig) => generateContent response body
+ * @param {Object} request - Request details
+ * @param {String} request.prompt - User prompt
+ * @param {Object} request.schema - JSON Schema for the output
+ * @param {String} request.label - Name used in logs and errors
+ * @param {Number} request.maxAttempts - Attempts including repairs (default 3)
+ * @returns {Promise<Object>} - Validated output, or a degraded result
+ */
+async function requestGeminiJson(callGemini, { prompt, schema, label = 'gemini', maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const generationConfig = {
+    responseMimeType: 'application/json',
+    responseSchema: toGeminiSchema(schema)
+  };
+  const contents = [{ role: 'user', parts: [{ text: prompt }] }];
+  let errors = [];
+  let text = '';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const response = await callGemini([...contents], generationConfig);
+    const candidate = response && response.candidates && response.candidates[0];
+    text = candidate && candidate.content && candidate.content.parts
+      ? candidate.content.parts.map(part => part.text || '').join('')
+      : '';
+
+    let value;
+    try {
+      value = JSON.parse(text);
+      errors = validateOutput(value, schema);
+    } catch (parseError) {
+      errors = [`output is not valid JSON: ${parseError.message}`];
+    }
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    contents.push(
+      { role: 'model', parts: [{ text: text || '(empty response)' }] },
+      { role: 'user', parts: [{ text: repairInstructions(errors) }] }
+    );
+    console.warn(`${label} attempt ${attempt}/${maxAttempts} failed validation: ${errors.join('; ')}`);
+  }
+
+  return degradedResult(label, errors, text, maxAttempts);
+}
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset Gemini accepts as responseSchema
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: String(schema.type).toUpperCase() };
+
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum.map(String);
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      converted.properties[key] = toGeminiSchema(value);
+    });
+  }
+  if (schema.required) converted.required = [...schema.required];
+
+  return converted;
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  validateOutput,
+  isDegraded,
+  requestClaudeTool,
+  requestGeminiJson,
+  toGeminiSchema
+};
@@ -0,0 +1,226 @@
+/**
+ * Timeline Charts
+ * Renders a plan timeline (see utils/planTimeline.js) as a Gantt chart and a
+ * dependency graph, each as Mermaid source and as a standalone SVG. Critical
+ * path stories are drawn in red in both.
+ */
+
+const CRITICAL_COLOR = '#d9534f';
+const STORY_COLOR = '#4a90d9';
+const MILESTONE_COLOR = '#f0ad4e';
+const FONT = 'font-family="Helvetica, Arial, sans-serif" font-size="12"';
+
+/**
+ * Mermaid Gantt chart, one section per epic
+ * @param {Object} timeline - Plan timeline
+ * @param {String} title - Chart title
+ * @returns {String} - Mermaid source
+ */
+function toMermaidGantt(timeline, title) {
+  const lines = ['gantt', `    title ${mermaidText(title)}`, '    dateFormat YYYY-MM-DD', '    axisFormat %d %b'];
+
+  epicsOf(timeline).forEach(epic => {
+    lines.push(`    section ${mermaidText(epic)}`);
+    timeline.stories.filter(story => story.epic === epic).forEach(story => {
+      const tags = story.critical ? 'crit, ' : '';
+      lines.push(`    ${mermaidText(`${story.id} ${story.title}`)} :${tags}${nodeId(story.id)}, ${story.start_date}, ${days(story)}d`);
+    });
+  });
+
+  const dated = timeline.milestones.filter(milestone => milestone.date);
+  if (dated.length > 0) {
+    lines.push('    section Milestones');
+    dated.forEach((milestone, index) => {
+      lines.push(`    ${mermaidText(milestone.name)} :milestone, milestone_${index + 1}, ${milestone.date}, 0d`);
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Mermaid flowchart of story dependencies, one subgraph per sprint
+ * @param {Object} timeline - Plan timeline
+ * @returns {String} - Mermaid source
+ */
+function toMermaidGraph(timeline) {
+  const lines = ['flowchart LR'];
+  const node = story => `${nodeId(story.id)}["${mermaidLabel(`${story.id}: ${story.title}`)}"]`;
+
+  timeline.sprints.forEach(sprint => {
+    const stories = timeline.stories.filter(story => story.sprint === sprint.sprint_number);
+    if (stories.length === 0) return;
+    lines.push(`    subgraph sprint_${sprint.sprint_number}["Sprint ${sprint.sprint_number}"]`);
+    stories.forEach(story => lines.push(`        ${node(story)}`));
+    lines.push('    end');
+  });
+  timeline.stories.forEach(story => story.depends_on.forEach(id => {
+    lines.push(`    ${nodeId(id)} --> ${nodeId(story.id)}`);
+  }));
+
+  const critical = timeline.stories.filter(story => story.critical).map(story => nodeId(story.id));
+  if (critical.length > 0) {
+    lines.push(`    classDef critical stroke:${CRITICAL_COLOR},stroke-width:3px`);
+    lines.push(`    class ${critical.join(',')} critical`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Gantt chart as SVG: sprint bands across the top, one bar per story
+ * grouped by epic, and dated milestones as diamonds
+ * @param {Object} timeline - Plan timeline
+ * @param {String} title - Chart title
+ * @returns {String} - SVG document
+ */
+function toGanttSvg(timeline, title) {
+  const labelWidth = 280;
+  const rowHeight = 26;
+  const top = 64;
+  const totalDays = timeline.start_date ? daysBetween(timeline.start_date, timeline.end_date) + 1 : 0;
+  const dayWidth = totalDays > 0 ? Math.max(4, Math.min(24, 720 / totalDays)) : 0;
+  const x = date => labelWidth + daysBetween(timeline.start_date, date) * dayWidth;
+
+  const rows = [];
+  epicsOf(timeline).forEach(epic => {
+    rows.push({ epic });
+    timeline.stories.filter(story => story.epic === epic).forEach(story => rows.push({ story }));
+  });
+  const dated = timeline.milestones.filter(milestone => totalDays > 0 && milestone.date &&
+    milestone.date >= timeline.start_date && milestone.date <= timeline.end_date);
+  if (dated.length > 0) rows.push({ milestones: dated });
+
+  const width = labelWidth + totalDays * dayWidth + 20;
+  const height = top + rows.length * rowHeight + 20;
+  const parts = [svgOpen(width, height), `<text x="10" y="20" font-weight="bold" ${FONT}>${xml(title)}</text>`];
+
+  timeline.sprints.forEach((sprint, index) => {
+    const left = x(sprint.start_date);
+    const bandWidth = (daysBetween(sprint.start_date, sprint.end_date) + 1) * dayWidth;
+    parts.push(`<rect x="${left}" y="30" width="${bandWidth}" height="${height - 40}" fill="${index % 2 === 0 ? '#f5f7fa' : '#ffffff'}"/>`);
+    parts.push(`<text x="${left + 4}" y="44" ${FONT}>Sprint ${sprint.sprint_number}</text>`);
+    parts.push(`<text x="${left + 4}" y="58" ${FONT} fill="#666">${sprint.start_date}</text>`);
+  });
+
+  rows.forEach((row, index) => {
+    const y = top + index * rowHeight;
+    if (row.epic) {
+      parts.push(`<text x="10" y="${y + 17}" font-weight="bold" ${FONT}>${xml(truncate(row.epic, 40))}</text>`);
+    } else if (row.story) {
+      const { story } = row;
+      parts.push(`<text x="20" y="${y + 17}" ${FONT}>${xml(truncate(`${story.id} ${story.title}`, 38))}</text>`);
+      parts.push(`<rect x="${x(story.start_date)}" y="${y + 5}" width="${days(story) * dayWidth}" height="${rowHeight - 10}" rx="3" ` +
+        `fill="${story.critical ? CRITICAL_COLOR : STORY_COLOR}"><title>${xml(`${story.id}: ${story.start_date} to ${story.end_date}`)}</title></rect>`);
+    } else {
+      parts.push(`<text x="10" y="${y + 17}" font-weight="bold" ${FONT}>Milestones</text>`);
+      row.milestones.forEach(milestone => {
+        const mx = x(milestone.date);
+        parts.push(`<line x1="${mx}" y1="30" x2="${mx}" y2="${y + rowHeight}" stroke="${MILESTONE_COLOR}" stroke-dasharray="4 3"/>`);
+        parts.push(`<polygon points="${mx},${y + 4} ${mx + 8},${y + 13} ${mx},${y + 22} ${mx - 8},${y + 13}" fill="${MILESTONE_COLOR}">` +
+          `<title>${xml(`${milestone.name} (${milestone.date})`)}</title></polygon>`);
+      });
+    }
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Dependency graph as SVG: one column per sprint, arrows from each story to
+ * the stories that depend on it
+ * @param {Object} timeline - Plan timeline
+ * @returns {String} - SVG document
+ */
+function toGraphSvg(timeline) {
+  const nodeWidth = 180;
+  const nodeHeight = 44;
+  const columnGap = 60;
+  const rowGap = 20;
+  const top = 40;
+
+  const positions = new Map();
+  let rowsUsed = 0;
+  timeline.sprints.forEach((sprint, column) => {
+    const stories = timeline.stories.filter(story => story.sprint === sprint.sprint_number);
+    stories.forEach((story, row) => {
+      positions.set(story.id, { x: 20 + column * (nodeWidth + columnGap), y: top + row * (nodeHeight + rowGap) });
+    });
+    rowsUsed = Math.max(rowsUsed, stories.length);
+  });
+
+  const width = 40 + Math.max(1, timeline.sprints.length) * (nodeWidth + columnGap) - columnGap;
+  const height = top + Math.max(1, rowsUsed) * (nodeHeight + rowGap) + 10;
+  const parts = [
+    svgOpen(width, height),
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+      '<path d="M 0 0 L 10 5 L 0 10 z" fill="#666"/></marker></defs>'
+  ];
+
+  timeline.sprints.forEach((sprint, column) => {
+    parts.push(`<text x="${20 + column * (nodeWidth + columnGap)}" y="24" font-weight="bold" ${FONT}>Sprint ${sprint.sprint_number}</text>`);
+  });
+
+  const byId = new Map(timeline.stories.map(story => [story.id, story]));
+  timeline.stories.forEach(story => story.depends_on.forEach(id => {
+    const from = positions.get(id);
+    const to = positions.get(story.id);
+    const critical = story.critical && byId.get(id).critical && byId.get(id).sprint === story.sprint - 1;
+    parts.push(`<line x1="${from.x + nodeWidth}" y1="${from.y + nodeHeight / 2}" x2="${to.x}" y2="${to.y + nodeHeight / 2}" ` +
+      `stroke="${critical ? CRITICAL_COLOR : '#666'}" stroke-width="${critical ? 2 : 1}" marker-end="url(#arrow)"/>`);
+  }));
+
+  timeline.stories.forEach(story => {
+    const { x, y } = positions.get(story.id);
+    parts.push(`<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="4" fill="#ffffff" ` +
+      `stroke="${story.critical ? CRITICAL_COLOR : STORY_COLOR}" stroke-width="${story.critical ? 3 : 1.5}"/>`);
+    parts.push(`<text x="${x + 8}" y="${y + 18}" font-weight="bold" ${FONT}>${xml(story.id)}</text>`);
+    parts.push(`<text x="${x + 8}" y="${y + 34}" ${FONT}>${xml(truncate(story.title, 26))}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+function epicsOf(timeline) {
+  return [...new Set(timeline.stories.map(story => story.epic))];
+}
+
+function days(story) {
+  return daysBetween(story.start_date, story.end_date) + 1;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// Mermaid ids allow letters, digits and underscores
+function nodeId(id) {
+  return `story_${String(id).replace(/\W/g, '_')}`;
+}
+
+// Colons, semicolons and hashes end a Gantt task name
+function mermaidText(text) {
+  return String(text).replace(/[:;#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\s+/g, ' ').trim();
+}
+
+function svgOpen(width, height) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+}
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = { toMermaidGantt, toMermaidGraph, toGanttSvg, toGraphSvg };
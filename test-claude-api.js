@@ -1,5 +1,6 @@
 const axios = require('axios');
 require('dotenv').config();
+const modelConfig = require('./src/config/modelConfig');
 
 const apiKey = process.env.ANTHROPIC_API_KEY;
 console.log('Using API key (first few chars):', apiKey.substring(0, 10) + '...');
@@ -9,7 +10,7 @@ async function testClaudeAPI() {
     const url = 'https://api.anthropic.com/v1/messages';
     
     const data = {
-      model: "claude-3-5-haiku-20241022", // Using the Claude 3.5 Haiku from the list
+      model: modelConfig.getModel('claude', 'haiku').id,
       max_tokens: 1000,
       temperature: 1,
       system: "You are a helpful assistant.",
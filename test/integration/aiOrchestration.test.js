@@ -1,14 +1,26 @@
-const AiOrchestrator = require('../../src/services/aiOrchestrator');
+const { AIOrchestrationService: AiOrchestrator } = require('../../src/services/aiOrchestrator');
+const { createProvider } = require('../../src/services/providerRegistry');
+const { UsageLedger } = require('../../src/services/usageLedger');
+const { BudgetManager } = require('../../src/services/budgetManager');
+const { ConversationMemory } = require('../../src/services/conversationMemory');
+const { MemorySessionStore } = require('../../src/services/sessionStore');
+const ChatSession = require('../../src/services/chatSession');
 const GeminiHandler = require('../../src/services/geminiHandler');
 const ClaudeHandler = require('../../src/services/claudeHandler');
 const DeepseekHandler = require('../../src/services/deepseekHandler');
 const ComplexityScorer = require('../../src/services/complexityScorer');
+const ReasoningAnalyzer = require('../../src/services/reasoningAnalyzer');
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+const CodeGenerationAgent = require('../../src/agents/codeGenerationAgent');
+const agentSettings = require('../../src/config/agents');
+const { LlmClient } = require('../../src/services/llmClient');
 
 // Mock the handlers
 jest.mock('../../src/services/geminiHandler');
 jest.mock('../../src/services/claudeHandler');
 jest.mock('../../src/services/deepseekHandler');
 jest.mock('../../src/services/complexityScorer');
+jest.mock('../../src/utils/googleDriveService', () => ({}));
 
 describe('AI Orchestration Integration Tests', () => {
   let orchestrator;
@@ -27,10 +39,11 @@ describe('AI Orchestration Integration Tests', () => {
         return { score: 20, breakdown: { components: { context: 30 } } };
       } else if (text.includes('medium')) {
         return { score: 50, breakdown: { components: { context: 50 } } };
-      } else if (text.includes('complex')) {
-        return { score: 80, breakdown: { components: { context: 70 } } };
       } else if (text.includes('very complex')) {
+        // Checked before 'complex', which it contains
         return { score: 95, breakdown: { components: { context: 90 } } };
+      } else if (text.includes('complex')) {
+        return { score: 80, breakdown: { components: { context: 70 } } };
       } else if (text.includes('reasoning')) {
         return { score: 70, breakdown: { components: { context: 85 } } };
       }
@@ -50,7 +63,7 @@ describe('AI Orchestration Integration Tests', () => {
       type: 'gemini'
     });
     
-    ClaudeHandler.prototype.processTask.mockResolvedValue({
+    ClaudeHandler.prototype.generate.mockResolvedValue({
       content: 'Claude Sonnet response',
       model: 'claude-3-sonnet',
       type: 'claude'
@@ -96,7 +109,7 @@ describe('AI Orchestration Integration Tests', () => {
     const result = await orchestrator.processTask(task);
     
     expect(ComplexityScorer.prototype.scoreTask).toHaveBeenCalledWith(task);
-    expect(ClaudeHandler.prototype.processTask).toHaveBeenCalledWith(task, {});
+    expect(ClaudeHandler.prototype.generate).toHaveBeenCalledWith(task, {}, expect.objectContaining({ id: 'claude-3-7-sonnet-20250219' }));
     expect(result.model).toBe('claude-3-sonnet');
   });
   
@@ -112,6 +125,12 @@ describe('AI Orchestration Integration Tests', () => {
   test('should route reasoning task to DeepSeek', async () => {
     const task = { content: 'This task requires reasoning' };
     const context = { requiresReasoning: true };
+    jest.spyOn(ReasoningAnalyzer.prototype, 'determineReasoningRequirements').mockResolvedValueOnce({
+      type: 'logical',
+      stepwise: true,
+      contextDependency: 0,
+      temporalAspect: false
+    });
     const result = await orchestrator.processTask(task, context);
     
     expect(ComplexityScorer.prototype.scoreTask).toHaveBeenCalledWith(task);
@@ -136,17 +155,411 @@ describe('AI Orchestration Integration Tests', () => {
     expect(GeminiHandler.prototype.processTask).toHaveBeenCalledWith(task, context);
   });
   
-  test('should fall back to Gemini Flash when primary model fails', async () => {
+  test('should fall back to the equivalent Gemini model when primary model fails', async () => {
     const task = { content: 'This is a complex task' };
     
     // Make Claude handler throw an error
-    ClaudeHandler.prototype.processTask.mockRejectedValueOnce(new Error('API quota exceeded'));
+    ClaudeHandler.prototype.generate.mockRejectedValueOnce(new Error('API quota exceeded'));
     
     const result = await orchestrator.processTask(task);
     
     expect(ComplexityScorer.prototype.scoreTask).toHaveBeenCalledWith(task);
-    expect(ClaudeHandler.prototype.processTask).toHaveBeenCalledWith(task, {});
-    expect(GeminiHandler.prototype.processSimpleTask).toHaveBeenCalledWith(task, {});
+    expect(ClaudeHandler.prototype.generate).toHaveBeenCalledWith(task, {}, expect.objectContaining({ id: 'claude-3-7-sonnet-20250219' }));
+    expect(GeminiHandler.prototype.processTask).toHaveBeenCalledWith(task, {});
+    expect(result.model).toBe('gemini-1.5-pro');
+  });
+  
+  test('should skip a provider while its circuit is open', async () => {
+    ClaudeHandler.prototype.generate.mockRejectedValue(new Error('Claude API error: Request failed with status code 503'));
+    
+    for (let i = 0; i < 3; i++) {
+      await orchestrator.processTask({ content: 'This is a complex task' });
+    }
+    expect(ClaudeHandler.prototype.generate).toHaveBeenCalledTimes(3);
+    expect(orchestrator.router.getProviderHealth().claude).toEqual(expect.objectContaining({ state: 'open', lastErrorType: 'server' }));
+    
+    const result = await orchestrator.processTask({ content: 'This is a complex task' });
+    
+    expect(ClaudeHandler.prototype.generate).toHaveBeenCalledTimes(3);
+    expect(result.model).toBe('gemini-1.5-pro');
+  });
+  
+  test('should not retry content filter errors on other providers', async () => {
+    ClaudeHandler.prototype.generate.mockRejectedValueOnce(new Error('Output blocked by content filtering policy'));
+    
+    await expect(orchestrator.processTask({ content: 'This is a complex task' })).rejects.toThrow('content filtering');
+    expect(GeminiHandler.prototype.processTask).not.toHaveBeenCalled();
+    expect(orchestrator.router.getProviderHealth().claude.state).toBe('closed');
+  });
+  
+  test('should not retry invalid requests or local errors on other providers', async () => {
+    ClaudeHandler.prototype.generate
+      .mockRejectedValueOnce(new Error('Claude API error: Request failed with status code 400'))
+      .mockRejectedValueOnce(new TypeError("Cannot read properties of undefined (reading 'content')"));
+    
+    const badRequest = await orchestrator.processTask({ content: 'This is a complex task' }).catch(error => error);
+    const localError = await orchestrator.processTask({ content: 'This is a complex task' }).catch(error => error);
+    
+    expect(badRequest.originalError.errorType).toBe('invalid_request');
+    expect(localError.originalError.errorType).toBe('invalid_request');
+    expect(GeminiHandler.prototype.processTask).not.toHaveBeenCalled();
+    expect(orchestrator.router.getProviderHealth().claude).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+  
+  test('should close a half-open circuit when the trial request is refused by the content filter', async () => {
+    const breaker = orchestrator.router.getBreaker('claude');
+    breaker.cooldownMs = 0;
+    breaker.recordFailure('server', true);
+    ClaudeHandler.prototype.generate.mockRejectedValueOnce(new Error('Output blocked by content filtering policy'));
+    
+    await expect(orchestrator.processTask({ content: 'This is a complex task' })).rejects.toThrow('content filtering');
+    expect(orchestrator.router.getProviderHealth().claude.state).toBe('closed');
+    
+    const result = await orchestrator.processTask({ content: 'This is a complex task' });
+    expect(ClaudeHandler.prototype.generate).toHaveBeenCalledTimes(2);
+    expect(result.model).toBe('claude-3-sonnet');
+  });
+  
+  test('should route a tier to a newly registered provider', async () => {
+    const localHandler = {
+      generate: jest.fn().mockResolvedValue({ content: 'Local model response', model: 'llama-3', type: 'local' })
+    };
+    
+    orchestrator.registerProvider(createProvider({
+      name: 'local',
+      handler: localHandler,
+      models: { llama: { id: 'llama-3', costPer1KTokens: 0, capabilities: ['summarization'] } }
+    }), ['simple']);
+    
+    const task = { content: 'This is a simple task' };
+    const result = await orchestrator.processTask(task);
+    
+    expect(localHandler.generate).toHaveBeenCalledWith(task, {}, expect.objectContaining({ id: 'llama-3' }));
+    expect(GeminiHandler.prototype.processSimpleTask).not.toHaveBeenCalled();
+    expect(result.model).toBe('llama-3');
+  });
+  
+  test('should relay streamed tokens and return the full content', async () => {
+    const localHandler = {
+      streamTask: async function* () {
+        yield 'Hello';
+        yield ', world';
+      }
+    };
+    
+    orchestrator.registerProvider(createProvider({
+      name: 'local',
+      handler: localHandler,
+      models: { llama: { id: 'llama-3', costPer1KTokens: 0, capabilities: ['summarization'] } }
+    }), ['simple']);
+    
+    const tokens = [];
+    const result = await orchestrator.processTask(
+      { content: 'This is a simple task' },
+      {},
+      { onToken: text => tokens.push(text) }
+    );
+    
+    expect(tokens).toEqual(['Hello', ', world']);
+    expect(result).toEqual(expect.objectContaining({ content: 'Hello, world', model: 'llama-3', streamed: true }));
+  });
+  
+  test('should record token usage and cost for routed calls', async () => {
+    const ledger = new UsageLedger();
+    orchestrator.router.ledger = ledger;
+    
+    ClaudeHandler.prototype.generate.mockResolvedValueOnce({
+      content: 'Claude Sonnet response',
+      model: 'claude-3-sonnet',
+      type: 'claude',
+      usage: { input_tokens: 600, output_tokens: 400 }
+    });
+    
+    await orchestrator.processTask({ content: 'This is a complex task' }, {}, {
+      principal: { userId: 'user-1', sessionId: 'session-1' }
+    });
+    
+    const [entry] = ledger.query({ userId: 'user-1' });
+    expect(entry).toEqual(expect.objectContaining({
+      sessionId: 'session-1',
+      provider: 'claude',
+      inputTokens: 600,
+      outputTokens: 400,
+      estimated: false
+    }));
+    expect(entry.cost).toBeCloseTo(0.003);
+  });
+  
+  test('should downgrade or refuse once a user budget is exhausted', async () => {
+    const ledger = new UsageLedger();
+    const budgets = new BudgetManager({
+      onExhausted: 'downgrade',
+      downgradeTier: 'simple',
+      defaults: { user: { daily: 0.01, monthly: null }, team: { daily: null, monthly: null } },
+      users: {},
+      teams: {}
+    }, ledger);
+    orchestrator.router.ledger = ledger;
+    orchestrator.router.budgets = budgets;
+    
+    ledger.record({ userId: 'user-1', usage: { inputTokens: 5000, outputTokens: 5000 }, costPer1KTokens: 0.003 });
+    
+    const task = { content: 'This is a complex task' };
+    const options = { principal: { userId: 'user-1' } };
+    const result = await orchestrator.processTask(task, {}, options);
+    
+    expect(ClaudeHandler.prototype.generate).not.toHaveBeenCalled();
     expect(result.model).toBe('gemini-1.5-flash');
+    
+    budgets.setPolicy({ onExhausted: 'refuse' });
+    await expect(orchestrator.processTask(task, {}, options)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(GeminiHandler.prototype.processSimpleTask).toHaveBeenCalledTimes(1);
+    
+    // Tasks without a signed-in user are charged to, and refused by, the system budget
+    await orchestrator.processTask({ content: 'This is a simple task' });
+    expect(ledger.query({ userId: 'system' })).toHaveLength(1);
+    ledger.record({ userId: 'system', usage: { inputTokens: 5000, outputTokens: 5000 }, costPer1KTokens: 0.003 });
+    await expect(orchestrator.processTask(task)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+  });
+  
+  test('should summarize older turns and fit the summary and recent turns to the model budget', async () => {
+    const memory = new ConversationMemory({
+      summarizerTier: 'simple',
+      summarizeAfterTokens: 100,
+      keepRecentMessages: 2,
+      maxSummaryTokens: 100,
+      historyTokens: 60
+    });
+    const session = await new ChatSession('user-1', null, new MemorySessionStore()).initialize();
+    await session.addMessage('user', `Requirement: budget is $5k. ${'a'.repeat(200)}`);
+    await session.addMessage('assistant', 'b'.repeat(200));
+    await session.addMessage('user', 'c'.repeat(80));
+    await session.addMessage('assistant', 'd'.repeat(80));
+    
+    const summarize = jest.fn().mockResolvedValue('User needs the project done for $5k.');
+    expect(await session.refreshSummary(memory, summarize)).toBe(true);
+    expect(summarize.mock.calls[0][0]).toContain('Requirement: budget is $5k.');
+    
+    const conversation = session.getConversation();
+    expect(conversation.summary).toBe('User needs the project done for $5k.');
+    expect(conversation.messages.map(message => message.content[0])).toEqual(['c', 'd']);
+    
+    orchestrator.router.memory = memory;
+    await orchestrator.processTask({ content: 'This is a complex task' }, { conversation });
+    
+    const [, context] = ClaudeHandler.prototype.generate.mock.calls[0];
+    expect(context.chatHistory[0]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier conversation:\nUser needs the project done for $5k.'
+    });
+    expect(context.chatHistory.slice(1)).toEqual(conversation.messages);
+    
+    // Under a tight budget only the newest turn is kept, truncated to fit
+    expect(memory.buildHistory(conversation, 30).slice(1)).toEqual([
+      { role: 'assistant', content: `${'d'.repeat(57)}...` }
+    ]);
+  });
+  
+  test('should route chat commands to the agents and keep their structured results in history', async () => {
+    const epics = [{
+      name: 'Booking',
+      description: 'Online reservations',
+      user_stories: [{
+        id: 'US-1',
+        title: 'Reserve a car',
+        description: 'As a customer I can reserve a car',
+        story_points: 3,
+        acceptance_criteria: ['Reservation is confirmed by email'],
+        suggested_assignee: 'Developer'
+      }]
+    }];
+    const { agents } = orchestrator._getAgentOrchestrator();
+    agents.planning.generateTasks = jest.fn().mockResolvedValue({ epics, sprint_plan: [] });
+    
+    const result = await orchestrator.processChatMessage('user-1', null, '/plan Build a car rental portal');
+    
+    expect(agents.planning.generateTasks).toHaveBeenCalledWith('Build a car rental portal', 'Project');
+    expect(result).toEqual(expect.objectContaining({
+      type: 'agent',
+      agent: 'PlanningAgent',
+      operation: 'generateTasks',
+      result: { epics, sprint_plan: [] }
+    }));
+    expect(result.formattedResponse).toContain('## Project Plan');
+    expect(ClaudeHandler.prototype.generate).not.toHaveBeenCalled();
+    
+    const session = await new ChatSession('user-1', result.sessionId).initialize();
+    const reply = session.history[session.history.length - 1];
+    expect(reply.content).toBe(result.formattedResponse);
+    expect(reply.metadata).toEqual({ agent: 'PlanningAgent', operation: 'generateTasks', result: { epics, sprint_plan: [] } });
+  });
+
+  test('should keep ordinary questions that mention plans or tasks in normal chat', async () => {
+    const { agents } = orchestrator._getAgentOrchestrator();
+    agents.planning.generateTasks = jest.fn();
+    
+    const result = await orchestrator.processChatMessage('user-1', null, 'What should I plan for the next sprint? Which task comes first?');
+    
+    expect(agents.planning.generateTasks).not.toHaveBeenCalled();
+    expect(result.type).not.toBe('agent');
+    expect(result.metadata.status).toBe('success');
+    expect(orchestrator._getAgentOrchestrator().detectRequestType('/unknown do something')).toBeNull();
+  });
+  
+  test('should route free-text requests to an agent once their intent is confident enough', async () => {
+    const { agents } = orchestrator._getAgentOrchestrator();
+    agents.codeGeneration.generateTests = jest.fn().mockResolvedValue({ test_framework: 'jest', tests: [] });
+    
+    const result = await orchestrator.processChatMessage('user-1', null,
+      'Please write unit tests for this function:\n```js\nconst add = (a, b) => a + b;\n```');
+    
+    expect(agents.codeGeneration.generateTests).toHaveBeenCalledWith('const add = (a, b) => a + b;',
+      { language: 'js', requirements: 'Please write unit tests for this function:' });
+    expect(result).toEqual(expect.objectContaining({ type: 'agent', agent: 'CodeGenerationAgent', operation: 'generateTests' }));
+    expect(ClaudeHandler.prototype.generate).not.toHaveBeenCalled();
+    
+    // Below the threshold the general model answers
+    const agentOrchestrator = orchestrator._getAgentOrchestrator();
+    expect(agentOrchestrator.scoreIntent('Do we have unit tests for the rental flow?'))
+      .toEqual({ type: 'test-generation', confidence: 0.2 });
+    expect(agentOrchestrator.detectRequestType('Do we have unit tests for the rental flow?')).toBeNull();
+  });
+
+  test('should request agent output through a forced tool call and repair it when validation fails', async () => {
+    const review = {
+      overall_assessment: 'Solid, small function',
+      quality_score: 8,
+      issues: [{ type: 'style', severity: 'low', description: 'Short name', line_numbers: [1], suggestion: 'Rename x' }],
+      strengths: ['Readable'],
+      improvement_suggestions: ['Add a test']
+    };
+    const agent = new CodeReviewAgent('test-key');
+    agent._callClaudeAPI = jest.fn()
+      .mockResolvedValueOnce({
+        content: [{ type: 'tool_use', id: 'call-1', name: 'record_code_review', input: { ...review, quality_score: 'eight', issues: [{ ...review.issues[0], severity: 'minor' }] } }]
+      })
+      .mockResolvedValueOnce({
+        content: [{ type: 'tool_use', id: 'call-2', name: 'record_code_review', input: review }]
+      });
+    
+    const result = await agent.reviewCode('const x = 1;', 'javascript');
+    
+    expect(result).toEqual(review);
+    expect(agent._callClaudeAPI).toHaveBeenCalledTimes(2);
+    const [, firstMessages, extra] = agent._callClaudeAPI.mock.calls[0];
+    expect(extra.tool_choice).toEqual({ type: 'tool', name: 'record_code_review' });
+    expect(extra.tools[0].input_schema.required).toContain('quality_score');
+    expect(firstMessages).toHaveLength(1);
+    
+    // The repair turn returns the validation errors as an error tool_result
+    const repair = agent._callClaudeAPI.mock.calls[1][1];
+    expect(repair).toHaveLength(3);
+    expect(repair[2].content[0]).toEqual(expect.objectContaining({ type: 'tool_result', tool_use_id: 'call-1', is_error: true }));
+    expect(repair[2].content[0].content).toContain('quality_score must be number');
+    expect(repair[2].content[0].content).toContain('issues.0.severity must be equal to one of the allowed values (high, medium, low)');
+  });
+
+  test('should report unreadable agent output as degraded and only use sample output in demo mode', async () => {
+    const agent = new CodeGenerationAgent('test-key');
+    agent._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'Here is some code: info "hello";' }]
+    });
+    
+    const result = await agent.generateCode('Say hello');
+    
+    expect(agent._callClaudeAPI).toHaveBeenCalledTimes(3);
+    expect(result).toEqual({
+      status: 'degraded',
+      error: expect.objectContaining({
+        code: 'STRUCTURED_OUTPUT_INVALID',
+        validationErrors: ['no record_generated_code tool call in the response']
+      }),
+      raw: 'Here is some code: info "hello";',
+      attempts: 3
+    });
+    expect(result.code).toBeUndefined();
+    
+    const { agents } = orchestrator._getAgentOrchestrator();
+    agents.codeGeneration.generateCode = jest.fn().mockResolvedValue(result);
+    const reply = await orchestrator.processChatMessage('user-1', null, '/code Say hello');
+    
+    expect(reply.metadata.status).toBe('degraded');
+    expect(reply.formattedResponse).toContain('agent-response degraded');
+    expect(reply.formattedResponse).toContain('Raw model output');
+    expect(reply.formattedResponse).toContain('Here is some code: info "hello";');
+    
+    agentSettings.demoMode = true;
+    try {
+      agent._callClaudeAPI.mockClear();
+      const sample = await agent.generateCode('Say hello');
+      expect(agent._callClaudeAPI).not.toHaveBeenCalled();
+      expect(sample.code).toContain('processRentalRequest');
+    } finally {
+      agentSettings.demoMode = false;
+    }
+  });
+
+  test('should retry rate limits and overloads in the shared LLM client and fail fast on client errors', async () => {
+    const httpError = (status, headers = {}, message = 'failed') => Object.assign(
+      new Error(`Request failed with status code ${status}`),
+      { response: { status, headers, data: { error: { message } } } }
+    );
+    const transport = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockRejectedValueOnce(httpError(529, {}, 'Overloaded'))
+      .mockResolvedValueOnce({ status: 200, data: { ok: true } })
+      .mockRejectedValueOnce(httpError(400, { 'request-id': 'req_provider' }, 'max_tokens is too large'));
+    const sleep = jest.fn().mockResolvedValue();
+    const client = new LlmClient({
+      config: {
+        retry: { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 20000, maxRetryAfterMs: 60000 },
+        defaults: { timeoutMs: 1000, maxConcurrent: 1 },
+        providers: { claude: { timeoutMs: 5000 } }
+      },
+      transport,
+      sleep,
+      random: () => 0
+    });
+    
+    const response = await client.request('claude', { url: 'https://example.test/messages', data: { prompt: 'hi' } });
+    
+    expect(response.data).toEqual({ ok: true });
+    expect(transport).toHaveBeenCalledTimes(3);
+    // retry-after is honoured (as a provider-wide pause); the overload backs off exponentially
+    expect(sleep.mock.calls[0][0]).toBeGreaterThan(1900);
+    expect(sleep.mock.calls[1][0]).toBe(500);
+    const requestIds = transport.mock.calls.map(([request]) => request.headers['X-Request-Id']);
+    expect(new Set(requestIds).size).toBe(1);
+    expect(response.requestId).toBe(requestIds[0]);
+    expect(transport.mock.calls[0][0]).toEqual(expect.objectContaining({ method: 'post', timeout: 5000 }));
+    
+    const failure = await client.request('claude', { url: 'https://example.test/messages', data: {} }).catch(error => error);
+    
+    expect(transport).toHaveBeenCalledTimes(4);
+    expect(failure.message).toBe('Claude API error: max_tokens is too large');
+    expect(failure).toEqual(expect.objectContaining({
+      code: 'LLM_REQUEST_FAILED',
+      errorType: 'invalid_request',
+      status: 400,
+      provider: 'claude',
+      providerRequestId: 'req_provider',
+      attempts: 1
+    }));
+    expect(client.getStats().claude).toEqual(expect.objectContaining({ active: 0, queued: 0, maxConcurrent: 1 }));
+  });
+  
+  test('should answer the /test command with Deluge harness tests and their coverage', async () => {
+    agentSettings.demoMode = true;
+    try {
+      const reply = await orchestrator.processChatMessage('user-1', null,
+        '/test Rentals must be pending\n```deluge\nmap processRental(int rentalID)\n{\n  return {"success": true};\n}\n```');
+      
+      expect(reply.formattedResponse).toContain('Generated Tests (deluge-harness)');
+      expect(reply.formattedResponse).toContain('- **approves a pending rental** (happy path): status == Pending branch; updateRecord success');
+      expect(reply.formattedResponse).toContain('map test.assertEquals(string name, string actual, string expected)');
+      expect(reply.formattedResponse).toContain('Deluge static analysis passed.');
+    } finally {
+      agentSettings.demoMode = false;
+    }
   });
 });
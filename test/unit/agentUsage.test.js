@@ -0,0 +1,62 @@
+const agentUsage = require('../../src/services/agentUsage');
+const usageLedger = require('../../src/services/usageLedger');
+const budgetManager = require('../../src/services/budgetManager');
+const llmClient = require('../../src/services/llmClient');
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+const ProjectUnderstandingAgent = require('../../src/agents/projectUnderstandingAgent');
+
+jest.mock('../../src/utils/googleDriveService', () => ({ readFile: jest.fn() }));
+
+describe('Agent Usage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should charge agent calls to the principal they run as and refuse them once its budget is spent', async () => {
+    budgetManager.setBudget('user', 'agent-user', { daily: 0.001 });
+    budgetManager.setBudget('team', 'agent-team', { members: ['agent-user'] });
+    const request = jest.spyOn(llmClient, 'request').mockResolvedValue({
+      status: 200,
+      data: { content: [{ type: 'text', text: 'Looks good' }], usage: { input_tokens: 400, output_tokens: 600 } }
+    });
+    const agent = new CodeReviewAgent('test-key');
+
+    await agentUsage.runAs({ userId: 'agent-user', sessionId: 'chat-1' }, () => agent._callClaudeAPI('system', 'Review this'));
+
+    const [entry] = usageLedger.query({ userId: 'agent-user' });
+    expect(entry).toEqual(expect.objectContaining({ teamId: 'agent-team', sessionId: 'chat-1', agent: 'codeReview', inputTokens: 400 }));
+    expect(budgetManager.check('agent-user').exhausted).toBe(true);
+
+    await expect(agentUsage.runAs({ userId: 'agent-user' }, () => agent._callClaudeAPI('system', 'Review again')))
+      .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(request).toHaveBeenCalledTimes(1);
+
+    // Calls outside a request, such as webhook reviews, are charged to the system budget
+    await agent._callClaudeAPI('system', 'Review from a webhook');
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(usageLedger.query({ agent: 'codeReview' }).pop().userId).toBe('system');
+
+    budgetManager.setBudget('user', 'system', { daily: 0.001 });
+    await expect(agent._callClaudeAPI('system', 'Review another webhook')).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('should charge and budget Gemini agent calls the same way', async () => {
+    budgetManager.setBudget('user', 'gemini-user', { daily: 0.00001 });
+    const request = jest.spyOn(llmClient, 'request').mockResolvedValue({
+      status: 200,
+      data: { candidates: [], usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 200 } }
+    });
+    const agent = new ProjectUnderstandingAgent('test-key');
+
+    await agentUsage.runAs({ userId: 'gemini-user' }, () => agent._callGeminiAPI('Summarize this'));
+
+    expect(request).toHaveBeenCalledWith('gemini', expect.objectContaining({ label: 'projectUnderstanding' }));
+    expect(usageLedger.query({ userId: 'gemini-user' })).toEqual([
+      expect.objectContaining({ agent: 'projectUnderstanding', provider: 'gemini', inputTokens: 300, outputTokens: 200 })
+    ]);
+    await expect(agentUsage.runAs({ userId: 'gemini-user' }, () => agent._callGeminiAPI('Summarize again')))
+      .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
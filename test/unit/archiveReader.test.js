@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+const { readArchive } = require('../../src/utils/archiveReader');
+
+// Build a zip whose entries are deflated; declaredSize lets a test lie about an entry's size
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ path, content, declaredSize = content.length }) => {
+    const name = Buffer.from(path);
+    const data = zlib.deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function buildTar(files) {
+  const blocks = files.map(({ path, content }) => {
+    const header = Buffer.alloc(512);
+    header.write(path, 0);
+    header.write(content.length.toString(8).padStart(11, '0'), 124);
+    header.write('0', 156);
+    const body = Buffer.alloc(Math.ceil(content.length / 512) * 512);
+    content.copy(body);
+    return Buffer.concat([header, body]);
+  });
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+describe('Archive Reader', () => {
+  test('should read zip and tar.gz archives and skip unsafe paths and oversized files', () => {
+    const files = [
+      { path: 'src/app.js', content: Buffer.from('console.log("hi");\n') },
+      { path: '../escape.js', content: Buffer.from('bad') },
+      { path: 'dist/bundle.js', content: Buffer.alloc(2048, 'x') }
+    ];
+
+    const zipped = readArchive(buildZip(files), 'repo.zip', { maxFileBytes: 1024 });
+    expect(zipped).toEqual([{ path: 'src/app.js', content: files[0].content }]);
+
+    const tarred = readArchive(zlib.gzipSync(buildTar(files)), 'repo.tgz', { maxFileBytes: 1024 });
+    expect(tarred).toEqual([{ path: 'src/app.js', content: files[0].content }]);
+  });
+
+  test('should reject archives that decompress past their caps as INVALID_ARCHIVE', () => {
+    const bomb = Buffer.alloc(1024 * 1024);
+
+    const lyingZip = buildZip([{ path: 'small.txt', content: bomb, declaredSize: 10 }]);
+    expect(() => readArchive(lyingZip, 'repo.zip', { maxFileBytes: 1024 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ARCHIVE', message: 'Zip entry small.txt expands beyond 10 bytes' }));
+
+    const largeZip = buildZip([
+      { path: 'a.txt', content: Buffer.alloc(600) },
+      { path: 'b.txt', content: Buffer.alloc(600) }
+    ]);
+    expect(() => readArchive(largeZip, 'repo.zip', { maxFileBytes: 1024, maxTotalBytes: 1000 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ARCHIVE', message: 'Archive expands beyond 1000 bytes' }));
+
+    const tarBomb = zlib.gzipSync(buildTar([{ path: 'zeros.bin', content: bomb }]));
+    expect(() => readArchive(tarBomb, 'repo.tar.gz', { maxTotalBytes: 64 * 1024 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ARCHIVE', message: `Archive expands beyond ${64 * 1024} bytes` }));
+
+    expect(() => readArchive(Buffer.from('not gzip data'), 'repo.tgz'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ARCHIVE' }));
+  });
+});
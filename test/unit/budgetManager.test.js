@@ -0,0 +1,28 @@
+const { UsageLedger } = require('../../src/services/usageLedger');
+const { BudgetManager } = require('../../src/services/budgetManager');
+
+const budgetConfig = {
+  onExhausted: 'refuse',
+  downgradeTier: 'simple',
+  defaults: { user: { daily: 1, monthly: null }, team: { daily: null, monthly: null } },
+  users: {},
+  teams: {}
+};
+
+describe('Budget Manager', () => {
+  test('should reject unknown downgrade tiers and limits that are not finite non-negative numbers', () => {
+    const budgets = new BudgetManager(budgetConfig, new UsageLedger());
+    
+    expect(() => budgets.setPolicy({ downgradeTier: 'cheapest' })).toThrow('Invalid downgrade tier "cheapest"');
+    expect(budgets.setPolicy({ downgradeTier: 'medium' })).toEqual({ onExhausted: 'refuse', downgradeTier: 'medium' });
+    
+    expect(() => budgets.setBudget('user', 'user-1', { daily: NaN })).toThrow('daily budget must be a non-negative number or null');
+    expect(() => budgets.setBudget('user', 'user-1', { monthly: Infinity })).toThrow('monthly budget must be a non-negative number or null');
+    expect(budgets.getLimits('user', 'user-1')).toEqual({ daily: 1, monthly: null });
+    
+    // e.g. AI_USER_DAILY_BUDGET=abc
+    const misconfigured = { ...budgetConfig, defaults: { ...budgetConfig.defaults, user: { daily: NaN, monthly: null } } };
+    expect(() => new BudgetManager(misconfigured, new UsageLedger())).toThrow('Default user daily budget must be a non-negative number or null');
+    expect(() => new BudgetManager({ ...budgetConfig, downgradeTier: 'free' }, new UsageLedger())).toThrow('Invalid downgrade tier "free"');
+  });
+});
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const express = require('express');
+const driveService = require('../../src/utils/googleDriveService');
+const ChatSession = require('../../src/services/chatSession');
+const sessionStore = require('../../src/services/sessionStore');
+const chatRoutes = require('../../src/routes/chatRoutes');
+
+jest.mock('../../src/utils/googleDriveService', () => ({ createOrUpdateFile: jest.fn() }));
+
+describe('Chat Routes', () => {
+  let server;
+  let base;
+  
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: req.headers['x-user'] || 'user-1' };
+      next();
+    });
+    app.use('/api/chat', chatRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}/api/chat`;
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  test('should return history in pages and export the whole session to Drive', async () => {
+    const session = await new ChatSession('user-1').initialize();
+    for (let i = 1; i <= 3; i++) {
+      await session.addMessage('user', `Question ${i}`);
+      await session.addMessage('assistant', { content: `Answer ${i}`, model: 'gemini-1.5-pro' });
+    }
+    
+    const page = await axios.get(`${base}/history?sessionId=${session.sessionId}&limit=4`);
+    expect(page.data.history.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(page.data.history[0].content).toBe('Question 2');
+    expect(page.data.hasMore).toBe(true);
+    const older = await axios.get(`${base}/history?sessionId=${session.sessionId}&limit=4&before=${page.data.nextCursor}`);
+    expect(older.data).toEqual(expect.objectContaining({ hasMore: false, nextCursor: null }));
+    expect(older.data.history.map(message => message.role)).toEqual(['system', 'user', 'assistant']);
+    
+    driveService.createOrUpdateFile.mockResolvedValue('file-1');
+    const exported = await axios.post(`${base}/export`, { sessionId: session.sessionId });
+    
+    expect(exported.data).toEqual({ success: true, fileId: 'file-1', sessionId: session.sessionId });
+    const [name, json, mimeType, folder] = driveService.createOrUpdateFile.mock.calls[0];
+    expect([name, mimeType, folder]).toEqual([`${session.sessionId}.json`, 'application/json', 'project-crew-ai/chats/user-1']);
+    expect(JSON.parse(json).history).toHaveLength(7);
+    
+    const foreign = await axios.post(`${base}/export`, { sessionId: session.sessionId }, {
+      headers: { 'x-user': 'user-2' },
+      validateStatus: () => true
+    });
+    expect(foreign.status).toBe(404);
+    expect(driveService.createOrUpdateFile).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should list, rename, archive, search and delete sessions for the current user only', async () => {
+    const headers = { 'x-user': 'user-3' };
+    const sessionIds = ['chat-r1', 'chat-r2', 'chat-r3'];
+    for (const sessionId of sessionIds) {
+      await sessionStore.createSession('user-3', { sessionId });
+      await sessionStore.appendMessage('user-3', sessionId, { role: 'user', content: `Roadmap question in ${sessionId}` });
+    }
+    
+    const first = await axios.get(`${base}/sessions?limit=2`, { headers });
+    expect(first.data.sessions).toHaveLength(2);
+    expect(first.data.hasMore).toBe(true);
+    const rest = await axios.get(`${base}/sessions?limit=2&before=${encodeURIComponent(first.data.nextCursor)}`, { headers });
+    const listed = [...first.data.sessions, ...rest.data.sessions].map(session => session.sessionId);
+    expect(listed.sort()).toEqual([...sessionIds].sort());
+    
+    const [target] = sessionIds;
+    const renamed = await axios.patch(`${base}/sessions/${target}`, { title: 'Roadmap', archived: true }, { headers });
+    expect(renamed.data.session).toEqual(expect.objectContaining({ title: 'Roadmap', archived: true }));
+    const archived = await axios.get(`${base}/sessions?archived=true`, { headers });
+    expect(archived.data.sessions.map(session => session.sessionId)).toEqual([target]);
+    
+    const search = await axios.get(`${base}/search?q=roadmap`, { headers });
+    expect(search.data.results).toHaveLength(3);
+    
+    const foreignOptions = { validateStatus: () => true };
+    expect((await axios.patch(`${base}/sessions/${target}`, { title: 'Mine' }, foreignOptions)).status).toBe(404);
+    expect((await axios.delete(`${base}/sessions/${target}`, foreignOptions)).status).toBe(404);
+    expect((await axios.get(`${base}/search?q=roadmap`)).data.results).toEqual([]);
+    
+    expect((await axios.delete(`${base}/sessions/${target}`, { headers })).data).toEqual({ success: true });
+    expect((await axios.get(`${base}/sessions?archived=true`, { headers })).data.sessions).toEqual([]);
+  });
+  
+  test('should reject malformed page cursors with 400 INVALID_CURSOR', async () => {
+    await sessionStore.createSession('user-4', { sessionId: 'chat-c1' });
+    const options = { headers: { 'x-user': 'user-4' }, validateStatus: () => true };
+    
+    const sessions = await axios.get(`${base}/sessions?before=not-a-cursor`, options);
+    expect(sessions.status).toBe(400);
+    expect(sessions.data).toEqual({ error: 'Invalid session cursor: not-a-cursor', code: 'INVALID_CURSOR' });
+    
+    const history = await axios.get(`${base}/history?sessionId=chat-c1&before=not-a-cursor`, options);
+    expect(history.status).toBe(400);
+    expect(history.data).toEqual({ error: 'Invalid history cursor: not-a-cursor', code: 'INVALID_CURSOR' });
+  });
+});
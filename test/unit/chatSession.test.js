@@ -0,0 +1,34 @@
+const ChatSession = require('../../src/services/chatSession');
+const { ConversationMemory } = require('../../src/services/conversationMemory');
+const { MemorySessionStore } = require('../../src/services/sessionStore');
+
+describe('Chat Session', () => {
+  test('should use the text of stored handler results in the conversation and summary prompt', async () => {
+    const session = await new ChatSession('user-1', null, new MemorySessionStore()).initialize();
+    await session.addMessage('user', 'What does the rental portal need?');
+    await session.addMessage('assistant', { content: [{ type: 'text', text: 'Vehicle listings and bookings.' }], model: 'claude-3-sonnet', type: 'claude' });
+    await session.addMessage('user', 'And payments?');
+    await session.addMessage('assistant', { content: 'Card payments through Stripe.', model: 'gemini-1.5-pro', type: 'gemini' });
+    
+    expect(session.getConversation().messages).toEqual([
+      { role: 'user', content: 'What does the rental portal need?' },
+      { role: 'assistant', content: 'Vehicle listings and bookings.' },
+      { role: 'user', content: 'And payments?' },
+      { role: 'assistant', content: 'Card payments through Stripe.' }
+    ]);
+    
+    const memory = new ConversationMemory({
+      summarizerTier: 'simple',
+      summarizeAfterTokens: 1,
+      keepRecentMessages: 0,
+      maxSummaryTokens: 100,
+      historyTokens: 100
+    });
+    const summarize = jest.fn().mockResolvedValue('Portal needs listings, bookings and card payments.');
+    await session.refreshSummary(memory, summarize);
+    
+    const prompt = summarize.mock.calls[0][0];
+    expect(prompt).toContain('assistant: Vehicle listings and bookings.');
+    expect(prompt).not.toContain('[object Object]');
+  });
+});
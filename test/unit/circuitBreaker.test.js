@@ -0,0 +1,39 @@
+const CircuitBreaker = require('../../src/services/circuitBreaker');
+
+describe('Circuit Breaker', () => {
+  test('should open after the failure threshold and let one trial through after the cooldown', () => {
+    const breaker = new CircuitBreaker('claude', { failureThreshold: 2, cooldownMs: 0 });
+    
+    breaker.recordFailure('server');
+    expect(breaker.getStatus().state).toBe('closed');
+    breaker.recordFailure('server');
+    expect(breaker.getStatus().state).toBe('open');
+    
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getStatus().state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(false);
+    
+    breaker.recordFailure('timeout');
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'open', lastErrorType: 'timeout' }));
+  });
+
+  test('should close when a half-open trial is refused without a provider failure', () => {
+    const breaker = new CircuitBreaker('claude', { failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure('server');
+    expect(breaker.canRequest()).toBe(true);
+    
+    breaker.recordRejection();
+    
+    expect(breaker.getStatus()).toEqual({ state: 'closed', failures: 0, lastErrorType: null, retryAt: null });
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('should not count refusals against a closed circuit', () => {
+    const breaker = new CircuitBreaker('claude', { failureThreshold: 2 });
+    breaker.recordFailure('server');
+    
+    breaker.recordRejection();
+    
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'closed', failures: 1 }));
+  });
+});
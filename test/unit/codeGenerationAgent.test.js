@@ -0,0 +1,30 @@
+const CodeGenerationAgent = require('../../src/agents/codeGenerationAgent');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Code Generation Agent', () => {
+  test('should generate a Jest suite with per-test coverage and reject unsupported languages', async () => {
+    const agent = new CodeGenerationAgent('test-key');
+    agent._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_test_suite',
+        input: {
+          test_code: "const { total } = require('./orders');\ntest('sums amounts', () => expect(total([{ amount: 2 }])).toBe(2));",
+          file_name: 'orders.test.js',
+          tests: [{ name: 'sums amounts', kind: 'happy_path', covers: ['loop over orders'] }],
+          uncovered_paths: ['empty orders list'],
+          setup_instructions: 'npx jest orders.test.js'
+        }
+      }]
+    });
+    
+    const suite = await agent.generateTests('const total = orders => orders.reduce((sum, o) => sum + o.amount, 0);\nmodule.exports = { total };');
+    
+    expect(agent._callClaudeAPI.mock.calls[0][1][0].content[0].text).toContain('Write a Jest test suite');
+    expect(suite).toEqual(expect.objectContaining({ language: 'javascript', framework: 'jest', file_name: 'orders.test.js' }));
+    expect(suite.tests[0].covers).toEqual(['loop over orders']);
+    await expect(agent.generateTests('print("hi")', { language: 'python' })).rejects.toMatchObject({ code: 'UNSUPPORTED_TEST_LANGUAGE' });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const codeIndexer = require('../../src/services/codeIndexer');
+const CodeSearchAgent = require('../../src/agents/codeSearchAgent');
+
+describe('Code Indexer', () => {
+  test('should index a checkout and answer code searches with real files and line ranges', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-index-'));
+    fs.mkdirSync(path.join(root, 'rentals'));
+    fs.mkdirSync(path.join(root, 'node_modules'));
+    fs.writeFileSync(path.join(root, 'rentals', 'approval.dg'), [
+      '// Rental approval',
+      'void approveRental(int rentalId)',
+      '{',
+      '  rental = Rentals[ID == rentalId];',
+      '  rental.Status = "Approved";',
+      '}',
+      '',
+      '// Reject a rental request',
+      'void rejectRental(int rentalId)',
+      '{',
+      '  rental = Rentals[ID == rentalId];',
+      '  rental.Status = "Rejected";',
+      '}'
+    ].join('\n'));
+    fs.writeFileSync(path.join(root, 'users.js'), 'function listActiveUsers(users) {\n  return users.filter(user => user.active);\n}\n');
+    fs.writeFileSync(path.join(root, 'node_modules', 'dependency.js'), 'function approveRental() {}\n');
+    
+    const originalConfig = codeIndexer.config;
+    codeIndexer.config = { ...originalConfig, allowedRoots: [root] };
+    let index;
+    try {
+      await expect(codeIndexer.createIndex({ source: { type: 'path', path: os.homedir() } }))
+        .rejects.toMatchObject({ code: 'CODE_INDEX_PATH_NOT_ALLOWED' });
+      
+      index = await codeIndexer.createIndex({ name: 'rentals', source: { type: 'path', path: root } });
+      expect(index).toEqual(expect.objectContaining({ fileCount: 2, chunkCount: 3 }));
+      
+      const chunks = await codeIndexer.search(index.indexId, 'approve rental', { topK: 2 });
+      expect(chunks[0]).toEqual(expect.objectContaining({
+        id: 'rentals/approval.dg:1-6',
+        file: 'rentals/approval.dg',
+        symbol: 'approveRental',
+        startLine: 1,
+        endLine: 6
+      }));
+      
+      const agent = new CodeSearchAgent('test-key');
+      const answer = { relevance: 'High', explanation: 'Sets the status to Approved' };
+      agent._callClaudeAPI = jest.fn()
+        .mockResolvedValueOnce({
+          content: [{ type: 'tool_use', id: 'call-1', name: 'record_search_results', input: { relevant_snippets: [{ ...answer, chunk_id: 'rental_processing.dg' }], summary: 'One match', suggestions: [] } }]
+        })
+        .mockResolvedValueOnce({
+          content: [{ type: 'tool_use', id: 'call-2', name: 'record_search_results', input: { relevant_snippets: [{ ...answer, chunk_id: chunks[0].id }], summary: 'One match', suggestions: [] } }]
+        });
+      
+      const result = await agent.searchCode('approve rental', { indexId: index.indexId });
+      
+      // Snippets the index did not return are rejected and repaired
+      expect(agent._callClaudeAPI).toHaveBeenCalledTimes(2);
+      expect(agent._callClaudeAPI.mock.calls[0][1][0].content[0].text).toContain('[rentals/approval.dg:1-6] rentals/approval.dg lines 1-6');
+      expect(result.relevant_snippets).toEqual([expect.objectContaining({
+        filename: 'rentals/approval.dg',
+        start_line: 1,
+        end_line: 6,
+        code: expect.stringContaining('rental.Status = "Approved";'),
+        relevance: 'High'
+      })]);
+      expect(result.index.indexId).toBe(index.indexId);
+      
+      agent._callClaudeAPI.mockClear();
+      const empty = await agent.searchCode('invoice totals', { indexId: index.indexId });
+      expect(empty.relevant_snippets).toEqual([]);
+      expect(agent._callClaudeAPI).not.toHaveBeenCalled();
+    } finally {
+      codeIndexer.config = originalConfig;
+      if (index) await codeIndexer.deleteIndex(index.indexId);
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+
+describe('Code Review Agent', () => {
+  test('should review a multi-file diff hunk by hunk with file paths and new-side line numbers', async () => {
+    const diff = [
+      'diff --git a/src/orders.js b/src/orders.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/orders.js',
+      '+++ b/src/orders.js',
+      '@@ -10,4 +10,5 @@ function total(orders) {',
+      '   let sum = 0;',
+      '-  orders.forEach(o => sum += o.amount);',
+      '+  orders.forEach(o => sum += o.amount * o.qty);',
+      '+  console.log(sum);',
+      '   return sum;',
+      ' }',
+      'diff --git a/scripts/notify.dg b/scripts/notify.dg',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/scripts/notify.dg',
+      '@@ -0,0 +1,4 @@',
+      '+void notify(string email)',
+      '+{',
+      '+  for each row of rows { info row; }',
+      '+}',
+      'diff --git a/old.txt b/old.txt',
+      'deleted file mode 100644',
+      '--- a/old.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-gone',
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ'
+    ].join('\n');
+    const reply = (id, input) => ({ content: [{ type: 'tool_use', id, name: 'record_diff_review', input }] });
+    const issue = line => ({ type: 'bug', severity: 'medium', line, description: 'Problem', suggestion: 'Fix it' });
+    
+    const agent = new CodeReviewAgent('test-key');
+    agent._callClaudeAPI = jest.fn(async (system, messages) => {
+      const prompt = messages[0].content[0].text;
+      if (prompt.includes('src/orders.js')) {
+        // The first answer points outside the hunk and is repaired
+        return messages.length === 1
+          ? reply('call-1', { overall_assessment: 'Logs totals', quality_score: 8, issues: [issue(40)] })
+          : reply('call-2', { overall_assessment: 'Logs totals', quality_score: 8, issues: [issue(12)] });
+      }
+      return reply('call-1', { overall_assessment: 'Broken loop', quality_score: 3, issues: [issue(3)] });
+    });
+    
+    const review = await agent.reviewDiff(diff, {
+      files: { 'scripts/notify.dg': 'void notify(string email)\n{\n  for each row of rows { info row; }\n}' }
+    });
+    
+    const ordersPrompt = agent._callClaudeAPI.mock.calls.find(([, messages]) => messages[0].content[0].text.includes('src/orders.js'))[1][0].content[0].text;
+    expect(ordersPrompt).toContain('Hunk 1 (@@ -10,4 +10,5 @@ function total(orders) {)');
+    expect(ordersPrompt).toContain('11 +   orders.forEach(o => sum += o.amount * o.qty);');
+    expect(ordersPrompt).toContain('   -   orders.forEach(o => sum += o.amount);');
+    const delugePrompt = agent._callClaudeAPI.mock.calls.find(([, messages]) => messages[0].content[0].text.includes('scripts/notify.dg'))[1][0].content[0].text;
+    expect(delugePrompt).toContain('Line 3, column 16: error (for-each)');
+    
+    expect(review.issues).toEqual([
+      expect.objectContaining({ file: 'scripts/notify.dg', line: 3 }),
+      expect.objectContaining({ file: 'src/orders.js', line: 12 })
+    ]);
+    expect(review.files.map(file => [file.path, file.change])).toEqual([['src/orders.js', 'modified'], ['scripts/notify.dg', 'added']]);
+    expect(review.files[1].static_analysis.valid).toBe(false);
+    expect(review.skipped).toEqual([{ path: 'old.txt', reason: 'file deleted' }, { path: 'logo.png', reason: 'binary file' }]);
+    expect(review.summary).toEqual({ files_reviewed: 2, files_degraded: 0, files_skipped: 2, issues: 2, quality_score: 5.5 });
+    
+    await expect(agent.reviewDiff('just some text')).rejects.toMatchObject({ code: 'INVALID_DIFF' });
+  });
+});
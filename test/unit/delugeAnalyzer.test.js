@@ -0,0 +1,72 @@
+const { analyzeDeluge } = require('../../src/utils/delugeAnalyzer');
+const CodeGenerationAgent = require('../../src/agents/codeGenerationAgent');
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+const OrchestratorAgent = require('../../src/agents/orchestratorAgent');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Deluge Analyzer', () => {
+  test('should statically analyze generated Deluge and run one repair round on errors', async () => {
+    const broken = analyzeDeluge([
+      'void notify(string email)',
+      '{',
+      '  rows = zoho.creator.getRecordById("owner", "app", "All_Orders");',
+      '  for each row of rows',
+      '  {',
+      '    info row;',
+      '  }',
+      '  total = total + 1',
+      '}'
+    ].join('\n'));
+    
+    expect(broken.valid).toBe(false);
+    expect(broken.diagnostics).toEqual([
+      expect.objectContaining({ severity: 'error', rule: 'zoho-creator-call', line: 3 }),
+      expect.objectContaining({ severity: 'error', rule: 'for-each', line: 4, message: expect.stringContaining('Expected "in"') }),
+      expect.objectContaining({ severity: 'warning', rule: 'undeclared-variable', line: 8, message: '"total" is used before it is assigned' }),
+      expect.objectContaining({ severity: 'error', rule: 'syntax', line: 8, message: 'Missing ";" at the end of the statement' })
+    ]);
+    expect(analyzeDeluge('if (a > 1) {\n  info a;\n').diagnostics).toEqual([
+      expect.objectContaining({ rule: 'balanced-blocks', line: 1, column: 12 })
+    ]);
+    
+    const answer = code => ({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_generated_code',
+        input: { code, explanation: 'Totals open orders', usage_instructions: 'Run it', assumptions: [], potential_improvements: [] }
+      }]
+    });
+    const agent = new CodeGenerationAgent('test-key');
+    agent._callClaudeAPI = jest.fn()
+      .mockResolvedValueOnce(answer('total = 0;\nfor (i = 0; i < 3; i++) { total = total + i; }'))
+      .mockResolvedValueOnce(answer('total = 0;\nfor each i in {0, 1, 2}\n{\n  total = total + i;\n}'));
+    
+    const result = await agent.generateCode('Add up the first three numbers');
+    
+    expect(agent._callClaudeAPI).toHaveBeenCalledTimes(2);
+    const repairPrompt = agent._callClaudeAPI.mock.calls[1][1][0].content[0].text;
+    expect(repairPrompt).toContain('Line 2, column 1: error (for-each) Deluge has no C-style for loop');
+    expect(repairPrompt).toContain('Add up the first three numbers');
+    expect(result.code).toContain('for each i in');
+    expect(result.static_analysis).toEqual({ valid: true, diagnostics: [], repair_attempted: true });
+    
+    const reply = new OrchestratorAgent({}).formatForChat(result, 'CodeGenerationAgent', 'generateCode');
+    expect(reply).toContain('Deluge static analysis passed after one automatic repair.');
+    
+    const reviewer = new CodeReviewAgent('test-key');
+    reviewer._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_code_review',
+        input: { overall_assessment: 'Broken loop', quality_score: 3, issues: [], strengths: [], improvement_suggestions: [] }
+      }]
+    });
+    const review = await reviewer.reviewCode('for (i = 0; i < 3; i++) { info i; }', 'deluge');
+    
+    expect(reviewer._callClaudeAPI.mock.calls[0][1][0].content[0].text).toContain('error (for-each)');
+    expect(review.static_analysis.valid).toBe(false);
+  });
+});
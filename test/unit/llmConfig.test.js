@@ -0,0 +1,42 @@
+const { LlmClient } = require('../../src/services/llmClient');
+
+describe('LLM Client Configuration', () => {
+  const originalEnv = process.env;
+  
+  const loadConfig = env => {
+    process.env = { ...originalEnv, ...env };
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../src/config/llm');
+    });
+    return config;
+  };
+  
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+  
+  test('should keep the built-in provider timeouts when no timeout is set', () => {
+    const config = loadConfig({ LLM_TIMEOUT_MS: '', LLM_CLAUDE_TIMEOUT_MS: '' });
+    
+    expect(config.defaults.timeoutMs).toBe(60000);
+    expect(config.providers.claude.timeoutMs).toBe(120000);
+    expect(config.providers.deepseek.timeoutMs).toBe(180000);
+  });
+  
+  test('should let LLM_TIMEOUT_MS and per-provider variables override the provider timeouts', async () => {
+    const config = loadConfig({ LLM_TIMEOUT_MS: '15000', LLM_DEEPSEEK_TIMEOUT_MS: '30000' });
+    
+    expect(config.providers).toEqual(expect.objectContaining({
+      claude: expect.objectContaining({ timeoutMs: 15000 }),
+      gemini: expect.objectContaining({ timeoutMs: 15000 }),
+      deepseek: expect.objectContaining({ timeoutMs: 30000 })
+    }));
+    
+    const transport = jest.fn().mockResolvedValue({ status: 200, data: {} });
+    const client = new LlmClient({ config, transport });
+    await client.request('claude', { url: 'https://example.test/messages', data: {} });
+    
+    expect(transport).toHaveBeenCalledWith(expect.objectContaining({ timeout: 15000 }));
+  });
+});
@@ -0,0 +1,76 @@
+const axios = require('axios');
+const express = require('express');
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+const OrchestratorAgent = require('../../src/agents/orchestratorAgent');
+const codeReviewRoutes = require('../../src/routes/codeReviewRoutes');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Patch Applier', () => {
+  test('should suggest improvements as patches that are checked against the code and can be applied', async () => {
+    const code = [
+      'function total(orders) {',
+      '  let sum = 0;',
+      '  for (let i = 0; i < orders.length; i++) {',
+      '    sum += orders[i].amount;',
+      '  }',
+      '  return sum;',
+      '}'
+    ].join('\n');
+    // Header counts are wrong on purpose; only the hunk body matters
+    const clean = '--- a/code\n+++ b/code\n@@ -2,9 +2,9 @@\n   let sum = 0;\n-  for (let i = 0; i < orders.length; i++) {\n-    sum += orders[i].amount;\n-  }\n+  orders.forEach(order => { sum += order.amount; });\n   return sum;';
+    const stale = '--- a/code\n+++ b/code\n@@ -1,2 +1,2 @@\n-function sum(orders) {\n+function sumOrders(orders) {\n   let sum = 0;';
+    
+    const agent = new CodeReviewAgent('test-key');
+    agent._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_improvement_suggestions',
+        input: {
+          refactoring: [
+            { description: 'Use forEach', patch: clean, benefits: ['Shorter'] },
+            { description: 'Rename', patch: stale, benefits: ['Clearer'] }
+          ],
+          optimizations: [],
+          design_patterns: [],
+          modern_features: [],
+          error_handling: []
+        }
+      }]
+    });
+    
+    const suggestions = await agent.suggestImprovements(code, 'javascript');
+    
+    expect(agent._callClaudeAPI.mock.calls[0][1][0].content[0].text).toContain('"--- a/code" and "+++ b/code"');
+    expect(suggestions.refactoring[0]).toEqual(expect.objectContaining({ applies: true }));
+    expect(suggestions.refactoring[1]).toEqual(expect.objectContaining({
+      applies: false,
+      apply_error: 'Hunk 1 (@@ -1,2 @@) does not match the code'
+    }));
+    const formatted = new OrchestratorAgent({}).formatRefactoring(suggestions.refactoring);
+    expect(formatted).toContain('Applies cleanly');
+    expect(formatted).toContain('```diff\n--- a/code');
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/code-review', codeReviewRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/code-review/apply-patch`;
+    
+    try {
+      const applied = await axios.post(url, { code, patch: clean });
+      expect(applied.data).toEqual({
+        code: 'function total(orders) {\n  let sum = 0;\n  orders.forEach(order => { sum += order.amount; });\n  return sum;\n}',
+        applied: 1
+      });
+      
+      const conflict = await axios.post(url, { code, patches: [clean, stale] }, { validateStatus: () => true });
+      expect(conflict.status).toBe(409);
+      expect(conflict.data).toEqual(expect.objectContaining({ code: 'PATCH_CONFLICT', patchIndex: 1 }));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
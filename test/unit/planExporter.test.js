@@ -0,0 +1,85 @@
+const http = require('http');
+const planExportConfig = require('../../src/config/planExport');
+const { PlanExporter } = require('../../src/services/planExporter');
+const PlanningAgent = require('../../src/agents/planningAgent');
+const { schedulePlan } = require('../../src/utils/sprintScheduler');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Plan Exporter', () => {
+  test('should export plans to Jira with dry runs and epic links, and to CSV', async () => {
+    const plan = schedulePlan(new PlanningAgent('test-key')._generateMockResponse(), []);
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: String(10000 + received.length), key: `RENT-${received.length}` }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    const exporter = new PlanExporter({
+      config: {
+        ...planExportConfig,
+        dryRun: false,
+        jira: {
+          ...planExportConfig.jira,
+          baseUrl,
+          projectKey: 'RENT',
+          email: 'pm@example.com',
+          apiToken: 'secret-token',
+          fields: { epicLink: 'parent', storyPoints: 'customfield_10016', sprint: 'customfield_10020' },
+          sprintIds: { 1: 37 }
+        }
+      }
+    });
+    
+    try {
+      const dryRun = await exporter.export(plan, { format: 'jira', dryRun: true });
+      expect(received).toHaveLength(0);
+      expect(dryRun.requests).toHaveLength(4);
+      expect(dryRun.requests[1]).toEqual(expect.objectContaining({
+        method: 'post',
+        url: `${baseUrl}/rest/api/3/issue`,
+        headers: expect.objectContaining({ Authorization: 'Basic <base64 of email:api token>' })
+      }));
+      expect(dryRun.requests[1].data.fields).toEqual(expect.objectContaining({
+        project: { key: 'RENT' },
+        issuetype: { name: 'Story' },
+        summary: 'Vehicle Registration',
+        parent: { key: '<key of epic 1: Vehicle Database>' },
+        customfield_10016: 5,
+        customfield_10020: 37,
+        labels: ['US-1']
+      }));
+      expect(dryRun.requests[1].data.fields.description.content[1]).toEqual({
+        type: 'heading', attrs: { level: 3 }, content: [{ type: 'text', text: 'Acceptance criteria' }]
+      });
+      // Sprint 2 has no Jira sprint id, so it becomes a label
+      expect(dryRun.requests[3].data.fields.labels).toEqual(['US-2', 'sprint-2']);
+      
+      const sent = await exporter.export(plan, { format: 'jira' });
+      expect(received.map(request => request.body)).toEqual(sent.requests.map(request => request.data).map((data, index) =>
+        index === 1 ? { fields: { ...data.fields, parent: { key: 'RENT-1' } } } :
+        index === 3 ? { fields: { ...data.fields, parent: { key: 'RENT-3' } } } : data));
+      expect(received[0].authorization).toBe(`Basic ${Buffer.from('pm@example.com:secret-token').toString('base64')}`);
+      expect(sent.created.map(issue => [issue.type, issue.key, issue.storyId])).toEqual([
+        ['epic', 'RENT-1', null], ['story', 'RENT-2', 'US-1'], ['epic', 'RENT-3', null], ['story', 'RENT-4', 'US-2']
+      ]);
+      expect(sent.created[1].url).toBe(`${baseUrl}/browse/RENT-2`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    
+    const csv = exporter.toFile(plan, 'csv').content.split('\r\n');
+    expect(csv[0]).toBe('Issue Type,Issue Id,Summary,Description,Epic,Acceptance Criteria,Tasks,Story Points,Suggested Assignee,Sprint');
+    expect(csv[2]).toBe('Story,US-1,Vehicle Registration,"As a rental manager, I want to add new vehicles to the system so that they can be rented out",' +
+      'Vehicle Database,Can add vehicle details; Data validation works; Vehicle appears in available inventory,' +
+      'Create vehicle schema; Build registration API; Implement validation,5,Backend Developer,1');
+    await expect(exporter.export(plan, { format: 'linear' })).rejects.toMatchObject({ code: 'PLAN_EXPORT_NOT_CONFIGURED' });
+  });
+});
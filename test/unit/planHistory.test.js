@@ -0,0 +1,90 @@
+const axios = require('axios');
+const express = require('express');
+const planningRoutes = require('../../src/routes/planningRoutes');
+const PlanningAgent = require('../../src/agents/planningAgent');
+const { schedulePlan } = require('../../src/utils/sprintScheduler');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Plan History', () => {
+  test('should refine a stored plan with a story diff and keep versions to compare and roll back', async () => {
+    const agent = new PlanningAgent('test-key');
+    const original = agent._generateMockResponse();
+    const revised = JSON.parse(JSON.stringify(original));
+    Object.assign(revised.epics[0].user_stories[0], { title: 'Vehicle Registration Form', story_points: 3 });
+    revised.epics[0].user_stories.push({
+      ...revised.epics[0].user_stories[0],
+      id: 'US-3',
+      title: 'Vehicle Registration Validation',
+      story_points: 2
+    });
+    revised.epics[1].user_stories[0].pinned_sprint = 1;
+    const toolReply = (name, input) => ({ content: [{ type: 'tool_use', id: 'call-1', name, input }] });
+    agent._callClaudeAPI = jest.fn()
+      .mockResolvedValueOnce(toolReply('record_project_plan', original))
+      .mockResolvedValueOnce(toolReply('record_revised_plan', { ...revised, change_notes: ['Split US-1', 'Moved US-2 to sprint 1'] }));
+    
+    await agent.generateTasks('Car rental portal', 'Refine Demo');
+    const refined = await agent.refinePlan('Refine Demo', 'Split US-1 and move rentals to sprint 1');
+    
+    const prompt = agent._callClaudeAPI.mock.calls[1][1][0].content[0].text;
+    expect(prompt).toContain('"id": "US-2"');
+    expect(prompt).toContain('Split US-1 and move rentals to sprint 1');
+    expect(prompt).toContain('"sprint_plan"');
+    expect(refined.version).toBe(2);
+    expect(refined.plan.start_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(refined.plan).toEqual(schedulePlan(revised, [], { startDate: refined.plan.start_date }));
+    expect(refined.plan.sprint_plan.map(sprint => sprint.user_stories)).toEqual([['US-1', 'US-3', 'US-2']]);
+    expect(refined.notes).toEqual(['Split US-1', 'Moved US-2 to sprint 1']);
+    expect(refined.diff.added).toEqual([
+      { id: 'US-3', title: 'Vehicle Registration Validation', epic: 'Vehicle Database', sprint: 1, story_points: 2 }
+    ]);
+    expect(refined.diff.removed).toEqual([]);
+    expect(refined.diff.modified).toEqual([
+      {
+        id: 'US-1',
+        title: 'Vehicle Registration Form',
+        changes: [
+          { field: 'title', before: 'Vehicle Registration', after: 'Vehicle Registration Form' },
+          { field: 'story_points', before: 5, after: 3 }
+        ]
+      },
+      {
+        id: 'US-2',
+        title: 'Create Rental',
+        changes: [{ field: 'sprint', before: 2, after: 1 }, { field: 'pinned_sprint', before: undefined, after: 1 }]
+      }
+    ]);
+    expect(refined.diff.summary).toEqual({ added: 1, removed: 0, modified: 2, unchanged: 0, story_points: { before: 13, after: 13 } });
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/planning', planningRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/planning/plans/${encodeURIComponent('Refine Demo')}`;
+    
+    try {
+      const versions = await axios.get(`${base}/versions`);
+      expect(versions.data.versions.map(version => [version.version, version.source, version.changeRequest])).toEqual([
+        [2, 'refined', 'Split US-1 and move rentals to sprint 1'],
+        [1, 'generated', null]
+      ]);
+      expect(versions.data.versions[0].plan).toBeUndefined();
+      
+      const rolledBack = await axios.post(`${base}/rollback`, { version: 1 });
+      expect(rolledBack.data.version).toEqual(expect.objectContaining({ version: 3, source: 'rollback', plan: schedulePlan(original, [], { startDate: refined.plan.start_date }) }));
+      expect(rolledBack.data.version.diff.removed.map(story => story.id)).toEqual(['US-3']);
+      
+      const comparison = await axios.get(`${base}/compare?from=1`);
+      expect(comparison.data).toEqual(expect.objectContaining({ from: 1, to: 3 }));
+      expect(comparison.data.diff.summary).toEqual(expect.objectContaining({ added: 0, removed: 0, modified: 0, unchanged: 2 }));
+      
+      const missing = await axios.get(`${base}/versions/9`, { validateStatus: () => true });
+      expect(missing.status).toBe(404);
+      expect(missing.data.code).toBe('PLAN_VERSION_NOT_FOUND');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
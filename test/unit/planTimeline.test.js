@@ -0,0 +1,97 @@
+const axios = require('axios');
+const express = require('express');
+const planningRoutes = require('../../src/routes/planningRoutes');
+const { ProjectTimeline } = require('../../src/services/projectTimeline');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Plan Timeline', () => {
+  test('should lay a scheduled plan out as a timeline with its critical path, charts and a Docs export', async () => {
+    const story = (id, title, points, dependsOn = []) => ({
+      id,
+      title,
+      description: `As a user, I want ${title}`,
+      acceptance_criteria: ['Works'],
+      story_points: points,
+      required_role: 'Developer',
+      required_skills: [],
+      depends_on: dependsOn,
+      tasks: []
+    });
+    const plan = {
+      epics: [
+        { name: 'Fleet', description: 'Vehicles', user_stories: [story('US-1', 'Vehicle schema', 5), story('US-2', 'Vehicle API', 5, ['US-1']), story('US-3', 'Photos', 3)] },
+        { name: 'Rentals', description: 'Bookings', user_stories: [story('US-4', 'Booking flow', 8, ['US-2']), story('US-5', 'Photo gallery', 2, ['US-3'])] }
+      ]
+    };
+    const milestones = ['Beta launch 2026-02-01', 'Sign-off with stakeholders'];
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/planning', planningRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/planning`;
+    const timelineUrl = `${base}/plans/${encodeURIComponent('Timeline Demo')}/timeline`;
+    const query = milestones.map(milestone => `milestones=${encodeURIComponent(milestone)}`).join('&');
+    
+    try {
+      const invalid = await axios.post(`${base}/schedule`, { project: 'Timeline Demo', plan, startDate: '2026-02-30' }, { validateStatus: () => true });
+      expect(invalid.status).toBe(400);
+      const scheduled = await axios.post(`${base}/schedule`, { project: 'Timeline Demo', plan, startDate: '2026-01-05' });
+      expect(scheduled.data.result.plan.sprint_plan.map(sprint => [sprint.sprint_number, sprint.start_date, sprint.end_date])).toEqual([
+        [1, '2026-01-05', '2026-01-18'],
+        [2, '2026-01-19', '2026-02-01'],
+        [3, '2026-02-02', '2026-02-15']
+      ]);
+      expect(scheduled.data.result.plan.epics[1].user_stories[0]).toEqual(expect.objectContaining({ start_date: '2026-02-02', end_date: '2026-02-15' }));
+      
+      const { data } = await axios.get(`${timelineUrl}?${query}`);
+      expect(data.timeline).toEqual(expect.objectContaining({
+        start_date: '2026-01-05',
+        end_date: '2026-02-15',
+        critical_path: ['US-1', 'US-2', 'US-4'],
+        unscheduled: [],
+        milestones: [{ name: 'Beta launch 2026-02-01', date: '2026-02-01' }, { name: 'Sign-off with stakeholders', date: null }]
+      }));
+      expect(data.timeline.stories.map(item => [item.id, item.sprint, item.slack_days, item.critical])).toEqual([
+        ['US-1', 1, 0, true], ['US-2', 2, 0, true], ['US-3', 1, 14, false], ['US-4', 3, 0, true], ['US-5', 2, 14, false]
+      ]);
+      expect(data.mermaid.gantt.split('\n')).toEqual(expect.arrayContaining([
+        'gantt',
+        '    section Fleet',
+        '    US-1 Vehicle schema :crit, story_US_1, 2026-01-05, 14d',
+        '    US-3 Photos :story_US_3, 2026-01-05, 14d',
+        '    Beta launch 2026-02-01 :milestone, milestone_1, 2026-02-01, 0d'
+      ]));
+      expect(data.mermaid.graph.split('\n')).toEqual(expect.arrayContaining([
+        '    subgraph sprint_2["Sprint 2"]',
+        '        story_US_2["US-2: Vehicle API"]',
+        '    story_US_2 --> story_US_4',
+        '    class story_US_1,story_US_2,story_US_4 critical'
+      ]));
+      
+      const gantt = await axios.get(`${timelineUrl}/gantt.svg?${query}`);
+      expect(gantt.headers['content-type']).toMatch(/^image\/svg\+xml/);
+      expect(gantt.data.match(/<rect [^>]*fill="#d9534f"/g)).toHaveLength(3);
+      expect(gantt.data).toContain('<title>Beta launch 2026-02-01 (2026-02-01)</title>');
+      const graph = await axios.get(`${timelineUrl}/graph.svg`);
+      expect(graph.data.match(/<line /g)).toHaveLength(3);
+      const unknown = await axios.get(`${timelineUrl}/pie.svg`, { validateStatus: () => true });
+      expect(unknown.status).toBe(404);
+      expect(unknown.data.code).toBe('TIMELINE_CHART_NOT_FOUND');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+    
+    const drive = { createDocument: jest.fn().mockResolvedValue({ id: 'doc-1', name: 'Timeline Demo Timeline', webViewLink: 'https://docs.example/doc-1' }) };
+    const exported = await new ProjectTimeline({ drive }).exportToDocs('Timeline Demo', { milestones });
+    expect(exported.document.id).toBe('doc-1');
+    const [title, content, folder] = drive.createDocument.mock.calls[0];
+    expect([title, folder]).toEqual(['Timeline Demo Timeline', 'Timelines']);
+    expect(content).toContain('2026-01-05 to 2026-02-15 (3 sprints)\nCritical path: US-1 -> US-2 -> US-4');
+    expect(content).toContain('Sprint 1 (2026-01-05 to 2026-01-18)\n- US-1 Vehicle schema (5 points, Developer; critical)\n- US-3 Photos (3 points, Developer; 14 days slack)');
+    expect(content).toContain('- Sign-off with stakeholders\n');
+    expect(content).toContain('Gantt chart (Mermaid)\ngantt');
+  });
+});
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const http = require('http');
+const gitHostingConfig = require('../../src/config/gitHosting');
+const { PullRequestReviewer } = require('../../src/services/pullRequestReviewer');
+const { GitHubClient } = require('../../src/services/gitHostClients');
+const CodeReviewAgent = require('../../src/agents/codeReviewAgent');
+
+describe('Pull Request Reviewer', () => {
+  test('should review pull requests from signed webhooks and post inline comments to a stub git host', async () => {
+    const diff = [
+      'diff --git a/src/orders.js b/src/orders.js',
+      '--- a/src/orders.js',
+      '+++ b/src/orders.js',
+      '@@ -1,3 +1,4 @@',
+      ' function total(orders) {',
+      '+  console.log(orders);',
+      '   return orders.length;',
+      ' }'
+    ].join('\n');
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        if (req.url.endsWith('/pulls/7')) {
+          return res.end(diff);
+        }
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url.endsWith('/merge_requests/3')) {
+          return res.end(JSON.stringify({ diff_refs: { base_sha: 'base', start_sha: 'start', head_sha: 'head-2' } }));
+        }
+        if (req.url.includes('/merge_requests/3/diffs')) {
+          return res.end(JSON.stringify([{ old_path: 'src/orders.js', new_path: 'src/orders.js', new_file: false, deleted_file: false, diff: diff.split('\n').slice(3).join('\n') + '\n' }]));
+        }
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const apiUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    const agent = new CodeReviewAgent('test-key');
+    agent._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_diff_review',
+        input: {
+          overall_assessment: 'Adds debug logging',
+          quality_score: 6,
+          issues: [{ type: 'style', severity: 'low', line: 2, description: 'Debug logging left in', suggestion: 'Remove the console.log' }]
+        }
+      }]
+    });
+    const reviewer = new PullRequestReviewer({
+      agent,
+      config: {
+        ...gitHostingConfig,
+        github: { ...gitHostingConfig.github, apiUrl, token: 'gh-token', webhookSecret: 'gh-secret' },
+        gitlab: { ...gitHostingConfig.gitlab, apiUrl: `${apiUrl}/api/v4`, token: 'gl-token', webhookSecret: 'gl-secret' }
+      }
+    });
+    
+    const body = Buffer.from(JSON.stringify({
+      action: 'opened',
+      repository: { full_name: 'acme/shop' },
+      pull_request: { number: 7, head: { sha: 'head-1' }, title: 'Count orders', body: 'Adds logging', draft: false }
+    }));
+    const signature = `sha256=${crypto.createHmac('sha256', 'gh-secret').update(body).digest('hex')}`;
+    const headers = { 'x-github-event': 'pull_request', 'x-hub-signature-256': signature };
+    
+    try {
+      expect(() => reviewer.receive('github', { ...headers, 'x-hub-signature-256': 'sha256=forged' }, body))
+        .toThrow(expect.objectContaining({ code: 'WEBHOOK_SIGNATURE_INVALID' }));
+      expect(reviewer.receive('github', { ...headers, 'x-github-event': 'ping' }, body)).toEqual({ ignored: expect.any(String) });
+      
+      const { pullRequest } = reviewer.receive('github', headers, body);
+      expect(reviewer.receive('github', headers, body)).toEqual({ ignored: 'this commit has already been reviewed' });
+      const result = await reviewer.reviewPullRequest(pullRequest);
+      
+      expect(result.comments).toBe(1);
+      expect(agent._callClaudeAPI.mock.calls[0][1][0].content[0].text).toContain('"title": "Count orders"');
+      expect(received[0]).toEqual(expect.objectContaining({ method: 'GET', url: '/repos/acme/shop/pulls/7' }));
+      expect(received[0].headers).toEqual(expect.objectContaining({ accept: 'application/vnd.github.v3.diff', authorization: 'Bearer gh-token' }));
+      expect(received[1]).toEqual(expect.objectContaining({ method: 'POST', url: '/repos/acme/shop/pulls/7/reviews' }));
+      expect(received[1].body).toEqual({
+        commit_id: 'head-1',
+        event: 'COMMENT',
+        body: expect.stringContaining('**Quality score:** 6/10'),
+        comments: [{ path: 'src/orders.js', line: 2, side: 'RIGHT', body: expect.stringContaining('Debug logging left in') }]
+      });
+      
+      received.length = 0;
+      const mergeRequest = reviewer.receive('gitlab', { 'x-gitlab-token': 'gl-secret' }, Buffer.from(JSON.stringify({
+        object_kind: 'merge_request',
+        project: { id: 42, path_with_namespace: 'acme/shop' },
+        object_attributes: { iid: 3, action: 'open', title: 'Count orders', last_commit: { id: 'head-2' } }
+      }))).pullRequest;
+      await reviewer.reviewPullRequest(mergeRequest);
+      
+      const discussion = received.find(request => request.url === '/api/v4/projects/42/merge_requests/3/discussions');
+      expect(discussion.headers['private-token']).toBe('gl-token');
+      expect(discussion.body.position).toEqual({
+        position_type: 'text', base_sha: 'base', start_sha: 'start', head_sha: 'head-2',
+        old_path: 'src/orders.js', new_path: 'src/orders.js', new_line: 2
+      });
+      const note = received.find(request => request.url === '/api/v4/projects/42/merge_requests/3/notes');
+      expect(note.body.body).toContain('### src/orders.js');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+  
+  test('should page through GitLab merge request diffs and not repost comments after a partial failure', async () => {
+    const fileDiff = path => ({
+      old_path: path, new_path: path, new_file: false, deleted_file: false,
+      diff: '@@ -1,2 +1,3 @@\n const a = 1;\n+console.log(a);\n const b = 2;\n'
+    });
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url });
+        res.setHeader('Content-Type', 'application/json');
+        const [pathname, search] = req.url.split('?');
+        const page = Number(new URLSearchParams(search).get('page'));
+        if (pathname.endsWith('/merge_requests/3/diffs')) {
+          res.setHeader('x-next-page', page < 2 ? String(page + 1) : '');
+          return res.end(JSON.stringify([fileDiff(`src/page${page}.js`)]));
+        }
+        // Merge request 4 has more pages than the reviewer will fetch
+        if (pathname.endsWith('/merge_requests/4/diffs')) {
+          res.setHeader('x-next-page', String(page + 1));
+          return res.end(JSON.stringify([fileDiff(`src/page${page}.js`)]));
+        }
+        if (pathname.endsWith('/discussions') && received.filter(request => request.url.endsWith('/discussions')).length > 1) {
+          res.statusCode = 500;
+          return res.end(JSON.stringify({ message: 'discussion failed' }));
+        }
+        res.end(JSON.stringify({ diff_refs: { base_sha: 'base', start_sha: 'start', head_sha: 'head' } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const agent = new CodeReviewAgent('test-key');
+    agent._callClaudeAPI = jest.fn().mockResolvedValue({
+      content: [{
+        type: 'tool_use',
+        id: 'call-1',
+        name: 'record_diff_review',
+        input: {
+          overall_assessment: 'Adds debug logging',
+          quality_score: 6,
+          issues: [{ type: 'style', severity: 'low', line: 2, description: 'Debug logging left in', suggestion: 'Remove the console.log' }]
+        }
+      }]
+    });
+    const reviewer = new PullRequestReviewer({
+      agent,
+      config: {
+        ...gitHostingConfig,
+        gitlab: { ...gitHostingConfig.gitlab, apiUrl: `http://127.0.0.1:${server.address().port}/api/v4`, webhookSecret: 'gl-secret', maxDiffPages: 3 }
+      }
+    });
+    const deliver = iid => reviewer.receive('gitlab', { 'x-gitlab-token': 'gl-secret' }, Buffer.from(JSON.stringify({
+      object_kind: 'merge_request',
+      project: { id: 42, path_with_namespace: 'acme/shop' },
+      object_attributes: { iid, action: 'open', title: 'Log values', last_commit: { id: `head-${iid}` } }
+    })));
+    
+    try {
+      const { pullRequest } = deliver(3);
+      await expect(reviewer.reviewPullRequest(pullRequest)).rejects.toMatchObject({ code: 'GIT_HOST_REQUEST_FAILED', posted: 1 });
+      
+      const diffRequests = received.filter(request => request.url.includes('/merge_requests/3/diffs'));
+      expect(diffRequests.map(request => request.url)).toEqual([
+        '/api/v4/projects/42/merge_requests/3/diffs?per_page=100&page=1',
+        '/api/v4/projects/42/merge_requests/3/diffs?per_page=100&page=2'
+      ]);
+      expect(agent._callClaudeAPI).toHaveBeenCalledTimes(2);
+      // One comment is already on the merge request, so a redelivery must not review it again
+      expect(deliver(3)).toEqual({ ignored: 'this commit has already been reviewed' });
+      
+      received.length = 0;
+      const large = await reviewer.reviewPullRequest(deliver(4).pullRequest);
+      expect(large).toEqual({ review: null, comments: 0 });
+      expect(received.filter(request => request.url.includes('/diffs'))).toHaveLength(3);
+      expect(received[received.length - 1]).toEqual({ method: 'POST', url: '/api/v4/projects/42/merge_requests/4/notes' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+  
+  test('should keep comments off the diff in the summary and fall back to it when GitHub refuses the comments', async () => {
+    const diff = [
+      'diff --git a/src/orders.js b/src/orders.js',
+      '--- a/src/orders.js',
+      '+++ b/src/orders.js',
+      '@@ -1,2 +1,3 @@',
+      ' function total(orders) {',
+      '+  console.log(orders);',
+      ' }'
+    ].join('\n');
+    const issue = { file: 'src/orders.js', type: 'style', severity: 'low', description: 'Debug logging left in', suggestion: 'Remove it' };
+    const reviewer = new PullRequestReviewer({ agent: new CodeReviewAgent('test-key'), config: gitHostingConfig });
+    
+    const { comments, unplaced } = reviewer._buildComments(diff, [{ ...issue, line: 2 }, { ...issue, line: 40, description: 'Unused import' }]);
+    expect(comments.map(comment => comment.line)).toEqual([2]);
+    expect(unplaced).toEqual([expect.objectContaining({ line: 40, description: 'Unused import' })]);
+    
+    const transport = jest.fn()
+      .mockRejectedValueOnce({ response: { status: 422, data: { message: 'Line could not be resolved' } } })
+      .mockResolvedValueOnce({ status: 200, data: {} });
+    const client = new GitHubClient({ ...gitHostingConfig.github, apiUrl: 'https://github.test' }, transport);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    try {
+      await client.postReview({ repository: 'acme/shop', number: 7, headSha: 'head-1' }, { summary: '## Automated code review', comments });
+    } finally {
+      jest.restoreAllMocks();
+    }
+    
+    expect(transport).toHaveBeenCalledTimes(2);
+    const retry = transport.mock.calls[1][0].data;
+    expect(retry.comments).toBeUndefined();
+    expect(retry.body).toContain('**src/orders.js:2**');
+    expect(retry.body).toContain('Debug logging left in');
+  });
+});
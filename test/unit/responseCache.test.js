@@ -0,0 +1,162 @@
+const net = require('net');
+const axios = require('axios');
+const express = require('express');
+const cacheConfig = require('../../src/config/cache');
+const responseCache = require('../../src/services/responseCache');
+const aiProcessingRoutes = require('../../src/routes/aiProcessingRoutes');
+
+const { ResponseCache, RedisCacheBackend } = responseCache;
+
+jest.mock('../../src/utils/googleDriveService', () => ({ createOrUpdateFile: jest.fn() }));
+
+// Just enough of the Redis protocol for GET and SET; anything else is acknowledged
+function startRedisStub(port = 0) {
+  const values = new Map();
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('data', data => {
+      const lines = data.toString().split('\r\n');
+      for (let i = 0; i < lines.length && lines[i].startsWith('*'); ) {
+        const count = Number(lines[i].slice(1));
+        const args = [];
+        for (let arg = 0; arg < count; arg += 1) args.push(lines[i + 2 + arg * 2]);
+        i += 1 + count * 2;
+
+        const [command, key, value] = args;
+        if (command.toUpperCase() === 'GET') {
+          const stored = values.get(key);
+          socket.write(stored === undefined ? '$-1\r\n' : `$${Buffer.byteLength(stored)}\r\n${stored}\r\n`);
+        } else {
+          if (command.toUpperCase() === 'SET') values.set(key, value);
+          socket.write('+OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    stop: () => new Promise(done => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(done);
+    })
+  })));
+}
+
+describe('Response Cache', () => {
+  test('should share keys between prompts that differ only in whitespace, line endings or key order', () => {
+    const cache = new ResponseCache({ ...cacheConfig, redisUrl: null });
+    const request = { prompt: { code: 'let a = 1;\r\n\r\n\r\n\treturn a;  ', language: 'js' }, model: 'sonnet', temperature: 0.2 };
+
+    const key = cache.buildKey('codeExplain', request);
+    expect(key).toMatch(/^projectcrew:cache:codeExplain:[0-9a-f]{64}$/);
+    expect(cache.buildKey('codeExplain', { ...request, prompt: { language: 'js', code: 'let a = 1;\n\n return a;' } })).toBe(key);
+    expect(cache.buildKey('codeExplain', { ...request, temperature: 0.7 })).not.toBe(key);
+    expect(cache.buildKey('codeExplain', { ...request, model: 'opus' })).not.toBe(key);
+    expect(cache.buildKey('analyzeComplexity', request)).not.toBe(key);
+  });
+
+  test('should report hits and misses, honour no-cache and skip responses marked no-store', async () => {
+    const cache = new ResponseCache({ ...cacheConfig, redisUrl: null });
+    const handler = jest.fn((req, res) => {
+      if (req.body.degraded) res.set('Cache-Control', 'no-store');
+      res.json({ answer: `Answer ${handler.mock.calls.length}` });
+    });
+    const app = express();
+    app.use(express.json());
+    app.post('/explain', cache.route('codeExplain', req => ({ prompt: req.body.code, model: 'sonnet' })), handler);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/explain`;
+
+    try {
+      const miss = await axios.post(url, { code: 'a + b' });
+      expect(miss.headers['x-cache']).toBe('MISS');
+      expect(miss.data.metadata.cache).toEqual(expect.objectContaining({ hit: false, backend: 'memory' }));
+      await new Promise(resolve => setImmediate(resolve));
+
+      const hit = await axios.post(url, { code: '  a + b\n' });
+      expect(hit.headers['x-cache']).toBe('HIT');
+      expect(hit.data).toEqual({ answer: 'Answer 1', metadata: { cache: { ...miss.data.metadata.cache, hit: true } } });
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      const bypass = await axios.post(url, { code: 'a + b' }, { headers: { 'Cache-Control': 'no-cache' } });
+      expect(bypass.data.answer).toBe('Answer 2');
+
+      const degraded = await axios.post(url, { code: 'c', degraded: true });
+      expect(degraded.headers['x-cache']).toBeUndefined();
+      expect(degraded.data).toEqual({ answer: 'Answer 3' });
+      await axios.post(url, { code: 'c', degraded: true });
+      expect(handler).toHaveBeenCalledTimes(4);
+      expect(cache.getStats()).toEqual(expect.objectContaining({ hits: 1, misses: 4, errors: 0 }));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should fall back to memory while Redis is down and reconnect once it is back', async () => {
+    const redis = await startRedisStub();
+    const cache = new ResponseCache({ ...cacheConfig, redisUrl: null });
+    cache.redis = new RedisCacheBackend(`redis://127.0.0.1:${redis.port}`, { retryAfterMs: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      await cache.set('projectcrew:cache:test:a', { answer: 1 });
+      expect(await cache.get('projectcrew:cache:test:a')).toEqual(expect.objectContaining({ value: { answer: 1 } }));
+      expect(cache.getStats().backend).toBe('redis');
+
+      // The client retries the dropped connection, gives up and closes
+      await redis.stop();
+      for (let waited = 0; cache.redis.client.isOpen && waited < 5000; waited += 100) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      expect(await cache.get('projectcrew:cache:test:a')).toBeNull();
+      expect(cache.getStats()).toEqual(expect.objectContaining({ backend: 'memory', errors: 1 }));
+
+      const restarted = await startRedisStub(redis.port);
+      try {
+        await cache.set('projectcrew:cache:test:b', { answer: 2 });
+        expect(cache.getStats().backend).toBe('redis');
+      } finally {
+        if (cache.redis.client.isOpen) await cache.redis.client.disconnect();
+        await restarted.stop();
+      }
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should only let cache administrators clear the cache', async () => {
+    cacheConfig.adminEmails = ['admin@example.com'];
+    const clear = jest.spyOn(responseCache, 'clear').mockResolvedValue();
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1', emails: [{ value: req.headers['x-email'] }] };
+      next();
+    });
+    app.use('/api/ai', aiProcessingRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/ai/cache`;
+
+    try {
+      const stats = await axios.get(url, { headers: { 'X-Email': 'dev@example.com' } });
+      expect(stats.data).toEqual(expect.objectContaining({ backend: expect.any(String) }));
+
+      const refused = await axios.delete(url, { headers: { 'X-Email': 'dev@example.com' }, validateStatus: () => true });
+      expect(refused.status).toBe(403);
+      expect(clear).not.toHaveBeenCalled();
+
+      const cleared = await axios.delete(`${url}?namespace=codeExplain`, { headers: { 'X-Email': 'Admin@example.com' } });
+      expect(cleared.data.message).toBe('Response cache cleared');
+      expect(clear).toHaveBeenCalledWith('codeExplain');
+    } finally {
+      cacheConfig.adminEmails = [];
+      jest.restoreAllMocks();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const { ObjectId } = require('mongodb');
+const { MongoSessionStore, MemorySessionStore } = require('../../src/services/sessionStore');
+
+// Just enough of a MongoDB collection for the store's writes and index setup
+function fakeCollection(docs = []) {
+  return {
+    docs,
+    indexes: [],
+    dropIndex: jest.fn(async name => {
+      throw Object.assign(new Error(`index not found with name [${name}]`), { codeName: 'IndexNotFound' });
+    }),
+    createIndex: jest.fn(async function (keys) { this.indexes.push(keys); }),
+    insertOne: jest.fn(async function (doc) {
+      const insertedId = new ObjectId();
+      this.docs.push({ ...doc, _id: insertedId });
+      return { insertedId };
+    }),
+    updateOne: jest.fn(async function (filter, update) {
+      const doc = filter._id && this.docs.find(candidate => candidate._id === filter._id);
+      if (doc) Object.assign(doc, update.$set);
+    }),
+    // Only the text backfill reads through find()
+    find: jest.fn(function () {
+      return this.docs.filter(doc => doc.text === undefined);
+    })
+  };
+}
+
+describe('Memory Session Store', () => {
+  let store;
+  
+  beforeEach(() => {
+    store = new MemorySessionStore();
+  });
+  
+  test('should page history newest page first with the oldest message id as cursor', async () => {
+    await store.createSession('user-1', { sessionId: 'chat-1' });
+    for (let i = 1; i <= 5; i++) {
+      await store.appendMessage('user-1', 'chat-1', { role: i % 2 ? 'user' : 'assistant', content: `Message ${i}` });
+    }
+    
+    const latest = await store.getMessages('user-1', 'chat-1', { limit: 2 });
+    expect(latest.messages.map(message => message.content)).toEqual(['Message 4', 'Message 5']);
+    expect(latest).toEqual(expect.objectContaining({ hasMore: true, nextCursor: latest.messages[0].id }));
+    
+    const older = await store.getMessages('user-1', 'chat-1', { limit: 2, before: latest.nextCursor });
+    expect(older.messages.map(message => message.content)).toEqual(['Message 2', 'Message 3']);
+    
+    const oldest = await store.getMessages('user-1', 'chat-1', { limit: 2, before: older.nextCursor });
+    expect(oldest).toEqual({ messages: [expect.objectContaining({ content: 'Message 1' })], hasMore: false, nextCursor: null });
+  });
+  
+  test('should keep sessions and their messages private to their user', async () => {
+    await store.createSession('user-1', { sessionId: 'chat-1', context: { summary: null } });
+    await store.appendMessage('user-1', 'chat-1', { role: 'user', content: 'Hello', metadata: { source: 'test' } });
+    
+    expect(await store.getSession('user-2', 'chat-1')).toBeNull();
+    expect(await store.getMessages('user-2', 'chat-1')).toEqual({ messages: [], hasMore: false, nextCursor: null });
+    await expect(store.appendMessage('user-2', 'chat-1', { role: 'user', content: 'Hi' })).rejects.toThrow('Chat session not found');
+    
+    const session = await store.getSession('user-1', 'chat-1');
+    expect(session).toEqual(expect.objectContaining({ messageCount: 1, title: 'Hello', context: { summary: null } }));
+    expect((await store.getMessages('user-1', 'chat-1')).messages[0].metadata).toEqual({ source: 'test' });
+  });
+  
+  test('should page sessions that share an updatedAt without skipping any', async () => {
+    const sameTime = new Date('2024-05-01T10:00:00.000Z');
+    for (const sessionId of ['chat-a', 'chat-b', 'chat-c', 'chat-d']) {
+      await store.createSession('user-1', { sessionId });
+      await store.appendMessage('user-1', sessionId, { role: 'user', content: `Hello from ${sessionId}` });
+      store.sessions.get(sessionId).updatedAt = sameTime;
+    }
+    store.sessions.get('chat-a').updatedAt = new Date('2024-05-02T10:00:00.000Z');
+    await store.createSession('user-1', { sessionId: 'chat-empty' });
+    
+    const first = await store.listSessions('user-1', { limit: 2 });
+    expect(first.sessions.map(session => session.sessionId)).toEqual(['chat-a', 'chat-d']);
+    expect(first).toEqual(expect.objectContaining({ hasMore: true, nextCursor: '2024-05-01T10:00:00.000Z|chat-d' }));
+    
+    const second = await store.listSessions('user-1', { limit: 2, before: first.nextCursor });
+    expect(second.sessions.map(session => session.sessionId)).toEqual(['chat-c', 'chat-b']);
+    expect(second).toEqual(expect.objectContaining({ hasMore: false, nextCursor: null }));
+    
+    await expect(store.listSessions('user-1', { before: 'not-a-cursor' })).rejects.toThrow('Invalid session cursor');
+  });
+  
+  test('should rename, archive, search and delete only the owner\'s sessions', async () => {
+    await store.createSession('user-1', { sessionId: 'chat-1' });
+    await store.appendMessage('user-1', 'chat-1', { role: 'user', content: 'How do I deploy the widget service?' });
+    await store.appendMessage('user-1', 'chat-1', { role: 'assistant', content: { content: 'Deploy the widget with the deploy script.' } });
+    await store.createSession('user-2', { sessionId: 'chat-2' });
+    await store.appendMessage('user-2', 'chat-2', { role: 'user', content: 'Widget question from another user' });
+    
+    expect(await store.updateSession('user-2', 'chat-1', { title: 'Stolen' })).toBeNull();
+    const renamed = await store.updateSession('user-1', 'chat-1', { title: 'Widget deploys', archived: true });
+    expect(renamed).toEqual(expect.objectContaining({ sessionId: 'chat-1', title: 'Widget deploys', archived: true }));
+    expect((await store.listSessions('user-1')).sessions).toEqual([]);
+    expect((await store.listSessions('user-1', { archived: true })).sessions.map(session => session.title)).toEqual(['Widget deploys']);
+    
+    const results = await store.searchMessages('user-1', 'deploy widget');
+    expect(results.map(result => result.message.role)).toEqual(['assistant', 'user']);
+    expect(results.every(result => result.sessionId === 'chat-1')).toBe(true);
+    
+    expect(await store.deleteSession('user-2', 'chat-1')).toBe(false);
+    expect(await store.deleteSession('user-1', 'chat-1')).toBe(true);
+    expect(await store.getSession('user-1', 'chat-1')).toBeNull();
+    expect(await store.searchMessages('user-1', 'widget')).toEqual([]);
+  });
+});
+
+describe('Mongo Session Store', () => {
+  test('should store, index and backfill the plain text of each message', async () => {
+    const sessions = fakeCollection();
+    const messages = fakeCollection([{ _id: new ObjectId(), content: { content: 'Older structured reply' } }]);
+    const db = { collection: name => (name === 'chat_sessions' ? sessions : messages) };
+    const store = new MongoSessionStore({ getDb: async () => db });
+    
+    await store.appendMessage('user-1', 'chat-1', { role: 'assistant', content: { content: 'Deploy the widget', model: 'gemini-1.5-pro' } });
+    
+    expect(messages.dropIndex).toHaveBeenCalledWith('userId_1_content_text');
+    expect(messages.indexes).toContainEqual({ userId: 1, text: 'text' });
+    expect(messages.indexes).not.toContainEqual({ userId: 1, content: 'text' });
+    expect(messages.docs.map(doc => doc.text)).toEqual(['Older structured reply', 'Deploy the widget']);
+  });
+});
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const express = require('express');
+const planningRoutes = require('../../src/routes/planningRoutes');
+const { schedulePlan } = require('../../src/utils/sprintScheduler');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Sprint Scheduler', () => {
+  test('should schedule stories into sprints from the registered team, skills and dependencies', async () => {
+    const story = (id, points, fields) => ({
+      id,
+      title: `Story ${id}`,
+      description: `As a user, I want ${id}`,
+      acceptance_criteria: ['Works'],
+      story_points: points,
+      required_role: 'Backend Developer',
+      required_skills: [],
+      depends_on: [],
+      tasks: [],
+      ...fields
+    });
+    const plan = {
+      epics: [
+        {
+          name: 'Platform',
+          description: 'Core services',
+          user_stories: [
+            story('US-1', 8, { required_skills: ['Node.js', 'MongoDB'] }),
+            story('US-2', 5, { required_role: 'Full Stack Developer', depends_on: ['US-1'] }),
+            story('US-3', 6, { required_skills: ['node.js'] })
+          ]
+        },
+        {
+          name: 'Mobile',
+          description: 'Mobile app',
+          user_stories: [
+            story('US-4', 3, { required_role: 'Mobile Developer', required_skills: ['Kotlin'] }),
+            story('US-5', 2, { depends_on: ['US-4'] }),
+            story('US-6', 4, { pinned_sprint: 1 })
+          ]
+        }
+      ]
+    };
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/planning', planningRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/planning`;
+    
+    try {
+      await axios.post(`${base}/team/members`, {
+        project: 'Schedule Demo', name: 'Ana', role: 'Backend Developer', skills: ['Node.js', 'MongoDB'], velocity: 10
+      });
+      const ben = await axios.post(`${base}/team/members`, {
+        project: 'Schedule Demo', name: 'Ben', role: 'Full Stack Developer', skills: ['React', 'Node.js'], velocity: 8
+      });
+      expect(ben.status).toBe(201);
+      expect(ben.data.member).toEqual(expect.objectContaining({ availability: 1, sprintAvailability: {} }));
+      
+      const holiday = await axios.patch(`${base}/team/members/${ben.data.member.memberId}`, { sprintAvailability: { 1: 0.5 } });
+      expect(holiday.data.member.sprintAvailability).toEqual({ 1: 0.5 });
+      
+      const duplicate = await axios.post(`${base}/team/members`, {
+        project: 'Schedule Demo', name: ' ana ', role: 'QA', velocity: 5, availability: 2
+      }, { validateStatus: () => true });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.data.problems).toEqual(['availability must be a number from 0 to 1']);
+      const missing = await axios.delete(`${base}/team/members/member_unknown`, { validateStatus: () => true });
+      expect(missing.status).toBe(404);
+      
+      const team = await axios.get(`${base}/team?project=${encodeURIComponent('Schedule Demo')}`);
+      expect(team.data.members.map(member => member.name)).toEqual(['Ana', 'Ben']);
+      
+      const { data: { result } } = await axios.post(`${base}/schedule`, { project: 'Schedule Demo', plan });
+      expect(result.version).toBe(1);
+      expect(result.plan.sprint_plan.map(sprint => [sprint.user_stories, sprint.capacity, sprint.allocated_points, sprint.over_allocated])).toEqual([
+        [['US-1', 'US-6'], 14, 12, true],
+        [['US-2', 'US-3'], 18, 11, false]
+      ]);
+      const assignees = result.plan.epics.flatMap(epic => epic.user_stories.map(item => [item.id, item.suggested_assignee]));
+      expect(assignees).toEqual([
+        ['US-1', 'Ana'], ['US-2', 'Ben'], ['US-3', 'Ana'],
+        ['US-4', 'Mobile Developer'], ['US-5', 'Backend Developer'], ['US-6', 'Ana']
+      ]);
+      expect(result.plan.schedule).toEqual({
+        team_size: 2,
+        over_allocated: [{ sprint_number: 1, member: 'Ana', capacity: 10, allocated_points: 12 }],
+        unassignable: [
+          { id: 'US-4', title: 'Story US-4', reason: 'no team member has the skills Kotlin' },
+          { id: 'US-5', title: 'Story US-5', reason: 'depends on unassignable story US-4' }
+        ]
+      });
+      expect(schedulePlan(result.plan, []).sprint_plan.map(sprint => sprint.user_stories)).toEqual([['US-1', 'US-3', 'US-4', 'US-6'], ['US-2', 'US-5']]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const axios = require('axios');
+const express = require('express');
+const planningRoutes = require('../../src/routes/planningRoutes');
+const PlanningAgent = require('../../src/agents/planningAgent');
+const { schedulePlan } = require('../../src/utils/sprintScheduler');
+
+jest.mock('../../src/utils/googleDriveService', () => ({}));
+
+describe('Task Board', () => {
+  test('should import a plan onto the task board and move tasks only through allowed transitions', async () => {
+    const plan = schedulePlan(new PlanningAgent('test-key')._generateMockResponse(), []);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/planning', planningRoutes);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/planning/board`;
+    const options = { validateStatus: () => true };
+    
+    try {
+      const imported = await axios.post(`${base}/import`, { project: 'Rental Board', plan });
+      expect(imported.status).toBe(201);
+      expect(imported.data).toEqual(expect.objectContaining({ created: 2, updated: 0 }));
+      const rental = imported.data.tasks.find(task => task.storyId === 'US-2');
+      expect(rental).toEqual(expect.objectContaining({
+        epic: 'Rental Management',
+        status: 'todo',
+        assignee: null,
+        role: 'Full Stack Developer',
+        storyPoints: 8,
+        sprint: 2
+      }));
+      
+      const skipped = await axios.patch(`${base}/tasks/${rental.taskId}`, { status: 'done' }, options);
+      expect(skipped.status).toBe(409);
+      expect(skipped.data).toEqual(expect.objectContaining({ code: 'TASK_TRANSITION_INVALID', allowed: ['in_progress'] }));
+      
+      const started = await axios.patch(`${base}/tasks/${rental.taskId}`, { status: 'in_progress', assignee: 'Dana' });
+      expect(started.data.task).toEqual(expect.objectContaining({ status: 'in_progress', assignee: 'Dana' }));
+      
+      const invalid = await axios.post(`${base}/tasks`, { project: 'Rental Board', title: ' ', storyPoints: -1 }, options);
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.problems).toEqual([
+        'title must be a non-empty string',
+        'storyPoints must be a whole number of at least 0, or null'
+      ]);
+      
+      // Importing again refreshes the plan fields but keeps progress on the board
+      plan.epics[1].user_stories[0].story_points = 5;
+      const reimported = await axios.post(`${base}/import`, { project: 'Rental Board', plan });
+      expect(reimported.data).toEqual(expect.objectContaining({ created: 0, updated: 2 }));
+      
+      const board = await axios.get(`${base}?project=${encodeURIComponent('Rental Board')}`);
+      expect(board.data.board.sprints).toEqual([1, 2]);
+      expect(board.data.board.columns.map(column => [column.status, column.tasks.map(task => task.storyId)])).toEqual([
+        ['todo', ['US-1']],
+        ['in_progress', ['US-2']],
+        ['review', []],
+        ['done', []]
+      ]);
+      expect(board.data.board.columns[1].tasks[0]).toEqual(expect.objectContaining({ storyPoints: 5, assignee: 'Dana' }));
+      
+      expect((await axios.delete(`${base}/tasks/${rental.taskId}`)).data).toEqual({ success: true });
+      expect((await axios.get(`${base}/tasks/${rental.taskId}`, options)).status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,34 @@
+const { UsageLedger } = require('../../src/services/usageLedger');
+const { BudgetManager } = require('../../src/services/budgetManager');
+
+const budgetConfig = {
+  onExhausted: 'refuse',
+  downgradeTier: 'simple',
+  defaults: { user: { daily: 1, monthly: null }, team: { daily: null, monthly: null } },
+  users: {},
+  teams: {}
+};
+
+describe('Usage Ledger', () => {
+  test('should save entries to its store and reload the month after a restart without duplicates', async () => {
+    const saved = [];
+    const store = {
+      saveEntry: jest.fn(async entry => { saved.push(entry); }),
+      listEntries: jest.fn(async () => saved.map(entry => ({ ...entry })))
+    };
+    
+    const before = new UsageLedger(store);
+    before.record({ userId: 'user-1', usage: { input_tokens: 1000, output_tokens: 1000 }, costPer1KTokens: 0.5 });
+    await Promise.resolve();
+    expect(store.saveEntry).toHaveBeenCalledWith(expect.objectContaining({ id: expect.any(String), userId: 'user-1', cost: 1 }));
+    
+    const after = new UsageLedger(store);
+    after.record({ userId: 'user-1', usage: { input_tokens: 10, output_tokens: 10 }, costPer1KTokens: 0.5 });
+    await Promise.resolve();
+    expect(await after.load()).toBe(1);
+    
+    expect(store.listEntries).toHaveBeenCalledWith({ since: UsageLedger.periodStart('month'), limit: after.maxEntries });
+    expect(after.totals({ userId: 'user-1' })).toEqual(expect.objectContaining({ calls: 2, cost: 1.01 }));
+    expect(new BudgetManager(budgetConfig, after).check('user-1').exhausted).toBe(true);
+  });
+});
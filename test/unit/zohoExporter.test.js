@@ -0,0 +1,79 @@
+const http = require('http');
+const zohoConfig = require('../../src/config/zoho');
+const { ZohoAuth } = require('../../src/services/zohoAuth');
+const { ZohoExporter } = require('../../src/services/zohoExporter');
+const { MemoryZohoCredentialStore } = require('../../src/services/zohoCredentialStore');
+
+describe('Zoho Exporter', () => {
+  test('should export generated Deluge code to Zoho Creator as a dry run or to a stub server', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ code: 3000, message: 'Function created' }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const config = {
+      ...zohoConfig,
+      oauth: { ...zohoConfig.oauth, clientId: 'client-id', clientSecret: 'client-secret' },
+      api: { ...zohoConfig.api, baseUrl: `http://127.0.0.1:${server.address().port}/api/v2` },
+      dryRun: false
+    };
+    const tokenTransport = jest.fn().mockResolvedValue({
+      data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600, api_domain: 'https://www.zohoapis.com' }
+    });
+    const auth = new ZohoAuth({ store: new MemoryZohoCredentialStore(), config, transport: tokenTransport, encryptionKey: 'test-key' });
+    const exporter = new ZohoExporter({ auth, config });
+    const script = 'string rentals.approve(int rentalId, string note)\n{\n  return "approved";\n}';
+    const reply = `Here is the function:\n\`\`\`deluge\n${script}\n\`\`\`\nUse it from a workflow.`;
+    const target = { type: 'function', owner: 'acme', app: 'rental-manager' };
+    
+    try {
+      const dryRun = await exporter.export('user-1', { code: reply, target, dryRun: true });
+      
+      expect(dryRun.request).toEqual({
+        method: 'post',
+        url: `${config.api.baseUrl}/acme/rental-manager/functions`,
+        headers: { 'Content-Type': 'application/json', Authorization: 'Zoho-oauthtoken <access token>' },
+        data: {
+          function: {
+            name: 'approve',
+            namespace: 'rentals',
+            return_type: 'string',
+            parameters: [{ name: 'rentalId', type: 'int' }, { name: 'note', type: 'string' }],
+            script
+          }
+        }
+      });
+      expect(received).toHaveLength(0);
+      
+      await expect(exporter.export('user-1', { code: reply, target })).rejects.toMatchObject({ code: 'ZOHO_NOT_CONNECTED' });
+      
+      // An accounts server outside Zoho's own is ignored
+      await auth.connect('user-1', 'auth-code', 'https://accounts.example.test');
+      expect(tokenTransport.mock.calls[0][0].url).toBe('https://accounts.zoho.com/oauth/v2/token');
+      const stored = await auth.store.getCredentials('user-1');
+      expect(JSON.stringify(stored)).not.toContain('refresh-1');
+      
+      const result = await exporter.export('user-1', { code: reply, target });
+      
+      expect(result).toEqual(expect.objectContaining({ dryRun: false, status: 200, response: { code: 3000, message: 'Function created' } }));
+      expect(received).toEqual([expect.objectContaining({
+        method: 'POST',
+        url: '/api/v2/acme/rental-manager/functions',
+        body: dryRun.request.data
+      })]);
+      expect(received[0].headers.authorization).toBe('Zoho-oauthtoken access-1');
+      
+      await expect(exporter.export('user-1', { code: script, target: { ...target, type: 'workflow', name: 'approveRental' }, dryRun: true }))
+        .rejects.toMatchObject({ code: 'ZOHO_EXPORT_INVALID', problems: expect.arrayContaining(['form must be the link name of a form']) });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});